@@ -85,10 +85,16 @@ function formatSwedenTimeShort(date) {
     const formatted = formatSwedenTime(date);
     return `${formatted.time} ${formatted.timezone}`;
 }// Discord Stats Bot for tracking team statistics
-const { Client, GatewayIntentBits, Partials, EmbedBuilder, PermissionFlagsBits, REST, Routes, SlashCommandBuilder, MessageFlags, AttachmentBuilder } = require('discord.js');
+const { Client, GatewayIntentBits, Partials, EmbedBuilder, PermissionFlagsBits, REST, Routes, SlashCommandBuilder, MessageFlags, AttachmentBuilder,
+    ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
 const fs = require('fs').promises;
 const path = require('path');
 const http = require('http');
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const csv = require('csv-parser');
 const PORT = process.env.PORT || 3000;
 
 // Try to load environment variables from .env file if dotenv is available
@@ -112,13 +118,350 @@ const config = {
         aTeam: '#ff5555',
         bTeam: '#5555ff'
     },
-    dataFilePath: path.join(__dirname, 'players.json'),
-    teamStatsFilePath: path.join(__dirname, 'team-stats.json'),
-    gameHistoryFilePath: path.join(__dirname, 'game-history.json'),
-    scheduledMatchesFilePath: path.join(__dirname, 'scheduled-matches.json'),
-    backupsFolder: path.join(__dirname, 'backups')
+    // Stat catalog: every stat tracked per player. Slash command options, embeds, report
+    // columns, CSV import columns and achievement categories are all built from this list.
+    //   key          field on players and game records (a plain identifier, used in SQL)
+    //   label/emoji  how the stat is shown; short is its suffix in compact lines ("2G 1A")
+    //   aggregation  'games' counts one per game (gamesPlayed), 'sum' adds up the number of each game and
+    //                'flag' counts the games where a player got it (a yes/no on match lines)
+    //   perGame      also show the per-game average (a rate of games for flags)
+    //   option       slash command option name when it differs from key (must be lowercase)
+    //   lineKey      field on match lines when it differs from key
+    //   csvColumns   extra column names /import-stats accepts for it
+    //   achievements unlocked once the career total reaches their threshold
+    stats: [
+        {
+            key: 'gamesPlayed', label: 'Games Played', emoji: '🎮', aggregation: 'games', perGame: false, option: 'games',
+            achievements: [
+                { threshold: 50, name: 'Veteran', emoji: '🎖️', description: 'Play 50+ games' },
+                { threshold: 100, name: 'Dedicated', emoji: '💪', description: 'Play 100+ games' },
+                { threshold: 200, name: 'Unstoppable', emoji: '⚡', description: 'Play 200+ games' }
+            ]
+        },
+        {
+            key: 'goals', label: 'Goals', short: 'G', emoji: '⚽', aggregation: 'sum', perGame: true, csvColumns: ['g'],
+            achievements: [
+                { threshold: 10, name: 'Sniper', emoji: '🎯', description: 'Score 10+ goals' },
+                { threshold: 25, name: 'Sharp Shooter', emoji: '🚀', description: 'Score 25+ goals' },
+                { threshold: 50, name: 'Goal Machine', emoji: '💯', description: 'Score 50+ goals' },
+                { threshold: 100, name: 'Legend', emoji: '🔥', description: 'Score 100+ goals' }
+            ]
+        },
+        {
+            key: 'assists', label: 'Assists', short: 'A', emoji: '👟', aggregation: 'sum', perGame: true, csvColumns: ['a'],
+            achievements: [
+                { threshold: 10, name: 'Playmaker', emoji: '👟', description: 'Get 10+ assists' },
+                { threshold: 25, name: 'Master Tactician', emoji: '🧠', description: 'Get 25+ assists' },
+                { threshold: 50, name: 'Assist King', emoji: '👑', description: 'Get 50+ assists' }
+            ]
+        },
+        {
+            key: 'saves', label: 'Saves', short: 'S', emoji: '🧤', aggregation: 'sum', perGame: false, csvColumns: ['s'],
+            achievements: [
+                { threshold: 15, name: 'Safe Hands', emoji: '🧤', description: 'Make 15+ saves' },
+                { threshold: 30, name: 'Wall', emoji: '🛡️', description: 'Make 30+ saves' },
+                { threshold: 75, name: 'Guardian', emoji: '🏰', description: 'Make 75+ saves' }
+            ]
+        },
+        {
+            key: 'shots', label: 'Shots', short: 'Sh', emoji: '🎯', aggregation: 'sum', perGame: false, csvColumns: ['sh'],
+            achievements: [
+                { threshold: 50, name: 'Trigger Happy', emoji: '🎯', description: 'Take 50+ shots' },
+                { threshold: 100, name: 'Shot Caller', emoji: '🚀', description: 'Take 100+ shots' },
+                { threshold: 250, name: 'Sharpshooter', emoji: '🏹', description: 'Take 250+ shots' }
+            ]
+        },
+        {
+            key: 'mvps', label: 'MVPs', short: 'MVP', emoji: '🏆', aggregation: 'flag', perGame: true, lineKey: 'mvp', csvColumns: ['mvp'],
+            achievements: [
+                { threshold: 5, name: 'Star Player', emoji: '⭐', description: 'Win 5+ MVPs' },
+                { threshold: 10, name: 'MVP King', emoji: '👑', description: 'Win 10+ MVPs' },
+                { threshold: 20, name: 'Champion', emoji: '🏆', description: 'Win 20+ MVPs' }
+            ]
+        }
+    ],
+    // Efficiency metrics shown next to the totals, after the per-game value of every perGame stat above.
+    //   calculate    (record, participation) => rate, or null when it cannot be worked out. participation
+    //                is { involvements, teamGoals } from the games that came from match results
+    //   percent      show the rate as a percentage
+    metrics: [
+        {
+            key: 'shootingPercentage', label: 'Shooting %', emoji: '🎯', percent: true,
+            calculate: record => record.shots > 0 ? (record.goals || 0) / record.shots : null
+        },
+        {
+            key: 'goalParticipation', label: 'Goal Participation', emoji: '🤝', percent: true,
+            calculate: (record, participation) => participation && participation.teamGoals > 0 ? participation.involvements / participation.teamGoals : null
+        },
+        {
+            key: 'savesPerGame', label: 'Saves/Game', emoji: '🧤', percent: false,
+            calculate: record => record.gamesPlayed > 0 ? (record.saves || 0) / record.gamesPlayed : null
+        },
+        {
+            key: 'pointsPerGame', label: 'Points/Game', emoji: '⭐', percent: false,
+            calculate: record => record.gamesPlayed > 0 ? ((record.goals || 0) + (record.assists || 0)) / record.gamesPlayed : null
+        }
+    ],
+    // Rates of players with fewer games than this are not shown, since a couple of games say little
+    metricMinGames: Number(process.env.METRIC_MIN_GAMES) || 5,
+    charts: {
+        trendStats: ['goals', 'assists', 'saves'], // Stats the /chart trend lines show
+        rollingWindow: 5, // Games in the rolling average of trend charts
+        games: 20, // Games a trend chart shows by default
+        weeks: 12 // Weeks a win rate chart shows by default
+    },
+    leaderboard: {
+        pageSize: 10, // Players per /leaderboard page
+        // Lists /team shows: a stat or metric key and how many players each lists
+        teamBoards: [
+            { key: 'goals', limit: 5 },
+            { key: 'assists', limit: 3 },
+            { key: 'mvps', limit: 3 }
+        ]
+    },
+    records: {
+        singleGame: ['goals', 'saves', 'shots'], // Stats with a most-in-one-game record
+        // Player streaks: consecutive games in which a stat was at least 1
+        streaks: [
+            { key: 'mvps', label: 'Longest MVP Streak' },
+            { key: 'goals', label: 'Most Games With a Goal' }
+        ]
+    },
+    dataFolder: process.env.DATA_FOLDER || path.join(__dirname, 'data'), // One subfolder per guild
+    // Data files of the guild the current command or job runs for (see withGuild)
+    get dataFilePath() { return getGuildFilePath('players.json'); },
+    get teamStatsFilePath() { return getGuildFilePath('team-stats.json'); },
+    get gameHistoryFilePath() { return getGuildFilePath('game-history.json'); },
+    get scheduledMatchesFilePath() { return getGuildFilePath('scheduled-matches.json'); },
+    get matchResultsFilePath() { return getGuildFilePath('match-results.json'); },
+    get seasonsFilePath() { return getGuildFilePath('seasons.json'); },
+    get opponentsFilePath() { return getGuildFilePath('opponents.json'); },
+    get backupsFolder() { return getGuildFilePath('backups'); },
+    get auditLogFilePath() { return getGuildFilePath('audit-log.json'); },
+    get submissionsFilePath() { return getGuildFilePath('stat-submissions.json'); },
+    get sqliteFilePath() { return getGuildFilePath('stats.db'); },
+    get dataHealthFilePath() { return path.join(this.dataFolder, 'data-health.json'); },
+    storageBackend: (process.env.STORAGE_BACKEND || 'json').toLowerCase(), // 'json' or 'sqlite'
+    // Where data was kept before it was split per guild (moved into a guild folder on startup)
+    legacyDataFolder: __dirname,
+    legacySqliteFilePath: process.env.SQLITE_PATH || path.join(__dirname, 'stats.db'),
+    legacyGuildId: process.env.LEGACY_GUILD_ID || null,
+    // Elo ratings (/ratings): everyone starts at `initial`, and a result moves a rating by at most
+    // kFactor (teams) or playerKFactor (players), less when the favourite wins
+    ratings: {
+        initial: 1500,
+        kFactor: 32,
+        playerKFactor: 32
+    },
+    // Player stat submissions (/submit-stats) are posted here for admins to review
+    reviewChannelName: process.env.REVIEW_CHANNEL_NAME || 'stats-review',
+    submissionExpiryHours: Number(process.env.SUBMISSION_EXPIRY_HOURS) || 48
+};
+
+// Data sets handled by backups, repairs and storage migrations
+const DATA_FILES = [
+    { key: 'players', name: 'players.json', get filePath() { return config.dataFilePath; }, read: 'readPlayersFile', write: 'writePlayersFile', isValidShape: Array.isArray },
+    { key: 'teamStats', name: 'team-stats.json', get filePath() { return config.teamStatsFilePath; }, read: 'readTeamStatsFile', write: 'writeTeamStatsFile', isValidShape: isPlainObject },
+    { key: 'gameHistory', name: 'game-history.json', get filePath() { return config.gameHistoryFilePath; }, read: 'readGameHistoryFile', write: 'writeGameHistoryFile', isValidShape: Array.isArray },
+    { key: 'scheduledMatches', name: 'scheduled-matches.json', get filePath() { return config.scheduledMatchesFilePath; }, read: 'readScheduledMatchesFile', write: 'writeScheduledMatchesFile', isValidShape: Array.isArray },
+    // Optional: backups made before match results existed do not contain this file
+    { key: 'matchResults', name: 'match-results.json', get filePath() { return config.matchResultsFilePath; }, read: 'readMatchResultsFile', write: 'writeMatchResultsFile', isValidShape: Array.isArray, optional: true },
+    { key: 'seasons', name: 'seasons.json', get filePath() { return config.seasonsFilePath; }, read: 'readSeasonsFile', write: 'writeSeasonsFile', isValidShape: Array.isArray, optional: true },
+    { key: 'opponents', name: 'opponents.json', get filePath() { return config.opponentsFilePath; }, read: 'readOpponentsFile', write: 'writeOpponentsFile', isValidShape: Array.isArray, optional: true }
+];
+
+// Files that are kept out of the backups. /repair-data starts them over empty when they are corrupted.
+const LOG_FILES = [
+    { key: 'auditLog', name: 'audit-log.json', get filePath() { return config.auditLogFilePath; } },
+    { key: 'submissions', name: 'stat-submissions.json', get filePath() { return config.submissionsFilePath; } }
+];
+
+// Data sets that a recorded match result writes to
+function getMatchResultFiles() {
+    return [config.dataFilePath, config.teamStatsFilePath, config.gameHistoryFilePath, config.matchResultsFilePath];
+}
+
+// Data sets that adding, renaming or removing an opponent touches
+function getOpponentFiles() {
+    return [config.opponentsFilePath, config.teamStatsFilePath, config.gameHistoryFilePath, config.scheduledMatchesFilePath, config.matchResultsFilePath];
+}
+
+// Guild whose data the current async call chain works on. Commands, reminders and
+// backup jobs all run inside withGuild, so the data of different servers never mixes.
+const guildContext = new AsyncLocalStorage();
+const preparedGuilds = new Set();
+
+// Resolves once data from before the per-guild split has been moved (see migrateLegacyData)
+let legacyDataMigration = Promise.resolve();
+
+function getCurrentGuildId() {
+    const guildId = guildContext.getStore();
+    if (!guildId) {
+        throw new Error('Data can only be accessed on behalf of a guild');
+    }
+    return guildId;
+}
+
+// Folder holding all data files and backups of one guild
+function getGuildFolder(guildId) {
+    if (!/^\d+$/.test(guildId)) {
+        throw new Error(`Invalid guild ID: ${guildId}`);
+    }
+    return path.join(config.dataFolder, guildId);
+}
+
+// Path of a file in the current guild's data folder
+function getGuildFilePath(fileName) {
+    return path.join(getGuildFolder(getCurrentGuildId()), fileName);
+}
+
+// Run a task against the data of one guild
+async function withGuild(guildId, task) {
+    await legacyDataMigration;
+    return guildContext.run(guildId, () => {
+        if (!preparedGuilds.has(guildId)) {
+            require('fs').mkdirSync(getGuildFolder(guildId), { recursive: true });
+            preparedGuilds.add(guildId);
+        }
+        if (config.storageBackend === 'sqlite') {
+            openGuildSqliteStorage(guildId);
+        }
+        return task();
+    });
+}
+
+// Schema migrations per data set, applied in version order. Files written before
+// versioning existed (bare arrays/objects) count as version 0.
+const SCHEMA_MIGRATIONS = {
+    players: [
+        {
+            version: 1,
+            description: 'Fill in missing stat fields (shots) and drop removed ones (demos)',
+            migrate: players => players.map(player => {
+                const migrated = { ...player };
+                ['gamesPlayed', 'goals', 'assists', 'saves', 'shots', 'mvps'].forEach(stat => {
+                    if (typeof migrated[stat] !== 'number') migrated[stat] = 0;
+                });
+                delete migrated.demos;
+                return migrated;
+            })
+        },
+        {
+            version: 2,
+            description: 'Start the roster history with the current team and credit it with the existing totals',
+            migrate: players => players.map(player => {
+                if (player.roster) return player;
+                
+                const teamStats = Object.fromEntries(config.stats.map(stat => [stat.key, player[stat.key] || 0]));
+                if (player.seasons && Object.keys(player.seasons).length > 0) {
+                    teamStats.seasons = JSON.parse(JSON.stringify(player.seasons));
+                }
+                return {
+                    ...player,
+                    roster: [{ team: player.team, from: player.createdAt || null, to: null }],
+                    teams: { [player.team]: teamStats }
+                };
+            })
+        }
+    ],
+    teamStats: [
+        {
+            version: 1,
+            description: 'Add team registry metadata',
+            migrate: teamStats => {
+                const migrated = {};
+                Object.keys(teamStats).forEach(name => {
+                    migrated[name] = {
+                        name,
+                        color: getDefaultTeamColor(name),
+                        captainId: null,
+                        rosterLimit: null,
+                        createdAt: null,
+                        ...teamStats[name],
+                        wins: teamStats[name].wins || 0,
+                        losses: teamStats[name].losses || 0
+                    };
+                });
+                return migrated;
+            }
+        }
+    ],
+    gameHistory: [
+        {
+            version: 1,
+            description: 'Fill in missing stat fields and drop removed ones (demos)',
+            migrate: gameHistory => gameHistory.map(game => {
+                const migrated = { ...game };
+                ['goals', 'assists', 'saves', 'shots', 'mvps'].forEach(stat => {
+                    if (typeof migrated[stat] !== 'number') migrated[stat] = 0;
+                });
+                delete migrated.demos;
+                return migrated;
+            })
+        },
+        {
+            version: 2,
+            description: 'Give every game record an ID',
+            migrate: gameHistory => {
+                // Derived from the record, so reading an unmigrated file twice gives the same IDs
+                const seen = new Map();
+                return gameHistory.map(game => {
+                    if (game.id) return game;
+                    if (game.matchId) return { id: getMatchGameId(game.matchId, game.discordId), ...game };
+                    const baseId = `${game.discordId}:${game.replayId || ''}:${game.timestamp}`;
+                    const count = (seen.get(baseId) || 0) + 1;
+                    seen.set(baseId, count);
+                    return { id: count > 1 ? `${baseId}:${count}` : baseId, ...game };
+                });
+            }
+        }
+    ],
+    scheduledMatches: [
+        {
+            version: 1,
+            description: 'Default match description and reminder flag',
+            migrate: matches => matches.map(match => ({
+                description: '',
+                ...match,
+                notified: Boolean(match.notified)
+            }))
+        }
+    ]
 };
 
+// Current schema version of a data set
+function getSchemaVersion(key) {
+    const migrations = SCHEMA_MIGRATIONS[key] || [];
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+}
+
+// Split a stored file into its schema version and data
+function unwrapVersionedData(stored) {
+    if (isPlainObject(stored) && typeof stored.schemaVersion === 'number' && 'data' in stored) {
+        return { version: stored.schemaVersion, data: stored.data };
+    }
+    return { version: 0, data: stored };
+}
+
+// Bring data from any older schema version up to the current one
+function migrateData(key, data, fromVersion) {
+    const currentVersion = getSchemaVersion(key);
+    if (fromVersion > currentVersion) {
+        throw new Error(`${key} data has schema version ${fromVersion}, but this bot only supports up to ${currentVersion}`);
+    }
+    
+    const applied = [];
+    let migrated = data;
+    (SCHEMA_MIGRATIONS[key] || [])
+        .filter(migration => migration.version > fromVersion)
+        .forEach(migration => {
+            migrated = migration.migrate(migrated);
+            applied.push(`v${migration.version}: ${migration.description}`);
+        });
+    
+    return { data: migrated, version: currentVersion, applied };
+}
+
 // Initialize Discord client
 const client = new Client({
     intents: [
@@ -134,2214 +477,8327 @@ const client = new Client({
     }
 });
 
-// Database utility functions using file storage
-const db = {
-    // Read entire players file
-    readPlayersFile: async () => {
-        try {
-            // Ensure the file exists, create if not
-            await fs.access(config.dataFilePath).catch(async () => {
-                await fs.writeFile(config.dataFilePath, JSON.stringify([]));
-            });
+// Find the stored key for a team name (case insensitive)
+function findTeamKey(teamStats, teamName) {
+    if (!teamName) return null;
+    const nameLower = teamName.toLowerCase();
+    return Object.keys(teamStats).find(key => key.toLowerCase() === nameLower) || null;
+}
 
-            const data = await fs.readFile(config.dataFilePath, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            console.error('Error reading players file:', error);
-            return [];
-        }
-    },
+// Team names must be 2-50 characters long
+function validateTeamName(teamName) {
+    if (teamName.length < 2 || teamName.length > 50) {
+        throw new Error('Team name must be between 2 and 50 characters long');
+    }
+}
 
-    // Write players data to file
-    writePlayersFile: async (players) => {
-        try {
-            await fs.writeFile(config.dataFilePath, JSON.stringify(players, null, 2));
-        } catch (error) {
-            console.error('Error writing players file:', error);
-        }
-    },
+// Default color for a team that was created without one
+function getDefaultTeamColor(teamName) {
+    if (teamName === config.teams.a) return config.colors.aTeam;
+    if (teamName === config.teams.b) return config.colors.bTeam;
+    return config.colors.primary;
+}
 
-    // Read team stats file
-    readTeamStatsFile: async () => {
-        try {
-            // Ensure the file exists, create if not
-            await fs.access(config.teamStatsFilePath).catch(async () => {
-                const defaultTeamStats = {
-                    'A-Team': { wins: 0, losses: 0 },
-                    'B-Team': { wins: 0, losses: 0 }
-                };
-                await fs.writeFile(config.teamStatsFilePath, JSON.stringify(defaultTeamStats, null, 2));
-            });
+// Stat Catalog Helpers (see config.stats)
+// Stats that come from a game's line, so everything except the games counter
+function getLineStats() {
+    return config.stats.filter(stat => stat.aggregation !== 'games');
+}
 
-            const data = await fs.readFile(config.teamStatsFilePath, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            console.error('Error reading team stats file:', error);
-            return {
-                'A-Team': { wins: 0, losses: 0 },
-                'B-Team': { wins: 0, losses: 0 }
-            };
-        }
-    },
+// Stats with achievement tiers, in catalog order
+function getAchievementStats() {
+    return config.stats.filter(stat => stat.achievements && stat.achievements.length > 0);
+}
 
-    // Write team stats data to file
-    writeTeamStatsFile: async (teamStats) => {
-        try {
-            await fs.writeFile(config.teamStatsFilePath, JSON.stringify(teamStats, null, 2));
-        } catch (error) {
-            console.error('Error writing team stats file:', error);
-        }
-    },
+// Slash command option name of a stat
+function getStatOptionName(stat) {
+    return stat.option || stat.key;
+}
 
-    // Get team stats
-    getTeamStats: async (teamName) => {
-        const teamStats = await db.readTeamStatsFile();
-        return teamStats[teamName] || { wins: 0, losses: 0 };
-    },
+// Match line field of a stat
+function getStatLineKey(stat) {
+    return stat.lineKey || stat.key;
+}
 
-    // Update team stats (add wins/losses)
-    updateTeamStats: async (teamName, wins = 0, losses = 0) => {
-        const teamStats = await db.readTeamStatsFile();
-        
-        if (!teamStats[teamName]) {
-            teamStats[teamName] = { wins: 0, losses: 0 };
-        }
-        
-        teamStats[teamName].wins += wins;
-        teamStats[teamName].losses += losses;
-        
-        // Ensure no negative values
-        teamStats[teamName].wins = Math.max(0, teamStats[teamName].wins);
-        teamStats[teamName].losses = Math.max(0, teamStats[teamName].losses);
-        
-        await db.writeTeamStatsFile(teamStats);
-        return teamStats[teamName];
-    },
+// Value of a stat on a player, season or game record (records from before a stat was added count as 0)
+function getStatValue(record, stat) {
+    return record[stat.key] || 0;
+}
 
-    // Remove team stats (supports negative values for removal)
-    removeTeamStats: async (teamName, wins = 0, losses = 0) => {
-        const teamStats = await db.readTeamStatsFile();
-        
-        if (!teamStats[teamName]) {
-            teamStats[teamName] = { wins: 0, losses: 0 };
-        }
-        
-        teamStats[teamName].wins -= wins;
-        teamStats[teamName].losses -= losses;
-        
-        // Ensure no negative values
-        teamStats[teamName].wins = Math.max(0, teamStats[teamName].wins);
-        teamStats[teamName].losses = Math.max(0, teamStats[teamName].losses);
-        
-        await db.writeTeamStatsFile(teamStats);
-        return teamStats[teamName];
-    },
+// Every catalog stat at 0
+function createEmptyStats() {
+    return Object.fromEntries(config.stats.map(stat => [stat.key, 0]));
+}
 
-    // Get a specific player
-    getPlayer: async (discordId) => {
-        const players = await db.readPlayersFile();
-        return players.find(p => p.discordId === discordId);
-    },
+// Per-game average of a stat total ("0.75", or "25.0%" of games for flags)
+function formatPerGame(stat, value, games) {
+    if (stat.aggregation === 'flag') {
+        return `${games > 0 ? ((value / games) * 100).toFixed(1) : '0.0'}%`;
+    }
+    return games > 0 ? (value / games).toFixed(2) : '0.00';
+}
 
-    // Get all players (optionally filtered by team)
-    getAllPlayers: async (team = null) => {
-        const players = await db.readPlayersFile();
-        return team 
-            ? players.filter(p => p.team === team).sort((a, b) => b.goals - a.goals)
-            : players.sort((a, b) => b.goals - a.goals);
-    },
+// Heading of a stat's per-game value ("Goals/Game", "MVP Rate")
+function getPerGameLabel(stat) {
+    return stat.aggregation === 'flag' ? `${stat.short} Rate` : `${stat.label}/Game`;
+}
 
-    // Create a new player - Updated to include shots but remove demos
-    createPlayer: async (discordId, displayName, team) => {
-        const players = await db.readPlayersFile();
-        
-        // Check if player already exists
-        if (players.some(p => p.discordId === discordId)) {
-            throw new Error('Player already exists');
-        }
-
-        const newPlayer = {
-            discordId,
-            displayName,
-            team,
-            gamesPlayed: 0,
-            goals: 0,
-            assists: 0,
-            saves: 0,
-            mvps: 0,
-            shots: 0,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+// Metric Helpers
+// Every rate shown next to the totals comes from here: the per-game value of each perGame
+// stat in the catalog (goals/game, MVP rate, …), then the derived metrics of config.metrics.
 
-        players.push(newPlayer);
-        await db.writePlayersFile(players);
-        return newPlayer;
-    },
+// The metrics in display order
+function getMetrics() {
+    return [...config.stats.filter(stat => stat.perGame).map(createPerGameMetric), ...config.metrics];
+}
 
-    // Update player stats
-    updatePlayerStats: async (discordId, stats) => {
-        const players = await db.readPlayersFile();
-        const playerIndex = players.findIndex(p => p.discordId === discordId);
-        
-        if (playerIndex === -1) {
-            throw new Error('Player not found');
-        }
-        
-        // Update stats
-        const player = players[playerIndex];
-        Object.keys(stats).forEach(stat => {
-            if (player.hasOwnProperty(stat) && typeof player[stat] === 'number') {
-                player[stat] += stats[stat];
-            }
-        });
-        
-        // Update timestamp
-        player.updatedAt = new Date().toISOString();
-        
-        // Write updated players back to file
-        await db.writePlayersFile(players);
-        return player;
-    },
-    
-    // Remove player stats
-    removePlayerStats: async (discordId, stats) => {
-        const players = await db.readPlayersFile();
-        const playerIndex = players.findIndex(p => p.discordId === discordId);
-        
-        if (playerIndex === -1) {
-            throw new Error('Player not found');
-        }
-        
-        // Remove stats
-        const player = players[playerIndex];
-        Object.keys(stats).forEach(stat => {
-            if (player.hasOwnProperty(stat) && typeof player[stat] === 'number') {
-                player[stat] = Math.max(0, player[stat] - stats[stat]);
-            }
+// Per-game value of a catalog stat as a metric (a rate of games for flags)
+function createPerGameMetric(stat) {
+    return {
+        key: `${stat.key}PerGame`,
+        label: getPerGameLabel(stat),
+        emoji: stat.emoji,
+        percent: stat.aggregation === 'flag',
+        calculate: record => record.gamesPlayed > 0 ? getStatValue(record, stat) / record.gamesPlayed : null
+    };
+}
+
+// Goals plus assists of each player next to the goals their team scored, from the game history
+// entries that came from match results (optionally only one season's, or one team's)
+function summarizeGoalParticipation(gameHistory, seasonId = null, team = null) {
+    const participation = new Map();
+    gameHistory
+        .filter(game => game.matchId && (!seasonId || game.season === seasonId) && (!team || (game.team || '').toLowerCase() === team.toLowerCase()))
+        .forEach(game => {
+            const entry = participation.get(game.discordId) || { involvements: 0, teamGoals: 0 };
+            entry.involvements += (game.goals || 0) + (game.assists || 0);
+            entry.teamGoals += game.teamScore || 0;
+            participation.set(game.discordId, entry);
         });
-        
-        // Update timestamp
-        player.updatedAt = new Date().toISOString();
-        
-        // Write updated players back to file
-        await db.writePlayersFile(players);
-        return player;
-    },
-    
-    // Update player name
-    updatePlayerName: async (discordId, displayName) => {
-        const players = await db.readPlayersFile();
-        const playerIndex = players.findIndex(p => p.discordId === discordId);
-        
-        if (playerIndex === -1) {
-            throw new Error('Player not found');
-        }
-        
-        // Update display name
-        players[playerIndex].displayName = displayName;
-        players[playerIndex].updatedAt = new Date().toISOString();
-        
-        // Write updated players back to file
-        await db.writePlayersFile(players);
-        return players[playerIndex];
-    },
+    return participation;
+}
 
-    // Game History Functions
-    readGameHistoryFile: async () => {
-        try {
-            await fs.access(config.gameHistoryFilePath).catch(async () => {
-                await fs.writeFile(config.gameHistoryFilePath, JSON.stringify([]));
-            });
+// Every metric of a player, season or team view: { metric, value, text }. Below
+// config.metricMinGames games the value is null and the text a dash.
+function calculateMetrics(record, participation = null) {
+    const enoughGames = (record.gamesPlayed || 0) >= config.metricMinGames;
+    return getMetrics().map(metric => {
+        const value = enoughGames ? metric.calculate(record, participation) : null;
+        return { metric, value, text: formatMetricValue(metric, value) };
+    });
+}
 
-            const data = await fs.readFile(config.gameHistoryFilePath, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            console.error('Error reading game history file:', error);
-            return [];
-        }
-    },
+// "0.75", "25.0%" or "–" when there is no value
+function formatMetricValue(metric, value) {
+    if (value === null || value === undefined) return '–';
+    return metric.percent ? `${(value * 100).toFixed(1)}%` : value.toFixed(2);
+}
 
-    writeGameHistoryFile: async (gameHistory) => {
-        try {
-            await fs.writeFile(config.gameHistoryFilePath, JSON.stringify(gameHistory, null, 2));
-        } catch (error) {
-            console.error('Error writing game history file:', error);
-        }
-    },
+// "🎯 Shooting %: 33.3% • ⭐ Points/Game: 1.50 • …" summary of a record's metrics
+function formatMetrics(metrics, separator = ' • ') {
+    return metrics.map(({ metric, text }) => `${metric.emoji} ${metric.label}: ${text}`).join(separator);
+}
 
-    // Add game record for recent form tracking
-    addGameRecord: async (discordId, gameStats) => {
-        const gameHistory = await db.readGameHistoryFile();
-        const gameRecord = {
-            discordId,
-            timestamp: new Date().toISOString(),
-            ...gameStats
-        };
-        
-        gameHistory.push(gameRecord);
-        await db.writeGameHistoryFile(gameHistory);
-        return gameRecord;
-    },
+// Note for embeds and reports when rates are held back for lack of games
+function getMetricThresholdNote(record) {
+    return (record.gamesPlayed || 0) < config.metricMinGames ? `Rates show from ${config.metricMinGames} games` : null;
+}
 
-    // Get recent games for a player (last N games)
-    getRecentGames: async (discordId, limit = 10) => {
-        const gameHistory = await db.readGameHistoryFile();
-        return gameHistory
-            .filter(game => game.discordId === discordId)
-            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-            .slice(0, limit);
-    },
+// Leaderboard Helpers
+// Leaderboards rank by a measure: a catalog stat as a total or per game, or a metric.
 
-    // Scheduled Matches Functions
-    readScheduledMatchesFile: async () => {
-        try {
-            await fs.access(config.scheduledMatchesFilePath).catch(async () => {
-                await fs.writeFile(config.scheduledMatchesFilePath, JSON.stringify([]));
-            });
+// The measure of a stat or metric key (null for unknown keys). The games counter has
+// no per-game view, so it is always ranked by its total.
+function getLeaderboardMeasure(key, view = 'total') {
+    const stat = config.stats.find(s => s.key === key);
+    if (stat && (view !== 'per-game' || stat.aggregation === 'games')) {
+        return { key, label: stat.label, emoji: stat.emoji, rate: false, calculate: record => getStatValue(record, stat) };
+    }
+    const metric = stat ? createPerGameMetric(stat) : config.metrics.find(m => m.key === key);
+    return metric ? { ...metric, rate: true } : null;
+}
 
-            const data = await fs.readFile(config.scheduledMatchesFilePath, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            console.error('Error reading scheduled matches file:', error);
-            return [];
-        }
-    },
+// Stat and metric choices of the /leaderboard stat option (Discord allows 25)
+function getLeaderboardChoices() {
+    return [
+        ...config.stats.map(stat => ({ name: stat.label, value: stat.key })),
+        ...config.metrics.map(metric => ({ name: metric.label, value: metric.key }))
+    ].slice(0, 25);
+}
 
-    writeScheduledMatchesFile: async (matches) => {
-        try {
-            await fs.writeFile(config.scheduledMatchesFilePath, JSON.stringify(matches, null, 2));
-        } catch (error) {
-            console.error('Error writing scheduled matches file:', error);
-        }
-    },
+// "12", "0.75" or "25.0%"
+function formatMeasureValue(measure, value) {
+    return measure.rate ? formatMetricValue(measure, value) : value.toString();
+}
 
-    // Schedule a match
-    scheduleMatch: async (team1, team2, dateTime, description = '') => {
-        const matches = await db.readScheduledMatchesFile();
-        const matchId = Date.now().toString();
-        
-        const newMatch = {
-            id: matchId,
-            team1,
-            team2,
-            dateTime,
-            description,
-            createdAt: new Date().toISOString(),
-            notified: false
-        };
-        
-        matches.push(newMatch);
-        await db.writeScheduledMatchesFile(matches);
-        return newMatch;
-    },
+// Players ranked by a measure, best first: [{ player, value, rank }]. Players without a game (in the
+// season or team looked at), below minGames or without a value (no shots for shooting %, …) are
+// left out, and tied players share a rank.
+function rankPlayers(players, measure, minGames = 0, participation = new Map()) {
+    const rows = players
+        .filter(player => (player.gamesPlayed || 0) >= Math.max(minGames, 1))
+        .map(player => ({ player, value: measure.calculate(player, participation.get(player.discordId)) }))
+        .filter(row => row.value !== null && row.value !== undefined)
+        .sort((a, b) => b.value - a.value || a.player.displayName.localeCompare(b.player.displayName));
+    rows.forEach((row, index) => {
+        row.rank = index > 0 && rows[index - 1].value === row.value ? rows[index - 1].rank : index + 1;
+    });
+    return rows;
+}
 
-    // Get upcoming matches
-    getUpcomingMatches: async (limit = 5) => {
-        const matches = await db.readScheduledMatchesFile();
-        const now = new Date();
-        
-        return matches
-            .filter(match => new Date(match.dateTime) > now)
-            .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
-            .slice(0, limit);
-    },
+// Every active player ranked by a measure, optionally within one team and season. Storage backends
+// that can rank in a query fall back to this for the measures they can't.
+async function rankActivePlayers(measure, { team = null, seasonId = null, minGames = 0 } = {}) {
+    const players = (await db.getAllPlayers(team, seasonId)).filter(p => !p.retiredAt);
+    const participation = await db.getGoalParticipation(seasonId, team);
+    return rankPlayers(players, measure, minGames, participation);
+}
 
-    // Remove expired matches
-    cleanupOldMatches: async () => {
-        const matches = await db.readScheduledMatchesFile();
-        const now = new Date();
-        const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-        
-        const activeMatches = matches.filter(match => new Date(match.dateTime) > dayAgo);
-        await db.writeScheduledMatchesFile(activeMatches);
-        return activeMatches.length;
-    },
+// Medal for the top three ranks, the rank number after that
+function formatRank(rank) {
+    return ['🥇', '🥈', '🥉'][rank - 1] || `${rank}.`;
+}
 
-    // Find matches by criteria
-    findMatches: async (teams = null, dateStr = null) => {
-        const matches = await db.readScheduledMatchesFile();
-        const now = new Date();
-        
-        // Filter out past matches
-        let filteredMatches = matches.filter(match => new Date(match.dateTime) > now);
-        
-        // Filter by teams if provided
-        if (teams) {
-            const teamsLower = teams.toLowerCase();
-            filteredMatches = filteredMatches.filter(match => {
-                const matchStr = `${match.team1} vs ${match.team2}`.toLowerCase();
-                return matchStr.includes(teamsLower) || 
-                       match.team1.toLowerCase().includes(teamsLower) || 
-                       match.team2.toLowerCase().includes(teamsLower);
-            });
-        }
-        
-        // Filter by date if provided
-        if (dateStr) {
-            const targetDate = new Date(dateStr);
-            if (!isNaN(targetDate.getTime())) {
-                filteredMatches = filteredMatches.filter(match => {
-                    const matchDate = new Date(match.dateTime);
-                    return matchDate.toDateString() === targetDate.toDateString();
-                });
-            }
-        }
-        
-        return filteredMatches.sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
-    },
+// A match line from values keyed by line field (missing stats count as 0)
+function createLineStats(values) {
+    return Object.fromEntries(getLineStats().map(stat => {
+        const value = values[getStatLineKey(stat)];
+        return [getStatLineKey(stat), stat.aggregation === 'flag' ? Boolean(value) : value || 0];
+    }));
+}
 
-    // Cancel a specific match by ID
-    cancelMatch: async (matchId) => {
-        const matches = await db.readScheduledMatchesFile();
-        const matchIndex = matches.findIndex(match => match.id === matchId);
-        
-        if (matchIndex === -1) {
-            throw new Error('Match not found');
+// The match line of one game's stat totals (the reverse of getMatchLineStats)
+function getStatsLine(stats) {
+    return Object.fromEntries(getLineStats().map(stat =>
+        [getStatLineKey(stat), stat.aggregation === 'flag' ? getStatValue(stats, stat) > 0 : getStatValue(stats, stat)]));
+}
+
+// Compact "2G 1A 0S 3Sh 🏆MVP" summary of one game's stats
+function formatCompactStats(stats) {
+    return getLineStats()
+        .map(stat => stat.aggregation === 'flag'
+            ? (getStatValue(stats, stat) > 0 ? `${stat.emoji}${stat.short}` : null)
+            : `${getStatValue(stats, stat)}${stat.short}`)
+        .filter(Boolean)
+        .join(' ');
+}
+
+// "⚽ 2 | 👟 1 | 🧤 0 | 🎯 3 | 🏆 MVP" summary of one game's stats
+function formatGameStats(stats) {
+    return getLineStats()
+        .map(stat => stat.aggregation === 'flag'
+            ? (getStatValue(stats, stat) > 0 ? `${stat.emoji} ${stat.short}` : null)
+            : `${stat.emoji} ${getStatValue(stats, stat)}`)
+        .filter(Boolean)
+        .join(' | ');
+}
+
+// "🎮 Games Played: 12 | ⚽ Goals: 8 | …" summary of stat totals
+function formatStatTotals(record, separator = ' | ') {
+    return config.stats.map(stat => `${stat.emoji} ${stat.label}: ${getStatValue(record, stat)}`).join(separator);
+}
+
+// "🎮 12 • ⚽ 8 • …" short summary of stat totals
+function formatStatCounts(record) {
+    return config.stats.map(stat => `${stat.emoji} ${getStatValue(record, stat)}`).join(' • ');
+}
+
+// Season Helpers
+// Career totals stay in the top-level fields of players and teams. While a season is
+// running, every change is also added to record.seasons[seasonId].
+// Change a player's career totals and the totals of the team they earned them for (their
+// current team unless another is given), plus the season totals of both when a season is given
+function applyPlayerStatChange(player, stats, direction, seasonId = null, team = player.team) {
+    const totals = [player];
+    if (seasonId) {
+        player.seasons = player.seasons || {};
+        totals.push(player.seasons[seasonId] = player.seasons[seasonId] || createEmptyStats());
+    }
+    if (team) {
+        player.teams = player.teams || {};
+        const teamStats = player.teams[team] = player.teams[team] || createEmptyStats();
+        totals.push(teamStats);
+        if (seasonId) {
+            teamStats.seasons = teamStats.seasons || {};
+            totals.push(teamStats.seasons[seasonId] = teamStats.seasons[seasonId] || createEmptyStats());
         }
+    }
+    
+    Object.keys(stats).forEach(stat => {
+        // Catalog stats added after a player was created start at 0, anything else is ignored
+        if (typeof player[stat] !== 'number' && !config.stats.some(catalogStat => catalogStat.key === stat)) return;
+        totals.forEach(record => {
+            record[stat] = Math.max(0, (record[stat] || 0) + direction * stats[stat]);
+        });
+    });
+}
+
+// Change a team's career record, and the season record when a season is given
+function applyTeamRecordChange(team, wins, losses, seasonId = null) {
+    team.wins = Math.max(0, team.wins + wins);
+    team.losses = Math.max(0, team.losses + losses);
+    
+    if (seasonId) {
+        team.seasons = team.seasons || {};
+        const seasonRecord = team.seasons[seasonId] = team.seasons[seasonId] || { wins: 0, losses: 0 };
+        seasonRecord.wins = Math.max(0, seasonRecord.wins + wins);
+        seasonRecord.losses = Math.max(0, seasonRecord.losses + losses);
+    }
+}
+
+// A player with their totals for one season in place of the career totals
+function getPlayerSeasonView(player, seasonId) {
+    const seasonStats = (player.seasons && player.seasons[seasonId]) || {};
+    return { ...player, ...createEmptyStats(), ...seasonStats };
+}
+
+// Season that was running at a given time (null between seasons)
+function findSeasonAt(seasons, date) {
+    const time = new Date(date).getTime();
+    return seasons.find(season =>
+        new Date(season.startedAt).getTime() <= time && (!season.endedAt || time < new Date(season.endedAt).getTime())) || null;
+}
+
+// Roster Helpers
+// player.team is the team a player is on now and player.roster every team they were on
+// ({ team, from, to }, oldest first, the current membership has no end). Stats are also
+// kept per team in player.teams[team] (with season totals in .seasons), so a transfer
+// does not move a player's past stats to their new team.
+
+// Team a player was on at a given time (their first team before they joined any)
+function getPlayerTeamAt(player, date) {
+    const roster = player.roster || [];
+    const time = new Date(date).getTime();
+    const membership = roster.find(entry =>
+        (!entry.from || new Date(entry.from).getTime() <= time) && (!entry.to || time < new Date(entry.to).getTime()));
+    if (membership) return membership.team;
+    return roster.length > 0 && roster[0].from && time < new Date(roster[0].from).getTime() ? roster[0].team : player.team;
+}
+
+// Whether a player is or was on a team, or earned stats for it
+function hasPlayedForTeam(player, team) {
+    return player.team === team ||
+        (player.roster || []).some(entry => entry.team === team) ||
+        Boolean(player.teams && player.teams[team]);
+}
+
+// A player with the totals they earned for one team (and season) in place of their own.
+// team is the viewed team, currentTeam the one they are on now.
+function getPlayerTeamView(player, team, seasonId = null) {
+    const teamStats = (player.teams && player.teams[team]) || {};
+    const { seasons, ...careerStats } = teamStats;
+    const stats = seasonId ? (seasons && seasons[seasonId]) || {} : careerStats;
+    return { ...player, ...createEmptyStats(), ...stats, team, currentTeam: player.team };
+}
+
+// Everyone who played for a team, with what they earned for it, top scorers first
+function getTeamPlayers(players, team, seasonId = null) {
+    return players
+        .filter(player => hasPlayedForTeam(player, team))
+        .map(player => getPlayerTeamView(player, team, seasonId))
+        .sort((a, b) => b.goals - a.goals);
+}
+
+// A team's record for one season
+function getTeamSeasonRecord(team, seasonId) {
+    const seasonRecord = (team && team.seasons && team.seasons[seasonId]) || {};
+    return { wins: 0, losses: 0, ...seasonRecord };
+}
+
+// Stat totals that one match line adds to a player
+function getMatchLineStats(line) {
+    return Object.fromEntries(config.stats.map(stat => {
+        if (stat.aggregation === 'games') return [stat.key, 1];
+        const value = line[getStatLineKey(stat)];
+        return [stat.key, stat.aggregation === 'flag' ? (value ? 1 : 0) : value || 0];
+    }));
+}
+
+// Stats a game history entry keeps of one match line (everything but the games counter)
+function getGameRecordStats(line) {
+    const stats = getMatchLineStats(line);
+    return Object.fromEntries(getLineStats().map(stat => [stat.key, stats[stat.key]]));
+}
+
+// ID of the game history entry of a player's line in a match result (stays the same when
+// the match is re-recorded, so editing one line does not replace the others' entries)
+function getMatchGameId(matchId, discordId) {
+    return `${matchId}:${discordId}`;
+}
+
+// ID of any other game history entry
+function createGameId() {
+    return crypto.randomUUID();
+}
+
+// Game history entry for one player's line in a match result
+function createMatchGameRecord(match, line) {
+    const isTeam1 = line.team === match.team1;
+    const teamScore = isTeam1 ? match.score1 : match.score2;
+    const opponentScore = isTeam1 ? match.score2 : match.score1;
+    
+    return {
+        id: getMatchGameId(match.id, line.discordId),
+        discordId: line.discordId,
+        timestamp: match.date,
+        matchId: match.id,
+        team: line.team,
+        opponent: isTeam1 ? match.team2 : match.team1,
+        teamScore,
+        opponentScore,
+        result: teamScore > opponentScore ? 'win' : 'loss',
+        season: match.season || null,
+        ...getGameRecordStats(line)
+    };
+}
+
+// Add (direction 1) or take back (direction -1) everything a match result contributes:
+// the team records, each player's totals and the per-player game history entries
+function applyMatchResult(data, match, direction) {
+    const loser = match.winner === match.team1 ? match.team2 : match.team1;
+    const winnerKey = findTeamKey(data.teamStats, match.winner);
+    const loserKey = findTeamKey(data.teamStats, loser);
+    if (winnerKey) {
+        applyTeamRecordChange(data.teamStats[winnerKey], direction, 0, match.season);
+    }
+    if (loserKey) {
+        applyTeamRecordChange(data.teamStats[loserKey], 0, direction, match.season);
+    }
+    
+    match.lines.forEach(line => {
+        const player = data.players.find(p => p.discordId === line.discordId);
+        if (!player) return;
         
-        const cancelledMatch = matches[matchIndex];
-        matches.splice(matchIndex, 1);
-        await db.writeScheduledMatchesFile(matches);
-        return cancelledMatch;
-    },
+        applyPlayerStatChange(player, getMatchLineStats(line), direction, match.season, line.team);
+        player.updatedAt = new Date().toISOString();
+    });
+    
+    data.gameHistory = data.gameHistory.filter(game => game.matchId !== match.id);
+    if (direction > 0) {
+        match.lines.forEach(line => data.gameHistory.push(createMatchGameRecord(match, line)));
+    }
+}
 
-    // Backup System Functions
-    createBackup: async (backupType = 'manual') => {
-        try {
-            // Ensure backups folder exists
-            await fs.mkdir(config.backupsFolder, { recursive: true });
-            
-            // Create timestamp for backup
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-            const backupFolder = path.join(config.backupsFolder, `backup-${timestamp}-${backupType}`);
-            
-            await fs.mkdir(backupFolder, { recursive: true });
-            
-            // Backup all data files
-            const filesToBackup = [
-                { src: config.dataFilePath, name: 'players.json' },
-                { src: config.teamStatsFilePath, name: 'team-stats.json' },
-                { src: config.gameHistoryFilePath, name: 'game-history.json' },
-                { src: config.scheduledMatchesFilePath, name: 'scheduled-matches.json' }
-            ];
-            
-            let filesBackedUp = 0;
-            for (const file of filesToBackup) {
-                try {
-                    await fs.access(file.src);
-                    const destPath = path.join(backupFolder, file.name);
-                    await fs.copyFile(file.src, destPath);
-                    filesBackedUp++;
-                } catch (error) {
-                    console.log(`File ${file.name} not found, skipping...`);
-                }
-            }
-            
-            // Create backup manifest
-            const manifest = {
-                timestamp: new Date().toISOString(),
-                type: backupType,
-                filesBackedUp,
-                version: '1.0'
-            };
-            
-            await fs.writeFile(
-                path.join(backupFolder, 'backup-manifest.json'), 
-                JSON.stringify(manifest, null, 2)
-            );
-            
-            console.log(`✅ Backup created: ${backupFolder}`);
-            return { folder: backupFolder, manifest };
-            
-        } catch (error) {
-            console.error('❌ Error creating backup:', error);
-            throw new Error(`Backup failed: ${error.message}`);
+// A team's players can not be credited with more goals than the team scored
+function validateMatchGoals(match) {
+    [[match.team1, match.score1], [match.team2, match.score2]].forEach(([team, score]) => {
+        const goals = match.lines
+            .filter(line => line.team === team)
+            .reduce((sum, line) => sum + line.goals, 0);
+        if (goals > score) {
+            throw new Error(`${team} players are credited with ${goals} goals, but ${team} only scored ${score}`);
         }
-    },
+    });
+}
 
-    listBackups: async () => {
-        try {
-            await fs.mkdir(config.backupsFolder, { recursive: true });
-            const backupDirs = await fs.readdir(config.backupsFolder);
-            
-            const backups = [];
-            for (const dir of backupDirs) {
-                if (dir.startsWith('backup-')) {
-                    const manifestPath = path.join(config.backupsFolder, dir, 'backup-manifest.json');
-                    try {
-                        const manifestData = await fs.readFile(manifestPath, 'utf8');
-                        const manifest = JSON.parse(manifestData);
-                        backups.push({
-                            folder: dir,
-                            ...manifest
-                        });
-                    } catch (error) {
-                        // Skip backups without valid manifest
-                        console.warn(`Invalid backup folder: ${dir}`);
-                    }
-                }
-            }
-            
-            return backups.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-            
-        } catch (error) {
-            console.error('Error listing backups:', error);
-            return [];
-        }
-    },
+// Short "W 3-1 vs B-Team" label for game history entries that came from a match result
+function formatGameResult(game) {
+    if (!game.matchId) return '';
+    return `${game.result === 'win' ? 'W' : 'L'} ${game.teamScore}-${game.opponentScore} vs ${game.opponent}`;
+}
 
-    restoreFromBackup: async (backupFolder) => {
-        try {
-            const backupPath = path.join(config.backupsFolder, backupFolder);
-            
-            // Check if backup exists
-            await fs.access(backupPath);
-            
-            // Restore each file
-            const filesToRestore = [
-                { name: 'players.json', dest: config.dataFilePath },
-                { name: 'team-stats.json', dest: config.teamStatsFilePath },
-                { name: 'game-history.json', dest: config.gameHistoryFilePath },
-                { name: 'scheduled-matches.json', dest: config.scheduledMatchesFilePath }
-            ];
-            
-            let filesRestored = 0;
-            for (const file of filesToRestore) {
-                const srcPath = path.join(backupPath, file.name);
-                try {
-                    await fs.access(srcPath);
-                    await fs.copyFile(srcPath, file.dest);
-                    filesRestored++;
-                } catch (error) {
-                    console.log(`Backup file ${file.name} not found, skipping...`);
-                }
-            }
-            
-            console.log(`✅ Restored ${filesRestored} files from backup: ${backupFolder}`);
-            return filesRestored;
-            
-        } catch (error) {
-            console.error('❌ Error restoring backup:', error);
-            throw new Error(`Restore failed: ${error.message}`);
-        }
-    },
+// Series Helpers
+// A best-of-N series is stored as one match result per game, each carrying
+// series: { id, format, game }. The series outcome is worked out from those games.
+const SERIES_FORMATS = [3, 5, 7];
 
-    cleanupOldBackups: async (keepDays = 30) => {
-        try {
-            const backups = await db.listBackups();
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - keepDays);
-            
-            let deletedCount = 0;
-            for (const backup of backups) {
-                const backupDate = new Date(backup.timestamp);
-                if (backupDate < cutoffDate) {
-                    const backupPath = path.join(config.backupsFolder, backup.folder);
-                    await fs.rmdir(backupPath, { recursive: true });
-                    deletedCount++;
-                }
-            }
-            
-            if (deletedCount > 0) {
-                console.log(`🧹 Cleaned up ${deletedCount} old backups`);
-            }
-            
-            return deletedCount;
-            
-        } catch (error) {
-            console.error('Error cleaning up backups:', error);
-            return 0;
+// Games of a series are stored one minute apart from its start time, so they keep their
+// order wherever results are sorted by date (game history, streaks, ratings)
+const SERIES_GAME_INTERVAL_MS = 60 * 1000;
+
+// Parse "3-1, 2-4, 1-0" (scores from the first team's view) into the games of a finished
+// series: no draws, and no games after one team has won the series
+function parseSeriesGames(text, format) {
+    const needed = Math.ceil(format / 2);
+    const games = [];
+    let wins1 = 0;
+    let wins2 = 0;
+    
+    text.split(/[,;]/).map(part => part.trim()).filter(Boolean).forEach((part, index) => {
+        const scoreMatch = part.match(/^(\d+)\s*[-:]\s*(\d+)$/);
+        if (!scoreMatch) {
+            throw new Error(`Game ${index + 1} "${part}" should be a score like 3-1`);
         }
+        if (wins1 === needed || wins2 === needed) {
+            throw new Error(`The series was decided after game ${index}, so there cannot be a game ${index + 1}`);
+        }
+        
+        const score1 = parseInt(scoreMatch[1], 10);
+        const score2 = parseInt(scoreMatch[2], 10);
+        if (score1 === score2) {
+            throw new Error(`Game ${index + 1} ended ${score1}-${score2}, but a game cannot end in a draw`);
+        }
+        if (score1 > score2) wins1++; else wins2++;
+        games.push({ score1, score2 });
+    });
+    
+    if (wins1 < needed && wins2 < needed) {
+        throw new Error(`A Bo${format} is won with ${needed} games, but these scores only make it ${wins1}-${wins2}`);
     }
-};
+    return games;
+}
 
-// Achievements definition (updated to remove demos)
-const ACHIEVEMENTS = {
-    goals: [
-        { threshold: 10, name: 'Sniper', emoji: '🎯', description: 'Score 10+ goals' },
-        { threshold: 25, name: 'Sharp Shooter', emoji: '🚀', description: 'Score 25+ goals' },
-        { threshold: 50, name: 'Goal Machine', emoji: '💯', description: 'Score 50+ goals' },
-        { threshold: 100, name: 'Legend', emoji: '🔥', description: 'Score 100+ goals' }
-    ],
-    assists: [
-        { threshold: 10, name: 'Playmaker', emoji: '👟', description: 'Get 10+ assists' },
-        { threshold: 25, name: 'Master Tactician', emoji: '🧠', description: 'Get 25+ assists' },
-        { threshold: 50, name: 'Assist King', emoji: '👑', description: 'Get 50+ assists' }
-    ],
-    saves: [
-        { threshold: 15, name: 'Safe Hands', emoji: '🧤', description: 'Make 15+ saves' },
-        { threshold: 30, name: 'Wall', emoji: '🛡️', description: 'Make 30+ saves' },
-        { threshold: 75, name: 'Guardian', emoji: '🏰', description: 'Make 75+ saves' }
-    ],
-    shots: [
-        { threshold: 50, name: 'Trigger Happy', emoji: '🎯', description: 'Take 50+ shots' },
-        { threshold: 100, name: 'Shot Caller', emoji: '🚀', description: 'Take 100+ shots' },
-        { threshold: 250, name: 'Sharpshooter', emoji: '🏹', description: 'Take 250+ shots' }
-    ],
-    mvps: [
-        { threshold: 5, name: 'Star Player', emoji: '⭐', description: 'Win 5+ MVPs' },
-        { threshold: 10, name: 'MVP King', emoji: '👑', description: 'Win 10+ MVPs' },
-        { threshold: 20, name: 'Champion', emoji: '🏆', description: 'Win 20+ MVPs' }
-    ],
-    games: [
-        { threshold: 50, name: 'Veteran', emoji: '🎖️', description: 'Play 50+ games' },
-        { threshold: 100, name: 'Dedicated', emoji: '💪', description: 'Play 100+ games' },
-        { threshold: 200, name: 'Unstoppable', emoji: '⚡', description: 'Play 200+ games' }
-    ]
-};
+// Outcome of one series from its games
+function summarizeSeries(games) {
+    const sorted = [...games].sort((a, b) => a.series.game - b.series.game);
+    const { series, team1, team2, date, season } = sorted[0];
+    const summary = { id: series.id, format: series.format, team1, team2, date, season, games: sorted, wins1: 0, wins2: 0, goals1: 0, goals2: 0 };
+    
+    sorted.forEach(game => {
+        if (game.score1 > game.score2) summary.wins1++; else summary.wins2++;
+        summary.goals1 += game.score1;
+        summary.goals2 += game.score2;
+    });
+    
+    const needed = Math.ceil(series.format / 2);
+    summary.winner = summary.wins1 >= needed ? team1 : summary.wins2 >= needed ? team2 : null;
+    return summary;
+}
 
-// Utility function for creating integer options
-function createIntegerOption(option, name, description, required = false) {
-    try {
-        option.setMinValue(0);
-    } catch (err) {
-        console.warn(`Could not set min value for ${name} option`);
-    }
-    return option.setName(name).setDescription(description).setRequired(required);
+// Every series among a list of match results, newest first
+function groupSeries(matchResults) {
+    const gamesBySeries = new Map();
+    matchResults.filter(match => match.series).forEach(match => {
+        if (!gamesBySeries.has(match.series.id)) gamesBySeries.set(match.series.id, []);
+        gamesBySeries.get(match.series.id).push(match);
+    });
+    return [...gamesBySeries.values()]
+        .map(summarizeSeries)
+        .sort((a, b) => new Date(b.date) - new Date(a.date));
 }
 
-// Define slash commands - Updated to remove CSV commands
-const commands = [
-    new SlashCommandBuilder()
-        .setName('help')
-        .setDescription('Shows help information for the Stats Bot'),
+// Series record and goals for/against of a team, from the match results it played in
+function summarizeTeamResults(teamName, matchResults) {
+    const nameLower = teamName.toLowerCase();
+    const summary = { seriesWins: 0, seriesLosses: 0, goalsFor: 0, goalsAgainst: 0 };
     
-    new SlashCommandBuilder()
-        .setName('stats')
-        .setDescription('Shows stats for a user')
-        .addUserOption(option => 
-            option.setName('user')
-                .setDescription('The user to check stats for (defaults to yourself)')
-                .setRequired(false)),
+    matchResults.forEach(match => {
+        if (match.team1.toLowerCase() === nameLower) {
+            summary.goalsFor += match.score1;
+            summary.goalsAgainst += match.score2;
+        } else if (match.team2.toLowerCase() === nameLower) {
+            summary.goalsFor += match.score2;
+            summary.goalsAgainst += match.score1;
+        }
+    });
     
-    new SlashCommandBuilder()
-        .setName('team')
-        .setDescription('Shows player leaderboard for a team')
-        .addStringOption(option => 
-            option.setName('team')
-                .setDescription('The team to check stats for')
-                .setRequired(true)
-                .addChoices(
-                    { name: 'A-Team', value: 'A-Team' },
-                    { name: 'B-Team', value: 'B-Team' }
-                )),
+    groupSeries(matchResults).forEach(series => {
+        if (!series.winner) return;
+        if (series.team1.toLowerCase() !== nameLower && series.team2.toLowerCase() !== nameLower) return;
+        if (series.winner.toLowerCase() === nameLower) summary.seriesWins++; else summary.seriesLosses++;
+    });
+    
+    summary.goalDifference = summary.goalsFor - summary.goalsAgainst;
+    return summary;
+}
 
-    new SlashCommandBuilder()
-        .setName('team-stats')
-        .setDescription('Shows win/loss record for a team')
-        .addStringOption(option => 
-            option.setName('team')
-                .setDescription('The team to check win/loss record for')
-                .setRequired(true)
-                .addChoices(
-                    { name: 'A-Team', value: 'A-Team' },
-                    { name: 'B-Team', value: 'B-Team' }
-                )),
+// Goal differential with its sign ("+4", "0", "-2")
+function formatGoalDifference(difference) {
+    return difference > 0 ? `+${difference}` : difference.toString();
+}
 
-    new SlashCommandBuilder()
-        .setName('leaderboard')
-        .setDescription('Shows the overall leaderboard'),
-    
-    new SlashCommandBuilder()
-        .setName('achievements')
-        .setDescription('Shows all available achievements and how to unlock them'),
-    
-    new SlashCommandBuilder()
-        .setName('register')
-        .setDescription('Register a player')
-        .addUserOption(option =>
-            option.setName('user')
-                .setDescription('The user to register')
-                .setRequired(true))
-        .addStringOption(option =>
-            option.setName('team')
-                .setDescription('The team to assign to the user')
-                .setRequired(true)
-                .addChoices(
-                    { name: 'A-Team', value: 'A-Team' },
-                    { name: 'B-Team', value: 'B-Team' }
-                )),
+// Opponent Helpers
+// External teams are kept in their own registry. Match results and scheduled matches
+// against one carry its opponentId next to the team name they were recorded with.
 
-    new SlashCommandBuilder()
-        .setName('addstats')
-        .setDescription('Add stats for a player')
-        .addUserOption(option =>
-            option.setName('user')
-                .setDescription('The user to add stats for')
-                .setRequired(true))
-        .addIntegerOption(option => createIntegerOption(option, 'games', 'Number of games to add', false))
-        .addIntegerOption(option => createIntegerOption(option, 'goals', 'Number of goals to add', false))
-        .addIntegerOption(option => createIntegerOption(option, 'assists', 'Number of assists to add', false))
-        .addIntegerOption(option => createIntegerOption(option, 'saves', 'Number of saves to add', false))
-        .addIntegerOption(option => createIntegerOption(option, 'shots', 'Number of shots to add', false))
-        .addIntegerOption(option => createIntegerOption(option, 'mvps', 'Number of MVPs to add', false)),
+// Find a registered opponent by ID or name (case insensitive)
+function findOpponent(opponents, query) {
+    if (!query) return null;
+    const queryLower = String(query).trim().toLowerCase();
+    return opponents.find(opponent => String(opponent.id) === queryLower || opponent.name.toLowerCase() === queryLower) || null;
+}
+
+// Point a match result or fixture at an opponent when one of its teams is called previousName
+// (results recorded before the opponent was registered are linked by name, too)
+function linkOpponent(match, opponent, previousName = opponent.name) {
+    if (match.opponentId && match.opponentId !== opponent.id) return false;
+    const field = ['team1', 'team2'].find(f => match[f].toLowerCase() === previousName.toLowerCase());
+    if (!field) return false;
+
+    if (match.winner === match[field]) match.winner = opponent.name;
+    match[field] = opponent.name;
+    match.opponentId = opponent.id;
+    return true;
+}
+
+// Our head-to-head record against an opponent, from the match results linked to it
+function summarizeOpponentRecord(opponent, matchResults) {
+    const games = matchResults.filter(match => match.opponentId === opponent.id);
+    const theirs = summarizeTeamResults(opponent.name, games);
+    const losses = games.filter(match => match.winner.toLowerCase() === opponent.name.toLowerCase()).length;
+
+    return {
+        games: games.length,
+        wins: games.length - losses,
+        losses,
+        seriesWins: theirs.seriesLosses,
+        seriesLosses: theirs.seriesWins,
+        goalsFor: theirs.goalsAgainst,
+        goalsAgainst: theirs.goalsFor,
+        goalDifference: -theirs.goalDifference
+    };
+}
+
+// Rating Helpers
+// Elo ratings are worked out from the match results, oldest first, so a deleted or corrected
+// result re-rates everything after it. A finished series counts as one result, and so does a
+// match outside a series. Teams (ours and external ones) are rated on their own results,
+// players on the results of the team they had a line for, against that result's opponent.
+
+// Chance that a side rated `rating` beats a side rated `opponentRating`
+function getExpectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// Results that move ratings, oldest first: every finished series and every single match
+function getRatedResults(matchResults) {
+    const singles = matchResults.filter(match => !match.series).map(match => ({
+        id: match.id, date: match.date, team1: match.team1, team2: match.team2, winner: match.winner,
+        score1: match.score1, score2: match.score2, games: [match]
+    }));
+    const series = groupSeries(matchResults).filter(summary => summary.winner).map(summary => ({
+        id: summary.id, date: summary.date, team1: summary.team1, team2: summary.team2, winner: summary.winner,
+        score1: summary.wins1, score2: summary.wins2, games: summary.games
+    }));
+    return [...singles, ...series].sort((a, b) => new Date(a.date) - new Date(b.date) || a.id.localeCompare(b.id));
+}
+
+// Ratings of every team (keyed by lowercase name) and player (keyed by Discord ID), each with
+// its win/loss record and a history entry per rated result
+function calculateRatings(matchResults) {
+    const teams = new Map();
+    const players = new Map();
     
-    new SlashCommandBuilder()
-        .setName('removestats')
-        .setDescription('Remove stats for a player')
-        .addUserOption(option =>
-            option.setName('user')
-                .setDescription('The user to remove stats from')
-                .setRequired(true))
-        .addIntegerOption(option => createIntegerOption(option, 'games', 'Number of games to remove', false))
-        .addIntegerOption(option => createIntegerOption(option, 'goals', 'Number of goals to remove', false))
-        .addIntegerOption(option => createIntegerOption(option, 'assists', 'Number of assists to remove', false))
-        .addIntegerOption(option => createIntegerOption(option, 'saves', 'Number of saves to remove', false))
-        .addIntegerOption(option => createIntegerOption(option, 'shots', 'Number of shots to remove', false))
-        .addIntegerOption(option => createIntegerOption(option, 'mvps', 'Number of MVPs to remove', false)),
+    const getEntry = (ratings, key, name) => {
+        if (!ratings.has(key)) {
+            ratings.set(key, { name, rating: config.ratings.initial, wins: 0, losses: 0, history: [] });
+        }
+        return ratings.get(key);
+    };
+    const applyResult = (entry, opponentRating, won, kFactor, result) => {
+        const change = kFactor * ((won ? 1 : 0) - getExpectedScore(entry.rating, opponentRating));
+        entry.rating += change;
+        if (won) entry.wins++; else entry.losses++;
+        entry.history.push({ ...result, won, change, rating: entry.rating });
+    };
+    
+    getRatedResults(matchResults).forEach(result => {
+        const team1 = getEntry(teams, result.team1.toLowerCase(), result.team1);
+        const team2 = getEntry(teams, result.team2.toLowerCase(), result.team2);
+        const ratingBefore = { [result.team1]: team1.rating, [result.team2]: team2.rating };
+        const team1Won = result.winner.toLowerCase() === result.team1.toLowerCase();
+        const sides = {
+            [result.team1]: { opponent: result.team2, won: team1Won, score: `${result.score1}-${result.score2}` },
+            [result.team2]: { opponent: result.team1, won: !team1Won, score: `${result.score2}-${result.score1}` }
+        };
+        const describe = team => ({ resultId: result.id, date: result.date, team, opponent: sides[team].opponent, score: sides[team].score });
         
-    new SlashCommandBuilder()
-        .setName('wipe-players')
-        .setDescription('DANGER: Wipe all player stats (Admin only)'),
+        applyResult(team1, ratingBefore[result.team2], team1Won, config.ratings.kFactor, describe(result.team1));
+        applyResult(team2, ratingBefore[result.team1], !team1Won, config.ratings.kFactor, describe(result.team2));
+        
+        // A player who played several games of a series is rated once for it
+        const lines = new Map();
+        result.games.forEach(game => game.lines.forEach(line => lines.set(line.discordId, line)));
+        lines.forEach(line => {
+            const team = line.team.toLowerCase() === result.team1.toLowerCase() ? result.team1 : result.team2;
+            const player = getEntry(players, line.discordId, line.displayName);
+            applyResult(player, ratingBefore[sides[team].opponent], sides[team].won, config.ratings.playerKFactor, describe(team));
+        });
+    });
+    
+    return { teams, players };
+}
 
-    new SlashCommandBuilder()
-        .setName('wipe-teams')
-        .setDescription('DANGER: Reset all team records (Admin only)'),
+// Rating rounded for display, with an arrow for the last change ("1532 ▲12")
+function formatRating(entry) {
+    const rating = Math.round(entry.rating).toString();
+    const last = entry.history[entry.history.length - 1];
+    if (!last) return rating;
+    const change = Math.round(last.change);
+    return `${rating} ${change >= 0 ? '▲' : '▼'}${Math.abs(change)}`;
+}
 
-    new SlashCommandBuilder()
-        .setName('wipe-all')
-        .setDescription('DANGER: Wipe ALL data - complete reset (Admin only)'),
+// Record Helpers
+// Records are worked out from the game history (single-game highs and player streaks) and the
+// match results (team streaks of our teams), so a deleted or corrected game never leaves a stale
+// record behind. On a tie the holder who got there first keeps the record.
 
-    new SlashCommandBuilder()
-        .setName('team-win')
-        .setDescription('Add a win to a team')
-        .addStringOption(option =>
-            option.setName('team')
-                .setDescription('The team that won')
-                .setRequired(true)
-                .addChoices(
-                    { name: 'A-Team', value: 'A-Team' },
-                    { name: 'B-Team', value: 'B-Team' }
-                ))
-        .addIntegerOption(option => createIntegerOption(option, 'wins', 'Number of wins to add (default: 1)', false)),
+// Longest run of consecutive items passing a test, oldest first: { length, from, to } (null without one)
+function findLongestStreak(items, test, getDate) {
+    let longest = null;
+    let current = null;
+    items.forEach(item => {
+        if (!test(item)) {
+            current = null;
+            return;
+        }
+        current = { length: current ? current.length + 1 : 1, from: current ? current.from : getDate(item), to: getDate(item) };
+        if (!longest || current.length > longest.length) longest = current;
+    });
+    return longest;
+}
 
-    new SlashCommandBuilder()
-        .setName('team-loss')
-        .setDescription('Add a loss to a team')
-        .addStringOption(option =>
-            option.setName('team')
-                .setDescription('The team that lost')
-                .setRequired(true)
-                .addChoices(
-                    { name: 'A-Team', value: 'A-Team' },
-                    { name: 'B-Team', value: 'B-Team' }
-                ))
-                .addIntegerOption(option => createIntegerOption(option, 'losses', 'Number of losses to add (default: 1)', false)),
+// A record from its candidates ({ value, holder, date, from }): the highest value, reached first on a tie
+function createRecord(key, label, emoji, unit, candidates) {
+    const best = candidates
+        .filter(candidate => candidate.value > 0)
+        .reduce((top, candidate) => !top || candidate.value > top.value ||
+            (candidate.value === top.value && new Date(candidate.date) < new Date(top.date)) ? candidate : top, null);
+    return { key, label, emoji, unit, value: 0, holder: null, date: null, from: null, ...best };
+}
 
-    new SlashCommandBuilder()
-        .setName('team-remove-win')
-        .setDescription('Remove wins from a team')
-        .addStringOption(option =>
-            option.setName('team')
-                .setDescription('The team to remove wins from')
-                .setRequired(true)
-                .addChoices(
-                    { name: 'A-Team', value: 'A-Team' },
-                    { name: 'B-Team', value: 'B-Team' }
-                ))
-                .addIntegerOption(option => createIntegerOption(option, 'wins', 'Number of wins to remove (default: 1)', false)),
+// Every record: { key, label, emoji, unit, value, holder, date, from }. Streaks run from `from` to
+// `date`, single-game records have no `from`. Records nobody has set yet have value 0 and no holder.
+function calculateRecords(gameHistory, matchResults, players, teamNames) {
+    const names = new Map(players.map(player => [player.discordId, player.displayName]));
+    const nameOf = discordId => names.get(discordId) || `<@${discordId}>`;
+    const games = [...gameHistory].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    const results = [...matchResults].sort((a, b) => new Date(a.date) - new Date(b.date) || a.id.localeCompare(b.id));
+    
+    const singleGame = config.records.singleGame
+        .map(key => config.stats.find(stat => stat.key === key))
+        .filter(Boolean)
+        .map(stat => createRecord(`game:${stat.key}`, `Most ${stat.label} in a Game`, stat.emoji, stat.label.toLowerCase(),
+            games.map(game => ({ value: getStatValue(game, stat), holder: nameOf(game.discordId), date: game.timestamp }))));
+    
+    const teamStreaks = [['win', 'Longest Win Streak', '🔥'], ['loss', 'Longest Losing Streak', '🧊']].map(([outcome, label, emoji]) =>
+        createRecord(`team:${outcome}`, label, emoji, 'games', teamNames.map(team => {
+            const nameLower = team.toLowerCase();
+            const played = results.filter(match => match.team1.toLowerCase() === nameLower || match.team2.toLowerCase() === nameLower);
+            const streak = findLongestStreak(played, match => (match.winner.toLowerCase() === nameLower) === (outcome === 'win'), match => match.date);
+            return streak ? { value: streak.length, holder: team, date: streak.to, from: streak.from } : { value: 0 };
+        })));
+    
+    const gamesByPlayer = new Map();
+    games.forEach(game => {
+        if (!gamesByPlayer.has(game.discordId)) gamesByPlayer.set(game.discordId, []);
+        gamesByPlayer.get(game.discordId).push(game);
+    });
+    const playerStreaks = config.records.streaks
+        .map(streak => ({ ...streak, stat: config.stats.find(stat => stat.key === streak.key) }))
+        .filter(streak => streak.stat)
+        .map(({ stat, label }) => createRecord(`streak:${stat.key}`, label, stat.emoji, 'games',
+            [...gamesByPlayer].map(([discordId, playerGames]) => {
+                const streak = findLongestStreak(playerGames, game => getStatValue(game, stat) >= 1, game => game.timestamp);
+                return streak ? { value: streak.length, holder: nameOf(discordId), date: streak.to, from: streak.from } : { value: 0 };
+            })));
+    
+    return [...singleGame, ...teamStreaks, ...playerStreaks];
+}
 
-    new SlashCommandBuilder()
-        .setName('team-remove-loss')
-        .setDescription('Remove losses from a team')
-        .addStringOption(option =>
-            option.setName('team')
-                .setDescription('The team to remove losses from')
-                .setRequired(true)
-                .addChoices(
-                    { name: 'A-Team', value: 'A-Team' },
-                    { name: 'B-Team', value: 'B-Team' }
-                ))
-                .addIntegerOption(option => createIntegerOption(option, 'losses', 'Number of losses to remove (default: 1)', false)),
+// Records that went up between two calculations: [{ record, previous }]. A record only counts as
+// broken when somebody held it before, so the first games on a server are not announced.
+function findBrokenRecords(before, after) {
+    return after
+        .map(record => ({ record, previous: before.find(previous => previous.key === record.key) }))
+        .filter(({ record, previous }) => previous && previous.holder && record.value > previous.value);
+}
 
-    new SlashCommandBuilder()
-        .setName('compare')
-        .setDescription('Compare stats between two players')
-        .addUserOption(option =>
-            option.setName('player1')
-                .setDescription('First player to compare')
-                .setRequired(true))
-        .addUserOption(option =>
-            option.setName('player2')
-                .setDescription('Second player to compare')
-                .setRequired(true)),
+// "**7** games • A-Team • 2024-03-01 – 2024-03-20", or "No record yet"
+function formatRecord(record) {
+    if (!record.holder) return 'No record yet';
+    const formatDate = date => new Date(date).toLocaleDateString('sv-SE');
+    const dates = record.from && formatDate(record.from) !== formatDate(record.date)
+        ? `${formatDate(record.from)} – ${formatDate(record.date)}`
+        : formatDate(record.date);
+    const unit = record.value === 1 ? record.unit.replace(/s$/, '') : record.unit;
+    return `**${record.value}** ${unit} • ${record.holder} • ${dates}`;
+}
 
-    new SlashCommandBuilder()
-        .setName('recent')
-        .setDescription('Show recent game performance for a player')
-        .addUserOption(option =>
-            option.setName('user')
-                .setDescription('The user to check recent form for (defaults to yourself)')
-                .setRequired(false))
-        .addIntegerOption(option =>
-            option.setName('games')
-                .setDescription('Number of recent games to show (default: 10, max: 20)')
-                .setRequired(false)
-                .setMinValue(1)
-                .setMaxValue(20)),
+// Chart Rendering
+// Charts are drawn into an RGB pixel buffer and encoded as PNG with zlib, so no native canvas
+// library is needed. Text uses a built-in 5x7 pixel font (capitals, digits and common
+// punctuation) drawn at a larger scale; other characters are left out.
+const CHART_COLORS = ['#3498db', '#e67e22', '#2ecc71', '#9b59b6', '#e74c3c'];
 
-    new SlashCommandBuilder()
-        .setName('my-stats')
-        .setDescription('Quick personal stats dashboard'),
+// 5x7 glyphs: seven rows of five pixels, one hex byte per row
+const CHART_FONT = {
+    '0': '0E11131519110E', '1': '040C040404040E', '2': '0E11010204081F', '3': '1F02040201110E',
+    '4': '02060A121F0202', '5': '1F101E0101110E', '6': '0608101E11110E', '7': '1F010204080808',
+    '8': '0E11110E11110E', '9': '0E11110F01020C',
+    'A': '0E1111111F1111', 'B': '1E11111E11111E', 'C': '0E11101010110E', 'D': '1C12111111121C',
+    'E': '1F10101E10101F', 'F': '1F10101E101010', 'G': '0E11101711110F', 'H': '1111111F111111',
+    'I': '0E04040404040E', 'J': '0702020202120C', 'K': '11121418141211', 'L': '1010101010101F',
+    'M': '111B1515111111', 'N': '11111915131111', 'O': '0E11111111110E', 'P': '1E11111E101010',
+    'Q': '0E11111115120D', 'R': '1E11111E141211', 'S': '0F10100E01011E', 'T': '1F040404040404',
+    'U': '1111111111110E', 'V': '11111111110A04', 'W': '1111111515150A', 'X': '11110A040A1111',
+    'Y': '1111110A040404', 'Z': '1F01020408101F',
+    ' ': '00000000000000', '.': '00000000000C0C', ',': '000000000C0408', '-': '0000001F000000',
+    ':': '000C0C000C0C00', '/': '00010204081000', '%': '18190204081303', '(': '02040808080402',
+    ')': '08040202020408', '+': '0004041F040400', '#': '0A0A1F0A1F0A0A', "'": '0C040800000000',
+    '!': '04040404000004', '?': '0E110102040004', '_': '0000000000001F', '&': '0C12140815120D',
+    '=': '00001F001F0000'
+};
 
-    new SlashCommandBuilder()
-        .setName('schedule-match')
-        .setDescription('Schedule a match between teams (Admin only)')
-        .addStringOption(option =>
-            option.setName('team1')
-                .setDescription('First team (e.g., A-Team, B-Team, or external team like ATG)')
-                .setRequired(true))
-        .addStringOption(option =>
-            option.setName('team2')
-                .setDescription('Second team (e.g., A-Team, B-Team, or external team)')
-                .setRequired(true))
-        .addStringOption(option =>
-            option.setName('datetime')
-                .setDescription('Date and time (e.g., "2025-06-30 19:00" or "June 30 7pm")')
-                .setRequired(true))
-        .addStringOption(option =>
-            option.setName('description')
-                .setDescription('Optional match description')
-                .setRequired(false)),
+// CRC-32 of PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
 
-    new SlashCommandBuilder()
-        .setName('match-calendar')
-        .setDescription('View upcoming scheduled matches'),
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
 
-    new SlashCommandBuilder()
-        .setName('cancel-match')
-        .setDescription('Cancel a scheduled match (Admin only)')
-        .addStringOption(option =>
-            option.setName('match-id')
-                .setDescription('Specific match ID to cancel (use /cancel-match to see IDs)')
-                .setRequired(false))
-        .addStringOption(option =>
-            option.setName('teams')
-                .setDescription('Filter by teams (e.g., "A-Team vs B-Team" or just "A-Team")')
-                .setRequired(false))
-        .addStringOption(option =>
-            option.setName('date')
-                .setDescription('Filter by match date (e.g., "June 30" or "2025-06-30")')
-                .setRequired(false)),
+// Encode an image as an 8-bit RGB PNG
+function encodePng(image) {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+    
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(image.height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // RGB
+    
+    // Every scanline starts with filter type 0 (none)
+    const rowLength = image.width * 3;
+    const raw = Buffer.alloc((rowLength + 1) * image.height);
+    for (let y = 0; y < image.height; y++) {
+        image.pixels.copy(raw, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+    
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
 
-    new SlashCommandBuilder()
-        .setName('create-backup')
-        .setDescription('Create a manual backup of all bot data (Admin only)'),
+// "#3498db" as [r, g, b]
+function parseColor(color) {
+    return [1, 3, 5].map(index => parseInt(color.slice(index, index + 2), 16));
+}
 
-    new SlashCommandBuilder()
-        .setName('list-backups')
-        .setDescription('List available backups (Admin only)'),
+function createImage(width, height, background = '#ffffff') {
+    const image = { width, height, pixels: Buffer.alloc(width * height * 3) };
+    fillRect(image, 0, 0, width, height, background);
+    return image;
+}
 
-    new SlashCommandBuilder()
-        .setName('restore-backup')
-        .setDescription('Restore data from a backup (Admin only)')
-        .addStringOption(option =>
-            option.setName('backup-folder')
-                .setDescription('Backup folder name (use /list-backups to see available backups)')
-                .setRequired(true)),
+// Blend a color into one pixel (opacity 0-1), ignoring pixels outside the image
+function setPixel(image, x, y, rgb, opacity = 1) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= image.width || y >= image.height) return;
+    const offset = (y * image.width + x) * 3;
+    for (let i = 0; i < 3; i++) {
+        image.pixels[offset + i] = Math.round(image.pixels[offset + i] * (1 - opacity) + rgb[i] * opacity);
+    }
+}
 
-    new SlashCommandBuilder()
-        .setName('export-data')
-        .setDescription('Export all current data as downloadable files (Admin only)'),
+function fillRect(image, x, y, width, height, color, opacity = 1) {
+    const rgb = parseColor(color);
+    for (let py = Math.round(y); py < Math.round(y + height); py++) {
+        for (let px = Math.round(x); px < Math.round(x + width); px++) setPixel(image, px, py, rgb, opacity);
+    }
+}
 
-    new SlashCommandBuilder()
-        .setName('generate-report')
-        .setDescription('Generate a comprehensive stats report file')
-        .addStringOption(option =>
-            option.setName('format')
-                .setDescription('Report format')
-                .setRequired(false)
-                .addChoices(
-                    { name: 'Text File (.txt)', value: 'txt' },
-                    { name: 'CSV Spreadsheet (.csv)', value: 'csv' },
-                    { name: 'HTML Web Page (.html)', value: 'html' }
-                ))
-        .addStringOption(option =>
-            option.setName('team')
-                .setDescription('Generate report for specific team only (use /list-teams to see available teams)')
-                .setRequired(false)),
-
-    new SlashCommandBuilder()
-        .setName('player-report')
-        .setDescription('Generate individual player report')
-        .addUserOption(option =>
-            option.setName('user')
-                .setDescription('Player to generate report for (defaults to yourself)')
-                .setRequired(false))
-        .addStringOption(option =>
-            option.setName('format')
-                .setDescription('Report format')
-                .setRequired(false)
-                .addChoices(
-                    { name: 'Text File (.txt)', value: 'txt' },
-                    { name: 'HTML Web Page (.html)', value: 'html' }
-                )),
+function fillCircle(image, cx, cy, radius, color, opacity = 1) {
+    const rgb = parseColor(color);
+    for (let y = -radius; y <= radius; y++) {
+        for (let x = -radius; x <= radius; x++) {
+            if (x * x + y * y <= radius * radius) setPixel(image, cx + x, cy + y, rgb, opacity);
+        }
+    }
+}
 
-    new SlashCommandBuilder()
-        .setName('create-team')
-        .setDescription('Create a new team (Admin only)')
-        .addStringOption(option =>
-            option.setName('name')
-                .setDescription('Name of the new team (e.g., C-Team, Reserves, etc.)')
-                .setRequired(true)),
+// Straight line, stamped as a square of `thickness` pixels at every step
+function drawLine(image, x0, y0, x1, y1, color, thickness = 1, opacity = 1) {
+    const rgb = parseColor(color);
+    const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+    const offset = Math.floor(thickness / 2);
+    const stamped = new Set();
+    for (let step = 0; step <= steps; step++) {
+        const x = Math.round(x0 + (x1 - x0) * step / steps) - offset;
+        const y = Math.round(y0 + (y1 - y0) * step / steps) - offset;
+        for (let dy = 0; dy < thickness; dy++) {
+            for (let dx = 0; dx < thickness; dx++) {
+                // Overlapping stamps would blend twice with partial opacity
+                const key = `${x + dx},${y + dy}`;
+                if (stamped.has(key)) continue;
+                stamped.add(key);
+                setPixel(image, x + dx, y + dy, rgb, opacity);
+            }
+        }
+    }
+}
 
-    new SlashCommandBuilder()
-        .setName('list-teams')
-        .setDescription('List all available teams'),
+// Filled polygon from [x, y] points (even-odd scanline fill)
+function fillPolygon(image, points, color, opacity = 1) {
+    const rgb = parseColor(color);
+    const ys = points.map(point => point[1]);
+    for (let y = Math.floor(Math.min(...ys)); y <= Math.ceil(Math.max(...ys)); y++) {
+        const scanY = y + 0.5;
+        const crossings = [];
+        points.forEach(([x0, y0], index) => {
+            const [x1, y1] = points[(index + 1) % points.length];
+            if ((y0 <= scanY && y1 > scanY) || (y1 <= scanY && y0 > scanY)) {
+                crossings.push(x0 + (scanY - y0) / (y1 - y0) * (x1 - x0));
+            }
+        });
+        crossings.sort((a, b) => a - b);
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            for (let x = Math.round(crossings[i]); x < Math.round(crossings[i + 1]); x++) setPixel(image, x, y, rgb, opacity);
+        }
+    }
+}
 
-    new SlashCommandBuilder()
-        .setName('delete-team')
-        .setDescription('Delete a team (Admin only)')
-        .addStringOption(option =>
-            option.setName('name')
-                .setDescription('Name of the team to delete')
-                .setRequired(true))
-        .addStringOption(option =>
-            option.setName('confirmation')
-                .setDescription('Type "CONFIRM" to proceed with team deletion')
-                .setRequired(true)),
+// Text as the chart font can draw it: capitals without accents, unknown characters left out
+function toChartText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase()
+        .split('').filter(char => CHART_FONT[char]).join('');
+}
 
-    new SlashCommandBuilder()
-        .setName('rename-team')
-        .setDescription('Rename a team (Admin only)')
-        .addStringOption(option =>
-            option.setName('old-name')
-                .setDescription('Current team name')
-                .setRequired(true))
-        .addStringOption(option =>
-            option.setName('new-name')
-                .setDescription('New team name')
-                .setRequired(true))
-];
+function measureText(text, scale = 2) {
+    const length = toChartText(text).length;
+    return length > 0 ? (length * 6 - 1) * scale : 0;
+}
 
-// Add error handling utility function
-async function safeReply(interaction, content, options = {}) {
-    try {
-        if (interaction.deferred || interaction.replied) {
-            return await interaction.editReply(content);
-        } else {
-            return await interaction.reply({...content, ...options});
-        }
-    } catch (error) {
-        console.error(`Error replying to interaction: ${error.message}`);
-        if (error.code === 10062) { // Unknown Interaction error
-            console.log('Interaction expired before response was sent');
+// Draw text with its top edge at y; align is 'left', 'center' or 'right' of x
+function drawText(image, text, x, y, color, scale = 2, align = 'left') {
+    const rgb = parseColor(color);
+    const chars = toChartText(text);
+    const width = measureText(chars, scale);
+    let left = Math.round(align === 'center' ? x - width / 2 : align === 'right' ? x - width : x);
+    
+    for (const char of chars) {
+        const glyph = CHART_FONT[char];
+        for (let row = 0; row < 7; row++) {
+            const bits = parseInt(glyph.slice(row * 2, row * 2 + 2), 16);
+            for (let col = 0; col < 5; col++) {
+                if (!(bits & (0x10 >> col))) continue;
+                for (let sy = 0; sy < scale; sy++) {
+                    for (let sx = 0; sx < scale; sx++) setPixel(image, left + col * scale + sx, y + row * scale + sy, rgb);
+                }
+            }
         }
+        left += 6 * scale;
     }
 }
 
-// Bot ready event
-client.once('ready', () => {
-    console.log(`Bot is online! Logged in as ${client.user.tag}`);
+// Short axis label of a number ("12", "1.5", "75%")
+function formatChartValue(value, percent = false) {
+    if (percent) return `${Math.round(value * 100)}%`;
+    return Number.isInteger(value) ? value.toString() : value.toFixed(1);
+}
+
+// Upper end of a value axis with four round grid steps, at or above the largest value
+function getChartAxisMax(values) {
+    const step = Math.max(1, ...values.filter(value => value !== null)) / 4;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(step)));
+    return [1, 2, 5, 10].map(candidate => candidate * magnitude).find(candidate => candidate >= step) * 4;
+}
+
+// Title, legend, grid lines and value labels shared by line and bar charts.
+// Returns the plot area and a function mapping a value to its y position.
+function drawChartFrame(image, { title, legend = [], axisMax, percent = false }) {
+    const plot = { left: 70, top: 70, right: image.width - 25, bottom: image.height - 55 };
+    drawText(image, title, image.width / 2, 16, '#2c3e50', 3, 'center');
     
-    // Register slash commands
-    const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+    let legendX = plot.left;
+    legend.forEach(item => {
+        fillRect(image, legendX, 50, 14, 10, item.color);
+        drawText(image, item.label, legendX + 20, 49, '#2c3e50', 2);
+        legendX += 40 + measureText(item.label, 2);
+    });
     
-    (async () => {
-        try {
-            console.log('Started refreshing application (/) commands.');
-            
-            await rest.put(
-                Routes.applicationCommands(client.user.id),
-                { body: commands.map(command => command.toJSON()) },
-            );
-            
-            console.log('Successfully reloaded application (/) commands.');
-        } catch (error) {
-            console.error('Failed to reload application (/) commands:', error);
-        }
-    })();
+    const toY = value => plot.bottom - (value / axisMax) * (plot.bottom - plot.top);
+    for (let tick = 0; tick <= 4; tick++) {
+        const value = axisMax * tick / 4;
+        const y = Math.round(toY(value));
+        drawLine(image, plot.left, y, plot.right, y, tick === 0 ? '#7f8c8d' : '#dfe6e9');
+        drawText(image, formatChartValue(value, percent), plot.left - 8, y - 7, '#7f8c8d', 2, 'right');
+    }
+    drawLine(image, plot.left, plot.top, plot.left, plot.bottom, '#7f8c8d');
+    return { plot, toY };
+}
 
-    // Set up HTTP server for ping mechanism
-    const server = http.createServer((req, res) => {
-        if (req.url === '/ping') {
-            res.writeHead(200);
-            res.end('pong');
-        } else {
-            res.writeHead(200);
-            res.end('Stats Bot is running!');
-        }
+// X axis labels, thinned out so they do not overlap
+function drawChartLabels(image, labels, toX, plot) {
+    const widest = Math.max(1, ...labels.map(label => measureText(label, 2)));
+    const every = Math.max(1, Math.ceil(labels.length / Math.max(1, Math.floor((plot.right - plot.left) / (widest + 12)))));
+    labels.forEach((label, index) => {
+        if (index % every === 0) drawText(image, label, toX(index), plot.bottom + 12, '#7f8c8d', 2, 'center');
     });
+}
 
-    // Start HTTP server
-    console.log(`Starting HTTP server on port ${PORT}...`);
-    server.listen(PORT, () => {
-        console.log(`HTTP server successfully started on port ${PORT}`);
+// Line chart: every series as thin lines through its points, plus an optional thick
+// rolling average line in the same color. Series values can be null for gaps.
+function renderLineChart({ title, labels, series, width = 900, height = 450 }) {
+    const image = createImage(width, height);
+    const axisMax = getChartAxisMax(series.flatMap(item => item.values));
+    const { plot, toY } = drawChartFrame(image, { title, legend: series, axisMax });
+    const toX = index => labels.length > 1 
+        ? plot.left + 20 + index * (plot.right - plot.left - 40) / (labels.length - 1) 
+        : (plot.left + plot.right) / 2;
+    
+    series.forEach(item => {
+        item.values.forEach((value, index) => {
+            if (value === null) return;
+            const next = item.values[index + 1];
+            if (next !== undefined && next !== null) {
+                drawLine(image, toX(index), toY(value), toX(index + 1), toY(next), item.color, 1, 0.5);
+            }
+            fillCircle(image, Math.round(toX(index)), Math.round(toY(value)), 3, item.color, 0.6);
+        });
+        (item.average || []).forEach((value, index) => {
+            const next = item.average[index + 1];
+            if (value !== null && next !== undefined && next !== null) {
+                drawLine(image, toX(index), toY(value), toX(index + 1), toY(next), item.color, 3);
+            }
+        });
     });
+    
+    drawChartLabels(image, labels, toX, plot);
+    return encodePng(image);
+}
 
-    // Self-pinging to keep bot awake (every 2 minutes)
-    setInterval(() => {
-        try {
-            // Use APP_URL environment variable for production, fallback to localhost for development
-            const appUrl = process.env.APP_URL || `http://localhost:${PORT}`;
-            
-            console.log(`[${new Date().toISOString()}] Pinging self at ${appUrl}/ping`);
-            
-            // Determine which http module to use
-            const httpModule = appUrl.startsWith('https') ? require('https') : require('http');
-            
-            // Send the ping
-            const req = httpModule.get(`${appUrl}/ping`, (res) => {
-                let data = '';
-                res.on('data', (chunk) => { data += chunk; });
-                res.on('end', () => {
-                    console.log(`[${new Date().toISOString()}] Self-ping successful with status: ${res.statusCode}`);
-                });
-            });
-            
-            req.on('error', (err) => {
-                console.error(`[${new Date().toISOString()}] Self-ping error: ${err.message}`);
-            });
-            
-            req.end();
-        } catch (error) {
-            console.error(`[${new Date().toISOString()}] Error during self-ping: ${error.message}`);
-        }
-    }, 2 * 60 * 1000); // Every 2 minutes
-
-    // Match reminder system (check every hour)
-    setInterval(async () => {
-        try {
-            const upcomingMatches = await db.getUpcomingMatches(20);
-            const now = new Date();
-            const oneHourFromNow = new Date(now.getTime() + 60 * 60 * 1000);
-            
-            // Check for matches starting within the next hour
-            for (const match of upcomingMatches) {
-                const matchTime = new Date(match.dateTime);
-                
-                // If match is within 1 hour and hasn't been notified
-                if (matchTime <= oneHourFromNow && matchTime > now && !match.notified) {
-                    // Find a general channel to send notification
-                    const guild = client.guilds.cache.first();
-                    if (guild) {
-                        const channel = guild.channels.cache.find(ch => 
-                            ch.type === 0 && // Text channel
-                            (ch.name.includes('general') || ch.name.includes('announcements') || ch.name.includes('matches'))
-                        ) || guild.channels.cache.find(ch => ch.type === 0); // Fallback to first text channel
-                        
-                        if (channel) {
-                            const timeUntilMatch = Math.round((matchTime - now) / (1000 * 60)); // minutes
-                            const swedenTime = formatSwedenTime(matchTime);
-                            
-                            const embed = createEmbed('⏰ Match Reminder', 
-                                `🚨 **${match.team1} vs ${match.team2}**\n\n` +
-                                `⏰ Starting in **${timeUntilMatch} minutes**!\n` +
-                                `📅 ${swedenTime.full}\n` +
-                                (match.description ? `📝 ${match.description}\n` : '') +
-                                `\nGood luck to both teams! 🏆\n` +
-                                `🇸🇪 Time shown in Sweden timezone`, 
-                                config.colors.primary);
-                            
-                            await channel.send({ embeds: [embed] });
-                            
-                            // Mark as notified
-                            const matches = await db.readScheduledMatchesFile();
-                            const matchIndex = matches.findIndex(m => m.id === match.id);
-                            if (matchIndex !== -1) {
-                                matches[matchIndex].notified = true;
-                                await db.writeScheduledMatchesFile(matches);
-                            }
-                        }
-                    }
-                }
-            }
-            
-            // Clean up old matches
-            await db.cleanupOldMatches();
-            
-        } catch (error) {
-            console.error('Error in match reminder system:', error);
-        }
-    }, 60 * 60 * 1000); // Every hour
+// Bar chart of values from 0 to 1 (shown as percentages); null values leave an empty slot.
+// Captions are written above the bars.
+function renderBarChart({ title, labels, values, captions = [], color = CHART_COLORS[0], width = 900, height = 450 }) {
+    const image = createImage(width, height);
+    const { plot, toY } = drawChartFrame(image, { title, axisMax: 1, percent: true });
+    const slot = (plot.right - plot.left) / Math.max(labels.length, 1);
+    const toX = index => plot.left + slot * (index + 0.5);
+    
+    values.forEach((value, index) => {
+        if (value === null) return;
+        const barWidth = Math.max(4, slot * 0.6);
+        const top = toY(value);
+        fillRect(image, toX(index) - barWidth / 2, top, barWidth, plot.bottom - top, color);
+        if (captions[index]) drawText(image, captions[index], toX(index), top - 18, '#2c3e50', 2, 'center');
+    });
+    
+    drawChartLabels(image, labels, toX, plot);
+    return encodePng(image);
+}
 
-    // Automatic backup system (daily at 3 AM)
-    const scheduleBackups = () => {
-        const now = new Date();
-        const next3AM = new Date();
-        next3AM.setHours(3, 0, 0, 0);
-        
-        // If it's already past 3 AM today, schedule for tomorrow
-        if (now >= next3AM) {
-            next3AM.setDate(next3AM.getDate() + 1);
-        }
-        
-        const timeUntilBackup = next3AM.getTime() - now.getTime();
-        
-        setTimeout(async () => {
-            try {
-                console.log('🔄 Creating automatic daily backup...');
-                await db.createBackup('automatic');
-                await db.cleanupOldBackups(30); // Keep 30 days of backups
-                console.log('✅ Automatic backup completed');
-            } catch (error) {
-                console.error('❌ Error in automatic backup:', error);
-            }
-            
-            // Schedule next backup in 24 hours
-            setInterval(async () => {
-                try {
-                    console.log('🔄 Creating automatic daily backup...');
-                    await db.createBackup('automatic');
-                    await db.cleanupOldBackups(30);
-                    console.log('✅ Automatic backup completed');
-                } catch (error) {
-                    console.error('❌ Error in automatic backup:', error);
-                }
-            }, 24 * 60 * 60 * 1000); // Every 24 hours
-            
-        }, timeUntilBackup);
-        
-        console.log(`📅 Next automatic backup scheduled for: ${next3AM.toLocaleString()}`);
+// Radar chart: one axis per label, series values from 0 (center) to 1 (edge)
+function renderRadarChart({ title, axes, series, width = 900, height = 620 }) {
+    const image = createImage(width, height);
+    drawText(image, title, width / 2, 16, '#2c3e50', 3, 'center');
+    
+    let legendX = width / 2 - series.reduce((sum, item) => sum + 40 + measureText(item.label, 2), 0) / 2;
+    series.forEach(item => {
+        fillRect(image, legendX, 50, 14, 10, item.color);
+        drawText(image, item.label, legendX + 20, 49, '#2c3e50', 2);
+        legendX += 40 + measureText(item.label, 2);
+    });
+    
+    // Room around the web for axis labels
+    const center = { x: width / 2, y: (height + 60) / 2 };
+    const radius = Math.min(width / 2 - 250, (height - 60) / 2 - 50);
+    const pointAt = (index, value) => {
+        const angle = -Math.PI / 2 + index * 2 * Math.PI / axes.length;
+        return [center.x + Math.cos(angle) * radius * value, center.y + Math.sin(angle) * radius * value];
     };
     
-    // Start backup scheduling
-    scheduleBackups();
+    // Web of rings and spokes
+    [0.25, 0.5, 0.75, 1].forEach(ring => {
+        axes.forEach((_, index) => {
+            const [x0, y0] = pointAt(index, ring);
+            const [x1, y1] = pointAt((index + 1) % axes.length, ring);
+            drawLine(image, x0, y0, x1, y1, ring === 1 ? '#95a5a6' : '#dfe6e9');
+        });
+    });
+    axes.forEach((axis, index) => {
+        const [x, y] = pointAt(index, 1);
+        drawLine(image, center.x, center.y, x, y, '#dfe6e9');
+        const [labelX, labelY] = pointAt(index, 1.12);
+        const align = Math.abs(labelX - center.x) < 10 ? 'center' : labelX < center.x ? 'right' : 'left';
+        drawText(image, axis, labelX, labelY - 7, '#2c3e50', 2, align);
+    });
+    
+    series.forEach(item => {
+        const points = item.values.map((value, index) => pointAt(index, Math.min(Math.max(value || 0, 0), 1)));
+        fillPolygon(image, points, item.color, 0.25);
+        points.forEach(([x0, y0], index) => {
+            const [x1, y1] = points[(index + 1) % points.length];
+            drawLine(image, x0, y0, x1, y1, item.color, 3);
+        });
+    });
+    
+    return encodePng(image);
+}
 
-    // Create initial backup on startup (if no recent backup exists)
-    setTimeout(async () => {
-        try {
-            // Ensure default teams exist
-            const allTeams = await db.getAllTeams();
-            if (allTeams.length === 0) {
-                console.log('🏆 No teams found, creating default teams...');
-                const defaultTeamStats = {
-                    'A-Team': { wins: 0, losses: 0 },
-                    'B-Team': { wins: 0, losses: 0 }
-                };
-                await db.writeTeamStatsFile(defaultTeamStats);
-                console.log('✅ Default teams (A-Team, B-Team) created');
-            } else {
-                console.log(`✅ Found ${allTeams.length} teams: ${allTeams.join(', ')}`);
-            }
-            
-            const backups = await db.listBackups();
-            const now = new Date();
-            const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-            
-            const recentBackup = backups.find(backup => 
-                new Date(backup.timestamp) > oneDayAgo
-            );
-            
-            if (!recentBackup) {
-                console.log('🔄 No recent backup found, creating startup backup...');
-                await db.createBackup('startup');
-                console.log('✅ Startup backup created');
-            } else {
-                console.log('✅ Recent backup exists, skipping startup backup');
-            }
-        } catch (error) {
-            console.error('❌ Error during startup initialization:', error);
-        }
-    }, 30000); // 30 seconds after startup
-});
+// Chart Data Helpers
 
-// Check if user has admin role
-async function isAdmin(member) {
-    if (!member) return false;
-    try {
-        // If member is not fetched, fetch it first
-        if (!member.fetch) {
-            console.warn('Member object does not have fetch method');
-            return false;
-        }
-        
-        await member.fetch();
-        
-        // Check if the member has the admin role
-        return member.roles.cache.some(role => role.name === config.adminRoleName);
-    } catch (error) {
-        console.error(`Error checking admin role: ${error.message}`);
-        return false;
-    }
+// Average of the last `window` values at every point (null until the window is full)
+function getRollingAverage(values, window) {
+    return values.map((_, index) => {
+        if (index + 1 < window) return null;
+        const slice = values.slice(index + 1 - window, index + 1);
+        return slice.reduce((sum, value) => sum + value, 0) / window;
+    });
 }
 
-async function getDisplayName(userId, interaction) {
-    try {
-        // Get the member from the guild
-        const member = await interaction.guild.members.fetch(userId);
-        // Return the member's display name (nickname if set, otherwise username)
-        return member ? member.displayName : 'Unknown User';
-    } catch (error) {
-        console.error(`Error fetching display name for user ${userId}:`, error);
-        // Fallback to username if available, otherwise show 'Unknown User'
-        try {
-            const user = await interaction.client.users.fetch(userId);
-            return user ? user.username : 'Unknown User';
-        } catch (err) {
-            console.error(`Error fetching user ${userId}:`, err);
-            return 'Unknown User';
-        }
-    }
+// Monday 00:00 UTC of the week a date falls in
+function getWeekStart(date) {
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+    return start;
 }
 
-// Create embeds for nice looking messages
-function createEmbed(title, description = null, color = config.colors.primary) {
-    const embed = new EmbedBuilder()
-        .setColor(color)
-        .setTitle(title)
-        .setTimestamp()
-        .setFooter({ text: 'Stats Bot', iconURL: 'https://i.imgur.com/wSTFkRM.png' });
-    
-    if (description) {
-        embed.setDescription(description);
-    }
+// Games won and played by a team in each of the last `weeks` weeks, oldest first
+function summarizeWeeklyResults(teamName, matchResults, weeks, now = new Date()) {
+    const nameLower = teamName.toLowerCase();
+    const currentWeek = getWeekStart(now);
+    const buckets = Array.from({ length: weeks }, (_, index) => {
+        const start = new Date(currentWeek);
+        start.setUTCDate(start.getUTCDate() - (weeks - 1 - index) * 7);
+        return { start, wins: 0, games: 0 };
+    });
     
-    return embed;
+    matchResults.forEach(match => {
+        if (match.team1.toLowerCase() !== nameLower && match.team2.toLowerCase() !== nameLower) return;
+        const weekStart = getWeekStart(new Date(match.date)).getTime();
+        const bucket = buckets.find(candidate => candidate.start.getTime() === weekStart);
+        if (!bucket) return;
+        bucket.games++;
+        if (match.winner.toLowerCase() === nameLower) bucket.wins++;
+    });
+    return buckets;
 }
 
-// Calculate player achievements based on stats
-function calculateAchievements(player) {
-    const achievements = [];
-    
-    // Check each achievement category
-    Object.keys(ACHIEVEMENTS).forEach(category => {
-        const playerStat = category === 'games' ? player.gamesPlayed : player[category];
-        
-        ACHIEVEMENTS[category].forEach(achievement => {
-            if (playerStat >= achievement.threshold) {
-                achievements.push(`${achievement.emoji} ${achievement.name}`);
-            }
+// Stat trend of a player's games (oldest first) as a PNG line chart with rolling averages
+function renderPlayerTrendChart(player, games) {
+    const window = Math.min(config.charts.rollingWindow, games.length);
+    const series = config.charts.trendStats
+        .map(key => config.stats.find(stat => stat.key === key))
+        .filter(Boolean)
+        .map((stat, index) => {
+            const values = games.map(game => getStatValue(game, stat));
+            return { label: stat.label, color: CHART_COLORS[index % CHART_COLORS.length], values, average: getRollingAverage(values, window) };
         });
+    
+    return renderLineChart({
+        title: `${player.displayName}: last ${games.length} games`,
+        labels: games.map(game => new Date(game.timestamp).toISOString().slice(5, 10)),
+        series
     });
+}
+
+// Two players' metrics as a PNG radar chart. Every axis runs up to the best value of any
+// active player with enough games, so the shapes show how both compare to the whole server.
+function renderPlayerRadarChart(player1, player2, players, participation) {
+    const metrics = getMetrics();
+    const valueOf = (player, metric) => (player.gamesPlayed || 0) >= config.metricMinGames
+        ? metric.calculate(player, participation.get(player.discordId))
+        : null;
+    const ranked = players.filter(player => !player.retiredAt);
     
-    return achievements.length ? achievements.join('\n') : 'No achievements yet';
+    const maxima = metrics.map(metric => Math.max(...[...ranked, player1, player2]
+        .map(player => valueOf(player, metric))
+        .filter(value => value !== null && value > 0), 0));
+    
+    return renderRadarChart({
+        title: `${player1.displayName} vs ${player2.displayName}`,
+        axes: metrics.map(metric => metric.label),
+        series: [player1, player2].map((player, index) => ({
+            label: player.displayName,
+            color: CHART_COLORS[index],
+            values: metrics.map((metric, metricIndex) => maxima[metricIndex] > 0 ? (valueOf(player, metric) || 0) / maxima[metricIndex] : 0)
+        }))
+    });
 }
 
-// Calculate achievement progression
-function calculateAchievementProgress(player) {
-    const progressInfo = [];
+// Per-file write queues so read-modify-write operations never interleave
+const fileQueues = new Map();
+
+// Files locked by the current async call chain, so nested db calls can re-enter their own locks
+const heldFileLocks = new AsyncLocalStorage();
+
+// Run a task once every earlier task queued for the same file has finished
+function withFileLock(filePath, task) {
+    const held = heldFileLocks.getStore() || new Set();
+    if (held.has(filePath)) {
+        return captureAuditSnapshot(filePath).then(task);
+    }
     
-    Object.keys(ACHIEVEMENTS).forEach(category => {
-        const playerStat = category === 'games' ? player.gamesPlayed : player[category];
-        
-        // Find next achievement in this category
-        const nextAchievement = ACHIEVEMENTS[category].find(achievement => 
-            playerStat < achievement.threshold
-        );
-        
-        if (nextAchievement) {
-            const progress = playerStat;
-            const needed = nextAchievement.threshold - playerStat;
-            const percentage = Math.round((progress / nextAchievement.threshold) * 100);
-            
-            progressInfo.push({
-                category: category.charAt(0).toUpperCase() + category.slice(1),
-                current: progress,
-                needed: needed,
-                target: nextAchievement.threshold,
-                percentage: percentage,
-                achievement: nextAchievement,
-                emoji: nextAchievement.emoji
-            });
+    const previous = fileQueues.get(filePath) || Promise.resolve();
+    const result = previous
+        .then(() => captureAuditSnapshot(filePath))
+        .then(() => heldFileLocks.run(new Set([...held, filePath]), task));
+    const queueTail = result.catch(() => {});
+    
+    fileQueues.set(filePath, queueTail);
+    queueTail.then(() => {
+        if (fileQueues.get(filePath) === queueTail) {
+            fileQueues.delete(filePath);
         }
     });
     
-    return progressInfo;
+    return result;
 }
 
-// Parse date string for match scheduling
-function parseMatchDateTime(dateTimeStr) {
+// Lock several files at once (always in the same order to avoid deadlocks)
+function withFileLocks(filePaths, task) {
+    const [first, ...rest] = [...new Set(filePaths)].sort();
+    if (!first) return task();
+    return withFileLock(first, () => withFileLocks(rest, task));
+}
+
+// Write to a temp file first and rename it over the target, so a crash
+// mid-write never leaves a truncated data file behind
+let tempFileCounter = 0;
+async function writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${++tempFileCounter}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
     try {
-        // Try parsing ISO format first (2025-06-30 19:00)
-        if (dateTimeStr.match(/^\d{4}-\d{2}-\d{2}\s\d{1,2}:\d{2}$/)) {
-            return new Date(dateTimeStr);
-        }
-        
-        // Try parsing natural language (June 30 7pm, Jun 30 19:00)
-        const naturalDate = new Date(dateTimeStr);
-        if (!isNaN(naturalDate.getTime())) {
-            return naturalDate;
-        }
-        
-        throw new Error('Invalid date format');
+        await handle.writeFile(content);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    
+    try {
+        await fs.rename(tempPath, filePath);
     } catch (error) {
-        throw new Error('Please use format like "2025-06-30 19:00" or "June 30 7pm"');
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
     }
 }
 
-// Create player comparison embed
-function createPlayerComparisonEmbed(player1, player2, user1, user2) {
-    const embed = new EmbedBuilder()
-        .setColor(config.colors.primary)
-        .setTitle('⚔️ Player Comparison')
-        .setDescription(`**${player1.displayName}** vs **${player2.displayName}**`)
-        .setTimestamp();
+// Data files that could not be loaded and were quarantined, keyed by file path.
+// Kept in data-health.json so the bot stays in read-only mode across restarts. Before the
+// per-guild split the health file was in the bot folder (moved by migrateLegacyData).
+const corruptedDataFiles = new Map();
+const legacyDataHealthFilePath = path.join(config.legacyDataFolder, 'data-health.json');
+for (const healthFilePath of [config.dataHealthFilePath, legacyDataHealthFilePath]) {
+    try {
+        const savedHealth = JSON.parse(require('fs').readFileSync(healthFilePath, 'utf8'));
+        (savedHealth.corruptedFiles || []).forEach(incident => corruptedDataFiles.set(incident.filePath, incident));
+        break;
+    } catch (error) {
+        // No health file yet (or unreadable) - assume all data is healthy
+    }
+}
 
-    // Add comparison fields
-    embed.addFields(
-        { name: '🏅 Team', value: `${player1.team}\nvs\n${player2.team}`, inline: true },
-        { name: '🎮 Games Played', value: `${player1.gamesPlayed}\nvs\n${player2.gamesPlayed}`, inline: true },
-        { name: '⚽ Goals', value: `${player1.goals}\nvs\n${player2.goals}`, inline: true },
-        { name: '👟 Assists', value: `${player1.assists}\nvs\n${player2.assists}`, inline: true },
-        { name: '🧤 Saves', value: `${player1.saves}\nvs\n${player2.saves}`, inline: true },
-        { name: '🎯 Shots', value: `${player1.shots || 0}\nvs\n${player2.shots || 0}`, inline: true },
-        { name: '🏆 MVPs', value: `${player1.mvps}\nvs\n${player2.mvps}`, inline: true }
-    );
+async function saveDataHealth() {
+    const health = { corruptedFiles: [...corruptedDataFiles.values()] };
+    await fs.mkdir(config.dataFolder, { recursive: true });
+    await writeFileAtomic(config.dataHealthFilePath, JSON.stringify(health, null, 2));
+}
 
-    // Calculate and add efficiency stats
-    const p1Efficiency = {
-        goalsPerGame: player1.gamesPlayed > 0 ? (player1.goals / player1.gamesPlayed).toFixed(2) : '0.00',
-        assistsPerGame: player1.gamesPlayed > 0 ? (player1.assists / player1.gamesPlayed).toFixed(2) : '0.00',
-        mvpRate: player1.gamesPlayed > 0 ? ((player1.mvps / player1.gamesPlayed) * 100).toFixed(1) : '0.0'
-    };
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
 
-    const p2Efficiency = {
-        goalsPerGame: player2.gamesPlayed > 0 ? (player2.goals / player2.gamesPlayed).toFixed(2) : '0.00',
-        assistsPerGame: player2.gamesPlayed > 0 ? (player2.assists / player2.gamesPlayed).toFixed(2) : '0.00',
-        mvpRate: player2.gamesPlayed > 0 ? ((player2.mvps / player2.gamesPlayed) * 100).toFixed(1) : '0.0'
+// Move an unreadable data file aside under a timestamped name and alert admins
+async function quarantineDataFile(filePath, reason) {
+    if (corruptedDataFiles.has(filePath)) {
+        return corruptedDataFiles.get(filePath);
+    }
+    
+    const fileName = path.basename(filePath);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const incident = {
+        name: fileName,
+        filePath,
+        guildId: getCurrentGuildId(),
+        quarantinedAs: `${fileName}.corrupt-${timestamp}`,
+        reason,
+        detectedAt: new Date().toISOString()
     };
+    
+    // Register first so concurrent reads do not quarantine the file twice
+    corruptedDataFiles.set(filePath, incident);
+    
+    try {
+        await fs.rename(filePath, path.join(path.dirname(filePath), incident.quarantinedAs));
+    } catch (error) {
+        console.error(`Error quarantining ${fileName}:`, error);
+    }
+    await saveDataHealth().catch(error => console.error('Error saving data health file:', error));
+    
+    console.error(`🚨 ${fileName} could not be loaded (${reason}). Quarantined as ${incident.quarantinedAs}`);
+    alertAdmins('🚨 Data File Corrupted',
+        `**${fileName}** could not be loaded and has been quarantined as \`${incident.quarantinedAs}\`.\n\n` +
+        `**Reason**: ${reason}\n\n` +
+        `🔒 Commands that change data are blocked until the data is repaired.\n` +
+        (LOG_FILES.some(file => file.name === fileName)
+            ? `🛠️ Use \`/repair-data\` to start it over empty (it is not backed up).`
+            : `🛠️ Use \`/repair-data\` to restore the newest valid backup.`));
+    
+    return incident;
+}
 
-    embed.addFields(
-        { name: '📊 Goals/Game', value: `${p1Efficiency.goalsPerGame}\nvs\n${p2Efficiency.goalsPerGame}`, inline: true },
-        { name: '📈 Assists/Game', value: `${p1Efficiency.assistsPerGame}\nvs\n${p2Efficiency.assistsPerGame}`, inline: true },
-        { name: '🌟 MVP Rate', value: `${p1Efficiency.mvpRate}%\nvs\n${p2Efficiency.mvpRate}%`, inline: true }
-    );
-
-    return embed;
+// Mark data files as healthy again (after they were restored)
+async function clearDataCorruption(filePaths) {
+    let cleared = false;
+    filePaths.forEach(filePath => {
+        cleared = corruptedDataFiles.delete(filePath) || cleared;
+    });
+    if (cleared) {
+        await saveDataHealth();
+    }
 }
 
-// Create recent form embed
-function createRecentFormEmbed(player, recentGames, gamesRequested) {
-    const teamColor = player.team === 'A-Team' ? config.colors.aTeam : config.colors.bTeam;
+// Read and parse a JSON data file. Missing files are created with their default
+// content, but files that exist and cannot be parsed are never treated as empty.
+// Data stored with an older schema version is migrated in memory.
+async function readDataFile(filePath, key, createDefault, isValidShape) {
+    const knownIncident = corruptedDataFiles.get(filePath);
+    if (knownIncident) {
+        throw new Error(`${knownIncident.name} is corrupted and was quarantined as ${knownIncident.quarantinedAs}. An admin must run /repair-data.`);
+    }
     
-    const embed = new EmbedBuilder()
-        .setColor(teamColor)
-        .setTitle(`📈 Recent Form - ${player.displayName}`)
-        .setDescription(`Last ${Math.min(recentGames.length, gamesRequested)} games`)
-        .setTimestamp();
-
-    if (recentGames.length === 0) {
-        embed.addFields({
-            name: 'No Recent Games',
-            value: 'No game history found. Recent form tracking starts from when games are manually added.',
-            inline: false
+    let raw;
+    try {
+        raw = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw error;
+        }
+        // Created inside the file's lock and only when it is still missing there, so a default
+        // never replaces data another task saved after this read
+        const created = await withFileLock(filePath, async () => {
+            try {
+                await fs.access(filePath);
+                return null;
+            } catch (accessError) {
+                const defaultData = createDefault();
+                await writeDataFile(filePath, key, defaultData);
+                return { data: defaultData };
+            }
         });
-        return embed;
+        return created ? created.data : readDataFile(filePath, key, createDefault, isValidShape);
     }
+    
+    let stored;
+    let problem = null;
+    try {
+        stored = unwrapVersionedData(JSON.parse(raw));
+        if (!isValidShape(stored.data)) {
+            problem = 'Unexpected data structure';
+        }
+    } catch (error) {
+        problem = error.message;
+    }
+    
+    if (problem) {
+        const incident = await quarantineDataFile(filePath, problem);
+        throw new Error(`${incident.name} is corrupted and was quarantined as ${incident.quarantinedAs}. An admin must run /repair-data.`);
+    }
+    
+    return migrateData(key, stored.data, stored.version).data;
+}
 
-    // Calculate recent totals
-    const recentTotals = recentGames.reduce((totals, game) => {
-        totals.goals += game.goals || 0;
-        totals.assists += game.assists || 0;
-        totals.saves += game.saves || 0;
-        totals.shots += game.shots || 0;
-        totals.mvps += game.mvps || 0;
-        return totals;
-    }, { goals: 0, assists: 0, saves: 0, shots: 0, mvps: 0 });
-
-    const avgGoals = (recentTotals.goals / recentGames.length).toFixed(2);
-    const avgAssists = (recentTotals.assists / recentGames.length).toFixed(2);
-    const avgSaves = (recentTotals.saves / recentGames.length).toFixed(2);
-
-    embed.addFields(
-        { name: '⚽ Recent Goals', value: `${recentTotals.goals} total\n${avgGoals} per game`, inline: true },
-        { name: '👟 Recent Assists', value: `${recentTotals.assists} total\n${avgAssists} per game`, inline: true },
-        { name: '🧤 Recent Saves', value: `${recentTotals.saves} total\n${avgSaves} per game`, inline: true },
-        { name: '🎯 Recent Shots', value: `${recentTotals.shots} total`, inline: true },
-        { name: '🏆 Recent MVPs', value: `${recentTotals.mvps} awards`, inline: true },
-        { name: '📊 Games Analyzed', value: `${recentGames.length} games`, inline: true }
-    );
-
-    // Show last few games timeline
-    let gamesList = '';
-    recentGames.slice(0, 5).forEach((game, index) => {
-        const date = new Date(game.timestamp).toLocaleDateString();
-        gamesList += `**${date}**: ${game.goals}G ${game.assists}A ${game.saves}S${game.mvps > 0 ? ' 🏆MVP' : ''}\n`;
-    });
+// Write a JSON data file stamped with the current schema version
+async function writeDataFile(filePath, key, data) {
+    await captureAuditSnapshot(key);
+    const stored = { schemaVersion: getSchemaVersion(key), data };
+    await writeFileAtomic(filePath, JSON.stringify(stored, null, 2));
+}
 
-    if (gamesList) {
-        embed.addFields({
-            name: '📅 Recent Games',
-            value: gamesList,
-            inline: false
-        });
+// Schema version a JSON data file was last written with (null if it does not exist)
+async function readStoredSchemaVersion(filePath) {
+    try {
+        return unwrapVersionedData(JSON.parse(await fs.readFile(filePath, 'utf8'))).version;
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
     }
+}
 
-    return embed;
+// Find the channel used for bot announcements in a guild
+function findNotificationChannel(guild) {
+    return guild.channels.cache.find(ch => 
+        ch.type === 0 && // Text channel
+        (ch.name.includes('general') || ch.name.includes('announcements') || ch.name.includes('matches'))
+    ) || guild.channels.cache.find(ch => ch.type === 0); // Fallback to first text channel
 }
 
-// Create personal dashboard embed
-function createPersonalDashboardEmbed(player, recentGames, achievementProgress) {
-    const teamColor = player.team === 'A-Team' ? config.colors.aTeam : config.colors.bTeam;
+// Alert the admins of the current guild in Discord (alerts raised before the bot is ready are sent on ready)
+const pendingAdminAlerts = [];
+async function alertAdmins(title, description) {
+    const guildId = getCurrentGuildId();
+    if (!client.isReady()) {
+        pendingAdminAlerts.push({ guildId, title, description });
+        return;
+    }
     
-    const embed = new EmbedBuilder()
-        .setColor(teamColor)
-        .setTitle(`🎮 ${player.displayName}'s Dashboard`)
-        .setDescription(`Team: **${player.team}**`)
-        .setTimestamp();
-
-    // Current stats
-    embed.addFields(
-        { name: '📊 Current Stats', 
-          value: `🎮 **${player.gamesPlayed}** games\n⚽ **${player.goals}** goals\n👟 **${player.assists}** assists\n🧤 **${player.saves}** saves\n🏆 **${player.mvps}** MVPs`, 
-          inline: true }
-    );
-
-    // Efficiency stats
-    const goalsPerGame = player.gamesPlayed > 0 ? (player.goals / player.gamesPlayed).toFixed(2) : '0.00';
-    const assistsPerGame = player.gamesPlayed > 0 ? (player.assists / player.gamesPlayed).toFixed(2) : '0.00';
-    const mvpRate = player.gamesPlayed > 0 ? ((player.mvps / player.gamesPlayed) * 100).toFixed(1) : '0.0';
+    const guild = client.guilds.cache.get(guildId);
+    const channel = guild && findNotificationChannel(guild);
+    if (!channel) return;
     
-    embed.addFields(
-        { name: '📈 Efficiency', 
-          value: `⚽ **${goalsPerGame}** goals/game\n👟 **${assistsPerGame}** assists/game\n🌟 **${mvpRate}%** MVP rate`, 
-          inline: true }
-    );
+    const adminRole = guild.roles.cache.find(role => role.name === config.adminRoleName);
+    try {
+        await channel.send({
+            content: adminRole ? `<@&${adminRole.id}>` : undefined,
+            embeds: [createEmbed(title, description, config.colors.error)]
+        });
+    } catch (error) {
+        console.error(`Error sending admin alert to ${guild.name}:`, error);
+    }
+}
 
-    // Recent form summary
-    if (recentGames.length > 0) {
-        const recentGoals = recentGames.reduce((sum, game) => sum + (game.goals || 0), 0);
-        const recentMVPs = recentGames.reduce((sum, game) => sum + (game.mvps || 0), 0);
-        
-        embed.addFields(
-            { name: '📅 Recent Form (Last 5)', 
-              value: `⚽ **${recentGoals}** goals\n🏆 **${recentMVPs}** MVPs\n📊 **${recentGames.length}** games`, 
-              inline: true }
-        );
+// Backups are looked up by folder name inside the current guild's backups folder only
+function getBackupPath(backupFolder) {
+    if (!backupFolder || backupFolder.startsWith('.') || path.basename(backupFolder) !== backupFolder) {
+        throw new Error(`Invalid backup folder: ${backupFolder}`);
     }
+    return path.join(config.backupsFolder, backupFolder);
+}
 
-    // Next achievements
-    if (achievementProgress.length > 0) {
-        const topProgress = achievementProgress
-            .sort((a, b) => b.percentage - a.percentage)
-            .slice(0, 3);
+// Database utility functions using file storage
+// Load every data set a match result touches, let the task change it and save it all back
+async function updateMatchResultData(task) {
+    return withFileLocks(getMatchResultFiles(), async () => {
+        const data = {
+            players: await db.readPlayersFile(),
+            teamStats: await db.readTeamStatsFile(),
+            gameHistory: await db.readGameHistoryFile(),
+            matchResults: await db.readMatchResultsFile()
+        };
         
-        let progressText = '';
-        topProgress.forEach(progress => {
-            progressText += `${progress.emoji} **${progress.achievement.name}**: ${progress.current}/${progress.target} (${progress.percentage}%)\n`;
-        });
+        const result = await task(data);
         
-        embed.addFields(
-            { name: '🎯 Achievement Progress', 
-              value: progressText || 'All achievements unlocked!', 
-              inline: false }
-        );
-    }
-
-    return embed;
+        await db.writePlayersFile(data.players);
+        await db.writeTeamStatsFile(data.teamStats);
+        await db.writeGameHistoryFile(data.gameHistory);
+        await db.writeMatchResultsFile(data.matchResults);
+        return result;
+    });
 }
 
-// Create match calendar embed
-function createMatchCalendarEmbed(upcomingMatches) {
-    const embed = createEmbed('📅 Match Calendar', 'Upcoming scheduled matches');
+// Build a validated match line for a registered player
+function createMatchLine(data, match, discordId, stats) {
+    const player = data.players.find(p => p.discordId === discordId);
+    if (!player) {
+        throw new Error('Player not found');
+    }
     
-    if (upcomingMatches.length === 0) {
-        embed.setDescription('No upcoming matches scheduled. Use `/schedule-match` to add matches.');
-        return embed;
+    const team = stats.team ? findTeamKey(data.teamStats, stats.team) || stats.team : getPlayerTeamAt(player, match.date);
+    if (team.toLowerCase() !== match.team1.toLowerCase() && team.toLowerCase() !== match.team2.toLowerCase()) {
+        throw new Error(`${player.displayName} plays for ${team}, which did not play in this match`);
     }
     
-    let matchList = '';
-    upcomingMatches.forEach((match, index) => {
-        const date = new Date(match.dateTime);
-        const swedenTime = formatSwedenTime(date);
-        
-        matchList += `**${index + 1}.** ${match.team1} vs ${match.team2}\n`;
-        matchList += `📅 ${swedenTime.date} at ${swedenTime.time} ${swedenTime.timezone}\n`;
-        matchList += `🔢 ID: \`${match.id}\`\n`;
-        if (match.description) {
-            matchList += `📝 ${match.description}\n`;
+    return {
+        discordId,
+        displayName: player.displayName,
+        team: team.toLowerCase() === match.team1.toLowerCase() ? match.team1 : match.team2,
+        ...createLineStats(stats)
+    };
+}
+
+// Add a played match to loaded match result data (see db.recordMatchResult)
+async function addMatchResult(data, { team1, team2, score1, score2, date = new Date().toISOString(), lines = [], recordedBy = null, replayId = null, series = null }) {
+    if (team1.toLowerCase() === team2.toLowerCase()) {
+        throw new Error('A match needs two different teams');
+    }
+    if (score1 === score2) {
+        throw new Error('A match cannot end in a draw');
+    }
+    
+    const team1Key = findTeamKey(data.teamStats, team1);
+    const team2Key = findTeamKey(data.teamStats, team2);
+    if (!team1Key && !team2Key) {
+        throw new Error('At least one of the teams must be registered. Use `/create-team` first.');
+    }
+    
+    const sameReplay = replayId && data.matchResults.find(m => m.replayId === replayId);
+    if (sameReplay) {
+        throw new Error(`This replay was already recorded as match \`${sameReplay.id}\``);
+    }
+    if (replayId && data.gameHistory.some(game => game.replayId === replayId)) {
+        throw new Error('This replay was already imported from replay JSON');
+    }
+    
+    // Timestamp IDs like scheduled matches, bumped if two results land in the same millisecond
+    let id = Date.now();
+    while (data.matchResults.some(m => m.id === id.toString())) id++;
+    
+    // A match counts for the season it was played in, which is not the running one when it is recorded late
+    const season = findSeasonAt(await db.readSeasonsFile(), date);
+    const match = {
+        id: id.toString(),
+        date,
+        season: season ? season.id : null,
+        team1: team1Key || team1,
+        team2: team2Key || team2,
+        score1,
+        score2,
+        winner: score1 > score2 ? team1Key || team1 : team2Key || team2,
+        lines: [],
+        recordedBy,
+        createdAt: new Date().toISOString()
+    };
+    if (replayId) match.replayId = replayId;
+    if (series) match.series = series;
+    
+    // A side that is not one of our teams is linked when it is a registered opponent
+    const opponent = findOpponent(await db.readOpponentsFile(), !team1Key ? team1 : !team2Key ? team2 : null);
+    if (opponent) linkOpponent(match, opponent);
+    
+    lines.forEach(line => {
+        if (match.lines.some(existing => existing.discordId === line.discordId)) {
+            throw new Error('A player can only have one line per match');
         }
-        matchList += '\n';
+        match.lines.push(createMatchLine(data, match, line.discordId, line));
     });
+    validateMatchGoals(match);
     
-    embed.setDescription(matchList);
-    embed.addFields({
-        name: '🛠️ Management',
-        value: 'Use `/cancel-match match-id:<id>` to cancel a specific match.\n🇸🇪 All times shown in Sweden timezone.',
-        inline: false
+    applyMatchResult(data, match, 1);
+    data.matchResults.push(match);
+    return match;
+}
+
+// Opponent names share the namespace of team names, and a bare number would read as an opponent ID
+async function validateOpponentName(opponents, name, self = null) {
+    if (/^\d+$/.test(name)) {
+        throw new Error('An opponent name cannot be just a number');
+    }
+    const teamKey = findTeamKey(await db.readTeamStatsFile(), name);
+    if (teamKey) {
+        throw new Error(`${teamKey} is one of our teams`);
+    }
+    const existing = findOpponent(opponents, name);
+    if (existing && existing !== self) {
+        throw new Error(`Opponent "${existing.name}" already exists`);
+    }
+}
+
+// Link the match results, fixtures and game records of an opponent that was called previousName
+// to it, under its current name. Callers hold the locks of getOpponentFiles().
+async function updateOpponentReferences(opponent, previousName) {
+    const matchResults = await db.readMatchResultsFile();
+    const linkedIds = new Set(matchResults
+        .filter(match => linkOpponent(match, opponent, previousName))
+        .map(match => match.id));
+    
+    const gameHistory = await db.readGameHistoryFile();
+    gameHistory.forEach(game => {
+        if (linkedIds.has(game.matchId) && game.opponent && game.opponent.toLowerCase() === previousName.toLowerCase()) {
+            game.opponent = opponent.name;
+        }
     });
     
-    return embed;
+    const scheduledMatches = await db.readScheduledMatchesFile();
+    const fixturesLinked = scheduledMatches.filter(match => linkOpponent(match, opponent, previousName)).length;
+    
+    await db.writeMatchResultsFile(matchResults);
+    await db.writeGameHistoryFile(gameHistory);
+    await db.writeScheduledMatchesFile(scheduledMatches);
+    return { resultsLinked: linkedIds.size, fixturesLinked };
 }
 
-// Create cancel match selection embed
-function createCancelMatchEmbed(matchesToCancel) {
-    const embed = createEmbed('❌ Cancel Match', 'Select a match to cancel');
+// Audit Log Helpers
+// How records are identified inside each array data set (team stats are keyed by team name)
+const AUDIT_RECORD_KEYS = {
+    players: player => player.discordId,
+    gameHistory: game => game.id,
+    scheduledMatches: match => match.id,
+    matchResults: match => match.id,
+    seasons: season => String(season.id),
+    opponents: opponent => String(opponent.id)
+};
+
+// Human readable name of a changed record
+const AUDIT_RECORD_LABELS = {
+    players: (record) => `Player ${record.displayName}`,
+    teamStats: (record, key) => `Team ${key}`,
+    gameHistory: (record) => `Game record of ${record.discordId}`,
+    scheduledMatches: (record) => `Scheduled match ${record.team1} vs ${record.team2}`,
+    matchResults: (record) => `Match ${record.team1} ${record.score1} - ${record.score2} ${record.team2}`,
+    seasons: (record) => `Season ${record.name}`,
+    opponents: (record) => `Opponent ${record.name}`
+};
+
+// Index a data set by record key
+function toRecordMap(dataSet, data) {
+    if (!Array.isArray(data)) return new Map(Object.entries(data));
+    return new Map(data.map(record => [AUDIT_RECORD_KEYS[dataSet](record), record]));
+}
+
+// Compare two records, ignoring the updatedAt bookkeeping field
+function recordsEqual(a, b) {
+    const normalize = record => record && JSON.stringify({ ...record, updatedAt: undefined });
+    return normalize(a) === normalize(b);
+}
+
+// Fields whose value differs between two versions of a record
+function getChangedFields(before, after) {
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(field => field !== 'updatedAt' && JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+// Read every data set (or only the given ones) in one go
+async function readDataSnapshot(keys = DATA_FILES.map(file => file.key)) {
+    const snapshot = {};
+    for (const file of DATA_FILES.filter(file => keys.includes(file.key))) {
+        snapshot[file.key] = await db[file.read]();
+    }
+    return snapshot;
+}
+
+// Content of the data sets an audited task touches, from before it touched them (see withAudit)
+const auditSnapshots = new AsyncLocalStorage();
+
+// Before snapshots of the audited changes made while a stat entry runs (see announceBrokenRecords)
+const statEntryChanges = new AsyncLocalStorage();
+
+// Keep the current content of a data set before the audited task of the current call chain
+// changes it. Called when a task locks a data file and by the storage backends before they
+// write a data set, so the audit only reads the data sets a task can change.
+function captureAuditSnapshot(match) {
+    const snapshots = auditSnapshots.getStore();
+    if (!snapshots) return Promise.resolve();
     
-    if (matchesToCancel.length === 0) {
-        embed.setDescription('No matches found matching your criteria.');
-        return embed;
+    const file = DATA_FILES.find(candidate => candidate.filePath === match || candidate.key === match);
+    if (!file) return Promise.resolve();
+    if (!snapshots.has(file.key)) {
+        // Read outside the audit, so a read that creates a missing file does not capture itself
+        snapshots.set(file.key, auditSnapshots.run(null, () => db[file.read]()));
     }
+    return snapshots.get(file.key);
+}
+
+// Record level differences between two snapshots (of the data sets in both)
+function diffDataSnapshots(before, after) {
+    const changes = [];
+    DATA_FILES.filter(file => file.key in before && file.key in after).forEach(file => {
+        const beforeRecords = toRecordMap(file.key, before[file.key]);
+        const afterRecords = toRecordMap(file.key, after[file.key]);
+        new Set([...beforeRecords.keys(), ...afterRecords.keys()]).forEach(key => {
+            const beforeRecord = beforeRecords.get(key) || null;
+            const afterRecord = afterRecords.get(key) || null;
+            if (!recordsEqual(beforeRecord, afterRecord)) {
+                changes.push({ dataSet: file.key, key, before: beforeRecord, after: afterRecord });
+            }
+        });
+    });
+    return changes;
+}
+
+// One line summary of a single record change
+function describeAuditChange(change) {
+    const label = AUDIT_RECORD_LABELS[change.dataSet](change.after || change.before, change.key);
+    if (!change.before) return `${label}: created`;
+    if (!change.after) return `${label}: deleted`;
     
-    let matchList = '';
-    matchesToCancel.forEach((match, index) => {
-        const date = new Date(match.dateTime);
-        const swedenTime = formatSwedenTime(date);
+    const fields = getChangedFields(change.before, change.after).map(field => {
+        const from = change.before[field];
+        const to = change.after[field];
+        const isSimple = value => value === undefined || value === null || typeof value !== 'object';
+        return isSimple(from) && isSimple(to) ? `${field} ${from ?? '-'} → ${to ?? '-'}` : `${field} changed`;
+    });
+    return `${label}: ${fields.join(', ')}`;
+}
+
+// Take the number changes from before to after back out of current, also inside nested
+// totals such as a player's season and team stats. Null when anything else was changed.
+function revertNumericChanges(current, before, after) {
+    const reverted = { ...current };
+    for (const field of getChangedFields(before, after)) {
+        const beforeValue = before[field] === undefined && typeof after[field] === 'number' ? 0 : before[field];
+        if (typeof beforeValue === 'number' && typeof after[field] === 'number' && typeof current[field] === 'number') {
+            reverted[field] = Math.max(0, current[field] + beforeValue - after[field]);
+        } else if (isPlainObject(after[field]) && isPlainObject(current[field]) && (beforeValue === undefined || isPlainObject(beforeValue))) {
+            const nested = revertNumericChanges(current[field], beforeValue || {}, after[field]);
+            if (!nested) return null;
+            reverted[field] = nested;
+        } else {
+            return null;
+        }
+    }
+    return reverted;
+}
+
+// Put every record an audit entry changed back to its earlier value. A record that was
+// changed again later can still be reverted when the entry only changed numbers (the
+// difference is taken back); any other later change is a conflict.
+function revertAuditChanges(snapshot, changes) {
+    const touched = new Set();
+    changes.forEach(change => {
+        const records = toRecordMap(change.dataSet, snapshot[change.dataSet]);
+        const current = records.get(change.key) || null;
+        const numericRevert = current && change.before && change.after
+            ? revertNumericChanges(current, change.before, change.after)
+            : null;
+        let reverted;
         
-        matchList += `**${index + 1}.** ${match.team1} vs ${match.team2}\n`;
-        matchList += `📅 ${swedenTime.date} at ${swedenTime.time} ${swedenTime.timezone}\n`;
-        matchList += `🔢 Match ID: \`${match.id}\`\n`;
-        if (match.description) {
-            matchList += `📝 ${match.description}\n`;
+        if (recordsEqual(current, change.after)) {
+            reverted = change.before;
+        } else if (numericRevert) {
+            reverted = { ...numericRevert, updatedAt: new Date().toISOString() };
+        } else {
+            const label = AUDIT_RECORD_LABELS[change.dataSet](change.after || change.before, change.key);
+            throw new Error(`${label} was changed again after this entry. Undo the later entries first.`);
         }
-        matchList += '\n';
+        
+        if (reverted) {
+            records.set(change.key, reverted);
+        } else {
+            records.delete(change.key);
+        }
+        snapshot[change.dataSet] = Array.isArray(snapshot[change.dataSet]) ? [...records.values()] : Object.fromEntries(records);
+        touched.add(change.dataSet);
     });
+    return touched;
+}
+
+// Who ran which command, as recorded in the audit log
+function getAuditContext(interaction) {
+    const formatOptions = options => options
+        .map(option => option.options
+            ? `${option.name}${option.options.length > 0 ? ` ${formatOptions(option.options)}` : ''}`
+            : `${option.name}:${option.user ? option.user.username : option.attachment ? option.attachment.name : option.value}`)
+        .join(' ');
+    const options = formatOptions(interaction.options.data);
+    return {
+        actorId: interaction.user.id,
+        actorName: interaction.user.username,
+        command: `/${interaction.commandName}${options ? ` ${options}` : ''}`
+    };
+}
+
+// Data Import Helpers
+// /export-data package versions that /import-data can read. 1.0 packages have no schema
+// versions, so their data is migrated from version 0 (every migration is safe to repeat).
+const EXPORT_VERSION = '1.1';
+const SUPPORTED_EXPORT_VERSIONS = ['1.0', '1.1'];
+const MAX_IMPORT_FILE_SIZE = 25 * 1024 * 1024;
+
+// Fields every imported record must have, per data set
+const IMPORT_REQUIRED_FIELDS = {
+    players: ['discordId', 'displayName', 'team'],
+    teamStats: ['wins', 'losses'],
+    gameHistory: ['discordId', 'timestamp'],
+    scheduledMatches: ['id', 'team1', 'team2', 'dateTime'],
+    matchResults: ['id', 'team1', 'team2', 'lines'],
+    seasons: ['id', 'name'],
+    opponents: ['id', 'name']
+};
+
+// Display names of the data sets in import previews
+const IMPORT_DATA_SET_LABELS = {
+    players: '👥 Players',
+    teamStats: '🏆 Teams',
+    gameHistory: '🎮 Game records',
+    scheduledMatches: '📅 Scheduled matches',
+    matchResults: '🏁 Match results',
+    seasons: '🗓️ Seasons',
+    opponents: '🆚 Opponents'
+};
+
+// /export-data package: every data set, with the schema versions /import-data migrates it from
+async function createExportPackage() {
+    // Read all data files
+    const players = await db.readPlayersFile();
+    const teamStats = await db.readTeamStatsFile();
+    const gameHistory = await db.readGameHistoryFile();
+    const scheduledMatches = await db.readScheduledMatchesFile();
+    const matchResults = await db.readMatchResultsFile();
+    const seasons = await db.readSeasonsFile();
+    const opponents = await db.readOpponentsFile();
     
-    embed.setDescription(matchList);
-    embed.addFields({
-        name: '🗑️ How to Cancel',
-        value: 'Copy the Match ID of the match you want to cancel and use it with `/cancel-match` again, or contact an admin.\n🇸🇪 All times shown in Sweden timezone.',
-        inline: false
+    // Create export package (schema versions let /import-data migrate it later)
+    const schemaVersions = {};
+    DATA_FILES.forEach(file => {
+        schemaVersions[file.key] = getSchemaVersion(file.key);
     });
-    
-    return embed;
+    return {
+        exportDate: new Date().toISOString(),
+        version: EXPORT_VERSION,
+        schemaVersions,
+        data: {
+            players,
+            teamStats,
+            gameHistory,
+            scheduledMatches,
+            matchResults,
+            seasons,
+            opponents
+        },
+        summary: {
+            totalPlayers: players.length,
+            totalGames: gameHistory.length,
+            scheduledMatches: scheduledMatches.length,
+            matchResults: matchResults.length,
+            seasons: seasons.length,
+            opponents: opponents.length
+        }
+    };
 }
 
-// Report Generation Functions
-async function generateTextReport(teamFilter = null) {
-    const players = await db.getAllPlayers(teamFilter);
-    const aTeamStats = await db.getTeamStats('A-Team');
-    const bTeamStats = await db.getTeamStats('B-Team');
-    const upcomingMatches = await db.getUpcomingMatches(5);
-    
-    const reportDate = new Date().toLocaleString();
-    
-    let report = '';
-    report += '='.repeat(60) + '\n';
-    report += '           DISCORD STATS BOT - TEAM REPORT\n';
-    report += '='.repeat(60) + '\n';
-    report += `Generated: ${reportDate}\n`;
-    report += teamFilter ? `Team Filter: ${teamFilter}\n` : 'Scope: All Teams\n';
-    report += '='.repeat(60) + '\n\n';
+// Validate an /export-data package and bring its data sets up to the current schema
+function parseExportPackage(exportData) {
+    if (!isPlainObject(exportData) || !isPlainObject(exportData.data)) {
+        throw new Error('This is not an /export-data file (its "data" section is missing)');
+    }
+    if (!SUPPORTED_EXPORT_VERSIONS.includes(exportData.version)) {
+        throw new Error(`Unsupported export version "${exportData.version}" (supported: ${SUPPORTED_EXPORT_VERSIONS.join(', ')})`);
+    }
     
-    // Team Records Section
-    if (!teamFilter) {
-        report += '📊 TEAM STANDINGS\n';
-        report += '-'.repeat(30) + '\n';
+    const schemaVersions = isPlainObject(exportData.schemaVersions) ? exportData.schemaVersions : {};
+    const data = {};
+    DATA_FILES.forEach(file => {
+        let records = exportData.data[file.key];
+        if (records === undefined && file.optional) {
+            records = [];
+        }
+        if (records === undefined) {
+            throw new Error(`The export has no ${file.key} data`);
+        }
+        if (!file.isValidShape(records)) {
+            throw new Error(`The ${file.key} data has an unexpected structure`);
+        }
         
-        const aWinRate = aTeamStats.wins + aTeamStats.losses > 0 ? 
-            ((aTeamStats.wins / (aTeamStats.wins + aTeamStats.losses)) * 100).toFixed(1) : '0.0';
-        const bWinRate = bTeamStats.wins + bTeamStats.losses > 0 ? 
-            ((bTeamStats.wins / (bTeamStats.wins + bTeamStats.losses)) * 100).toFixed(1) : '0.0';
+        const recordList = Array.isArray(records) ? records : Object.values(records);
+        recordList.forEach((record, index) => {
+            const missing = isPlainObject(record)
+                ? IMPORT_REQUIRED_FIELDS[file.key].filter(field => record[field] === undefined)
+                : IMPORT_REQUIRED_FIELDS[file.key];
+            if (missing.length > 0) {
+                throw new Error(`${file.key} record ${index + 1} is missing ${missing.join(', ')}`);
+            }
+        });
         
-        report += `A-Team: ${aTeamStats.wins}W-${aTeamStats.losses}L (${aWinRate}% win rate)\n`;
-        report += `B-Team: ${bTeamStats.wins}W-${bTeamStats.losses}L (${bWinRate}% win rate)\n\n`;
-    }
+        const migrated = migrateData(file.key, records, schemaVersions[file.key] || 0).data;
+        if (Array.isArray(migrated) && AUDIT_RECORD_KEYS[file.key]) {
+            const keys = migrated.map(AUDIT_RECORD_KEYS[file.key]);
+            const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+            if (duplicate !== undefined) {
+                throw new Error(`${file.key} contains the same record twice (${duplicate})`);
+            }
+        }
+        data[file.key] = migrated;
+    });
     
-    // Player Statistics
-    report += `👥 PLAYER STATISTICS${teamFilter ? ` - ${teamFilter}` : ''}\n`;
-    report += '-'.repeat(50) + '\n';
+    return data;
+}
+
+// Download a Discord attachment into memory (rejects files larger than maxBytes)
+function downloadAttachment(url, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const httpModule = url.startsWith('https') ? require('https') : require('http');
+        httpModule.get(url, res => {
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(new Error(`Could not download the file (HTTP ${res.statusCode})`));
+                return;
+            }
+            
+            const chunks = [];
+            let size = 0;
+            res.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    res.destroy();
+                    reject(new Error(`The file is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => resolve(Buffer.concat(chunks)));
+            res.on('error', reject);
+        }).on('error', reject);
+    });
+}
+
+// Stat Import Helpers
+// Accepted CSV column names (compared without case, spaces, dashes and underscores).
+// Every per-game stat of the catalog gets a column under its key and line field.
+const STAT_CSV_COLUMNS = {
+    player: ['discordid', 'id', 'userid', 'player', 'name', 'displayname'],
+    ...Object.fromEntries(getLineStats().map(stat => [stat.key,
+        [...new Set([stat.key, getStatLineKey(stat), ...(stat.csvColumns || [])].map(name => name.toLowerCase()))]])),
+    date: ['date', 'timestamp', 'played']
+};
+
+// Parse a CSV file into rows keyed by normalized column name (comma or semicolon separated)
+function parseStatsCsv(buffer) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const separator = headerLine.includes(';') && !headerLine.includes(',') ? ';' : ',';
     
-    if (players.length === 0) {
-        report += 'No players found.\n\n';
-    } else {
-        // Sort by goals for main table
-        players.sort((a, b) => b.goals - a.goals);
-        
-        report += `${'Name'.padEnd(20)} ${'Team'.padEnd(8)} ${'Games'.padEnd(6)} ${'Goals'.padEnd(6)} ${'Assists'.padEnd(7)} ${'Saves'.padEnd(6)} ${'Shots'.padEnd(6)} ${'MVPs'.padEnd(5)}\n`;
-        report += '-'.repeat(85) + '\n';
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        Readable.from([text])
+            .pipe(csv({
+                separator,
+                mapHeaders: ({ header }) => header.trim().toLowerCase().replace(/[\s_-]/g, ''),
+                mapValues: ({ value }) => value.trim()
+            }))
+            .on('data', row => rows.push(row))
+            .on('end', () => resolve(rows))
+            .on('error', reject);
+    });
+}
+
+// First value of a row found under any of the accepted names for a column
+function getCsvValue(row, column) {
+    const name = STAT_CSV_COLUMNS[column].find(candidate => row[candidate] !== undefined && row[candidate] !== '');
+    return name ? row[name] : '';
+}
+
+// Match CSV rows to registered players and validate their stats.
+// Rows are numbered like in a spreadsheet (the header is row 1).
+function mapStatRows(rows, players) {
+    const matched = [];
+    const unmatched = [];
+    
+    rows.forEach((row, index) => {
+        const rowNumber = index + 2;
+        const playerValue = getCsvValue(row, 'player');
+        if (!playerValue) {
+            unmatched.push({ rowNumber, reason: 'no player given' });
+            return;
+        }
         
-        players.forEach(player => {
-            report += `${player.displayName.substring(0, 19).padEnd(20)} `;
-            report += `${player.team.padEnd(8)} `;
-            report += `${player.gamesPlayed.toString().padEnd(6)} `;
-            report += `${player.goals.toString().padEnd(6)} `;
-            report += `${player.assists.toString().padEnd(7)} `;
-            report += `${player.saves.toString().padEnd(6)} `;
-            report += `${(player.shots || 0).toString().padEnd(6)} `;
-            report += `${player.mvps.toString().padEnd(5)}\n`;
-        });
-        report += '\n';
+        // Discord IDs (or pasted mentions) first, then display names
+        const idMatch = playerValue.match(/^<@!?(\d+)>$|^(\d{15,})$/);
+        let candidates = idMatch
+            ? players.filter(p => p.discordId === (idMatch[1] || idMatch[2]))
+            : players.filter(p => p.displayName.toLowerCase() === playerValue.toLowerCase());
+        if (candidates.length === 0) {
+            unmatched.push({ rowNumber, reason: `"${playerValue}" is not a registered player` });
+            return;
+        }
+        if (candidates.length > 1) {
+            unmatched.push({ rowNumber, reason: `"${playerValue}" matches ${candidates.length} players, use their Discord ID` });
+            return;
+        }
         
-        // Top Performers
-        report += '🏆 TOP PERFORMERS\n';
-        report += '-'.repeat(20) + '\n';
+        const stats = {};
+        for (const stat of getLineStats()) {
+            if (stat.aggregation === 'flag') {
+                const flagValue = getCsvValue(row, stat.key).toLowerCase();
+                if (!['', '0', '1', 'yes', 'no', 'true', 'false', 'x'].includes(flagValue)) {
+                    unmatched.push({ rowNumber, reason: `${stat.short} "${flagValue}" should be 1/0 or yes/no` });
+                    return;
+                }
+                stats[stat.key] = ['1', 'yes', 'true', 'x'].includes(flagValue) ? 1 : 0;
+                continue;
+            }
+            
+            const value = getCsvValue(row, stat.key) || '0';
+            if (!/^\d+$/.test(value)) {
+                unmatched.push({ rowNumber, reason: `${stat.label.toLowerCase()} "${value}" is not a whole number` });
+                return;
+            }
+            stats[stat.key] = parseInt(value, 10);
+        }
         
-        const topScorer = players[0];
-        const topAssists = [...players].sort((a, b) => b.assists - a.assists)[0];
-        const topSaves = [...players].sort((a, b) => b.saves - a.saves)[0];
-        const topMVP = [...players].sort((a, b) => b.mvps - a.mvps)[0];
+        const dateValue = getCsvValue(row, 'date');
+        const date = dateValue ? new Date(dateValue) : null;
+        if (date && isNaN(date.getTime())) {
+            unmatched.push({ rowNumber, reason: `date "${dateValue}" is not a valid date` });
+            return;
+        }
         
-        report += `Top Scorer: ${topScorer.displayName} (${topScorer.goals} goals)\n`;
-        report += `Most Assists: ${topAssists.displayName} (${topAssists.assists} assists)\n`;
-        report += `Most Saves: ${topSaves.displayName} (${topSaves.saves} saves)\n`;
-        report += `Most MVPs: ${topMVP.displayName} (${topMVP.mvps} MVPs)\n\n`;
-    }
+        matched.push({ rowNumber, player: candidates[0], stats, timestamp: date ? date.toISOString() : null });
+    });
     
-    // Upcoming Matches
-    if (upcomingMatches.length > 0) {
-        report += '📅 UPCOMING MATCHES\n';
-        report += '-'.repeat(25) + '\n';
-        
-        upcomingMatches.forEach((match, index) => {
-            const date = new Date(match.dateTime);
-            const swedenTime = formatSwedenTime(date);
-            report += `${index + 1}. ${match.team1} vs ${match.team2}\n`;
-            report += `   Date: ${swedenTime.full}\n`;
-            if (match.description) {
-                report += `   Note: ${match.description}\n`;
-            }
-            report += '\n';
+    return { matched, unmatched };
+}
+
+// Per-player totals of matched stat rows, in the order players first appear
+function summarizeStatRows(matched) {
+    const totals = new Map();
+    matched.forEach(row => {
+        const total = totals.get(row.player.discordId) || { player: row.player, ...createEmptyStats() };
+        config.stats.forEach(stat => {
+            total[stat.key] += stat.aggregation === 'games' ? 1 : getStatValue(row.stats, stat);
         });
-    }
-    
-    report += '='.repeat(60) + '\n';
-    report += 'End of Report - Generated by Discord Stats Bot\n';
-    report += '='.repeat(60) + '\n';
-    
-    return report;
+        totals.set(row.player.discordId, total);
+    });
+    return [...totals.values()];
 }
 
-async function generateCSVReport(teamFilter = null) {
-    const players = await db.getAllPlayers(teamFilter);
-    
-    let csv = 'Player Name,Team,Games Played,Goals,Assists,Saves,Shots,MVPs,Goals per Game,Assists per Game,MVP Rate %\n';
-    
-    players.forEach(player => {
-        const goalsPerGame = player.gamesPlayed > 0 ? (player.goals / player.gamesPlayed).toFixed(2) : '0.00';
-        const assistsPerGame = player.gamesPlayed > 0 ? (player.assists / player.gamesPlayed).toFixed(2) : '0.00';
-        const mvpRate = player.gamesPlayed > 0 ? ((player.mvps / player.gamesPlayed) * 100).toFixed(1) : '0.0';
+// Count added, changed and removed records per data set, with a few examples each
+function summarizeImportChanges(changes) {
+    const summary = {};
+    changes.forEach(change => {
+        const dataSet = summary[change.dataSet] = summary[change.dataSet] || { added: 0, changed: 0, removed: 0, examples: [] };
+        if (!change.before) dataSet.added++;
+        else if (!change.after) dataSet.removed++;
+        else dataSet.changed++;
         
-        csv += `"${player.displayName}","${player.team}",${player.gamesPlayed},${player.goals},${player.assists},${player.saves},${player.shots || 0},${player.mvps},${goalsPerGame},${assistsPerGame},${mvpRate}\n`;
+        if (change.dataSet !== 'gameHistory' && dataSet.examples.length < 5) {
+            dataSet.examples.push(describeAuditChange(change));
+        }
     });
-    
-    return csv;
+    return summary;
 }
 
-async function generateHTMLReport(teamFilter = null) {
-    const players = await db.getAllPlayers(teamFilter);
-    const aTeamStats = await db.getTeamStats('A-Team');
-    const bTeamStats = await db.getTeamStats('B-Team');
-    const upcomingMatches = await db.getUpcomingMatches(5);
+// Replay Helpers
+const MAX_REPLAY_FILE_SIZE = 20 * 1024 * 1024;
+
+// Platforms an alias can be tied to, keyed by the OnlinePlatform names found in replays
+const REPLAY_PLATFORMS = {
+    OnlinePlatform_Steam: 'steam',
+    OnlinePlatform_Epic: 'epic',
+    OnlinePlatform_PS4: 'psn',
+    OnlinePlatform_Dingo: 'xbox',
+    OnlinePlatform_NNX: 'switch'
+};
+const ALIAS_PLATFORM_LABELS = {
+    steam: 'Steam',
+    epic: 'Epic',
+    psn: 'PlayStation',
+    xbox: 'Xbox',
+    switch: 'Switch'
+};
+
+// Read the header of a Rocket League .replay file into a plain object of its properties.
+// Layout: header size, CRC, engine/licensee (and on newer builds net) version, the replay
+// class name and then a property list that ends with "None". The network stream after
+// the header is not needed for scores and player stats, so it is never touched.
+function parseReplayHeader(buffer) {
+    let offset = 0;
     
-    const reportDate = new Date().toLocaleString();
+    const take = (bytes, what) => {
+        if (bytes < 0 || offset + bytes > buffer.length) {
+            throw new Error(`The replay is cut off or damaged (while reading ${what})`);
+        }
+        const start = offset;
+        offset += bytes;
+        return start;
+    };
+    const readInt32 = what => buffer.readInt32LE(take(4, what));
     
-    let html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Discord Stats Bot Report</title>
-    <style>
-        body {
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            margin: 20px;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: #333;
+    // Positive lengths are Windows-1252 text, negative lengths UTF-16 (both null terminated)
+    const readString = what => {
+        const length = readInt32(what);
+        if (length === 0) return '';
+        if (length > 0) {
+            const start = take(length, what);
+            return buffer.toString('latin1', start, start + length - 1);
         }
-        .container {
-            max-width: 1200px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 10px;
-            box-shadow: 0 10px 30px rgba(0,0,0,0.3);
-            overflow: hidden;
-        }
-        .header {
-            background: linear-gradient(45deg, #ff5555, #5555ff);
-            color: white;
-            padding: 30px;
-            text-align: center;
-        }
-        .content {
-            padding: 30px;
-        }
-        table {
-            width: 100%;
-            border-collapse: collapse;
-            margin: 20px 0;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-        th, td {
-            padding: 12px;
-            text-align: left;
-            border-bottom: 1px solid #ddd;
-        }
-        th {
-            background: #f8f9fa;
-            font-weight: bold;
-            color: #495057;
-        }
-        .team-a { color: #ff5555; font-weight: bold; }
-        .team-b { color: #5555ff; font-weight: bold; }
-        .section {
-            margin: 30px 0;
-        }
-        .section h2 {
-            color: #495057;
-            border-bottom: 2px solid #007bff;
-            padding-bottom: 10px;
-        }
-        .stats-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 20px;
-            margin: 20px 0;
-        }
-        .stat-card {
-            background: #f8f9fa;
-            padding: 20px;
-            border-radius: 8px;
-            text-align: center;
-            box-shadow: 0 2px 5px rgba(0,0,0,0.1);
+        const start = take(-length * 2, what);
+        return buffer.toString('utf16le', start, start - length * 2 - 2);
+    };
+    
+    const readProperties = depth => {
+        if (depth > 4) {
+            throw new Error('The replay header is nested too deeply');
         }
-        .match-item {
-            background: #f8f9fa;
-            padding: 15px;
-            margin: 10px 0;
-            border-radius: 8px;
-            border-left: 4px solid #007bff;
+        
+        const properties = {};
+        for (;;) {
+            const name = readString('property name');
+            if (name === 'None') return properties;
+            
+            const type = readString(`type of ${name}`);
+            take(8, `size of ${name}`);
+            properties[name] = readPropertyValue(name, type, depth);
         }
-        .footer {
-            text-align: center;
-            padding: 20px;
-            background: #f8f9fa;
-            color: #6c757d;
+    };
+    
+    const readPropertyValue = (name, type, depth) => {
+        switch (type) {
+            case 'IntProperty':
+                return readInt32(name);
+            case 'FloatProperty':
+                return buffer.readFloatLE(take(4, name));
+            case 'BoolProperty':
+                return buffer[take(1, name)] !== 0;
+            case 'QWordProperty':
+                return buffer.readBigUInt64LE(take(8, name)).toString();
+            case 'StrProperty':
+            case 'NameProperty':
+                return readString(name);
+            case 'ByteProperty': {
+                // Steam and PS4 platforms are stored as the enum value alone
+                const kind = readString(name);
+                return kind === 'OnlinePlatform_Steam' || kind === 'OnlinePlatform_PS4' ? kind : readString(name);
+            }
+            case 'ArrayProperty': {
+                const count = readInt32(name);
+                if (count < 0 || count > 1000) {
+                    throw new Error(`The replay has an invalid ${name} list`);
+                }
+                return Array.from({ length: count }, () => readProperties(depth + 1));
+            }
+            case 'StructProperty':
+                return { structType: readString(name), ...readProperties(depth + 1) };
+            default:
+                throw new Error(`The replay uses an unknown property type "${type}"`);
         }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🏆 Discord Stats Bot Report</h1>
-            <p>Generated: ${reportDate}</p>
-            ${teamFilter ? `<p>Team Filter: ${teamFilter}</p>` : '<p>All Teams Report</p>'}
-        </div>
-        
-        <div class="content">`;
+    };
     
-    // Team Standings
-    if (!teamFilter) {
-        const aWinRate = aTeamStats.wins + aTeamStats.losses > 0 ? 
-            ((aTeamStats.wins / (aTeamStats.wins + aTeamStats.losses)) * 100).toFixed(1) : '0.0';
-        const bWinRate = bTeamStats.wins + bTeamStats.losses > 0 ? 
-            ((bTeamStats.wins / (bTeamStats.wins + bTeamStats.losses)) * 100).toFixed(1) : '0.0';
+    let headerSize;
+    let replayClass;
+    try {
+        headerSize = readInt32('header size');
+        take(4, 'header CRC');
         
-        html += `
-            <div class="section">
-                <h2>📊 Team Standings</h2>
-                <div class="stats-grid">
-                    <div class="stat-card">
-                        <h3 class="team-a">A-Team</h3>
-                        <p><strong>${aTeamStats.wins}</strong> Wins</p>
-                        <p><strong>${aTeamStats.losses}</strong> Losses</p>
-                        <p><strong>${aWinRate}%</strong> Win Rate</p>
-                    </div>
-                    <div class="stat-card">
-                        <h3 class="team-b">B-Team</h3>
-                        <p><strong>${bTeamStats.wins}</strong> Wins</p>
-                        <p><strong>${bTeamStats.losses}</strong> Losses</p>
-                        <p><strong>${bWinRate}%</strong> Win Rate</p>
-                    </div>
-                </div>
-            </div>`;
+        const engineVersion = readInt32('engine version');
+        const licenseeVersion = readInt32('licensee version');
+        if (engineVersion >= 868 && licenseeVersion >= 18) {
+            readInt32('net version');
+        }
+        replayClass = readString('replay class');
+    } catch (error) {
+        replayClass = '';
     }
     
-    // Player Statistics
-    html += `
-        <div class="section">
-            <h2>👥 Player Statistics</h2>`;
-    
-    if (players.length === 0) {
-        html += '<p>No players found.</p>';
-    } else {
-        players.sort((a, b) => b.goals - a.goals);
-        
-        html += `
-            <table>
-                <thead>
-                    <tr>
-                        <th>Player</th>
-                        <th>Team</th>
-                        <th>Games</th>
-                        <th>Goals</th>
-                        <th>Assists</th>
-                        <th>Saves</th>
-                        <th>Shots</th>
-                        <th>MVPs</th>
-                        <th>Goals/Game</th>
-                        <th>MVP Rate</th>
-                    </tr>
-                </thead>
-                <tbody>`;
-        
-        players.forEach(player => {
-            const teamClass = player.team === 'A-Team' ? 'team-a' : 'team-b';
-            const goalsPerGame = player.gamesPlayed > 0 ? (player.goals / player.gamesPlayed).toFixed(2) : '0.00';
-            const mvpRate = player.gamesPlayed > 0 ? ((player.mvps / player.gamesPlayed) * 100).toFixed(1) : '0.0';
-            
-            html += `
-                <tr>
-                    <td><strong>${player.displayName}</strong></td>
-                    <td class="${teamClass}">${player.team}</td>
-                    <td>${player.gamesPlayed}</td>
-                    <td>${player.goals}</td>
-                    <td>${player.assists}</td>
-                    <td>${player.saves}</td>
-                    <td>${player.shots || 0}</td>
-                    <td>${player.mvps}</td>
-                    <td>${goalsPerGame}</td>
-                    <td>${mvpRate}%</td>
-                </tr>`;
-        });
-        
-        html += `
-                </tbody>
-            </table>`;
+    if (!replayClass.startsWith('TAGame.Replay')) {
+        throw new Error('This is not a Rocket League replay file');
     }
-    
-    html += '</div>';
-    
-    // Upcoming Matches
-    if (upcomingMatches.length > 0) {
-        html += `
-            <div class="section">
-                <h2>📅 Upcoming Matches</h2>`;
-        
-        upcomingMatches.forEach((match, index) => {
-            const date = new Date(match.dateTime);
-            const swedenTime = formatSwedenTime(date);
-            html += `
-                <div class="match-item">
-                    <h4>${match.team1} vs ${match.team2}</h4>
-                    <p><strong>Date:</strong> ${swedenTime.full}</p>
-                    ${match.description ? `<p><strong>Description:</strong> ${match.description}</p>` : ''}
-                </div>`;
-        });
-        
-        html += '</div>';
+    if (headerSize + 8 > buffer.length) {
+        throw new Error('The replay is cut off or damaged');
     }
     
-    html += `
-        </div>
-        
-        <div class="footer">
-            <p>Generated by Discord Stats Bot | ${reportDate}</p>
-        </div>
-    </div>
-</body>
-</html>`;
-    
-    return html;
+    return readProperties(0);
 }
 
-async function generatePlayerReport(player, format = 'txt') {
-    const recentGames = await db.getRecentGames(player.discordId, 10);
-    const achievements = calculateAchievements(player);
-    const progress = calculateAchievementProgress(player);
-    
-    if (format === 'html') {
-        return generatePlayerHTMLReport(player, recentGames, achievements, progress);
-    } else {
-        return generatePlayerTextReport(player, recentGames, achievements, progress);
-    }
+// Replay dates look like "2025-06-30 19-05-12" (local time of the recording machine)
+function parseReplayDate(value) {
+    const parts = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2}) (\d{2})-(\d{2})-(\d{2})$/);
+    if (!parts) return null;
+    const [, year, month, day, hour, minute, second] = parts.map(Number);
+    return new Date(year, month - 1, day, hour, minute, second);
 }
 
-function generatePlayerTextReport(player, recentGames, achievements, progress) {
-    const reportDate = new Date().toLocaleString();
-    const goalsPerGame = player.gamesPlayed > 0 ? (player.goals / player.gamesPlayed).toFixed(2) : '0.00';
-    const assistsPerGame = player.gamesPlayed > 0 ? (player.assists / player.gamesPlayed).toFixed(2) : '0.00';
-    const mvpRate = player.gamesPlayed > 0 ? ((player.mvps / player.gamesPlayed) * 100).toFixed(1) : '0.0';
+// Score, players and a stable ID of a parsed replay. Replays do not store the MVP,
+// so like the game it goes to the best scoring player of the winning team.
+function summarizeReplay(properties, buffer) {
+    const score = [properties.Team0Score || 0, properties.Team1Score || 0];
+    const players = (properties.PlayerStats || [])
+        .filter(stats => !stats.bBot && typeof stats.Name === 'string')
+        .map(stats => ({
+            name: stats.Name,
+            platform: REPLAY_PLATFORMS[stats.Platform] || null,
+            side: stats.Team === 1 ? 1 : 0,
+            score: stats.Score || 0,
+            goals: stats.Goals || 0,
+            assists: stats.Assists || 0,
+            saves: stats.Saves || 0,
+            shots: stats.Shots || 0,
+            mvp: false
+        }));
     
-    let report = '';
-    report += '='.repeat(50) + '\n';
-    report += `PLAYER REPORT: ${player.displayName}\n`;
-    report += '='.repeat(50) + '\n';
-    report += `Generated: ${reportDate}\n`;
-    report += `Team: ${player.team}\n`;
-    report += '='.repeat(50) + '\n\n';
+    const winningSide = score[0] > score[1] ? 0 : 1;
+    const mvp = players
+        .filter(player => player.side === winningSide)
+        .sort((a, b) => b.score - a.score)[0];
+    if (mvp && score[0] !== score[1]) mvp.mvp = true;
     
-    // Basic Stats
-    report += '📊 STATISTICS\n';
-    report += '-'.repeat(15) + '\n';
-    report += `Games Played: ${player.gamesPlayed}\n`;
-    report += `Goals: ${player.goals} (${goalsPerGame} per game)\n`;
-    report += `Assists: ${player.assists} (${assistsPerGame} per game)\n`;
-    report += `Saves: ${player.saves}\n`;
-    report += `Shots: ${player.shots || 0}\n`;
-    report += `MVPs: ${player.mvps} (${mvpRate}% of games)\n\n`;
+    return {
+        id: properties.Id || properties.MatchGUID || crypto.createHash('sha256').update(buffer).digest('hex'),
+        date: parseReplayDate(properties.Date),
+        score,
+        players
+    };
+}
+
+// Registered player whose alias matches an in-game name (aliases without a platform match any platform)
+function findPlayerByAlias(players, name, platform) {
+    const lowerName = name.toLowerCase();
+    return players.find(player => (player.aliases || []).some(alias =>
+        alias.name.toLowerCase() === lowerName && (!alias.platform || !platform || alias.platform === platform)
+    )) || null;
+}
+
+// Work out which team played a replay side: the team most of its matched players are on
+function guessReplayTeam(replayPlayers, side) {
+    const counts = new Map();
+    replayPlayers
+        .filter(entry => entry.side === side && entry.player && entry.player.team)
+        .forEach(entry => counts.set(entry.player.team, (counts.get(entry.player.team) || 0) + 1));
+    const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    return ranked.length > 0 ? ranked[0][0] : null;
+}
+
+// Replay JSON Helpers
+// Replay JSON exports (ballchasing-style) name platforms a little differently from replay headers
+const REPLAY_JSON_PLATFORMS = {
+    steam: 'steam',
+    epic: 'epic',
+    ps4: 'psn',
+    psn: 'psn',
+    xbox: 'xbox',
+    switch: 'switch'
+};
+
+// Extended stats kept on imported game records for reports: where they are in a player's
+// stats and how reports label them
+const REPLAY_EXTENDED_STATS = {
+    boostPerMinute: { path: ['boost', 'bpm'], label: 'Boost used per minute' },
+    averageBoost: { path: ['boost', 'avg_amount'], label: 'Average boost amount' },
+    boostCollected: { path: ['boost', 'amount_collected'], label: 'Boost collected' },
+    boostStolen: { path: ['boost', 'amount_stolen'], label: 'Boost stolen' },
+    timeZeroBoost: { path: ['boost', 'time_zero_boost'], label: 'Time on zero boost', unit: 's' },
+    averageSpeed: { path: ['movement', 'avg_speed'], label: 'Average speed', unit: 'uu/s' },
+    timeSupersonic: { path: ['movement', 'time_supersonic_speed'], label: 'Time supersonic', unit: 's' },
+    timeOnGround: { path: ['movement', 'time_ground'], label: 'Time on ground', unit: 's' },
+    timeLowAir: { path: ['movement', 'time_low_air'], label: 'Time in low air', unit: 's' },
+    timeHighAir: { path: ['movement', 'time_high_air'], label: 'Time in high air', unit: 's' },
+    averageDistanceToBall: { path: ['positioning', 'avg_distance_to_ball'], label: 'Average distance to ball', unit: 'uu' },
+    timeDefensiveThird: { path: ['positioning', 'time_defensive_third'], label: 'Time in defensive third', unit: 's' },
+    timeOffensiveThird: { path: ['positioning', 'time_offensive_third'], label: 'Time in offensive third', unit: 's' },
+    timeBehindBall: { path: ['positioning', 'time_behind_ball'], label: 'Time behind ball', unit: 's' },
+    demosInflicted: { path: ['demo', 'inflicted'], label: 'Demos inflicted' },
+    demosTaken: { path: ['demo', 'taken'], label: 'Demos taken' }
+};
+
+// Read replay JSON (one replay, an array of replays or a { list: [...] } page) into replays
+// with a stable ID, score and each player's core and extended stats
+function parseReplayJson(json) {
+    const replays = Array.isArray(json) ? json : isPlainObject(json) && Array.isArray(json.list) ? json.list : [json];
     
-    // Recent Form
-    if (recentGames.length > 0) {
-        report += `📈 RECENT FORM (Last ${recentGames.length} games)\n`;
-        report += '-'.repeat(30) + '\n';
+    return replays.map((replay, index) => {
+        const label = replays.length > 1 ? `Replay ${index + 1}` : 'The replay';
+        if (!isPlainObject(replay) || !isPlainObject(replay.blue) || !isPlainObject(replay.orange)) {
+            throw new Error(`${label} has no blue and orange team stats`);
+        }
         
-        const recentTotals = recentGames.reduce((totals, game) => {
-            totals.goals += game.goals || 0;
-            totals.assists += game.assists || 0;
-            totals.saves += game.saves || 0;
-            totals.mvps += game.mvps || 0;
-            return totals;
-        }, { goals: 0, assists: 0, saves: 0, mvps: 0 });
+        const date = replay.date ? new Date(replay.date) : null;
+        if (date && isNaN(date.getTime())) {
+            throw new Error(`${label} has an invalid date "${replay.date}"`);
+        }
         
-        report += `Goals: ${recentTotals.goals} (${(recentTotals.goals / recentGames.length).toFixed(2)} avg)\n`;
-        report += `Assists: ${recentTotals.assists} (${(recentTotals.assists / recentGames.length).toFixed(2)} avg)\n`;
-        report += `Saves: ${recentTotals.saves} (${(recentTotals.saves / recentGames.length).toFixed(2)} avg)\n`;
-        report += `MVPs: ${recentTotals.mvps}\n\n`;
+        const players = ['blue', 'orange'].flatMap((color, side) => (replay[color].players || []).map(entry => {
+            const stats = isPlainObject(entry.stats) ? entry.stats : {};
+            const core = isPlainObject(stats.core) ? stats.core : {};
+            const extended = {};
+            Object.entries(REPLAY_EXTENDED_STATS).forEach(([key, { path: [section, field] }]) => {
+                const value = isPlainObject(stats[section]) ? stats[section][field] : undefined;
+                if (typeof value === 'number' && Number.isFinite(value)) extended[key] = value;
+            });
+            
+            return {
+                name: String(entry.name || ''),
+                platform: isPlainObject(entry.id) ? REPLAY_JSON_PLATFORMS[entry.id.platform] || null : null,
+                side,
+                goals: core.goals || 0,
+                assists: core.assists || 0,
+                saves: core.saves || 0,
+                shots: core.shots || 0,
+                mvp: Boolean(core.mvp || entry.mvp),
+                extended
+            };
+        }));
         
-        report += 'Recent Games:\n';
-        recentGames.slice(0, 5).forEach((game, index) => {
-            const date = new Date(game.timestamp).toLocaleDateString();
-            report += `${index + 1}. ${date}: ${game.goals}G ${game.assists}A ${game.saves}S${game.mvps > 0 ? ' MVP' : ''}\n`;
+        // Team goals fall back to the players' goals for exports without team stats
+        const score = ['blue', 'orange'].map((color, side) => {
+            const teamStats = isPlainObject(replay[color].stats) && isPlainObject(replay[color].stats.core) ? replay[color].stats.core : {};
+            return typeof teamStats.goals === 'number'
+                ? teamStats.goals
+                : players.filter(player => player.side === side).reduce((sum, player) => sum + player.goals, 0);
         });
-        report += '\n';
-    }
+        
+        return {
+            // rocket_league_id is the ID from the replay header, so uploads of the .replay file match too
+            id: String(replay.rocket_league_id || replay.id || crypto.createHash('sha256').update(JSON.stringify(replay)).digest('hex')),
+            title: replay.title || replay.replay_title || null,
+            date,
+            score,
+            players
+        };
+    });
+}
+
+// Turn parsed replays into game rows for db.importStatRows. Replays that were imported
+// before (or appear twice) and players without an alias are skipped with a reason.
+function prepareReplayImport(replays, players, knownReplayIds) {
+    const rows = [];
+    const skipped = [];
+    const seenReplayIds = new Set();
     
-    // Achievements
-    report += '🏆 ACHIEVEMENTS\n';
-    report += '-'.repeat(15) + '\n';
-    if (achievements === 'No achievements yet') {
-        report += 'No achievements unlocked yet.\n\n';
-    } else {
-        const achievementList = achievements.split('\n');
-        achievementList.forEach(achievement => {
-            report += `${achievement}\n`;
+    replays.forEach(replay => {
+        const label = replay.title || (replay.date ? replay.date.toISOString().slice(0, 16).replace('T', ' ') : replay.id);
+        if (knownReplayIds.has(replay.id)) {
+            skipped.push(`${label}: already imported`);
+            return;
+        }
+        if (seenReplayIds.has(replay.id)) {
+            skipped.push(`${label}: listed more than once`);
+            return;
+        }
+        seenReplayIds.add(replay.id);
+        
+        const matchedIds = new Set();
+        replay.players.forEach(entry => {
+            const player = findPlayerByAlias(players, entry.name, entry.platform);
+            if (!player) {
+                skipped.push(`${label}: "${entry.name}" has no alias`);
+                return;
+            }
+            if (matchedIds.has(player.discordId)) {
+                skipped.push(`${label}: "${entry.name}" is a second name of ${player.displayName}`);
+                return;
+            }
+            matchedIds.add(player.discordId);
+            
+            rows.push({
+                player,
+                discordId: player.discordId,
+                stats: getGameRecordStats(entry),
+                timestamp: replay.date ? replay.date.toISOString() : null,
+                replayId: replay.id,
+                extended: entry.extended
+            });
         });
-        report += '\n';
-    }
+    });
     
-    // Progress
-    if (progress.length > 0) {
-        report += '🎯 ACHIEVEMENT PROGRESS\n';
-        report += '-'.repeat(25) + '\n';
-        progress.slice(0, 5).forEach(prog => {
-            report += `${prog.achievement.name}: ${prog.current}/${prog.target} (${prog.percentage}%)\n`;
-            report += `  Need ${prog.needed} more ${prog.category.toLowerCase()}\n`;
-        });
-        report += '\n';
-    }
+    return { rows, skipped, replayCount: seenReplayIds.size };
+}
+
+// Per-game averages of the extended replay stats of a player's games (null without any)
+function averageExtendedStats(games) {
+    const replayGames = games.filter(game => isPlainObject(game.extended));
+    if (replayGames.length === 0) return null;
     
-    report += '='.repeat(50) + '\n';
-    report += 'End of Player Report\n';
-    report += '='.repeat(50) + '\n';
-    
-    return report;
+    const averages = {};
+    Object.keys(REPLAY_EXTENDED_STATS).forEach(key => {
+        const values = replayGames.map(game => game.extended[key]).filter(value => typeof value === 'number');
+        if (values.length > 0) {
+            averages[key] = values.reduce((sum, value) => sum + value, 0) / values.length;
+        }
+    });
+    return { games: replayGames.length, averages };
 }
 
-function generatePlayerHTMLReport(player, recentGames, achievements, progress) {
-    const reportDate = new Date().toLocaleString();
-    const teamColor = player.team === 'A-Team' ? '#ff5555' : '#5555ff';
-    const goalsPerGame = player.gamesPlayed > 0 ? (player.goals / player.gamesPlayed).toFixed(2) : '0.00';
-    const assistsPerGame = player.gamesPlayed > 0 ? (player.assists / player.gamesPlayed).toFixed(2) : '0.00';
-    const mvpRate = player.gamesPlayed > 0 ? ((player.mvps / player.gamesPlayed) * 100).toFixed(1) : '0.0';
-    
-    let html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${player.displayName} - Player Report</title>
-    <style>
-        body {
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            margin: 20px;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: #333;
-        }
-        .container {
-            max-width: 800px;
-            margin: 0 auto;
-            background: white;
-            border-radius: 10px;
-            box-shadow: 0 10px 30px rgba(0,0,0,0.3);
-            overflow: hidden;
-        }
-        .header {
-            background: ${teamColor};
-            color: white;
-            padding: 30px;
-            text-align: center;
-        }
-        .content {
-            padding: 30px;
-        }
-        .stats-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
-            gap: 15px;
-            margin: 20px 0;
-        }
-        .stat-card {
-            background: #f8f9fa;
-            padding: 15px;
-            border-radius: 8px;
-            text-align: center;
-            box-shadow: 0 2px 5px rgba(0,0,0,0.1);
-        }
-        .stat-value {
-            font-size: 24px;
-            font-weight: bold;
-            color: ${teamColor};
-        }
-        .section {
-            margin: 25px 0;
+// "Boost used per minute: 412.3" style lines for report sections
+function formatExtendedStatLines(replayStats) {
+    return Object.entries(replayStats.averages).map(([key, value]) => {
+        const { label, unit } = REPLAY_EXTENDED_STATS[key];
+        return `${label}: ${Number(value.toFixed(1))}${unit ? ` ${unit}` : ''}`;
+    });
+}
+
+// Stat Submission Helpers
+const MAX_PENDING_SUBMISSIONS = 5;
+
+// Change one stored submission. Review actions need it to still be pending; one that ran
+// out of time is marked expired on the spot instead.
+async function changeSubmission(submissionId, mustBePending, change) {
+    return withFileLock(config.submissionsFilePath, async () => {
+        const submissions = await db.readSubmissionsFile();
+        const submission = submissions.find(s => s.id === submissionId);
+        if (!submission) {
+            throw new Error('Submission not found');
         }
-        .section h3 {
-            color: #495057;
-            border-bottom: 2px solid ${teamColor};
-            padding-bottom: 8px;
+        
+        if (mustBePending && submission.status === 'pending' && new Date(submission.expiresAt) <= new Date()) {
+            submission.status = 'expired';
+            await db.writeSubmissionsFile(submissions);
         }
-        .progress-bar {
-            background: #e9ecef;
-            border-radius: 10px;
-            overflow: hidden;
-            margin: 5px 0;
+        if (mustBePending && submission.status !== 'pending') {
+            throw new Error(`Submission #${submission.id} was already ${submission.status}`);
         }
-        .progress-fill {
-            background: ${teamColor};
-            height: 20px;
-            border-radius: 10px;
-            transition: width 0.3s ease;
+        
+        await change(submission);
+        await db.writeSubmissionsFile(submissions);
+        return submission;
+    });
+}
+
+const db = {
+    // Read entire players file
+    readPlayersFile: async () => {
+        return readDataFile(config.dataFilePath, 'players', () => [], Array.isArray);
+    },
+
+    // Write players data to file
+    writePlayersFile: async (players) => {
+        try {
+            await writeDataFile(config.dataFilePath, 'players', players);
+        } catch (error) {
+            console.error('Error writing players file:', error);
+            throw error;
         }
-        .game-item {
-            background: #f8f9fa;
-            padding: 10px;
-            margin: 5px 0;
-            border-radius: 5px;
-            border-left: 3px solid ${teamColor};
+    },
+
+    // Read team stats file
+    readTeamStatsFile: async () => {
+        return readDataFile(config.teamStatsFilePath, 'teamStats', () => db.getDefaultTeamStats(), isPlainObject);
+    },
+
+    // Write team stats data to file
+    writeTeamStatsFile: async (teamStats) => {
+        try {
+            await writeDataFile(config.teamStatsFilePath, 'teamStats', teamStats);
+        } catch (error) {
+            console.error('Error writing team stats file:', error);
+            throw error;
         }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>🏆 ${player.displayName}</h1>
-            <h2>${player.team}</h2>
-            <p>Player Report - ${reportDate}</p>
-        </div>
+    },
+
+    // Get team stats (the record of one season when a season ID is given)
+    getTeamStats: async (teamName, seasonId = null) => {
+        const teamStats = await db.readTeamStatsFile();
+        const key = findTeamKey(teamStats, teamName);
+        if (seasonId) return getTeamSeasonRecord(teamStats[key], seasonId);
+        return teamStats[key] || { wins: 0, losses: 0 };
+    },
+
+    // Update team stats (add wins/losses)
+    updateTeamStats: async (teamName, wins = 0, losses = 0) => {
+        return withFileLock(config.teamStatsFilePath, async () => {
+            const teamStats = await db.readTeamStatsFile();
+            const activeSeason = await db.getActiveSeason();
+            teamName = findTeamKey(teamStats, teamName) || teamName;
         
-        <div class="content">
-            <div class="section">
-                <h3>📊 Statistics</h3>
-                <div class="stats-grid">
-                    <div class="stat-card">
-                        <div class="stat-value">${player.gamesPlayed}</div>
-                        <div>Games Played</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-value">${player.goals}</div>
-                        <div>Goals (${goalsPerGame}/game)</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-value">${player.assists}</div>
-                        <div>Assists (${assistsPerGame}/game)</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-value">${player.saves}</div>
-                        <div>Saves</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-value">${player.shots || 0}</div>
-                        <div>Shots</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-value">${player.mvps}</div>
-                        <div>MVPs (${mvpRate}%)</div>
-                    </div>
-                </div>
-            </div>`;
-    
-    // Recent Games
-    if (recentGames.length > 0) {
-        html += `
-            <div class="section">
-                <h3>📈 Recent Form (Last ${recentGames.length} games)</h3>`;
+            if (!teamStats[teamName]) {
+                teamStats[teamName] = { wins: 0, losses: 0 };
+            }
         
-        recentGames.slice(0, 5).forEach((game, index) => {
-            const date = new Date(game.timestamp).toLocaleDateString();
-            html += `
-                <div class="game-item">
-                    <strong>${date}:</strong> ${game.goals} Goals, ${game.assists} Assists, ${game.saves} Saves${game.mvps > 0 ? ' 🏆 MVP' : ''}
-                </div>`;
+            // Ensures no negative values
+            applyTeamRecordChange(teamStats[teamName], wins, losses, activeSeason ? activeSeason.id : null);
+        
+            await db.writeTeamStatsFile(teamStats);
+            return teamStats[teamName];
         });
+    },
+
+    // Remove team stats (supports negative values for removal)
+    removeTeamStats: async (teamName, wins = 0, losses = 0) => {
+        return withFileLock(config.teamStatsFilePath, async () => {
+            const teamStats = await db.readTeamStatsFile();
+            const activeSeason = await db.getActiveSeason();
+            teamName = findTeamKey(teamStats, teamName) || teamName;
         
-        html += '</div>';
-    }
-    
-    // Achievement Progress
-    if (progress.length > 0) {
-        html += `
-            <div class="section">
-                <h3>🎯 Achievement Progress</h3>`;
+            if (!teamStats[teamName]) {
+                teamStats[teamName] = { wins: 0, losses: 0 };
+            }
         
-        progress.slice(0, 5).forEach(prog => {
-            html += `
-                <div style="margin: 15px 0;">
-                    <div><strong>${prog.achievement.name}</strong> - ${prog.current}/${prog.target} (${prog.percentage}%)</div>
-                    <div class="progress-bar">
-                        <div class="progress-fill" style="width: ${prog.percentage}%"></div>
-                    </div>
-                    <small>Need ${prog.needed} more ${prog.category.toLowerCase()}</small>
-                </div>`;
-        });
+            // Ensures no negative values
+            applyTeamRecordChange(teamStats[teamName], -wins, -losses, activeSeason ? activeSeason.id : null);
         
-        html += '</div>';
-    }
-    
-    html += `
-        </div>
-    </div>
-</body>
-</html>`;
-    
-    return html;
-}
+            await db.writeTeamStatsFile(teamStats);
+            return teamStats[teamName];
+        });
+    },
 
-// Create achievements list embed
-function createAchievementsEmbed() {
-    const embed = createEmbed('🏆 Available Achievements', 'Complete these challenges to unlock achievements!');
-    
-    Object.keys(ACHIEVEMENTS).forEach(category => {
-        const categoryName = category.charAt(0).toUpperCase() + category.slice(1);
-        let achievementsList = '';
-        
-        ACHIEVEMENTS[category].forEach(achievement => {
-            achievementsList += `${achievement.emoji} **${achievement.name}**: ${achievement.description}\n`;
+    // Reset every team to a 0-0 record (team metadata is kept). The match results go as well, as
+    // series, head-to-head records and team ratings are worked out from them.
+    resetTeamRecords: async () => {
+        return withFileLocks([config.teamStatsFilePath, config.matchResultsFilePath], async () => {
+            const teamStats = await db.readTeamStatsFile();
+            Object.keys(teamStats).forEach(team => {
+                teamStats[team].wins = 0;
+                teamStats[team].losses = 0;
+                delete teamStats[team].seasons;
+            });
+            
+            await db.writeTeamStatsFile(teamStats);
+            await db.writeMatchResultsFile([]);
+            return Object.keys(teamStats);
         });
-        
-        embed.addFields({
-            name: `${categoryName} Achievements`,
-            value: achievementsList,
-            inline: false
+    },
+
+    // Team Registry Functions
+    // Each entry in team-stats.json holds the team record plus its metadata
+    createTeamEntry: (name, { color = null, captainId = null, rosterLimit = null } = {}) => {
+        return {
+            name,
+            wins: 0,
+            losses: 0,
+            color: color || getDefaultTeamColor(name),
+            captainId,
+            rosterLimit,
+            createdAt: new Date().toISOString()
+        };
+    },
+
+    // Default registry used for new installs and full resets
+    getDefaultTeamStats: () => {
+        return {
+            [config.teams.a]: db.createTeamEntry(config.teams.a),
+            [config.teams.b]: db.createTeamEntry(config.teams.b)
+        };
+    },
+
+    // Get all registered team names
+    getAllTeams: async () => {
+        const teamStats = await db.readTeamStatsFile();
+        return Object.keys(teamStats);
+    },
+
+    // Get a team with its metadata (lookup is case insensitive)
+    getTeam: async (teamName) => {
+        const teamStats = await db.readTeamStatsFile();
+        const key = findTeamKey(teamStats, teamName);
+        if (!key) return null;
+
+        // Older entries only stored wins/losses, fill in the metadata
+        return {
+            ...db.createTeamEntry(key),
+            createdAt: null,
+            ...teamStats[key],
+            name: key
+        };
+    },
+
+    // Create a new team
+    createTeam: async (teamName, options = {}) => {
+        validateTeamName(teamName);
+        return withFileLock(config.teamStatsFilePath, async () => {
+            const teamStats = await db.readTeamStatsFile();
+
+            if (findTeamKey(teamStats, teamName)) {
+                throw new Error(`Team "${teamName}" already exists`);
+            }
+
+            const opponent = findOpponent(await db.readOpponentsFile(), teamName);
+            if (opponent) {
+                throw new Error(`"${opponent.name}" is registered as an opponent`);
+            }
+
+            teamStats[teamName] = db.createTeamEntry(teamName, options);
+            await db.writeTeamStatsFile(teamStats);
+            return teamStats[teamName];
         });
-    });
-    
-    embed.addFields({
-        name: '📈 **Track Your Progress**',
-        value: 'Use `/my-stats` to see your progress toward next achievements!\nAchievement notifications coming soon! 🎉',
-        inline: false
-    });
-    
-    return embed;
-}
+    },
 
-// Create player stats embed (updated to remove demos)
-function playerStatsEmbed(player) {
-    const teamColor = player.team === 'A-Team' ? config.colors.aTeam : config.colors.bTeam;
-    
-    return new EmbedBuilder()
-        .setColor(teamColor)
-        .setTitle(`${player.displayName}'s Stats`)
-        .setDescription(`Team: **${player.team}**`)
-        .addFields(
-            { name: '🎮 Games Played', value: player.gamesPlayed.toString(), inline: true },
-            { name: '⚽ Goals', value: player.goals.toString(), inline: true },
-            { name: '👟 Assists', value: player.assists.toString(), inline: true },
-            { name: '🧤 Saves', value: player.saves.toString(), inline: true },
-            { name: '🎯 Shots', value: (player.shots || 0).toString(), inline: true },
-            { name: '🏆 MVPs', value: player.mvps.toString(), inline: true },
-            { name: '👑 Achievements', value: calculateAchievements(player) }
-        )
-        .setFooter({ text: 'Stats Bot', iconURL: 'https://i.imgur.com/wSTFkRM.png' })
-        .setTimestamp();
-}
+    // Delete a team (only allowed when no players are assigned to it)
+    deleteTeam: async (teamName) => {
+        return withFileLocks([config.teamStatsFilePath, config.dataFilePath], async () => {
+            const teamStats = await db.readTeamStatsFile();
+            const key = findTeamKey(teamStats, teamName);
 
-// Interaction handler
-client.on('interactionCreate', async interaction => {
-    if (!interaction.isChatInputCommand()) return;
-    
-    try {
+            if (!key) {
+                throw new Error(`Team "${teamName}" does not exist`);
+            }
+
+            const players = await db.readPlayersFile();
+            const assignedPlayers = players.filter(p => p.team === key);
+            if (assignedPlayers.length > 0) {
+                throw new Error(`${key} still has ${assignedPlayers.length} player(s) assigned. Move them to another team with \`/register\` first.`);
+            }
+
+            const deletedTeam = teamStats[key];
+            delete teamStats[key];
+            await db.writeTeamStatsFile(teamStats);
+            return { name: key, ...deletedTeam };
+        });
+    },
+
+    // Rename a team and update every reference to it
+    renameTeam: async (oldName, newName) => {
+        validateTeamName(newName);
+        return withFileLocks(DATA_FILES.map(file => file.filePath), async () => {
+            const teamStats = await db.readTeamStatsFile();
+            const oldKey = findTeamKey(teamStats, oldName);
+
+            if (!oldKey) {
+                throw new Error(`Team "${oldName}" does not exist`);
+            }
+
+            const existingKey = findTeamKey(teamStats, newName);
+            if (existingKey && existingKey !== oldKey) {
+                throw new Error(`Team "${existingKey}" already exists`);
+            }
+
+            const opponent = findOpponent(await db.readOpponentsFile(), newName);
+            if (opponent) {
+                throw new Error(`"${opponent.name}" is registered as an opponent`);
+            }
+
+            // Rebuild the object so the team keeps its position in the list
+            const renamedTeamStats = {};
+            Object.keys(teamStats).forEach(key => {
+                if (key === oldKey) {
+                    renamedTeamStats[newName] = { ...teamStats[key], name: newName };
+                } else {
+                    renamedTeamStats[key] = teamStats[key];
+                }
+            });
+
+            // Cascade to players
+            const players = await db.readPlayersFile();
+            let playersUpdated = 0;
+            players.forEach(player => {
+                if (!hasPlayedForTeam(player, oldKey)) return;
+                if (player.team === oldKey) {
+                    player.team = newName;
+                }
+                (player.roster || []).forEach(entry => {
+                    if (entry.team === oldKey) entry.team = newName;
+                });
+                if (player.teams && player.teams[oldKey]) {
+                    player.teams[newName] = player.teams[oldKey];
+                    delete player.teams[oldKey];
+                }
+                player.updatedAt = new Date().toISOString();
+                playersUpdated++;
+            });
+
+            // Cascade to game history
+            const gameHistory = await db.readGameHistoryFile();
+            let gamesUpdated = 0;
+            gameHistory.forEach(game => {
+                let changed = false;
+                if (game.team === oldKey) {
+                    game.team = newName;
+                    changed = true;
+                }
+                if (game.opponent === oldKey) {
+                    game.opponent = newName;
+                    changed = true;
+                }
+                if (changed) gamesUpdated++;
+            });
+
+            // Cascade to scheduled matches
+            const matches = await db.readScheduledMatchesFile();
+            let matchesUpdated = 0;
+            matches.forEach(match => {
+                let changed = false;
+                if (match.team1.toLowerCase() === oldKey.toLowerCase()) {
+                    match.team1 = newName;
+                    changed = true;
+                }
+                if (match.team2.toLowerCase() === oldKey.toLowerCase()) {
+                    match.team2 = newName;
+                    changed = true;
+                }
+                if (changed) matchesUpdated++;
+            });
+
+            // Cascade to match results and their player lines
+            const matchResults = await db.readMatchResultsFile();
+            let resultsUpdated = 0;
+            matchResults.forEach(match => {
+                if (match.team1 !== oldKey && match.team2 !== oldKey) return;
+                ['team1', 'team2', 'winner'].forEach(field => {
+                    if (match[field] === oldKey) match[field] = newName;
+                });
+                match.lines.forEach(line => {
+                    if (line.team === oldKey) line.team = newName;
+                });
+                resultsUpdated++;
+            });
+
+            await db.writeTeamStatsFile(renamedTeamStats);
+            await db.writePlayersFile(players);
+            await db.writeGameHistoryFile(gameHistory);
+            await db.writeScheduledMatchesFile(matches);
+            await db.writeMatchResultsFile(matchResults);
+
+            return {
+                oldName: oldKey,
+                newName,
+                playersUpdated,
+                gamesUpdated,
+                matchesUpdated,
+                resultsUpdated
+            };
+        });
+    },
+
+    // Get a specific player
+    getPlayer: async (discordId) => {
+        const players = await db.readPlayersFile();
+        return players.find(p => p.discordId === discordId);
+    },
+
+    // Get all players, with one season's totals when a season ID is given. With a team, everyone
+    // who played for it is listed with only the stats they earned for that team.
+    getAllPlayers: async (team = null, seasonId = null) => {
+        const players = await db.readPlayersFile();
+        if (team) return getTeamPlayers(players, team, seasonId);
+        return (seasonId ? players.map(p => getPlayerSeasonView(p, seasonId)) : players)
+            .sort((a, b) => b.goals - a.goals);
+    },
+
+    // Players currently on a team (retired players are on no roster)
+    getTeamRoster: async (team) => {
+        const players = await db.readPlayersFile();
+        return players.filter(p => p.team === team && !p.retiredAt);
+    },
+
+    // A player's roster memberships, oldest first, and the totals they earned for each team
+    getPlayerHistory: async (discordId) => {
+        const player = await db.getPlayer(discordId);
+        if (!player) return null;
+        
+        const teams = [...new Set([...(player.roster || []).map(entry => entry.team), ...Object.keys(player.teams || {})])];
+        return {
+            player,
+            roster: player.roster || [],
+            teams: teams.map(team => getPlayerTeamView(player, team))
+        };
+    },
+
+    // Every active player ranked by a measure (see rankPlayers), optionally within one team and season
+    getLeaderboard: async (measure, options = {}) => {
+        return rankActivePlayers(measure, options);
+    },
+
+    // Create a new player with every catalog stat at 0
+    createPlayer: async (discordId, displayName, team) => {
+        return withFileLock(config.dataFilePath, async () => {
+            const players = await db.readPlayersFile();
+        
+            // Check if player already exists
+            if (players.some(p => p.discordId === discordId)) {
+                throw new Error('Player already exists');
+            }
+
+            const now = new Date().toISOString();
+            const newPlayer = {
+                discordId,
+                displayName,
+                team,
+                ...createEmptyStats(),
+                roster: [{ team, from: now, to: null }],
+                createdAt: now,
+                updatedAt: now
+            };
+
+            players.push(newPlayer);
+            await db.writePlayersFile(players);
+            return newPlayer;
+        });
+    },
+
+    // Update player stats
+    updatePlayerStats: async (discordId, stats) => {
+        return withFileLock(config.dataFilePath, async () => {
+            const players = await db.readPlayersFile();
+            const playerIndex = players.findIndex(p => p.discordId === discordId);
+        
+            if (playerIndex === -1) {
+                throw new Error('Player not found');
+            }
+        
+            // Update stats (career and current season)
+            const player = players[playerIndex];
+            const activeSeason = await db.getActiveSeason();
+            applyPlayerStatChange(player, stats, 1, activeSeason ? activeSeason.id : null);
+        
+            // Update timestamp
+            player.updatedAt = new Date().toISOString();
+        
+            // Write updated players back to file
+            await db.writePlayersFile(players);
+            return player;
+        });
+    },
+    
+    // Remove player stats
+    removePlayerStats: async (discordId, stats) => {
+        return withFileLock(config.dataFilePath, async () => {
+            const players = await db.readPlayersFile();
+            const playerIndex = players.findIndex(p => p.discordId === discordId);
+        
+            if (playerIndex === -1) {
+                throw new Error('Player not found');
+            }
+        
+            // Remove stats (career and current season)
+            const player = players[playerIndex];
+            const activeSeason = await db.getActiveSeason();
+            applyPlayerStatChange(player, stats, -1, activeSeason ? activeSeason.id : null);
+        
+            // Update timestamp
+            player.updatedAt = new Date().toISOString();
+        
+            // Write updated players back to file
+            await db.writePlayersFile(players);
+            return player;
+        });
+    },
+    
+    // Update player name
+    updatePlayerName: async (discordId, displayName) => {
+        return withFileLock(config.dataFilePath, async () => {
+            const players = await db.readPlayersFile();
+            const playerIndex = players.findIndex(p => p.discordId === discordId);
+        
+            if (playerIndex === -1) {
+                throw new Error('Player not found');
+            }
+        
+            // Update display name
+            players[playerIndex].displayName = displayName;
+            players[playerIndex].updatedAt = new Date().toISOString();
+        
+            // Write updated players back to file
+            await db.writePlayersFile(players);
+            return players[playerIndex];
+        });
+    },
+
+    // Move a player to another team: their current membership ends and a new one starts,
+    // while the stats they earned so far stay with their old team
+    setPlayerTeam: async (discordId, team) => {
+        return withFileLock(config.dataFilePath, async () => {
+            const players = await db.readPlayersFile();
+            const playerIndex = players.findIndex(p => p.discordId === discordId);
+            
+            if (playerIndex === -1) {
+                throw new Error('Player not found');
+            }
+            
+            const player = players[playerIndex];
+            const now = new Date().toISOString();
+            const roster = player.roster || [];
+            roster.forEach(entry => {
+                if (!entry.to) entry.to = now;
+            });
+            player.roster = [...roster, { team, from: now, to: null }];
+            player.team = team;
+            player.updatedAt = now;
+            
+            await db.writePlayersFile(players);
+            return player;
+        });
+    },
+
+    // Retire a player: their roster membership ends and they leave team views and
+    // leaderboards, while their stats stay in reports and the hall of fame
+    retirePlayer: async (discordId, retiredBy = null, reason = null) => {
+        return withFileLock(config.dataFilePath, async () => {
+            const players = await db.readPlayersFile();
+            const player = players.find(p => p.discordId === discordId);
+            
+            if (!player) {
+                throw new Error('Player not found');
+            }
+            if (player.retiredAt) {
+                throw new Error(`${player.displayName} is already retired`);
+            }
+            
+            const now = new Date().toISOString();
+            (player.roster || []).forEach(entry => {
+                if (!entry.to) entry.to = now;
+            });
+            player.retiredAt = now;
+            player.retiredBy = retiredBy;
+            player.retiredReason = reason;
+            player.updatedAt = now;
+            
+            await db.writePlayersFile(players);
+            return player;
+        });
+    },
+
+    // Bring a retired player back on their last team (or another one) with a new roster membership
+    reinstatePlayer: async (discordId, team = null) => {
+        return withFileLock(config.dataFilePath, async () => {
+            const players = await db.readPlayersFile();
+            const player = players.find(p => p.discordId === discordId);
+            
+            if (!player) {
+                throw new Error('Player not found');
+            }
+            if (!player.retiredAt) {
+                throw new Error(`${player.displayName} is not retired`);
+            }
+            
+            const now = new Date().toISOString();
+            player.team = team || player.team;
+            player.roster = [...(player.roster || []), { team: player.team, from: now, to: null }];
+            delete player.retiredAt;
+            delete player.retiredBy;
+            delete player.retiredReason;
+            player.updatedAt = now;
+            
+            await db.writePlayersFile(players);
+            return player;
+        });
+    },
+
+    // What removing a player would delete: their game records and their lines in match results
+    getPlayerFootprint: async (discordId) => {
+        const gameHistory = await db.readGameHistoryFile();
+        const matchResults = await db.readMatchResultsFile();
+        return {
+            games: gameHistory.filter(game => game.discordId === discordId).length,
+            lines: matchResults.filter(match => match.lines.some(line => line.discordId === discordId)).length
+        };
+    },
+
+    // Remove a player for good, with their game records and their lines in match results
+    // (the team records of those matches are kept)
+    unregisterPlayer: async (discordId) => {
+        return withFileLocks(getMatchResultFiles(), async () => {
+            const players = await db.readPlayersFile();
+            const player = players.find(p => p.discordId === discordId);
+            
+            if (!player) {
+                throw new Error('Player not found');
+            }
+            
+            const gameHistory = await db.readGameHistoryFile();
+            const keptGames = gameHistory.filter(game => game.discordId !== discordId);
+            
+            const matchResults = await db.readMatchResultsFile();
+            let linesRemoved = 0;
+            matchResults.forEach(match => {
+                const lines = match.lines.filter(line => line.discordId !== discordId);
+                linesRemoved += match.lines.length - lines.length;
+                match.lines = lines;
+            });
+            
+            await db.writePlayersFile(players.filter(p => p !== player));
+            await db.writeGameHistoryFile(keptGames);
+            await db.writeMatchResultsFile(matchResults);
+            return { player, gamesRemoved: gameHistory.length - keptGames.length, linesRemoved };
+        });
+    },
+
+    // Retired players, most recently retired first
+    getRetiredPlayers: async () => {
+        const players = await db.readPlayersFile();
+        return players
+            .filter(p => p.retiredAt)
+            .sort((a, b) => new Date(b.retiredAt) - new Date(a.retiredAt));
+    },
+
+    // Link an in-game name to a player (platform is null for "any platform")
+    addPlayerAlias: async (discordId, name, platform = null) => {
+        return withFileLock(config.dataFilePath, async () => {
+            const players = await db.readPlayersFile();
+            const player = players.find(p => p.discordId === discordId);
+            
+            if (!player) {
+                throw new Error('Player not found');
+            }
+            
+            // Two players with the same in-game name must be told apart by platform
+            const owner = players.find(p => p.discordId !== discordId && (p.aliases || []).some(alias =>
+                alias.name.toLowerCase() === name.toLowerCase() && (!alias.platform || !platform || alias.platform === platform)
+            ));
+            if (owner) {
+                throw new Error(`"${name}" is already an alias of ${owner.displayName}`);
+            }
+            
+            player.aliases = (player.aliases || []).filter(alias =>
+                alias.name.toLowerCase() !== name.toLowerCase() || alias.platform !== platform
+            );
+            player.aliases.push({ name, platform });
+            player.updatedAt = new Date().toISOString();
+            
+            await db.writePlayersFile(players);
+            return player;
+        });
+    },
+
+    // Remove an in-game name from a player (on every platform)
+    removePlayerAlias: async (discordId, name) => {
+        return withFileLock(config.dataFilePath, async () => {
+            const players = await db.readPlayersFile();
+            const player = players.find(p => p.discordId === discordId);
+            
+            if (!player) {
+                throw new Error('Player not found');
+            }
+            
+            const aliases = (player.aliases || []).filter(alias => alias.name.toLowerCase() !== name.toLowerCase());
+            if (aliases.length === (player.aliases || []).length) {
+                throw new Error(`${player.displayName} has no alias "${name}"`);
+            }
+            
+            player.aliases = aliases;
+            player.updatedAt = new Date().toISOString();
+            
+            await db.writePlayersFile(players);
+            return player;
+        });
+    },
+
+    // Game History Functions
+    readGameHistoryFile: async () => {
+        return readDataFile(config.gameHistoryFilePath, 'gameHistory', () => [], Array.isArray);
+    },
+
+    writeGameHistoryFile: async (gameHistory) => {
+        try {
+            await writeDataFile(config.gameHistoryFilePath, 'gameHistory', gameHistory);
+        } catch (error) {
+            console.error('Error writing game history file:', error);
+            throw error;
+        }
+    },
+
+    // Add game record for recent form tracking
+    addGameRecord: async (discordId, gameStats) => {
+        return withFileLock(config.gameHistoryFilePath, async () => {
+            const gameHistory = await db.readGameHistoryFile();
+            const activeSeason = await db.getActiveSeason();
+            const gameRecord = {
+                id: createGameId(),
+                discordId,
+                timestamp: new Date().toISOString(),
+                season: activeSeason ? activeSeason.id : null,
+                ...gameStats
+            };
+        
+            gameHistory.push(gameRecord);
+            await db.writeGameHistoryFile(gameHistory);
+            return gameRecord;
+        });
+    },
+
+    // Add imported stat rows ({ discordId, stats, timestamp }): each row counts as one game
+    // for the player's totals and becomes its own game history record. Rows from replays
+    // also carry a replayId and extended stats, and a replay can only be imported once.
+    importStatRows: async (rows) => {
+        return withFileLocks([config.dataFilePath, config.gameHistoryFilePath], async () => {
+            const knownReplayIds = await db.getImportedReplayIds();
+            const duplicate = rows.find(row => row.replayId && knownReplayIds.has(row.replayId));
+            if (duplicate) {
+                throw new Error(`Replay ${duplicate.replayId} was already imported`);
+            }
+            
+            const players = await db.readPlayersFile();
+            const gameHistory = await db.readGameHistoryFile();
+            const seasons = await db.readSeasonsFile();
+            const importedAt = new Date().toISOString();
+            
+            rows.forEach(row => {
+                const player = players.find(p => p.discordId === row.discordId);
+                if (!player) {
+                    throw new Error(`Player ${row.discordId} not found`);
+                }
+                
+                // Like match results, each game counts for the season it was played in
+                const timestamp = row.timestamp || importedAt;
+                const season = findSeasonAt(seasons, timestamp);
+                const seasonId = season ? season.id : null;
+                const team = getPlayerTeamAt(player, timestamp);
+                applyPlayerStatChange(player, { gamesPlayed: 1, ...row.stats }, 1, seasonId, team);
+                player.updatedAt = importedAt;
+                gameHistory.push({
+                    id: createGameId(),
+                    discordId: row.discordId,
+                    timestamp,
+                    team,
+                    season: seasonId,
+                    ...row.stats,
+                    ...(row.replayId ? { replayId: row.replayId, extended: row.extended || {} } : {})
+                });
+            });
+            
+            await db.writePlayersFile(players);
+            await db.writeGameHistoryFile(gameHistory);
+            return rows.length;
+        });
+    },
+
+    // Replay IDs already recorded through /upload-replay or a replay JSON import
+    getImportedReplayIds: async () => {
+        const replayIds = new Set();
+        (await db.readMatchResultsFile()).forEach(match => match.replayId && replayIds.add(match.replayId));
+        (await db.readGameHistoryFile()).forEach(game => game.replayId && replayIds.add(game.replayId));
+        return replayIds;
+    },
+
+    // Get recent games for a player (last N games)
+    getRecentGames: async (discordId, limit = 10) => {
+        const gameHistory = await db.readGameHistoryFile();
+        return gameHistory
+            .filter(game => game.discordId === discordId)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, limit);
+    },
+
+    // Match Result Functions
+    // A match result is the source of truth for a played match: both teams, the
+    // score and one stat line per player. Team records, player totals and game
+    // history entries are derived from it when it is recorded, changed or deleted.
+    readMatchResultsFile: async () => {
+        return readDataFile(config.matchResultsFilePath, 'matchResults', () => [], Array.isArray);
+    },
+
+    writeMatchResultsFile: async (matchResults) => {
+        try {
+            await writeDataFile(config.matchResultsFilePath, 'matchResults', matchResults);
+        } catch (error) {
+            console.error('Error writing match results file:', error);
+            throw error;
+        }
+    },
+
+    // Get a single match result
+    getMatchResult: async (matchId) => {
+        const matchResults = await db.readMatchResultsFile();
+        return matchResults.find(match => match.id === matchId) || null;
+    },
+
+    // Get the most recent match results (optionally only those a team played in)
+    getMatchResults: async (limit = 10, team = null, seasonId = null) => {
+        const matchResults = await db.readMatchResultsFile();
+        const teamLower = team ? team.toLowerCase() : null;
+        return matchResults
+            .filter(match => !teamLower || match.team1.toLowerCase() === teamLower || match.team2.toLowerCase() === teamLower)
+            .filter(match => !seasonId || match.season === seasonId)
+            .sort((a, b) => new Date(b.date) - new Date(a.date))
+            .slice(0, limit);
+    },
+
+    // Record a played match, with optional player lines ({ discordId, team } plus a field per catalog stat, e.g. goals or mvp)
+    recordMatchResult: async (result) => {
+        return updateMatchResultData(data => addMatchResult(data, result));
+    },
+
+    // Record a finished best-of-N series: every game becomes a match result of its own
+    // (so it counts for the team records and can get player lines), tied together by a series ID.
+    // The date is when the first game was played.
+    recordSeriesResult: async ({ team1, team2, format, games, date = new Date().toISOString(), recordedBy = null }) => {
+        if (!SERIES_FORMATS.includes(format)) {
+            throw new Error(`A series is played as ${SERIES_FORMATS.map(n => `Bo${n}`).join(', ')}`);
+        }
+        
+        return updateMatchResultData(async (data) => {
+            let id = Date.now();
+            while (data.matchResults.some(m => m.series && m.series.id === `S${id}`)) id++;
+            
+            const matches = [];
+            for (const [index, game] of games.entries()) {
+                matches.push(await addMatchResult(data, {
+                    team1,
+                    team2,
+                    score1: game.score1,
+                    score2: game.score2,
+                    date: new Date(new Date(date).getTime() + index * SERIES_GAME_INTERVAL_MS).toISOString(),
+                    recordedBy,
+                    series: { id: `S${id}`, format, game: index + 1 }
+                }));
+            }
+            return summarizeSeries(matches);
+        });
+    },
+
+    // Get a series with its games (null if there is no series with this ID)
+    getSeriesResult: async (seriesId) => {
+        const games = (await db.readMatchResultsFile()).filter(match => match.series && match.series.id === seriesId);
+        return games.length > 0 ? summarizeSeries(games) : null;
+    },
+
+    // Series record and goals for/against of a team (from one season's results when a season ID is given)
+    getTeamResultSummary: async (teamName, seasonId = null) => {
+        const matchResults = await db.readMatchResultsFile();
+        return summarizeTeamResults(teamName, matchResults.filter(match => !seasonId || match.season === seasonId));
+    },
+
+    // Goal participation of every player (see summarizeGoalParticipation)
+    getGoalParticipation: async (seasonId = null, team = null) => {
+        return summarizeGoalParticipation(await db.readGameHistoryFile(), seasonId, team);
+    },
+
+    // Elo ratings of every team and player, worked out from the match results (see calculateRatings)
+    getRatings: async () => {
+        return calculateRatings(await db.readMatchResultsFile());
+    },
+
+    // Rating and rating history of a player (null before their first rated result)
+    getPlayerRating: async (discordId) => {
+        const ratings = await db.getRatings();
+        return ratings.players.get(discordId) || null;
+    },
+
+    // Rating and rating history of a team or external opponent (null before its first rated result)
+    getTeamRating: async (teamName) => {
+        const ratings = await db.getRatings();
+        return ratings.teams.get(teamName.toLowerCase()) || null;
+    },
+
+    // Single-game records and streaks, worked out from the game history and match results (see calculateRecords).
+    // Data sets given in `data` (keyed like the audit snapshots) are used instead of the stored ones.
+    getRecords: async (data = {}) => {
+        return calculateRecords(data.gameHistory || await db.readGameHistoryFile(), data.matchResults || await db.readMatchResultsFile(),
+            data.players || await db.readPlayersFile(), Object.keys(data.teamStats || await db.readTeamStatsFile()));
+    },
+    
+    // Add or replace one player's line in a recorded match
+    setMatchResultLine: async (matchId, discordId, stats) => {
+        return updateMatchResultData(async (data) => {
+            const match = data.matchResults.find(m => m.id === matchId);
+            if (!match) {
+                throw new Error('Match result not found');
+            }
+            
+            const line = createMatchLine(data, match, discordId, stats);
+            const updatedMatch = {
+                ...match,
+                lines: [...match.lines.filter(l => l.discordId !== discordId), line]
+            };
+            validateMatchGoals(updatedMatch);
+            
+            applyMatchResult(data, match, -1);
+            applyMatchResult(data, updatedMatch, 1);
+            data.matchResults[data.matchResults.indexOf(match)] = updatedMatch;
+            return { match: updatedMatch, line };
+        });
+    },
+
+    // Delete a match result and take back everything it contributed
+    deleteMatchResult: async (matchId) => {
+        return updateMatchResultData(async (data) => {
+            const match = data.matchResults.find(m => m.id === matchId);
+            if (!match) {
+                throw new Error('Match result not found');
+            }
+            if (match.series) {
+                throw new Error(`This is game ${match.series.game} of series \`${match.series.id}\`, which can only be deleted as a whole`);
+            }
+            
+            applyMatchResult(data, match, -1);
+            data.matchResults = data.matchResults.filter(m => m.id !== matchId);
+            return match;
+        });
+    },
+
+    // Delete every game of a series and take back everything they contributed
+    deleteSeriesResult: async (seriesId) => {
+        return updateMatchResultData(async (data) => {
+            const games = data.matchResults.filter(m => m.series && m.series.id === seriesId);
+            if (games.length === 0) {
+                throw new Error('Series not found');
+            }
+            
+            games.forEach(game => applyMatchResult(data, game, -1));
+            data.matchResults = data.matchResults.filter(m => !games.includes(m));
+            return summarizeSeries(games);
+        });
+    },
+
+    // Scheduled Matches Functions
+    readScheduledMatchesFile: async () => {
+        return readDataFile(config.scheduledMatchesFilePath, 'scheduledMatches', () => [], Array.isArray);
+    },
+
+    writeScheduledMatchesFile: async (matches) => {
+        try {
+            await writeDataFile(config.scheduledMatchesFilePath, 'scheduledMatches', matches);
+        } catch (error) {
+            console.error('Error writing scheduled matches file:', error);
+            throw error;
+        }
+    },
+
+    // Schedule a match
+    scheduleMatch: async (team1, team2, dateTime, description = '') => {
+        return withFileLock(config.scheduledMatchesFilePath, async () => {
+            const matches = await db.readScheduledMatchesFile();
+            const matchId = Date.now().toString();
+        
+            const newMatch = {
+                id: matchId,
+                team1,
+                team2,
+                dateTime,
+                description,
+                createdAt: new Date().toISOString(),
+                notified: false
+            };
+            
+            // Fixtures against a registered opponent are linked to it
+            const opponents = await db.readOpponentsFile();
+            const opponent = findOpponent(opponents, team1) || findOpponent(opponents, team2);
+            if (opponent) linkOpponent(newMatch, opponent);
+        
+            matches.push(newMatch);
+            await db.writeScheduledMatchesFile(matches);
+            return newMatch;
+        });
+    },
+
+    // Get upcoming matches
+    getUpcomingMatches: async (limit = 5) => {
+        const matches = await db.readScheduledMatchesFile();
+        const now = new Date();
+        
+        return matches
+            .filter(match => new Date(match.dateTime) > now)
+            .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
+            .slice(0, limit);
+    },
+
+    // Remove expired matches
+    cleanupOldMatches: async () => {
+        return withFileLock(config.scheduledMatchesFilePath, async () => {
+            const matches = await db.readScheduledMatchesFile();
+            const now = new Date();
+            const dayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+        
+            const activeMatches = matches.filter(match => new Date(match.dateTime) > dayAgo);
+            await db.writeScheduledMatchesFile(activeMatches);
+            return activeMatches.length;
+        });
+    },
+
+    // Find matches by criteria
+    findMatches: async (teams = null, dateStr = null) => {
+        const matches = await db.readScheduledMatchesFile();
+        const now = new Date();
+        
+        // Filter out past matches
+        let filteredMatches = matches.filter(match => new Date(match.dateTime) > now);
+        
+        // Filter by teams if provided
+        if (teams) {
+            const teamsLower = teams.toLowerCase();
+            filteredMatches = filteredMatches.filter(match => {
+                const matchStr = `${match.team1} vs ${match.team2}`.toLowerCase();
+                return matchStr.includes(teamsLower) || 
+                       match.team1.toLowerCase().includes(teamsLower) || 
+                       match.team2.toLowerCase().includes(teamsLower);
+            });
+        }
+        
+        // Filter by date if provided
+        if (dateStr) {
+            const targetDate = new Date(dateStr);
+            if (!isNaN(targetDate.getTime())) {
+                filteredMatches = filteredMatches.filter(match => {
+                    const matchDate = new Date(match.dateTime);
+                    return matchDate.toDateString() === targetDate.toDateString();
+                });
+            }
+        }
+        
+        return filteredMatches.sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+    },
+
+    // Cancel a specific match by ID
+    cancelMatch: async (matchId) => {
+        return withFileLock(config.scheduledMatchesFilePath, async () => {
+            const matches = await db.readScheduledMatchesFile();
+            const matchIndex = matches.findIndex(match => match.id === matchId);
+        
+            if (matchIndex === -1) {
+                throw new Error('Match not found');
+            }
+        
+            const cancelledMatch = matches[matchIndex];
+            matches.splice(matchIndex, 1);
+            await db.writeScheduledMatchesFile(matches);
+            return cancelledMatch;
+        });
+    },
+
+    // Mark a match as notified so its reminder is only sent once
+    markMatchNotified: async (matchId) => {
+        return withFileLock(config.scheduledMatchesFilePath, async () => {
+            const matches = await db.readScheduledMatchesFile();
+            const matchIndex = matches.findIndex(match => match.id === matchId);
+            
+            if (matchIndex !== -1) {
+                matches[matchIndex].notified = true;
+                await db.writeScheduledMatchesFile(matches);
+            }
+        });
+    },
+
+    // Upgrade stored data files to the current schema version
+    runMigrations: async () => {
+        const results = [];
+        for (const file of DATA_FILES) {
+            const storedVersion = await readStoredSchemaVersion(file.filePath);
+            const currentVersion = getSchemaVersion(file.key);
+            if (storedVersion === null || storedVersion >= currentVersion) continue;
+            
+            await withFileLock(file.filePath, async () => {
+                // Reading migrates in memory, writing stamps the new version
+                const data = await db[file.read]();
+                await db[file.write](data);
+            });
+            
+            results.push({ name: file.name, from: storedVersion, to: currentVersion });
+        }
+        return results;
+    },
+
+    // Season Functions
+    readSeasonsFile: async () => {
+        return readDataFile(config.seasonsFilePath, 'seasons', () => [], Array.isArray);
+    },
+
+    writeSeasonsFile: async (seasons) => {
+        try {
+            await writeDataFile(config.seasonsFilePath, 'seasons', seasons);
+        } catch (error) {
+            console.error('Error writing seasons file:', error);
+            throw error;
+        }
+    },
+
+    // Get all seasons, oldest first
+    getSeasons: async () => {
+        return db.readSeasonsFile();
+    },
+
+    // Get the running season (null between seasons)
+    getActiveSeason: async () => {
+        const seasons = await db.readSeasonsFile();
+        return seasons.find(season => !season.endedAt) || null;
+    },
+
+    // Find a season by number or name (case insensitive)
+    findSeason: async (query) => {
+        const seasons = await db.readSeasonsFile();
+        const queryLower = query.trim().toLowerCase();
+        return seasons.find(season => String(season.id) === queryLower || season.name.toLowerCase() === queryLower) || null;
+    },
+
+    // Start a new season (only one season can run at a time)
+    startSeason: async (name = null, startedBy = null) => {
+        return withFileLock(config.seasonsFilePath, async () => {
+            const seasons = await db.readSeasonsFile();
+            const activeSeason = seasons.find(season => !season.endedAt);
+            if (activeSeason) {
+                throw new Error(`${activeSeason.name} is still running. End it with \`/season end\` first.`);
+            }
+            
+            const id = seasons.length > 0 ? seasons[seasons.length - 1].id + 1 : 1;
+            const seasonName = name || `Season ${id}`;
+            if (seasons.some(season => season.name.toLowerCase() === seasonName.toLowerCase())) {
+                throw new Error(`A season named "${seasonName}" already exists`);
+            }
+            
+            const season = {
+                id,
+                name: seasonName,
+                startedAt: new Date().toISOString(),
+                endedAt: null,
+                startedBy,
+                endedBy: null
+            };
+            
+            seasons.push(season);
+            await db.writeSeasonsFile(seasons);
+            return season;
+        });
+    },
+
+    // End the running season (its stats stay archived on every player and team)
+    endSeason: async (endedBy = null) => {
+        return withFileLock(config.seasonsFilePath, async () => {
+            const seasons = await db.readSeasonsFile();
+            const activeSeason = seasons.find(season => !season.endedAt);
+            if (!activeSeason) {
+                throw new Error('No season is running. Start one with `/season start`.');
+            }
+            
+            activeSeason.endedAt = new Date().toISOString();
+            activeSeason.endedBy = endedBy;
+            await db.writeSeasonsFile(seasons);
+            return activeSeason;
+        });
+    },
+
+    // Opponent Functions
+    readOpponentsFile: async () => {
+        return readDataFile(config.opponentsFilePath, 'opponents', () => [], Array.isArray);
+    },
+
+    writeOpponentsFile: async (opponents) => {
+        try {
+            await writeDataFile(config.opponentsFilePath, 'opponents', opponents);
+        } catch (error) {
+            console.error('Error writing opponents file:', error);
+            throw error;
+        }
+    },
+
+    // Get all opponents sorted by name, each with our head-to-head record against them
+    getOpponents: async () => {
+        const opponents = await db.readOpponentsFile();
+        const matchResults = await db.readMatchResultsFile();
+        return opponents
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(opponent => ({ ...opponent, record: summarizeOpponentRecord(opponent, matchResults) }));
+    },
+
+    // Find an opponent by ID or name (case insensitive)
+    findOpponent: async (query) => {
+        return findOpponent(await db.readOpponentsFile(), query);
+    },
+
+    // Register an opponent and link the results and fixtures already recorded under its name
+    addOpponent: async ({ name, region = null, contact = null, notes = null }, createdBy = null) => {
+        return withFileLocks(getOpponentFiles(), async () => {
+            const opponents = await db.readOpponentsFile();
+            await validateOpponentName(opponents, name);
+            
+            const opponent = {
+                id: opponents.reduce((max, existing) => Math.max(max, existing.id), 0) + 1,
+                name,
+                region,
+                contact,
+                notes,
+                createdAt: new Date().toISOString(),
+                createdBy
+            };
+            
+            opponents.push(opponent);
+            await db.writeOpponentsFile(opponents);
+            return { opponent, ...(await updateOpponentReferences(opponent, name)) };
+        });
+    },
+
+    // Change an opponent's details (undefined fields are kept). A new name is
+    // carried over to every result and fixture against them.
+    updateOpponent: async (query, changes) => {
+        return withFileLocks(getOpponentFiles(), async () => {
+            const opponents = await db.readOpponentsFile();
+            const opponent = findOpponent(opponents, query);
+            if (!opponent) {
+                throw new Error(`Opponent "${query}" not found`);
+            }
+            
+            const previousName = opponent.name;
+            if (changes.name !== undefined && changes.name !== previousName) {
+                await validateOpponentName(opponents, changes.name, opponent);
+            }
+            ['name', 'region', 'contact', 'notes'].forEach(field => {
+                if (changes[field] !== undefined) opponent[field] = changes[field];
+            });
+            opponent.updatedAt = new Date().toISOString();
+            
+            await db.writeOpponentsFile(opponents);
+            const references = previousName !== opponent.name
+                ? await updateOpponentReferences(opponent, previousName)
+                : { resultsLinked: 0, fixturesLinked: 0 };
+            return { opponent, previousName, ...references };
+        });
+    },
+
+    // Remove an opponent. Its results and fixtures stay, under the name they have now.
+    removeOpponent: async (query) => {
+        return withFileLocks(getOpponentFiles(), async () => {
+            const opponents = await db.readOpponentsFile();
+            const opponent = findOpponent(opponents, query);
+            if (!opponent) {
+                throw new Error(`Opponent "${query}" not found`);
+            }
+            
+            const unlink = records => records.filter(record => {
+                if (record.opponentId !== opponent.id) return false;
+                delete record.opponentId;
+                return true;
+            }).length;
+            
+            const matchResults = await db.readMatchResultsFile();
+            const scheduledMatches = await db.readScheduledMatchesFile();
+            const resultsUnlinked = unlink(matchResults);
+            const fixturesUnlinked = unlink(scheduledMatches);
+            
+            await db.writeMatchResultsFile(matchResults);
+            await db.writeScheduledMatchesFile(scheduledMatches);
+            await db.writeOpponentsFile(opponents.filter(o => o !== opponent));
+            return { opponent, resultsUnlinked, fixturesUnlinked };
+        });
+    },
+
+    // Head-to-head record, latest results and upcoming fixtures against an opponent
+    getOpponentReport: async (query, recentLimit = 5) => {
+        const opponent = await db.findOpponent(query);
+        if (!opponent) return null;
+        
+        const games = (await db.readMatchResultsFile())
+            .filter(match => match.opponentId === opponent.id)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+        const now = new Date();
+        const upcoming = (await db.readScheduledMatchesFile())
+            .filter(match => match.opponentId === opponent.id && new Date(match.dateTime) > now)
+            .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime));
+        
+        return {
+            opponent,
+            record: summarizeOpponentRecord(opponent, games),
+            series: groupSeries(games),
+            recent: games.slice(0, recentLimit),
+            upcoming
+        };
+    },
+
+    // Audit Log Functions
+    // Append-only log of every data change made through a command. It is not part of
+    // the backups, so restoring a backup never rewrites history.
+    readAuditLogFile: async () => {
+        return readDataFile(config.auditLogFilePath, 'auditLog', () => [], Array.isArray);
+    },
+
+    // Add an entry with the next ID
+    appendAuditEntry: async (entry) => {
+        return withFileLock(config.auditLogFilePath, async () => {
+            const auditLog = await db.readAuditLogFile();
+            const auditEntry = {
+                id: auditLog.length > 0 ? auditLog[auditLog.length - 1].id + 1 : 1,
+                timestamp: new Date().toISOString(),
+                ...entry
+            };
+            
+            auditLog.push(auditEntry);
+            await writeDataFile(config.auditLogFilePath, 'auditLog', auditLog);
+            return auditEntry;
+        });
+    },
+
+    // Run a change and log every record it touched ({ actorId, actorName, command } context)
+    withAudit: async (context, task) => {
+        const lockedFiles = [...DATA_FILES.map(file => file.filePath), config.auditLogFilePath];
+        return withFileLocks(lockedFiles, async () => {
+            // A change that could not be logged is not made, so check the log can be read first
+            await db.readAuditLogFile();
+            
+            // Only the data sets the task locks or writes are read, before and after
+            const snapshots = new Map();
+            const result = await auditSnapshots.run(snapshots, task);
+            const before = {};
+            for (const [key, snapshot] of snapshots) {
+                before[key] = await snapshot;
+            }
+            const changes = diffDataSnapshots(before, await readDataSnapshot([...snapshots.keys()]));
+            
+            if (changes.length > 0) {
+                try {
+                    await db.appendAuditEntry({ ...context, changes });
+                } catch (error) {
+                    // Put the changed data sets back, so retrying the command does not apply it twice
+                    for (const file of DATA_FILES.filter(file => changes.some(change => change.dataSet === file.key))) {
+                        await db[file.write](before[file.key]);
+                    }
+                    throw error;
+                }
+                const statEntry = statEntryChanges.getStore();
+                if (statEntry) statEntry.push(before);
+            }
+            return result;
+        });
+    },
+
+    // Get audit entries, newest first, optionally about one player or by one admin
+    getAuditEntries: async ({ playerId = null, actorId = null, limit = 10 } = {}) => {
+        const auditLog = await db.readAuditLogFile();
+        const undoneBy = new Map(auditLog.filter(entry => entry.undoOf).map(entry => [entry.undoOf, entry.id]));
+        
+        return auditLog
+            .filter(entry => !actorId || entry.actorId === actorId)
+            .filter(entry => !playerId || entry.changes.some(change => change.dataSet === 'players' && change.key === playerId))
+            .reverse()
+            .slice(0, limit)
+            .map(entry => ({ ...entry, undoneBy: undoneBy.get(entry.id) || null }));
+    },
+
+    // Get a single audit entry
+    getAuditEntry: async (entryId) => {
+        const auditLog = await db.readAuditLogFile();
+        const entry = auditLog.find(e => e.id === entryId);
+        if (!entry) return null;
+        
+        const undo = auditLog.find(e => e.undoOf === entryId);
+        return { ...entry, undoneBy: undo ? undo.id : null };
+    },
+
+    // Revert the changes of one audit entry (the undo is logged as a new entry)
+    undoAuditEntry: async (entryId, context) => {
+        return db.withAudit({ ...context, undoOf: entryId }, async () => {
+            const entry = await db.getAuditEntry(entryId);
+            if (!entry) {
+                throw new Error('Audit entry not found');
+            }
+            if (entry.undoneBy) {
+                throw new Error(`Entry #${entryId} was already undone by entry #${entry.undoneBy}`);
+            }
+            
+            const snapshot = await readDataSnapshot([...new Set(entry.changes.map(change => change.dataSet))]);
+            const touched = revertAuditChanges(snapshot, entry.changes);
+            for (const file of DATA_FILES) {
+                if (touched.has(file.key)) {
+                    await db[file.write](snapshot[file.key]);
+                }
+            }
+            return entry;
+        });
+    },
+
+    // Backup System Functions
+    // Stat Submission Functions
+    readSubmissionsFile: async () => {
+        return readDataFile(config.submissionsFilePath, 'submissions', () => [], Array.isArray);
+    },
+
+    writeSubmissionsFile: async (submissions) => {
+        try {
+            await writeDataFile(config.submissionsFilePath, 'submissions', submissions);
+        } catch (error) {
+            console.error('Error writing stat submissions file:', error);
+            throw error;
+        }
+    },
+
+    // Get one stat submission by ID
+    getSubmission: async (submissionId) => {
+        const submissions = await db.readSubmissionsFile();
+        return submissions.find(submission => submission.id === submissionId) || null;
+    },
+
+    // Queue a player's own stat line for review
+    createSubmission: async (discordId, stats, note = null) => {
+        return withFileLock(config.submissionsFilePath, async () => {
+            const player = await db.getPlayer(discordId);
+            if (!player) {
+                throw new Error('Player not found');
+            }
+            
+            const submissions = await db.readSubmissionsFile();
+            const pending = submissions.filter(s => s.discordId === discordId && s.status === 'pending' && new Date(s.expiresAt) > new Date());
+            if (pending.length >= MAX_PENDING_SUBMISSIONS) {
+                throw new Error(`You already have ${pending.length} submissions waiting for review`);
+            }
+            
+            const submittedAt = new Date();
+            const submission = {
+                id: submissions.length > 0 ? submissions[submissions.length - 1].id + 1 : 1,
+                discordId,
+                displayName: player.displayName,
+                stats,
+                note,
+                status: 'pending',
+                submittedAt: submittedAt.toISOString(),
+                expiresAt: new Date(submittedAt.getTime() + config.submissionExpiryHours * 60 * 60 * 1000).toISOString(),
+                reviewMessage: null
+            };
+            
+            submissions.push(submission);
+            await db.writeSubmissionsFile(submissions);
+            return submission;
+        });
+    },
+
+    // Remove a submission that could not be posted for review
+    deleteSubmission: async (submissionId) => {
+        return withFileLock(config.submissionsFilePath, async () => {
+            const submissions = await db.readSubmissionsFile();
+            await db.writeSubmissionsFile(submissions.filter(submission => submission.id !== submissionId));
+        });
+    },
+
+    // Remember the review channel message of a submission so it can be updated later
+    setSubmissionMessage: async (submissionId, channelId, messageId) => {
+        return changeSubmission(submissionId, false, submission => {
+            submission.reviewMessage = { channelId, messageId };
+        });
+    },
+
+    // Correct the stats of a pending submission before it is approved
+    editSubmission: async (submissionId, stats, editorId) => {
+        return changeSubmission(submissionId, true, submission => {
+            submission.stats = stats;
+            submission.editedBy = editorId;
+        });
+    },
+
+    // Apply a pending submission: like an imported row it counts as one game for the player's
+    // totals and gets a game history record, dated when it was submitted
+    approveSubmission: async (submissionId, approverId) => {
+        return changeSubmission(submissionId, true, async submission => {
+            await db.importStatRows([{
+                discordId: submission.discordId,
+                stats: getGameRecordStats(getStatsLine(submission.stats)),
+                timestamp: submission.submittedAt
+            }]);
+            submission.status = 'approved';
+            submission.reviewedBy = approverId;
+            submission.reviewedAt = new Date().toISOString();
+        });
+    },
+
+    // Turn down a pending submission
+    rejectSubmission: async (submissionId, reviewerId, reason = null) => {
+        return changeSubmission(submissionId, true, submission => {
+            submission.status = 'rejected';
+            submission.reviewedBy = reviewerId;
+            submission.reviewedAt = new Date().toISOString();
+            submission.reason = reason;
+        });
+    },
+
+    // Mark pending submissions past their expiry time as expired and return them
+    expireSubmissions: async () => {
+        return withFileLock(config.submissionsFilePath, async () => {
+            const submissions = await db.readSubmissionsFile();
+            const now = new Date();
+            const expired = submissions.filter(s => s.status === 'pending' && new Date(s.expiresAt) <= now);
+            if (expired.length === 0) return [];
+            
+            expired.forEach(submission => {
+                submission.status = 'expired';
+            });
+            await db.writeSubmissionsFile(submissions);
+            return expired;
+        });
+    },
+
+    createBackup: async (backupType = 'manual') => {
+        try {
+            // Ensure backups folder exists
+            await fs.mkdir(config.backupsFolder, { recursive: true });
+            
+            // Create timestamp for backup
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+            const backupFolder = path.join(config.backupsFolder, `backup-${timestamp}-${backupType}`);
+            
+            await fs.mkdir(backupFolder, { recursive: true });
+            
+            // Backup all data sets as JSON files (works for every storage backend)
+            let filesBackedUp = 0;
+            const corruptedFiles = [];
+            for (const file of DATA_FILES) {
+                const destPath = path.join(backupFolder, file.name);
+                try {
+                    const data = await db[file.read]();
+                    const stored = { schemaVersion: getSchemaVersion(file.key), data };
+                    await fs.writeFile(destPath, JSON.stringify(stored, null, 2));
+                    filesBackedUp++;
+                } catch (error) {
+                    // A quarantined file is copied byte for byte, so the backup taken before a
+                    // repair still holds it (the backup is then not valid for /repair-data)
+                    const incident = corruptedDataFiles.get(file.filePath);
+                    try {
+                        if (!incident) throw error;
+                        await fs.copyFile(path.join(path.dirname(file.filePath), incident.quarantinedAs), destPath);
+                        corruptedFiles.push(file.name);
+                    } catch (copyError) {
+                        console.log(`Could not back up ${file.name}, skipping...`);
+                    }
+                }
+            }
+            
+            // Create backup manifest
+            const manifest = {
+                timestamp: new Date().toISOString(),
+                type: backupType,
+                filesBackedUp,
+                corruptedFiles,
+                storageBackend: config.storageBackend,
+                version: '1.0'
+            };
+            
+            await fs.writeFile(
+                path.join(backupFolder, 'backup-manifest.json'), 
+                JSON.stringify(manifest, null, 2)
+            );
+            
+            console.log(`✅ Backup created: ${backupFolder}`);
+            return { folder: backupFolder, manifest };
+            
+        } catch (error) {
+            console.error('❌ Error creating backup:', error);
+            throw new Error(`Backup failed: ${error.message}`);
+        }
+    },
+
+    listBackups: async () => {
+        try {
+            await fs.mkdir(config.backupsFolder, { recursive: true });
+            const backupDirs = await fs.readdir(config.backupsFolder);
+            
+            const backups = [];
+            for (const dir of backupDirs) {
+                if (dir.startsWith('backup-')) {
+                    const manifestPath = path.join(config.backupsFolder, dir, 'backup-manifest.json');
+                    try {
+                        const manifestData = await fs.readFile(manifestPath, 'utf8');
+                        const manifest = JSON.parse(manifestData);
+                        backups.push({
+                            folder: dir,
+                            ...manifest
+                        });
+                    } catch (error) {
+                        // Skip backups without valid manifest
+                        console.warn(`Invalid backup folder: ${dir}`);
+                    }
+                }
+            }
+            
+            return backups.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            
+        } catch (error) {
+            console.error('Error listing backups:', error);
+            return [];
+        }
+    },
+
+    // Check that a backup contains every data file and that each one can be loaded
+    validateBackup: async (backupFolder) => {
+        const backupPath = getBackupPath(backupFolder);
+        const problems = [];
+        
+        for (const file of DATA_FILES) {
+            try {
+                const stored = unwrapVersionedData(JSON.parse(await fs.readFile(path.join(backupPath, file.name), 'utf8')));
+                if (!file.isValidShape(stored.data)) {
+                    problems.push(`${file.name}: unexpected data structure`);
+                } else if (stored.version > getSchemaVersion(file.key)) {
+                    problems.push(`${file.name}: written by a newer version of the bot`);
+                }
+            } catch (error) {
+                if (error.code === 'ENOENT' && file.optional) continue;
+                problems.push(`${file.name}: ${error.code === 'ENOENT' ? 'missing' : error.message}`);
+            }
+        }
+        
+        return { valid: problems.length === 0, problems };
+    },
+
+    // Get the newest backup that passes validation
+    findLatestValidBackup: async () => {
+        const backups = await db.listBackups();
+        for (const backup of backups) {
+            const validation = await db.validateBackup(backup.folder);
+            if (validation.valid) {
+                return backup;
+            }
+        }
+        return null;
+    },
+
+    // Data files of the current guild that are quarantined because they could not be loaded
+    getCorruptedFiles: () => {
+        const guildId = getCurrentGuildId();
+        return [...corruptedDataFiles.values()].filter(incident => incident.guildId === guildId);
+    },
+
+    // Start the quarantined log files of the current guild over empty, as there is no backup
+    // to restore them from. Returns the names of the files that were reset.
+    resetCorruptedLogFiles: async () => {
+        const corruptedPaths = db.getCorruptedFiles().map(incident => incident.filePath);
+        const files = LOG_FILES.filter(file => corruptedPaths.includes(file.filePath));
+        for (const file of files) {
+            await withFileLock(file.filePath, async () => {
+                await writeDataFile(file.filePath, file.key, []);
+                await clearDataCorruption([file.filePath]);
+            });
+        }
+        return files.map(file => file.name);
+    },
+
+    restoreFromBackup: async (backupFolder) => {
+        try {
+            const backupPath = getBackupPath(backupFolder);
+            
+            // Check if backup exists
+            await fs.access(backupPath);
+            
+            // Restore each file through the active storage backend
+            const filesRestored = await withFileLocks(DATA_FILES.map(file => file.filePath), async () => {
+                let restored = 0;
+                for (const file of DATA_FILES) {
+                    const srcPath = path.join(backupPath, file.name);
+                    let stored;
+                    try {
+                        stored = unwrapVersionedData(JSON.parse(await fs.readFile(srcPath, 'utf8')));
+                    } catch (error) {
+                        if (error.code === 'ENOENT' && file.optional) {
+                            // The backup predates this data set, so it was empty at the time
+                            stored = { version: getSchemaVersion(file.key), data: [] };
+                        } else {
+                            console.log(`Backup file ${file.name} not found or unreadable, skipping...`);
+                            continue;
+                        }
+                    }
+                    
+                    // Old backups are upgraded to the current schema before they are written
+                    const migration = migrateData(file.key, stored.data, stored.version);
+                    migration.applied.forEach(description => console.log(`🔧 ${file.name} ${description}`));
+                    
+                    await db[file.write](migration.data);
+                    await clearDataCorruption([file.filePath]);
+                    restored++;
+                }
+                return restored;
+            });
+            
+            console.log(`✅ Restored ${filesRestored} files from backup: ${backupFolder}`);
+            return filesRestored;
+            
+        } catch (error) {
+            console.error('❌ Error restoring backup:', error);
+            throw new Error(`Restore failed: ${error.message}`);
+        }
+    },
+
+    // Replace every data set with imported data (validated and migrated by parseExportPackage)
+    importData: async (data) => {
+        return withFileLocks(DATA_FILES.map(file => file.filePath), async () => {
+            for (const file of DATA_FILES) {
+                await db[file.write](data[file.key]);
+            }
+        });
+    },
+
+    cleanupOldBackups: async (keepDays = 30) => {
+        try {
+            const backups = await db.listBackups();
+            const cutoffDate = new Date();
+            cutoffDate.setDate(cutoffDate.getDate() - keepDays);
+            
+            let deletedCount = 0;
+            for (const backup of backups) {
+                const backupDate = new Date(backup.timestamp);
+                if (backupDate < cutoffDate) {
+                    const backupPath = path.join(config.backupsFolder, backup.folder);
+                    await fs.rmdir(backupPath, { recursive: true });
+                    deletedCount++;
+                }
+            }
+            
+            if (deletedCount > 0) {
+                console.log(`🧹 Cleaned up ${deletedCount} old backups`);
+            }
+            
+            return deletedCount;
+            
+        } catch (error) {
+            console.error('Error cleaning up backups:', error);
+            return 0;
+        }
+    }
+};
+
+// SQLite storage backend - replaces the file primitives and the hot queries of db
+// with indexed tables, while every other db function keeps working unchanged
+function createSqliteStorage(filePath) {
+    // Only load the native module when the SQLite backend is actually selected
+    const Database = require('better-sqlite3');
+    const fsSync = require('fs');
+    
+    const sqlite = new Database(filePath);
+    sqlite.pragma('journal_mode = WAL');
+    
+    sqlite.exec(`
+        CREATE TABLE IF NOT EXISTS meta (
+            key TEXT PRIMARY KEY,
+            value TEXT
+        );
+        CREATE TABLE IF NOT EXISTS players (
+            discord_id TEXT PRIMARY KEY,
+            team TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_players_team ON players(team);
+        CREATE TABLE IF NOT EXISTS team_stats (
+            name TEXT PRIMARY KEY,
+            data TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS game_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            discord_id TEXT,
+            timestamp TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_game_history_player ON game_history(discord_id, timestamp);
+        CREATE TABLE IF NOT EXISTS scheduled_matches (
+            id TEXT PRIMARY KEY,
+            team1 TEXT,
+            team2 TEXT,
+            date_time TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_scheduled_matches_date ON scheduled_matches(date_time);
+        CREATE TABLE IF NOT EXISTS match_results (
+            id TEXT PRIMARY KEY,
+            date TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_match_results_date ON match_results(date);
+        CREATE TABLE IF NOT EXISTS seasons (
+            id INTEGER PRIMARY KEY,
+            data TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS opponents (
+            id INTEGER PRIMARY KEY,
+            data TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS audit_log (
+            id INTEGER PRIMARY KEY,
+            actor_id TEXT,
+            timestamp TEXT,
+            data TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS stat_submissions (
+            id INTEGER PRIMARY KEY,
+            status TEXT,
+            data TEXT NOT NULL
+        );
+    `);
+    
+    const parseRows = rows => rows.map(row => JSON.parse(row.data));
+    
+    const insertPlayer = sqlite.prepare('INSERT OR REPLACE INTO players (discord_id, team, data) VALUES (?, ?, ?)');
+    const insertTeam = sqlite.prepare('INSERT OR REPLACE INTO team_stats (name, data) VALUES (?, ?)');
+    const insertGame = sqlite.prepare('INSERT INTO game_history (discord_id, timestamp, data) VALUES (?, ?, ?)');
+    const insertMatch = sqlite.prepare('INSERT OR REPLACE INTO scheduled_matches (id, team1, team2, date_time, data) VALUES (?, ?, ?, ?, ?)');
+    const insertMatchResult = sqlite.prepare('INSERT OR REPLACE INTO match_results (id, date, data) VALUES (?, ?, ?)');
+    const insertSeason = sqlite.prepare('INSERT OR REPLACE INTO seasons (id, data) VALUES (?, ?)');
+    const insertOpponent = sqlite.prepare('INSERT OR REPLACE INTO opponents (id, data) VALUES (?, ?)');
+    const selectPlayer = sqlite.prepare('SELECT data FROM players WHERE discord_id = ?');
+    
+    const savePlayer = player => insertPlayer.run(player.discordId, player.team, JSON.stringify(player));
+    const saveMatch = match => insertMatch.run(match.id, match.team1, match.team2, match.dateTime, JSON.stringify(match));
+    
+    const replacePlayers = sqlite.transaction(players => {
+        sqlite.prepare('DELETE FROM players').run();
+        players.forEach(savePlayer);
+    });
+    const replaceTeamStats = sqlite.transaction(teamStats => {
+        sqlite.prepare('DELETE FROM team_stats').run();
+        Object.keys(teamStats).forEach(name => insertTeam.run(name, JSON.stringify(teamStats[name])));
+    });
+    const replaceGameHistory = sqlite.transaction(gameHistory => {
+        sqlite.prepare('DELETE FROM game_history').run();
+        gameHistory.forEach(game => insertGame.run(game.discordId, game.timestamp, JSON.stringify(game)));
+    });
+    const replaceScheduledMatches = sqlite.transaction(matches => {
+        sqlite.prepare('DELETE FROM scheduled_matches').run();
+        matches.forEach(saveMatch);
+    });
+    const replaceMatchResults = sqlite.transaction(matchResults => {
+        sqlite.prepare('DELETE FROM match_results').run();
+        matchResults.forEach(match => insertMatchResult.run(match.id, match.date, JSON.stringify(match)));
+    });
+    const replaceSeasons = sqlite.transaction(seasons => {
+        sqlite.prepare('DELETE FROM seasons').run();
+        seasons.forEach(season => insertSeason.run(season.id, JSON.stringify(season)));
+    });
+    const replaceOpponents = sqlite.transaction(opponents => {
+        sqlite.prepare('DELETE FROM opponents').run();
+        opponents.forEach(opponent => insertOpponent.run(opponent.id, JSON.stringify(opponent)));
+    });
+    const replaceSubmissions = sqlite.transaction(submissions => {
+        sqlite.prepare('DELETE FROM stat_submissions').run();
+        const insertSubmission = sqlite.prepare('INSERT INTO stat_submissions (id, status, data) VALUES (?, ?, ?)');
+        submissions.forEach(submission => insertSubmission.run(submission.id, submission.status, JSON.stringify(submission)));
+    });
+    
+    const readTeamStats = () => {
+        const teamStats = {};
+        sqlite.prepare('SELECT name, data FROM team_stats ORDER BY rowid').all().forEach(row => {
+            teamStats[row.name] = JSON.parse(row.data);
+        });
+        return teamStats;
+    };
+    
+    // Whole-table readers and writers for each data set
+    const tables = {
+        players: {
+            read: () => parseRows(sqlite.prepare('SELECT data FROM players ORDER BY rowid').all()),
+            replace: replacePlayers
+        },
+        teamStats: {
+            read: readTeamStats,
+            replace: replaceTeamStats
+        },
+        gameHistory: {
+            read: () => parseRows(sqlite.prepare('SELECT data FROM game_history ORDER BY id').all()),
+            replace: replaceGameHistory
+        },
+        scheduledMatches: {
+            read: () => parseRows(sqlite.prepare('SELECT data FROM scheduled_matches ORDER BY rowid').all()),
+            replace: replaceScheduledMatches
+        },
+        matchResults: {
+            read: () => parseRows(sqlite.prepare('SELECT data FROM match_results ORDER BY rowid').all()),
+            replace: replaceMatchResults
+        },
+        seasons: {
+            read: () => parseRows(sqlite.prepare('SELECT data FROM seasons ORDER BY id').all()),
+            replace: replaceSeasons
+        },
+        opponents: {
+            read: () => parseRows(sqlite.prepare('SELECT data FROM opponents ORDER BY id').all()),
+            replace: replaceOpponents
+        }
+    };
+    
+    // Read, change and save a single player inside one transaction
+    const changePlayer = sqlite.transaction((discordId, change) => {
+        const row = selectPlayer.get(discordId);
+        if (!row) {
+            throw new Error('Player not found');
+        }
+        const player = JSON.parse(row.data);
+        change(player);
+        player.updatedAt = new Date().toISOString();
+        savePlayer(player);
+        return player;
+    });
+    
+    // Schema versions live in the meta table (databases created before versioning count as 0)
+    const getStoredSchemaVersion = key => {
+        const row = sqlite.prepare('SELECT value FROM meta WHERE key = ?').get(`schema_version:${key}`);
+        return row ? Number(row.value) : 0;
+    };
+    const setStoredSchemaVersion = (key, version) => {
+        sqlite.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(`schema_version:${key}`, String(version));
+    };
+    
+    // Stat names and season IDs are used inside SQL, so only plain identifiers and integers are allowed
+    const statExpression = (stat, seasonId = null) => {
+        if (!/^[a-zA-Z]+$/.test(stat)) {
+            throw new Error(`Invalid stat: ${stat}`);
+        }
+        if (seasonId === null) {
+            return `json_extract(data, '$.${stat}')`;
+        }
+        if (!Number.isInteger(seasonId)) {
+            throw new Error(`Invalid season: ${seasonId}`);
+        }
+        return `COALESCE(json_extract(data, '$.seasons."${seasonId}".${stat}'), 0)`;
+    };
+    
+    // Leaderboards sort by stat, so every per-game stat of the catalog gets an index
+    getLineStats().forEach(stat => {
+        sqlite.exec(`CREATE INDEX IF NOT EXISTS idx_players_${stat.key} ON players(${statExpression(stat.key)})`);
+    });
+    
+    // Retired players are left out of leaderboards and rosters
+    const activePlayerFilter = "json_extract(data, '$.retiredAt') IS NULL";
+    
+    // Players as stored, or with one season's totals in place of the career totals
+    const parsePlayerRows = (rows, seasonId) => {
+        const players = parseRows(rows);
+        return seasonId === null ? players : players.map(player => getPlayerSeasonView(player, seasonId));
+    };
+    
+    // Import the existing JSON files the first time the database is opened
+    const importedFlag = sqlite.prepare('SELECT value FROM meta WHERE key = ?').get('json_imported');
+    if (!importedFlag) {
+        const importJson = sqlite.transaction(() => {
+            const imported = [];
+            DATA_FILES.forEach(file => {
+                if (!fsSync.existsSync(file.filePath)) return;
+                const stored = unwrapVersionedData(JSON.parse(fsSync.readFileSync(file.filePath, 'utf8')));
+                tables[file.key].replace(migrateData(file.key, stored.data, stored.version).data);
+                imported.push(file.name);
+            });
+            
+            // A new database starts with the default teams, like a new team-stats.json. They are only
+            // added here, so teams removed later on stay removed.
+            if (!imported.includes('team-stats.json')) {
+                replaceTeamStats(db.getDefaultTeamStats());
+            }
+            
+            sqlite.prepare('INSERT INTO meta (key, value) VALUES (?, ?)').run('json_imported', new Date().toISOString());
+            DATA_FILES.forEach(file => setStoredSchemaVersion(file.key, getSchemaVersion(file.key)));
+            return imported;
+        });
+        
+        const imported = importJson();
+        console.log(imported.length > 0
+            ? `🗄️ Imported ${imported.join(', ')} into SQLite database`
+            : '🗄️ Created new SQLite database');
+    }
+    
+    // Upgrade tables stored with an older schema version. This runs while the
+    // database is opened, so no command ever sees data in an old shape.
+    const migrateTables = sqlite.transaction(() => {
+        const results = [];
+        DATA_FILES.forEach(file => {
+            const storedVersion = getStoredSchemaVersion(file.key);
+            const currentVersion = getSchemaVersion(file.key);
+            if (storedVersion >= currentVersion) return;
+            
+            tables[file.key].replace(migrateData(file.key, tables[file.key].read(), storedVersion).data);
+            setStoredSchemaVersion(file.key, currentVersion);
+            results.push({ name: file.name, from: storedVersion, to: currentVersion });
+        });
+        return results;
+    });
+    
+    migrateTables().forEach(result => {
+        console.log(`🔧 Migrated ${result.name} from schema v${result.from} to v${result.to}`);
+    });
+    
+    return {
+        runMigrations: async () => migrateTables(),
+        
+        readPlayersFile: async () => tables.players.read(),
+        
+        writePlayersFile: async (players) => {
+            try {
+                replacePlayers(players);
+            } catch (error) {
+                console.error('Error writing players table:', error);
+                throw error;
+            }
+        },
+        
+        readTeamStatsFile: async () => readTeamStats(),
+        
+        writeTeamStatsFile: async (teamStats) => {
+            try {
+                replaceTeamStats(teamStats);
+            } catch (error) {
+                console.error('Error writing team stats table:', error);
+                throw error;
+            }
+        },
+        
+        readGameHistoryFile: async () => tables.gameHistory.read(),
+        
+        writeGameHistoryFile: async (gameHistory) => {
+            try {
+                replaceGameHistory(gameHistory);
+            } catch (error) {
+                console.error('Error writing game history table:', error);
+                throw error;
+            }
+        },
+        
+        readScheduledMatchesFile: async () => tables.scheduledMatches.read(),
+        
+        writeScheduledMatchesFile: async (matches) => {
+            try {
+                replaceScheduledMatches(matches);
+            } catch (error) {
+                console.error('Error writing scheduled matches table:', error);
+                throw error;
+            }
+        },
+        
+        readMatchResultsFile: async () => tables.matchResults.read(),
+        
+        readAuditLogFile: async () => parseRows(sqlite.prepare('SELECT data FROM audit_log ORDER BY id').all()),
+        
+        readSubmissionsFile: async () => parseRows(sqlite.prepare('SELECT data FROM stat_submissions ORDER BY id').all()),
+        
+        writeSubmissionsFile: async (submissions) => {
+            try {
+                replaceSubmissions(submissions);
+            } catch (error) {
+                console.error('Error writing stat submissions table:', error);
+                throw error;
+            }
+        },
+        
+        appendAuditEntry: async (entry) => {
+            return withFileLock(config.auditLogFilePath, async () => {
+                const { nextId } = sqlite.prepare('SELECT COALESCE(MAX(id), 0) + 1 AS nextId FROM audit_log').get();
+                const auditEntry = {
+                    id: nextId,
+                    timestamp: new Date().toISOString(),
+                    ...entry
+                };
+                sqlite.prepare('INSERT INTO audit_log (id, actor_id, timestamp, data) VALUES (?, ?, ?, ?)')
+                    .run(auditEntry.id, auditEntry.actorId, auditEntry.timestamp, JSON.stringify(auditEntry));
+                return auditEntry;
+            });
+        },
+        
+        writeMatchResultsFile: async (matchResults) => {
+            try {
+                replaceMatchResults(matchResults);
+            } catch (error) {
+                console.error('Error writing match results table:', error);
+                throw error;
+            }
+        },
+        
+        readSeasonsFile: async () => tables.seasons.read(),
+        
+        writeSeasonsFile: async (seasons) => {
+            try {
+                replaceSeasons(seasons);
+            } catch (error) {
+                console.error('Error writing seasons table:', error);
+                throw error;
+            }
+        },
+        
+        readOpponentsFile: async () => tables.opponents.read(),
+        
+        writeOpponentsFile: async (opponents) => {
+            try {
+                replaceOpponents(opponents);
+            } catch (error) {
+                console.error('Error writing opponents table:', error);
+                throw error;
+            }
+        },
+        
+        getPlayer: async (discordId) => {
+            const row = selectPlayer.get(discordId);
+            return row ? JSON.parse(row.data) : undefined;
+        },
+        
+        // Team views include former players with their stats for that team, so they are built in memory
+        getAllPlayers: async (team = null, seasonId = null) => {
+            if (team) return getTeamPlayers(tables.players.read(), team, seasonId);
+            const order = `ORDER BY ${statExpression('goals', seasonId)} DESC`;
+            return parsePlayerRows(sqlite.prepare(`SELECT data FROM players ${order}`).all(), seasonId);
+        },
+        
+        // Stat totals of all teams are filtered and sorted on the stat's index. Rates and team views
+        // need the game history or former players, so they are ranked in memory.
+        getLeaderboard: async (measure, options = {}) => {
+            const { team = null, seasonId = null, minGames = 0 } = options;
+            if (team || measure.rate) return rankActivePlayers(measure, options);
+            
+            const value = statExpression(measure.key, seasonId);
+            const rows = sqlite.prepare(
+                `SELECT data FROM players WHERE ${activePlayerFilter} AND ${statExpression('gamesPlayed', seasonId)} >= ? ORDER BY ${value} DESC`
+            ).all(Math.max(minGames, 1));
+            return rankPlayers(parsePlayerRows(rows, seasonId), measure, minGames);
+        },
+        
+        getTeamRoster: async (team) => {
+            return parseRows(sqlite.prepare(`SELECT data FROM players WHERE team = ? AND ${activePlayerFilter} ORDER BY rowid`).all(team));
+        },
+        
+        // Single-row updates still queue behind multi-file operations such as renameTeam
+        updatePlayerStats: async (discordId, stats) => {
+            const activeSeason = await db.getActiveSeason();
+            return withFileLock(config.dataFilePath, async () => changePlayer(discordId, player => {
+                applyPlayerStatChange(player, stats, 1, activeSeason ? activeSeason.id : null);
+            }));
+        },
+        
+        removePlayerStats: async (discordId, stats) => {
+            const activeSeason = await db.getActiveSeason();
+            return withFileLock(config.dataFilePath, async () => changePlayer(discordId, player => {
+                applyPlayerStatChange(player, stats, -1, activeSeason ? activeSeason.id : null);
+            }));
+        },
+        
+        addGameRecord: async (discordId, gameStats) => {
+            const activeSeason = await db.getActiveSeason();
+            const gameRecord = {
+                id: createGameId(),
+                discordId,
+                timestamp: new Date().toISOString(),
+                season: activeSeason ? activeSeason.id : null,
+                ...gameStats
+            };
+            await withFileLock(config.gameHistoryFilePath, async () => {
+                insertGame.run(discordId, gameRecord.timestamp, JSON.stringify(gameRecord));
+            });
+            return gameRecord;
+        },
+        
+        getRecentGames: async (discordId, limit = 10) => {
+            return parseRows(sqlite.prepare(
+                'SELECT data FROM game_history WHERE discord_id = ? ORDER BY timestamp DESC LIMIT ?'
+            ).all(discordId, limit));
+        },
+        
+        scheduleMatch: async (team1, team2, dateTime, description = '') => {
+            const newMatch = {
+                id: Date.now().toString(),
+                team1,
+                team2,
+                dateTime,
+                description,
+                createdAt: new Date().toISOString(),
+                notified: false
+            };
+            const opponents = tables.opponents.read();
+            const opponent = findOpponent(opponents, team1) || findOpponent(opponents, team2);
+            if (opponent) linkOpponent(newMatch, opponent);
+            await withFileLock(config.scheduledMatchesFilePath, async () => saveMatch(newMatch));
+            return newMatch;
+        },
+        
+        getUpcomingMatches: async (limit = 5) => {
+            return parseRows(sqlite.prepare(
+                'SELECT data FROM scheduled_matches WHERE date_time > ? ORDER BY date_time LIMIT ?'
+            ).all(new Date().toISOString(), limit));
+        },
+        
+        findMatches: async (teams = null, dateStr = null) => {
+            let sql = 'SELECT data FROM scheduled_matches WHERE date_time > ?';
+            const params = [new Date().toISOString()];
+            
+            // Filter by teams if provided
+            if (teams) {
+                const pattern = `%${teams.toLowerCase().replace(/[\\%_]/g, char => `\\${char}`)}%`;
+                sql += " AND (lower(team1 || ' vs ' || team2) LIKE ? ESCAPE '\\' OR lower(team1) LIKE ? ESCAPE '\\' OR lower(team2) LIKE ? ESCAPE '\\')";
+                params.push(pattern, pattern, pattern);
+            }
+            
+            let matches = parseRows(sqlite.prepare(`${sql} ORDER BY date_time`).all(...params));
+            
+            // Filter by date if provided (compared in local time like the JSON backend)
+            if (dateStr) {
+                const targetDate = new Date(dateStr);
+                if (!isNaN(targetDate.getTime())) {
+                    matches = matches.filter(match => new Date(match.dateTime).toDateString() === targetDate.toDateString());
+                }
+            }
+            
+            return matches;
+        }
+    };
+}
+
+// With the SQLite backend every guild has its own database file. A database is opened
+// the first time its guild is used, and db calls go to the database of the current guild.
+const sqliteStorages = new Map();
+function openGuildSqliteStorage(guildId) {
+    if (sqliteStorages.has(guildId)) return;
+    
+    const storage = createSqliteStorage(config.sqliteFilePath);
+    sqliteStorages.set(guildId, storage);
+    console.log(`🗄️ Using SQLite storage: ${config.sqliteFilePath}`);
+    
+    // Writing a whole data set keeps its old content first when the write is audited
+    Object.keys(storage).forEach(name => {
+        const file = DATA_FILES.find(candidate => candidate.write === name);
+        db[name] = file
+            ? (...args) => captureAuditSnapshot(file.key).then(() => sqliteStorages.get(getCurrentGuildId())[name](...args))
+            : (...args) => sqliteStorages.get(getCurrentGuildId())[name](...args);
+    });
+}
+
+// Utility function for creating integer options
+function createIntegerOption(option, name, description, required = false) {
+    try {
+        option.setMinValue(0);
+    } catch (err) {
+        console.warn(`Could not set min value for ${name} option`);
+    }
+    return option.setName(name).setDescription(description).setRequired(required);
+}
+
+// Add an integer option per catalog stat to a command that changes player totals
+function addStatTotalOptions(command, verb) {
+    config.stats.forEach(stat => {
+        command.addIntegerOption(option =>
+            createIntegerOption(option, getStatOptionName(stat), `Number of ${stat.label.toLowerCase()} to ${verb}`, false));
+    });
+    return command;
+}
+
+// Add an option per per-game stat to a command that takes one game's line (yes/no for flags)
+function addStatLineOptions(command, scope) {
+    getLineStats().forEach(stat => {
+        if (stat.aggregation === 'flag') {
+            command.addBooleanOption(option =>
+                option.setName(getStatLineKey(stat))
+                    .setDescription(`Got ${stat.short} ${scope}`)
+                    .setRequired(false));
+        } else {
+            command.addIntegerOption(option => createIntegerOption(option, getStatLineKey(stat), `${stat.label} ${scope}`, false));
+        }
+    });
+    return command;
+}
+
+// Stat totals given in the options added by addStatTotalOptions
+function readStatTotalOptions(options) {
+    return Object.fromEntries(config.stats.map(stat => [stat.key, options.getInteger(getStatOptionName(stat)) || 0]));
+}
+
+// Match line given in the options added by addStatLineOptions
+function readStatLineOptions(options) {
+    return createLineStats(Object.fromEntries(getLineStats().map(stat => [getStatLineKey(stat),
+        stat.aggregation === 'flag' ? options.getBoolean(getStatLineKey(stat)) : options.getInteger(getStatLineKey(stat))])));
+}
+
+// Define slash commands - Updated to remove CSV commands
+const commands = [
+    new SlashCommandBuilder()
+        .setName('help')
+        .setDescription('Shows help information for the Stats Bot'),
+    
+    new SlashCommandBuilder()
+        .setName('stats')
+        .setDescription('Shows stats for a user')
+        .addUserOption(option => 
+            option.setName('user')
+                .setDescription('The user to check stats for (defaults to yourself)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('season')
+                .setDescription('Season number or name, or "career" for all-time totals')
+                .setRequired(false)),
+    
+    new SlashCommandBuilder()
+        .setName('team')
+        .setDescription('Shows player leaderboard for a team')
+        .addStringOption(option => 
+            option.setName('team')
+                .setDescription('The team to check stats for')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'A-Team', value: 'A-Team' },
+                    { name: 'B-Team', value: 'B-Team' }
+                )),
+
+    new SlashCommandBuilder()
+        .setName('team-stats')
+        .setDescription('Shows win/loss record for a team')
+        .addStringOption(option => 
+            option.setName('team')
+                .setDescription('The team to check win/loss record for')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'A-Team', value: 'A-Team' },
+                    { name: 'B-Team', value: 'B-Team' }
+                )),
+
+    new SlashCommandBuilder()
+        .setName('leaderboard')
+        .setDescription('Ranks players by a stat or metric (current season by default)')
+        .addStringOption(option =>
+            option.setName('stat')
+                .setDescription('Stat or metric to rank by (default: goals)')
+                .setRequired(false)
+                .addChoices(...getLeaderboardChoices()))
+        .addStringOption(option =>
+            option.setName('view')
+                .setDescription('Rank a stat by its total or per game (default: totals)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Totals', value: 'total' },
+                    { name: 'Per game', value: 'per-game' }
+                ))
+        .addStringOption(option =>
+            option.setName('team')
+                .setDescription('Only count what players earned for this team')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('season')
+                .setDescription('Season number or name, or "career" for all-time totals')
+                .setRequired(false))
+        .addIntegerOption(option => createIntegerOption(option, 'min-games', 
+            `Leave out players with fewer games (default: ${config.metricMinGames} for rates, 0 for totals)`)),
+
+    new SlashCommandBuilder()
+        .setName('season')
+        .setDescription('Manage seasons')
+        .addSubcommand(subcommand =>
+            subcommand.setName('start')
+                .setDescription('Start a new season (Admin only)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Season name (defaults to "Season N")')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('end')
+                .setDescription('End the current season and archive its stats (Admin only)'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('List all seasons')),
+    
+    new SlashCommandBuilder()
+        .setName('alias')
+        .setDescription('Manage the in-game names used to match replays to players')
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Link an in-game name to a player (Admin only)')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The player')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Name exactly as shown in game')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('platform')
+                        .setDescription('Only match this name on one platform (defaults to any platform)')
+                        .setRequired(false)
+                        .addChoices(...Object.entries(ALIAS_PLATFORM_LABELS).map(([value, name]) => ({ name, value })))))
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Remove an in-game name from a player (Admin only)')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The player')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('The in-game name to remove')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Show the in-game names of a player or of everyone')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The player (defaults to everyone)')
+                        .setRequired(false))),
+    
+    new SlashCommandBuilder()
+        .setName('achievements')
+        .setDescription('Shows all available achievements and how to unlock them'),
+    
+    new SlashCommandBuilder()
+        .setName('register')
+        .setDescription('Register a player')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The user to register')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('team')
+                .setDescription('The team to assign to the user')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'A-Team', value: 'A-Team' },
+                    { name: 'B-Team', value: 'B-Team' }
+                )),
+
+    new SlashCommandBuilder()
+        .setName('unregister')
+        .setDescription('Remove a player with all their stats and game records for good (Admin only)')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The player to remove')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('confirmation')
+                .setDescription('Type "CONFIRM" to remove the player (without it you only get a preview)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('retire')
+        .setDescription('Mark a player as retired: off rosters and leaderboards, kept in reports (Admin only)')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The player to retire')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('reason')
+                .setDescription('Shown in the hall of fame (e.g., "Moved to coaching")')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('reinstate')
+        .setDescription('Bring a retired player back (Admin only)')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The player to bring back')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('team')
+                .setDescription('Team to join (defaults to their last team)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('hall-of-fame')
+        .setDescription('Show retired players and their career stats'),
+
+    new SlashCommandBuilder()
+        .setName('records')
+        .setDescription('Show single-game records and the longest team and player streaks'),
+    
+    new SlashCommandBuilder()
+        .setName('chart')
+        .setDescription('Draws a chart image of player or team trends')
+        .addSubcommand(subcommand =>
+            subcommand.setName('trend')
+                .setDescription('A player\'s stats per game over time, with a rolling average')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('The player (defaults to yourself)')
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('games')
+                        .setDescription(`Number of recent games to show (default ${config.charts.games})`)
+                        .setMinValue(2)
+                        .setMaxValue(100)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('win-rate')
+                .setDescription('A team\'s game win rate by week')
+                .addStringOption(option =>
+                    option.setName('team')
+                        .setDescription('The team')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('weeks')
+                        .setDescription(`Number of weeks to show (default ${config.charts.weeks})`)
+                        .setMinValue(1)
+                        .setMaxValue(52)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('radar')
+                .setDescription('Compare the metrics of two players on a radar chart')
+                .addUserOption(option =>
+                    option.setName('player1')
+                        .setDescription('First player')
+                        .setRequired(true))
+                .addUserOption(option =>
+                    option.setName('player2')
+                        .setDescription('Second player')
+                        .setRequired(true))),
+
+    new SlashCommandBuilder()
+        .setName('ratings')
+        .setDescription('Shows the Elo rating leaderboard, worked out from match and series results')
+        .addStringOption(option =>
+            option.setName('type')
+                .setDescription('Rate players or teams (default: players)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Players', value: 'players' },
+                    { name: 'Teams', value: 'teams' }
+                )),
+
+    addStatTotalOptions(new SlashCommandBuilder()
+        .setName('addstats')
+        .setDescription('Manually add stats for a player (use /record-match for played games)')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The user to add stats for')
+                .setRequired(true)), 'add'),
+    
+    addStatLineOptions(new SlashCommandBuilder()
+        .setName('submit-stats')
+        .setDescription('Send your stat line from one game to the admins for approval'), 'in your game')
+        .addStringOption(option =>
+            option.setName('note')
+                .setDescription('Which game this was (e.g., "vs ATG, game 2")')
+                .setRequired(false)
+                .setMaxLength(200)),
+    
+    addStatTotalOptions(new SlashCommandBuilder()
+        .setName('removestats')
+        .setDescription('Manually remove stats for a player')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The user to remove stats from')
+                .setRequired(true)), 'remove'),
+        
+    new SlashCommandBuilder()
+        .setName('wipe-players')
+        .setDescription('DANGER: Wipe all player stats (Admin only)'),
+
+    new SlashCommandBuilder()
+        .setName('wipe-teams')
+        .setDescription('DANGER: Reset all team records and match results (Admin only)'),
+
+    new SlashCommandBuilder()
+        .setName('wipe-all')
+        .setDescription('DANGER: Wipe ALL data - complete reset (Admin only)'),
+
+    new SlashCommandBuilder()
+        .setName('team-win')
+        .setDescription('Add a win to a team')
+        .addStringOption(option =>
+            option.setName('team')
+                .setDescription('The team that won')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'A-Team', value: 'A-Team' },
+                    { name: 'B-Team', value: 'B-Team' }
+                ))
+        .addIntegerOption(option => createIntegerOption(option, 'wins', 'Number of wins to add (default: 1)', false)),
+
+    new SlashCommandBuilder()
+        .setName('team-loss')
+        .setDescription('Add a loss to a team')
+        .addStringOption(option =>
+            option.setName('team')
+                .setDescription('The team that lost')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'A-Team', value: 'A-Team' },
+                    { name: 'B-Team', value: 'B-Team' }
+                ))
+                .addIntegerOption(option => createIntegerOption(option, 'losses', 'Number of losses to add (default: 1)', false)),
+
+    new SlashCommandBuilder()
+        .setName('team-remove-win')
+        .setDescription('Remove wins from a team')
+        .addStringOption(option =>
+            option.setName('team')
+                .setDescription('The team to remove wins from')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'A-Team', value: 'A-Team' },
+                    { name: 'B-Team', value: 'B-Team' }
+                ))
+                .addIntegerOption(option => createIntegerOption(option, 'wins', 'Number of wins to remove (default: 1)', false)),
+
+    new SlashCommandBuilder()
+        .setName('team-remove-loss')
+        .setDescription('Remove losses from a team')
+        .addStringOption(option =>
+            option.setName('team')
+                .setDescription('The team to remove losses from')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'A-Team', value: 'A-Team' },
+                    { name: 'B-Team', value: 'B-Team' }
+                ))
+                .addIntegerOption(option => createIntegerOption(option, 'losses', 'Number of losses to remove (default: 1)', false)),
+
+    new SlashCommandBuilder()
+        .setName('compare')
+        .setDescription('Compare stats between two players')
+        .addUserOption(option =>
+            option.setName('player1')
+                .setDescription('First player to compare')
+                .setRequired(true))
+        .addUserOption(option =>
+            option.setName('player2')
+                .setDescription('Second player to compare')
+                .setRequired(true)),
+
+    new SlashCommandBuilder()
+        .setName('recent')
+        .setDescription('Show recent game performance for a player')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The user to check recent form for (defaults to yourself)')
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('games')
+                .setDescription('Number of recent games to show (default: 10, max: 20)')
+                .setRequired(false)
+                .setMinValue(1)
+                .setMaxValue(20)),
+
+    new SlashCommandBuilder()
+        .setName('player-history')
+        .setDescription("Show a player's transfers and the stats they earned for each team")
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The player (defaults to yourself)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('my-stats')
+        .setDescription('Quick personal stats dashboard'),
+
+    new SlashCommandBuilder()
+        .setName('schedule-match')
+        .setDescription('Schedule a match between teams (Admin only)')
+        .addStringOption(option =>
+            option.setName('team1')
+                .setDescription('First team (e.g., A-Team, B-Team, or external team like ATG)')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('team2')
+                .setDescription('Second team (e.g., A-Team, B-Team, or external team)')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('datetime')
+                .setDescription('Date and time (e.g., "2025-06-30 19:00" or "June 30 7pm")')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('description')
+                .setDescription('Optional match description')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('match-calendar')
+        .setDescription('View upcoming scheduled matches'),
+
+    new SlashCommandBuilder()
+        .setName('cancel-match')
+        .setDescription('Cancel a scheduled match (Admin only)')
+        .addStringOption(option =>
+            option.setName('match-id')
+                .setDescription('Specific match ID to cancel (use /cancel-match to see IDs)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('teams')
+                .setDescription('Filter by teams (e.g., "A-Team vs B-Team" or just "A-Team")')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('date')
+                .setDescription('Filter by match date (e.g., "June 30" or "2025-06-30")')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('opponent')
+        .setDescription('Show our head-to-head record, last results and upcoming fixtures against an opponent')
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('Opponent name or ID (see /opponents list)')
+                .setRequired(true)),
+
+    new SlashCommandBuilder()
+        .setName('opponents')
+        .setDescription('Manage the directory of external opponents')
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('List all registered opponents with our record against them'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Register an external opponent (Admin only)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Team name (results and fixtures already recorded under it are linked)')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('region')
+                        .setDescription('Region (e.g., EU, NA East)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('contact')
+                        .setDescription('Who to contact for scrims (e.g., a Discord name)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('notes')
+                        .setDescription('Anything worth remembering about them')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('edit')
+                .setDescription('Change an opponent\'s details, "-" clears a field (Admin only)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Opponent name or ID')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('new-name')
+                        .setDescription('New team name (updates their results and fixtures)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('region')
+                        .setDescription('Region')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('contact')
+                        .setDescription('Contact')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('notes')
+                        .setDescription('Notes')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Remove an opponent, their results stay under the same name (Admin only)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Opponent name or ID')
+                        .setRequired(true))),
+
+    new SlashCommandBuilder()
+        .setName('record-match')
+        .setDescription('Record the result of a played match (Admin only)')
+        .addStringOption(option =>
+            option.setName('team1')
+                .setDescription('First team (e.g., A-Team, B-Team, or external team like ATG)')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('team2')
+                .setDescription('Second team (e.g., A-Team, B-Team, or external team)')
+                .setRequired(true))
+        .addIntegerOption(option => createIntegerOption(option, 'score1', 'Goals scored by the first team', true))
+        .addIntegerOption(option => createIntegerOption(option, 'score2', 'Goals scored by the second team', true))
+        .addStringOption(option =>
+            option.setName('date')
+                .setDescription('When the match was played (defaults to now, e.g., "2025-06-30 19:00")')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('record-series')
+        .setDescription('Record a finished best-of series with the score of every game (Admin only)')
+        .addStringOption(option =>
+            option.setName('team1')
+                .setDescription('First team (e.g., A-Team, B-Team, or external team like ATG)')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('team2')
+                .setDescription('Second team (e.g., A-Team, B-Team, or external team)')
+                .setRequired(true))
+        .addIntegerOption(option =>
+            option.setName('format')
+                .setDescription('Series format')
+                .setRequired(true)
+                .addChoices(...SERIES_FORMATS.map(n => ({ name: `Best of ${n} (Bo${n})`, value: n }))))
+        .addStringOption(option =>
+            option.setName('games')
+                .setDescription('Game scores in order, first team first (e.g., "3-1, 2-4, 1-0")')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('date')
+                .setDescription('When the first game was played (defaults to now, e.g., "2025-06-30 19:00")')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('report-match')
+        .setDescription('Record a match with its score and every player line step by step (Admin only)')
+        .addStringOption(option =>
+            option.setName('opponent')
+                .setDescription('External opponent (e.g., ATG) instead of picking a second team')
+                .setRequired(false)),
+
+    addStatLineOptions(new SlashCommandBuilder()
+        .setName('match-line')
+        .setDescription("Add or replace a player's stat line in a recorded match (Admin only)")
+        .addStringOption(option =>
+            option.setName('match-id')
+                .setDescription('Match result ID (shown by /record-match and /match-results)')
+                .setRequired(true))
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('The player')
+                .setRequired(true)), 'in this match')
+        .addStringOption(option =>
+            option.setName('team')
+                .setDescription('Team played for, if not their registered team')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('match-results')
+        .setDescription('Show recent match results or one match in detail')
+        .addStringOption(option =>
+            option.setName('match-id')
+                .setDescription('Show this match with every player line, or a series (S...) with every game')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('team')
+                .setDescription('Only show matches this team played in')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('delete-result')
+        .setDescription('Delete a recorded match result and its stats (Admin only)')
+        .addStringOption(option =>
+            option.setName('match-id')
+                .setDescription('Match result ID to delete, or a series ID (S...) to delete every game of it')
+                .setRequired(true)),
+
+    new SlashCommandBuilder()
+        .setName('upload-replay')
+        .setDescription('Record a match from a Rocket League .replay file (Admin only)')
+        .addAttachmentOption(option =>
+            option.setName('file')
+                .setDescription('The .replay file (Documents/My Games/Rocket League/TAGame/Demos)')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('blue-team')
+                .setDescription('Team that played blue (defaults to the team of the matched players)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('orange-team')
+                .setDescription('Team that played orange (defaults to the team of the matched players)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('audit')
+        .setDescription('Browse the log of data changes (Admin only)')
+        .addIntegerOption(option =>
+            option.setName('entry')
+                .setDescription('Show one entry with every change it made')
+                .setRequired(false)
+                .setMinValue(1))
+        .addUserOption(option =>
+            option.setName('player')
+                .setDescription('Only show changes to this player')
+                .setRequired(false))
+        .addUserOption(option =>
+            option.setName('admin')
+                .setDescription('Only show changes made by this admin')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('undo')
+        .setDescription('Revert the changes of one audit log entry (Admin only)')
+        .addIntegerOption(option =>
+            option.setName('entry')
+                .setDescription('Audit entry number (see /audit)')
+                .setRequired(true)
+                .setMinValue(1)),
+
+    new SlashCommandBuilder()
+        .setName('create-backup')
+        .setDescription('Create a manual backup of all bot data (Admin only)'),
+
+    new SlashCommandBuilder()
+        .setName('list-backups')
+        .setDescription('List available backups (Admin only)'),
+
+    new SlashCommandBuilder()
+        .setName('restore-backup')
+        .setDescription('Restore data from a backup (Admin only)')
+        .addStringOption(option =>
+            option.setName('backup-folder')
+                .setDescription('Backup folder name (use /list-backups to see available backups)')
+                .setRequired(true)),
+
+    new SlashCommandBuilder()
+        .setName('repair-data')
+        .setDescription('Check data files and restore the newest valid backup if needed (Admin only)')
+        .addStringOption(option =>
+            option.setName('confirmation')
+                .setDescription('Type "CONFIRM" to restore the suggested backup')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('export-data')
+        .setDescription('Export all current data as downloadable files (Admin only)'),
+
+    new SlashCommandBuilder()
+        .setName('import-stats')
+        .setDescription('Add stats for many games from a CSV file (Admin only)')
+        .addAttachmentOption(option =>
+            option.setName('file')
+                .setDescription(`CSV with one row per player per game: player, ${getLineStats().map(getStatLineKey).join(', ')}`.substring(0, 100))
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('confirmation')
+                .setDescription('Type "CONFIRM" to add the stats (without it you only get a preview)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('import-replays')
+        .setDescription('Add stats from replay JSON exports, e.g. from ballchasing (Admin only)')
+        .addAttachmentOption(option =>
+            option.setName('file')
+                .setDescription('JSON with one replay or a list of replays')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('confirmation')
+                .setDescription('Type "CONFIRM" to add the stats (without it you only get a preview)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('import-data')
+        .setDescription('Restore data from an /export-data file (Admin only)')
+        .addAttachmentOption(option =>
+            option.setName('file')
+                .setDescription('JSON file created by /export-data')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('confirmation')
+                .setDescription('Type "CONFIRM" to apply the import (without it you only get a preview)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('generate-report')
+        .setDescription('Generate a comprehensive stats report file')
+        .addStringOption(option =>
+            option.setName('format')
+                .setDescription('Report format')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Text File (.txt)', value: 'txt' },
+                    { name: 'CSV Spreadsheet (.csv)', value: 'csv' },
+                    { name: 'HTML Web Page (.html)', value: 'html' }
+                ))
+        .addStringOption(option =>
+            option.setName('team')
+                .setDescription('Generate report for specific team only (use /list-teams to see available teams)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('season')
+                .setDescription('Season number or name (defaults to career totals)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('player-report')
+        .setDescription('Generate individual player report')
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('Player to generate report for (defaults to yourself)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('format')
+                .setDescription('Report format')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Text File (.txt)', value: 'txt' },
+                    { name: 'HTML Web Page (.html)', value: 'html' }
+                )),
+
+    new SlashCommandBuilder()
+        .setName('create-team')
+        .setDescription('Create a new team (Admin only)')
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('Name of the new team (e.g., C-Team, Reserves, etc.)')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('color')
+                .setDescription('Team color as a hex code (e.g., #ff9900)')
+                .setRequired(false))
+        .addUserOption(option =>
+            option.setName('captain')
+                .setDescription('Team captain')
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('roster-limit')
+                .setDescription('Maximum number of players on the team')
+                .setRequired(false)
+                .setMinValue(1)
+                .setMaxValue(50)),
+
+    new SlashCommandBuilder()
+        .setName('list-teams')
+        .setDescription('List all available teams'),
+
+    new SlashCommandBuilder()
+        .setName('delete-team')
+        .setDescription('Delete a team (Admin only)')
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('Name of the team to delete')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('confirmation')
+                .setDescription('Type "CONFIRM" to proceed with team deletion')
+                .setRequired(true)),
+
+    new SlashCommandBuilder()
+        .setName('rename-team')
+        .setDescription('Rename a team (Admin only)')
+        .addStringOption(option =>
+            option.setName('old-name')
+                .setDescription('Current team name')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('new-name')
+                .setDescription('New team name')
+                .setRequired(true))
+];
+
+// Commands that change stored data (blocked while a data file is quarantined)
+const MUTATING_COMMANDS = new Set([
+    'register', 'unregister', 'retire', 'reinstate', 'addstats', 'removestats',
+    'team-win', 'team-loss', 'team-remove-win', 'team-remove-loss',
+    'wipe-players', 'wipe-teams', 'wipe-all',
+    'schedule-match', 'cancel-match',
+    'record-match', 'record-series', 'match-line', 'delete-result', 'undo', 'season', 'import-data', 'import-stats',
+    'upload-replay', 'alias', 'import-replays', 'report-match', 'submit-stats',
+    'create-team', 'delete-team', 'rename-team', 'opponents'
+]);
+
+// Subcommands of those commands that only read data (e.g. /season list), so they keep working
+const READ_ONLY_SUBCOMMANDS = new Set(['list']);
+
+// Whether a slash command changes stored data
+function isMutatingCommand(interaction) {
+    return MUTATING_COMMANDS.has(interaction.commandName) &&
+        !READ_ONLY_SUBCOMMANDS.has(interaction.options.getSubcommand(false));
+}
+
+// Add error handling utility function
+async function safeReply(interaction, content, options = {}) {
+    try {
+        if (interaction.deferred || interaction.replied) {
+            return await interaction.editReply(content);
+        } else {
+            return await interaction.reply({...content, ...options});
+        }
+    } catch (error) {
+        console.error(`Error replying to interaction: ${error.message}`);
+        if (error.code === 10062) { // Unknown Interaction error
+            console.log('Interaction expired before response was sent');
+        }
+    }
+}
+
+// Run a task with the data of every guild the bot is in, one guild at a time
+async function forEachGuild(task) {
+    for (const guild of client.guilds.cache.values()) {
+        await withGuild(guild.id, () => task(guild));
+    }
+}
+
+// Data stored before it was split per guild sits directly in the bot folder. It belongs to
+// the guild the bot was used in then: LEGACY_GUILD_ID, or the only guild the bot is in.
+// Returns false when such data was found but could not be moved.
+async function migrateLegacyData() {
+    const legacyEntries = [
+        ...DATA_FILES.map(file => file.name),
+        'audit-log.json',
+        'backups'
+    ].map(name => ({ from: path.join(config.legacyDataFolder, name), to: name }));
+    ['', '-wal', '-shm'].forEach(suffix => {
+        legacyEntries.push({ from: `${config.legacySqliteFilePath}${suffix}`, to: `stats.db${suffix}` });
+    });
+    
+    // The health file moves into the data folder, whichever guild its incidents belong to
+    if (require('fs').existsSync(legacyDataHealthFilePath)) {
+        await saveDataHealth();
+        await fs.unlink(legacyDataHealthFilePath);
+    }
+    
+    const existing = [];
+    for (const entry of legacyEntries) {
+        try {
+            await fs.access(entry.from);
+            existing.push(entry);
+        } catch (error) {
+            // Not there - nothing to move
+        }
+    }
+    if (existing.length === 0) return true;
+    
+    const guildId = config.legacyGuildId || (client.guilds.cache.size === 1 ? client.guilds.cache.first().id : null);
+    if (!guildId) {
+        console.warn(`⚠️ Found data from before per-guild storage, but the bot is in ${client.guilds.cache.size} servers. ` +
+                     'Set LEGACY_GUILD_ID to the server it belongs to and restart.');
+        return false;
+    }
+    
+    const guildFolder = getGuildFolder(guildId);
+    await fs.mkdir(guildFolder, { recursive: true });
+    
+    const moved = [];
+    for (const entry of existing) {
+        const target = path.join(guildFolder, entry.to);
+        try {
+            await fs.access(target);
+            console.warn(`⚠️ Not moving ${entry.from}: ${target} already exists`);
+            continue;
+        } catch (error) {
+            // Target is free
+        }
+        await fs.rename(entry.from, target);
+        moved.push(entry.to);
+    }
+    
+    // Quarantined files recorded before the split belong to the same guild
+    let healthChanged = false;
+    corruptedDataFiles.forEach((incident, filePath) => {
+        if (incident.guildId || path.dirname(filePath) !== config.legacyDataFolder) return;
+        const movedPath = path.join(guildFolder, incident.name);
+        corruptedDataFiles.delete(filePath);
+        corruptedDataFiles.set(movedPath, { ...incident, filePath: movedPath, guildId });
+        healthChanged = true;
+    });
+    if (healthChanged) {
+        await saveDataHealth();
+    }
+    
+    console.log(`📦 Moved ${moved.join(', ')} into the data folder of guild ${guildId}`);
+    return moved.length === existing.length;
+}
+
+// When a process started, so a later process that got the same ID is not mistaken for it.
+// Only known where /proc exists (Linux), elsewhere the process ID alone is checked.
+function getProcessStartTime(pid) {
+    try {
+        const stat = require('fs').readFileSync(`/proc/${pid}/stat`, 'utf8');
+        return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19];
+    } catch (error) {
+        return null;
+    }
+}
+
+// Only one process may use the data folder at a time: the bot while it runs, or a script such
+// as import-replays.js. The lock file holds the owner's host, process ID and process start time,
+// so the lock of a process that is gone (crashed or killed) is taken over. A lock taken on
+// another host can not be checked and has to be removed by hand.
+function acquireDataFolderLock(owner) {
+    const fsSync = require('fs');
+    const hostname = require('os').hostname();
+    const lockPath = path.join(config.dataFolder, 'data.lock');
+    const lock = JSON.stringify({
+        pid: process.pid,
+        hostname,
+        processStart: getProcessStartTime(process.pid),
+        owner,
+        since: new Date().toISOString()
+    });
+    fsSync.mkdirSync(config.dataFolder, { recursive: true });
+    
+    try {
+        fsSync.writeFileSync(lockPath, lock, { flag: 'wx' });
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        
+        let holder = null;
+        try {
+            holder = JSON.parse(fsSync.readFileSync(lockPath, 'utf8'));
+            if (!holder.hostname || holder.hostname === hostname) {
+                process.kill(holder.pid, 0);
+                // The process ID was given to another process since the lock was taken
+                const processStart = getProcessStartTime(holder.pid);
+                if (holder.processStart && processStart && processStart !== holder.processStart) holder = null;
+            }
+        } catch (checkError) {
+            // Unreadable lock, or its process is gone (EPERM means it is alive under another user)
+            if (!holder || checkError.code !== 'EPERM') holder = null;
+        }
+        if (holder && !(holder.pid === process.pid && (holder.hostname || hostname) === hostname)) {
+            const host = holder.hostname && holder.hostname !== hostname ? ` on ${holder.hostname}` : '';
+            throw new Error(`The data folder is in use by ${holder.owner} (process ${holder.pid}${host}, since ${holder.since}). ` +
+                            `Stop it first. If it is not running any more, delete ${lockPath}.`);
+        }
+        fsSync.writeFileSync(lockPath, lock);
+    }
+    
+    process.on('exit', () => {
+        try {
+            if (JSON.parse(fsSync.readFileSync(lockPath, 'utf8')).pid === process.pid) {
+                fsSync.unlinkSync(lockPath);
+            }
+        } catch (error) {
+            // Already gone
+        }
+    });
+}
+
+// Get a guild's data ready for a script that works without the bot: lock the data folder,
+// then move data from before the per-guild split and upgrade the stored data like the bot
+// does on startup
+async function prepareScriptData(guildId, owner) {
+    acquireDataFolderLock(owner);
+    
+    if (!(await migrateLegacyData())) {
+        throw new Error('Data from before per-guild storage is still in the bot folder. Set LEGACY_GUILD_ID or start the bot once to move it.');
+    }
+    await withGuild(guildId, async () => {
+        const results = await db.runMigrations();
+        results.forEach(result => console.log(`🔧 Migrated ${result.name} from schema v${result.from} to v${result.to}`));
+    });
+}
+
+// Bot ready event
+client.once('ready', () => {
+    console.log(`Bot is online! Logged in as ${client.user.tag}`);
+    
+    // Every data access waits until data from before the per-guild split has been moved.
+    // Until it is, every server would see empty data, so the bot stops instead.
+    legacyDataMigration = migrateLegacyData().catch(error => {
+        console.error('❌ Error moving data into a guild folder:', error);
+        return false;
+    }).then(migrated => {
+        if (!migrated) {
+            console.error('❌ Data from before per-guild storage is still in the bot folder. Move it or set LEGACY_GUILD_ID, then restart.');
+            process.exit(1);
+        }
+    });
+    
+    // Per guild: send data alerts raised during startup, remind admins of unresolved ones
+    // and upgrade stored data to the current schema
+    const startupAlerts = pendingAdminAlerts.splice(0);
+    forEachGuild(async guild => {
+        const guildAlerts = startupAlerts.filter(alert => alert.guildId === guild.id);
+        const unresolvedFiles = db.getCorruptedFiles();
+        if (guildAlerts.length === 0 && unresolvedFiles.length > 0) {
+            guildAlerts.push({
+                title: '🚨 Data Repair Still Needed',
+                description: `${unresolvedFiles.map(incident => `**${incident.name}**`).join(', ')} is still quarantined.\n\n` +
+                             `🔒 Commands that change data are blocked.\n` +
+                             `🛠️ Use \`/repair-data\` to restore the newest valid backup.`
+            });
+        }
+        guildAlerts.forEach(alert => alertAdmins(alert.title, alert.description));
+        
+        try {
+            const results = await db.runMigrations();
+            results.forEach(result => {
+                console.log(`🔧 Migrated ${result.name} of ${guild.name} from schema v${result.from} to v${result.to}`);
+            });
+        } catch (error) {
+            console.error(`❌ Error running data migrations for ${guild.name}:`, error);
+        }
+    }).catch(error => {
+        console.error('❌ Error preparing guild data:', error);
+    });
+    
+    // Register slash commands
+    const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
+    
+    (async () => {
+        try {
+            console.log('Started refreshing application (/) commands.');
+            
+            await rest.put(
+                Routes.applicationCommands(client.user.id),
+                { body: commands.map(command => command.toJSON()) },
+            );
+            
+            console.log('Successfully reloaded application (/) commands.');
+        } catch (error) {
+            console.error('Failed to reload application (/) commands:', error);
+        }
+    })();
+
+    // Set up HTTP server for ping mechanism
+    const server = http.createServer((req, res) => {
+        if (req.url === '/ping') {
+            res.writeHead(200);
+            res.end('pong');
+        } else {
+            res.writeHead(200);
+            res.end('Stats Bot is running!');
+        }
+    });
+
+    // Start HTTP server
+    console.log(`Starting HTTP server on port ${PORT}...`);
+    server.listen(PORT, () => {
+        console.log(`HTTP server successfully started on port ${PORT}`);
+    });
+
+    // Self-pinging to keep bot awake (every 2 minutes)
+    setInterval(() => {
+        try {
+            // Use APP_URL environment variable for production, fallback to localhost for development
+            const appUrl = process.env.APP_URL || `http://localhost:${PORT}`;
+            
+            console.log(`[${new Date().toISOString()}] Pinging self at ${appUrl}/ping`);
+            
+            // Determine which http module to use
+            const httpModule = appUrl.startsWith('https') ? require('https') : require('http');
+            
+            // Send the ping
+            const req = httpModule.get(`${appUrl}/ping`, (res) => {
+                let data = '';
+                res.on('data', (chunk) => { data += chunk; });
+                res.on('end', () => {
+                    console.log(`[${new Date().toISOString()}] Self-ping successful with status: ${res.statusCode}`);
+                });
+            });
+            
+            req.on('error', (err) => {
+                console.error(`[${new Date().toISOString()}] Self-ping error: ${err.message}`);
+            });
+            
+            req.end();
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Error during self-ping: ${error.message}`);
+        }
+    }, 2 * 60 * 1000); // Every 2 minutes
+
+    // Match reminder system (check every hour, each guild's matches go to its own channel)
+    setInterval(() => forEachGuild(async guild => {
+        try {
+            const upcomingMatches = await db.getUpcomingMatches(20);
+            const now = new Date();
+            const oneHourFromNow = new Date(now.getTime() + 60 * 60 * 1000);
+            
+            // Check for matches starting within the next hour
+            for (const match of upcomingMatches) {
+                const matchTime = new Date(match.dateTime);
+                
+                // If match is within 1 hour and hasn't been notified
+                if (matchTime <= oneHourFromNow && matchTime > now && !match.notified) {
+                    // Find a general channel in this guild to send notification
+                    const channel = findNotificationChannel(guild);
+                    
+                    if (channel) {
+                        const timeUntilMatch = Math.round((matchTime - now) / (1000 * 60)); // minutes
+                        const swedenTime = formatSwedenTime(matchTime);
+                        
+                        const embed = createEmbed('⏰ Match Reminder', 
+                            `🚨 **${match.team1} vs ${match.team2}**\n\n` +
+                            `⏰ Starting in **${timeUntilMatch} minutes**!\n` +
+                            `📅 ${swedenTime.full}\n` +
+                            (match.description ? `📝 ${match.description}\n` : '') +
+                            `\nGood luck to both teams! 🏆\n` +
+                            `🇸🇪 Time shown in Sweden timezone`, 
+                            config.colors.primary);
+                        
+                        await channel.send({ embeds: [embed] });
+                        
+                        // Mark as notified
+                        await db.markMatchNotified(match.id);
+                    }
+                }
+            }
+            
+            // Clean up old matches
+            await db.cleanupOldMatches();
+            
+        } catch (error) {
+            console.error(`Error in match reminder system for ${guild.name}:`, error);
+        }
+    }).catch(error => {
+        console.error('Error in match reminder system:', error);
+    }), 60 * 60 * 1000); // Every hour
+
+    // Expire stat submissions nobody reviewed in time and take the buttons off their messages
+    setInterval(() => forEachGuild(async guild => {
+        try {
+            const expired = await db.expireSubmissions();
+            for (const submission of expired) {
+                await updateSubmissionMessage(submission);
+            }
+        } catch (error) {
+            console.error(`Error expiring stat submissions for ${guild.name}:`, error);
+        }
+    }).catch(error => {
+        console.error('Error expiring stat submissions:', error);
+    }), 10 * 60 * 1000); // Every 10 minutes
+
+    // Automatic backup system (daily at 3 AM)
+    const scheduleBackups = () => {
+        const now = new Date();
+        const next3AM = new Date();
+        next3AM.setHours(3, 0, 0, 0);
+        
+        // If it's already past 3 AM today, schedule for tomorrow
+        if (now >= next3AM) {
+            next3AM.setDate(next3AM.getDate() + 1);
+        }
+        
+        const timeUntilBackup = next3AM.getTime() - now.getTime();
+        
+        // Every guild gets its own backup in its own backups folder
+        const runAutomaticBackups = () => forEachGuild(async guild => {
+            try {
+                console.log(`🔄 Creating automatic daily backup for ${guild.name}...`);
+                await db.createBackup('automatic');
+                await db.cleanupOldBackups(30); // Keep 30 days of backups
+                console.log('✅ Automatic backup completed');
+            } catch (error) {
+                console.error(`❌ Error in automatic backup for ${guild.name}:`, error);
+            }
+        }).catch(error => {
+            console.error('❌ Error in automatic backup:', error);
+        });
+        
+        setTimeout(() => {
+            runAutomaticBackups();
+            
+            // Schedule next backup in 24 hours
+            setInterval(runAutomaticBackups, 24 * 60 * 60 * 1000); // Every 24 hours
+            
+        }, timeUntilBackup);
+        
+        console.log(`📅 Next automatic backup scheduled for: ${next3AM.toLocaleString()}`);
+    };
+    
+    // Start backup scheduling
+    scheduleBackups();
+
+    // Create initial backup on startup for each guild (if no recent backup exists)
+    setTimeout(() => forEachGuild(async guild => {
+        try {
+            // Ensure default teams exist
+            const allTeams = await db.getAllTeams();
+            if (allTeams.length === 0) {
+                console.log(`🏆 No teams found for ${guild.name}, creating default teams...`);
+                await withFileLock(config.teamStatsFilePath, () => db.writeTeamStatsFile(db.getDefaultTeamStats()));
+                console.log('✅ Default teams (A-Team, B-Team) created');
+            } else {
+                console.log(`✅ Found ${allTeams.length} teams for ${guild.name}: ${allTeams.join(', ')}`);
+            }
+            
+            const backups = await db.listBackups();
+            const now = new Date();
+            const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+            
+            const recentBackup = backups.find(backup => 
+                new Date(backup.timestamp) > oneDayAgo
+            );
+            
+            if (!recentBackup) {
+                console.log(`🔄 No recent backup found for ${guild.name}, creating startup backup...`);
+                await db.createBackup('startup');
+                console.log('✅ Startup backup created');
+            } else {
+                console.log(`✅ Recent backup exists for ${guild.name}, skipping startup backup`);
+            }
+        } catch (error) {
+            console.error(`❌ Error during startup initialization for ${guild.name}:`, error);
+        }
+    }).catch(error => {
+        console.error('❌ Error during startup initialization:', error);
+    }), 30000); // 30 seconds after startup
+});
+
+// Check if user has admin role
+async function isAdmin(member) {
+    if (!member) return false;
+    try {
+        // If member is not fetched, fetch it first
+        if (!member.fetch) {
+            console.warn('Member object does not have fetch method');
+            return false;
+        }
+        
+        await member.fetch();
+        
+        // Check if the member has the admin role
+        return member.roles.cache.some(role => role.name === config.adminRoleName);
+    } catch (error) {
+        console.error(`Error checking admin role: ${error.message}`);
+        return false;
+    }
+}
+
+async function getDisplayName(userId, interaction) {
+    try {
+        // Get the member from the guild
+        const member = await interaction.guild.members.fetch(userId);
+        // Return the member's display name (nickname if set, otherwise username)
+        return member ? member.displayName : 'Unknown User';
+    } catch (error) {
+        console.error(`Error fetching display name for user ${userId}:`, error);
+        // Fallback to username if available, otherwise show 'Unknown User'
+        try {
+            const user = await interaction.client.users.fetch(userId);
+            return user ? user.username : 'Unknown User';
+        } catch (err) {
+            console.error(`Error fetching user ${userId}:`, err);
+            return 'Unknown User';
+        }
+    }
+}
+
+// Create embeds for nice looking messages
+function createEmbed(title, description = null, color = config.colors.primary) {
+    const embed = new EmbedBuilder()
+        .setColor(color)
+        .setTitle(title)
+        .setTimestamp()
+        .setFooter({ text: 'Stats Bot', iconURL: 'https://i.imgur.com/wSTFkRM.png' });
+    
+    if (description) {
+        embed.setDescription(description);
+    }
+    
+    return embed;
+}
+
+// Calculate player achievements based on stats
+function calculateAchievements(player) {
+    const achievements = [];
+    
+    // Check each achievement category (one per catalog stat with tiers)
+    getAchievementStats().forEach(stat => {
+        const playerStat = getStatValue(player, stat);
+        
+        stat.achievements.forEach(achievement => {
+            if (playerStat >= achievement.threshold) {
+                achievements.push(`${achievement.emoji} ${achievement.name}`);
+            }
+        });
+    });
+    
+    return achievements.length ? achievements.join('\n') : 'No achievements yet';
+}
+
+// Calculate achievement progression
+function calculateAchievementProgress(player) {
+    const progressInfo = [];
+    
+    getAchievementStats().forEach(stat => {
+        const playerStat = getStatValue(player, stat);
+        
+        // Find next achievement in this category
+        const nextAchievement = stat.achievements.find(achievement => 
+            playerStat < achievement.threshold
+        );
+        
+        if (nextAchievement) {
+            const progress = playerStat;
+            const needed = nextAchievement.threshold - playerStat;
+            const percentage = Math.round((progress / nextAchievement.threshold) * 100);
+            
+            progressInfo.push({
+                category: stat.label,
+                current: progress,
+                needed: needed,
+                target: nextAchievement.threshold,
+                percentage: percentage,
+                achievement: nextAchievement,
+                emoji: nextAchievement.emoji
+            });
+        }
+    });
+    
+    return progressInfo;
+}
+
+// Parse date string for match scheduling
+function parseMatchDateTime(dateTimeStr) {
+    try {
+        // Try parsing ISO format first (2025-06-30 19:00)
+        if (dateTimeStr.match(/^\d{4}-\d{2}-\d{2}\s\d{1,2}:\d{2}$/)) {
+            return new Date(dateTimeStr);
+        }
+        
+        // Try parsing natural language (June 30 7pm, Jun 30 19:00)
+        const naturalDate = new Date(dateTimeStr);
+        if (!isNaN(naturalDate.getTime())) {
+            return naturalDate;
+        }
+        
+        throw new Error('Invalid date format');
+    } catch (error) {
+        throw new Error('Please use format like "2025-06-30 19:00" or "June 30 7pm"');
+    }
+}
+
+// Create player comparison embed
+function createPlayerComparisonEmbed(player1, player2, user1, user2, participation = new Map()) {
+    const embed = new EmbedBuilder()
+        .setColor(config.colors.primary)
+        .setTitle('⚔️ Player Comparison')
+        .setDescription(`**${player1.displayName}** vs **${player2.displayName}**`)
+        .setTimestamp();
+
+    // Add comparison fields
+    embed.addFields(
+        { name: '🏅 Team', value: `${player1.team}\nvs\n${player2.team}`, inline: true },
+        ...config.stats.map(stat => ({
+            name: `${stat.emoji} ${stat.label}`,
+            value: `${getStatValue(player1, stat)}\nvs\n${getStatValue(player2, stat)}`,
+            inline: true
+        }))
+    );
+
+    // Add efficiency metrics side by side
+    const metrics1 = calculateMetrics(player1, participation.get(player1.discordId));
+    const metrics2 = calculateMetrics(player2, participation.get(player2.discordId));
+    embed.addFields(metrics1.map(({ metric, text }, index) => ({
+        name: `${metric.emoji} ${metric.label}`,
+        value: `${text}\nvs\n${metrics2[index].text}`,
+        inline: true
+    })));
+
+    const note = getMetricThresholdNote(player1) || getMetricThresholdNote(player2);
+    if (note) {
+        embed.setFooter({ text: note });
+    }
+
+    return embed;
+}
+
+// Create roster history embed: every team membership and the stats earned for each team
+function createPlayerHistoryEmbed({ player, roster, teams }) {
+    const teamColor = player.team === 'A-Team' ? config.colors.aTeam : config.colors.bTeam;
+    const formatDate = date => new Date(date).toLocaleDateString('sv-SE');
+    
+    const embed = new EmbedBuilder()
+        .setColor(teamColor)
+        .setTitle(`📜 Roster History - ${player.displayName}`)
+        .setDescription(`Currently on **${player.team}**` +
+            (roster.length > 1 ? ` • ${roster.length - 1} transfer(s)` : ''))
+        .setTimestamp();
+    
+    const membershipLines = roster.map(entry => 
+        `**${entry.team}** • ${entry.from ? formatDate(entry.from) : '*before roster history*'} to ` +
+        (entry.to ? formatDate(entry.to) : '*now* 🟢'));
+    embed.addFields({
+        name: '🔁 Teams',
+        value: membershipLines.length > 0 ? membershipLines.join('\n') : `**${player.team}** (no dated memberships)`,
+        inline: false
+    });
+    
+    embed.addFields({
+        name: '📊 Stats per Team',
+        value: teams.length > 0
+            ? teams.map(team => `**${team.team}**: ${formatStatCounts(team)}`).join('\n')
+            : 'No stats recorded yet.',
+        inline: false
+    });
+    
+    return embed;
+}
+
+// Create hall of fame embed listing retired players with their career totals
+function createHallOfFameEmbed(players) {
+    const embed = createEmbed('🏛️ Hall of Fame', 'Retired players and what they achieved');
+    
+    if (players.length === 0) {
+        embed.setDescription('No retired players yet. An admin can retire a player with `/retire`.');
+        return embed;
+    }
+    
+    // Discord allows 25 fields per embed
+    players.slice(0, 25).forEach(player => {
+        const teams = [...new Set((player.roster || []).map(entry => entry.team))];
+        const achievements = calculateAchievements(player);
+        embed.addFields({
+            name: `🏅 ${player.displayName}`,
+            value: `${teams.length > 0 ? teams.join(' → ') : player.team} • retired ${new Date(player.retiredAt).toLocaleDateString('sv-SE')}` +
+                (player.retiredReason ? ` (${player.retiredReason})` : '') + '\n' +
+                formatStatCounts(player) +
+                (achievements !== 'No achievements yet' ? `\n${achievements.split('\n').join(' ')}` : ''),
+            inline: false
+        });
+    });
+    
+    return embed;
+}
+
+// Create records embed: one field per record with its holder and date
+function createRecordsEmbed(records) {
+    const embed = createEmbed('📜 Records', 'Single-game highs and longest streaks from the recorded games');
+    
+    if (records.every(record => !record.holder)) {
+        embed.setDescription('No records yet. Records are set by the games added with `/record-match`, `/report-match`, `/match-line`, replays, imports and approved submissions.');
+        return embed;
+    }
+    
+    records.forEach(record => {
+        embed.addFields({ name: `${record.emoji} ${record.label}`, value: formatRecord(record), inline: false });
+    });
+    embed.setFooter({ text: 'Team streaks count the match results of our teams, ties keep the first holder' });
+    
+    return embed;
+}
+
+// Create announcement embed for records broken by a stat entry ([{ record, previous }])
+function createBrokenRecordsEmbed(broken) {
+    return createEmbed('🎉 New Record!', broken.map(({ record, previous }) =>
+        `${record.emoji} **${record.label}**\n${formatRecord(record)}\n*Previous: ${previous.value} by ${previous.holder}*`
+    ).join('\n\n'), config.colors.success);
+}
+
+// Create rating leaderboard embed from { name, detail, entry } rows, highest rating first
+function createRatingsEmbed(rows, type) {
+    const embed = createEmbed(`🏅 ${type === 'teams' ? 'Team' : 'Player'} Ratings`, 
+        `Elo ratings from match and series results (everyone starts at ${config.ratings.initial})`);
+    
+    if (rows.length === 0) {
+        embed.setDescription('No rated results yet. Ratings are worked out from `/record-match`, `/record-series` and `/report-match` results.');
+        return embed;
+    }
+    
+    const medals = ['🥇', '🥈', '🥉'];
+    embed.addFields({
+        name: '📈 Leaderboard',
+        value: rows.slice(0, 15).map((row, index) => 
+            `${medals[index] || `${index + 1}.`} **${row.name}**${row.detail ? ` (${row.detail})` : ''}: ${formatRating(row.entry)} • ${row.entry.wins}W-${row.entry.losses}L`
+        ).join('\n')
+    });
+    
+    return embed;
+}
+
+// Create recent form embed
+function createRecentFormEmbed(player, recentGames, gamesRequested) {
+    const teamColor = player.team === 'A-Team' ? config.colors.aTeam : config.colors.bTeam;
+    
+    const embed = new EmbedBuilder()
+        .setColor(teamColor)
+        .setTitle(`📈 Recent Form - ${player.displayName}`)
+        .setDescription(`Last ${Math.min(recentGames.length, gamesRequested)} games`)
+        .setTimestamp();
+
+    if (recentGames.length === 0) {
+        embed.addFields({
+            name: 'No Recent Games',
+            value: 'No game history found. Games appear here once they are recorded with `/record-match`.',
+            inline: false
+        });
+        return embed;
+    }
+
+    // Calculate recent totals
+    const recentTotals = createEmptyStats();
+    recentGames.forEach(game => {
+        getLineStats().forEach(stat => {
+            recentTotals[stat.key] += getStatValue(game, stat);
+        });
+    });
+
+    embed.addFields(
+        ...getLineStats().map(stat => ({
+            name: `${stat.emoji} Recent ${stat.label}`,
+            value: `${recentTotals[stat.key]} total` +
+                   (stat.perGame ? `\n${formatPerGame(stat, recentTotals[stat.key], recentGames.length)} ${stat.aggregation === 'flag' ? 'of games' : 'per game'}` : ''),
+            inline: true
+        })),
+        { name: '📊 Games Analyzed', value: `${recentGames.length} games`, inline: true }
+    );
+
+    // Show last few games timeline
+    let gamesList = '';
+    recentGames.slice(0, 5).forEach((game, index) => {
+        const date = new Date(game.timestamp).toLocaleDateString();
+        const result = formatGameResult(game);
+        gamesList += `**${date}**${result ? ` (${result})` : ''}: ${formatCompactStats(game)}\n`;
+    });
+
+    if (gamesList) {
+        embed.addFields({
+            name: '📅 Recent Games',
+            value: gamesList,
+            inline: false
+        });
+    }
+
+    return embed;
+}
+
+// Create personal dashboard embed
+function createPersonalDashboardEmbed(player, recentGames, achievementProgress, metrics = calculateMetrics(player)) {
+    const teamColor = player.team === 'A-Team' ? config.colors.aTeam : config.colors.bTeam;
+    
+    const embed = new EmbedBuilder()
+        .setColor(teamColor)
+        .setTitle(`🎮 ${player.displayName}'s Dashboard`)
+        .setDescription(`Team: **${player.team}**`)
+        .setTimestamp();
+
+    // Current stats
+    embed.addFields(
+        { name: '📊 Current Stats', 
+          value: config.stats.map(stat => `${stat.emoji} **${getStatValue(player, stat)}** ${stat.label.toLowerCase()}`).join('\n'), 
+          inline: true }
+    );
+
+    // Efficiency stats
+    embed.addFields(
+        { name: '📈 Efficiency', 
+          value: metrics.map(({ metric, text }) => `${metric.emoji} **${text}** ${metric.label.toLowerCase()}`).join('\n') +
+              (getMetricThresholdNote(player) ? `\n*${getMetricThresholdNote(player)}*` : ''), 
+          inline: true }
+    );
+
+    // Recent form summary
+    if (recentGames.length > 0) {
+        const recentTotals = getLineStats()
+            .filter(stat => stat.perGame)
+            .map(stat => `${stat.emoji} **${recentGames.reduce((sum, game) => sum + getStatValue(game, stat), 0)}** ${stat.label.toLowerCase()}`);
+        const recentResults = recentGames
+            .filter(game => game.matchId)
+            .map(game => game.result === 'win' ? 'W' : 'L')
+            .join(' ');
+        
+        embed.addFields(
+            { name: '📅 Recent Form (Last 5)', 
+              value: [...recentTotals, `📊 **${recentGames.length}** games`].join('\n') +
+                     (recentResults ? `\n📈 ${recentResults}` : ''), 
+              inline: true }
+        );
+    }
+
+    // Next achievements
+    if (achievementProgress.length > 0) {
+        const topProgress = achievementProgress
+            .sort((a, b) => b.percentage - a.percentage)
+            .slice(0, 3);
+        
+        let progressText = '';
+        topProgress.forEach(progress => {
+            progressText += `${progress.emoji} **${progress.achievement.name}**: ${progress.current}/${progress.target} (${progress.percentage}%)\n`;
+        });
+        
+        embed.addFields(
+            { name: '🎯 Achievement Progress', 
+              value: progressText || 'All achievements unlocked!', 
+              inline: false }
+        );
+    }
+
+    return embed;
+}
+
+// Create match calendar embed
+function createMatchCalendarEmbed(upcomingMatches) {
+    const embed = createEmbed('📅 Match Calendar', 'Upcoming scheduled matches');
+    
+    if (upcomingMatches.length === 0) {
+        embed.setDescription('No upcoming matches scheduled. Use `/schedule-match` to add matches.');
+        return embed;
+    }
+    
+    let matchList = '';
+    upcomingMatches.forEach((match, index) => {
+        const date = new Date(match.dateTime);
+        const swedenTime = formatSwedenTime(date);
+        
+        matchList += `**${index + 1}.** ${match.team1} vs ${match.team2}\n`;
+        matchList += `📅 ${swedenTime.date} at ${swedenTime.time} ${swedenTime.timezone}\n`;
+        matchList += `🔢 ID: \`${match.id}\`\n`;
+        if (match.description) {
+            matchList += `📝 ${match.description}\n`;
+        }
+        matchList += '\n';
+    });
+    
+    embed.setDescription(matchList);
+    embed.addFields({
+        name: '🛠️ Management',
+        value: 'Use `/cancel-match match-id:<id>` to cancel a specific match.\n🇸🇪 All times shown in Sweden timezone.',
+        inline: false
+    });
+    
+    return embed;
+}
+
+// Create embed for a single match result with every player line
+function createMatchResultEmbed(match) {
+    const swedenTime = formatSwedenTime(new Date(match.date));
+    const embed = createEmbed(
+        `🏁 ${match.team1} ${match.score1} - ${match.score2} ${match.team2}`,
+        `🏆 **Winner**: ${match.winner}\n` +
+        `📅 **Played**: ${swedenTime.full}\n` +
+        `🔢 **ID**: \`${match.id}\`` +
+        (match.series ? `\n📚 **Series**: game ${match.series.game} of a Bo${match.series.format} (\`${match.series.id}\`)` : '')
+    );
+    
+    if (match.lines.length === 0) {
+        embed.addFields({
+            name: '👥 Player Lines',
+            value: `No player lines yet. Add them with \`/match-line match-id:${match.id}\`.`,
+            inline: false
+        });
+        return embed;
+    }
+    
+    [match.team1, match.team2].forEach(team => {
+        const lines = match.lines.filter(line => line.team === team);
+        if (lines.length === 0) return;
+        
+        const value = lines
+            .map(line => `**${line.displayName}**: ${formatCompactStats(getMatchLineStats(line))}`)
+            .join('\n');
+        embed.addFields({ name: `👥 ${team}`, value, inline: false });
+    });
+    
+    return embed;
+}
+
+// Create embed for a best-of series with every game
+function createSeriesResultEmbed(series) {
+    const swedenTime = formatSwedenTime(new Date(series.date));
+    const loserWins = Math.min(series.wins1, series.wins2);
+    const embed = createEmbed(
+        `📚 ${series.team1} ${series.wins1} - ${series.wins2} ${series.team2} (Bo${series.format})`,
+        (series.winner
+            ? `🏆 **Winner**: ${series.winner} (${Math.max(series.wins1, series.wins2)}-${loserWins}${loserWins === 0 ? ', sweep' : ''})\n`
+            : '⚠️ **Unfinished**: a game of this series is missing\n') +
+        `⚽ **Goals**: ${series.goals1} - ${series.goals2} (${series.team1} ${formatGoalDifference(series.goals1 - series.goals2)})\n` +
+        `📅 **Played**: ${swedenTime.full}\n` +
+        `🔢 **ID**: \`${series.id}\``
+    );
+    
+    embed.addFields({
+        name: '🎮 Games',
+        value: series.games.map(game =>
+            `Game ${game.series.game}: ${game.team1} **${game.score1} - ${game.score2}** ${game.team2} • \`${game.id}\` • 👥 ${game.lines.length}`
+        ).join('\n'),
+        inline: false
+    });
+    
+    return embed;
+}
+
+// Create embed listing recent match results
+function createMatchResultsEmbed(matches, team = null) {
+    const embed = createEmbed('🏁 Match Results', team ? `Recent results for **${team}**` : 'Recent results');
+    
+    if (matches.length === 0) {
+        embed.setDescription('No match results recorded yet. Use `/record-match` to add one.');
+        return embed;
+    }
+    
+    let resultList = '';
+    matches.forEach(match => {
+        const swedenTime = formatSwedenTime(new Date(match.date));
+        resultList += `**${swedenTime.date}** ${match.team1} **${match.score1} - ${match.score2}** ${match.team2}\n`;
+        resultList += `🔢 ID: \`${match.id}\` • 👥 ${match.lines.length} player line(s)` +
+            (match.series ? ` • 📚 Game ${match.series.game}, series \`${match.series.id}\`` : '') + '\n\n';
+    });
+    
+    embed.setDescription(resultList);
+    embed.addFields({
+        name: '🔍 Details',
+        value: 'Use `/match-results match-id:<id>` to see every player line.',
+        inline: false
+    });
+    
+    return embed;
+}
+
+// Create embed with our head-to-head record against an opponent, their details,
+// our latest results against them and the upcoming fixtures
+function createOpponentEmbed({ opponent, record, series, recent, upcoming }) {
+    const winRate = record.games > 0 ? ((record.wins / record.games) * 100).toFixed(1) : '0.0';
+    const details = [
+        opponent.region ? `🌍 **Region**: ${opponent.region}` : null,
+        opponent.contact ? `📇 **Contact**: ${opponent.contact}` : null,
+        opponent.notes ? `📝 **Notes**: ${opponent.notes}` : null
+    ].filter(Boolean);
+    
+    const embed = createEmbed(`🆚 ${opponent.name}`, 
+        (details.length > 0 ? details.join('\n') + '\n\n' : '') +
+        `🔢 **ID**: ${opponent.id}`);
+    
+    if (record.games === 0) {
+        embed.addFields({ name: '📊 Head-to-Head', value: 'No results against them yet.', inline: false });
+    } else {
+        embed.addFields(
+            { name: '🎮 Games', value: `${record.wins}W-${record.losses}L (${winRate}%)`, inline: true },
+            { name: '📚 Series', value: series.length > 0 ? `${record.seriesWins}W-${record.seriesLosses}L` : '-', inline: true },
+            { name: '⚽ Goals', value: `${record.goalsFor} - ${record.goalsAgainst} (${formatGoalDifference(record.goalDifference)})`, inline: true }
+        );
+        
+        const resultLines = recent.map(match => {
+            const ourSide = match.team1 === opponent.name ? 2 : 1;
+            const ourScore = ourSide === 1 ? match.score1 : match.score2;
+            const theirScore = ourSide === 1 ? match.score2 : match.score1;
+            const swedenTime = formatSwedenTime(new Date(match.date));
+            return `**${swedenTime.date}** ${ourScore > theirScore ? '✅ W' : '❌ L'} **${ourScore} - ${theirScore}** ` +
+                `with ${ourSide === 1 ? match.team1 : match.team2}` +
+                (match.series ? ` • 📚 Game ${match.series.game} of \`${match.series.id}\`` : '') +
+                ` • \`${match.id}\``;
+        });
+        embed.addFields({ name: '🏁 Last Results', value: resultLines.join('\n'), inline: false });
+    }
+    
+    const fixtureLines = upcoming.slice(0, 5).map(match => {
+        const swedenTime = formatSwedenTime(new Date(match.dateTime));
+        return `**${swedenTime.date}** at ${swedenTime.time} • ${match.team1} vs ${match.team2}` +
+            (match.description ? ` • ${match.description}` : '');
+    });
+    embed.addFields({ 
+        name: '📅 Upcoming Fixtures', 
+        value: fixtureLines.length > 0 ? fixtureLines.join('\n') : 'Nothing scheduled. Use `/schedule-match` to add one.', 
+        inline: false 
+    });
+    
+    return embed;
+}
+
+// Create embed listing every registered opponent with our record against them
+function createOpponentListEmbed(opponents) {
+    const embed = createEmbed('🆚 Opponents', 'External teams we play against');
+    
+    if (opponents.length === 0) {
+        embed.setDescription('No opponents registered yet. An admin can add one with `/opponents add`.');
+        return embed;
+    }
+    
+    const lines = opponents.map(opponent => {
+        const { record } = opponent;
+        return `**${opponent.name}**${opponent.region ? ` (${opponent.region})` : ''} • ID ${opponent.id}\n` +
+            (record.games > 0
+                ? `🎮 ${record.wins}W-${record.losses}L • ⚽ ${record.goalsFor} - ${record.goalsAgainst} (${formatGoalDifference(record.goalDifference)})`
+                : '🎮 No results yet');
+    });
+    
+    embed.setDescription(lines.join('\n\n'));
+    embed.addFields({
+        name: '🔍 Details',
+        value: 'Use `/opponent name:<name>` for the full head-to-head, last results and upcoming fixtures.',
+        inline: false
+    });
+    
+    return embed;
+}
+
+// Create embed listing audit log entries
+function createAuditLogEmbed(entries, filterText = null) {
+    const embed = createEmbed('📜 Audit Log', filterText || 'Most recent data changes');
+    
+    if (entries.length === 0) {
+        embed.setDescription(`${filterText ? `${filterText}\n\n` : ''}No matching changes found.`);
+        return embed;
+    }
+    
+    let entryList = filterText ? `${filterText}\n\n` : '';
+    entries.forEach(entry => {
+        const swedenTime = formatSwedenTime(new Date(entry.timestamp));
+        entryList += `**#${entry.id}** • ${swedenTime.date} ${swedenTime.time} • ${entry.actorName}\n`;
+        entryList += `\`${entry.command.substring(0, 80)}\``;
+        entryList += ` • ${entry.changes.length} change(s)`;
+        if (entry.undoOf) entryList += ` • undoes #${entry.undoOf}`;
+        if (entry.undoneBy) entryList += ` • ↩️ undone by #${entry.undoneBy}`;
+        entryList += '\n\n';
+    });
+    
+    embed.setDescription(entryList.substring(0, 4096));
+    embed.addFields({
+        name: '🔍 Details',
+        value: 'Use `/audit entry:<number>` to see the changes, and `/undo entry:<number>` to revert them.',
+        inline: false
+    });
+    
+    return embed;
+}
+
+// Create embed with every change of one audit entry
+function createAuditEntryEmbed(entry) {
+    const swedenTime = formatSwedenTime(new Date(entry.timestamp));
+    const embed = createEmbed(`📜 Audit Entry #${entry.id}`,
+        `👤 **By**: ${entry.actorName}${entry.actorId ? ` (<@${entry.actorId}>)` : ''}\n` +
+        `📅 **When**: ${swedenTime.full}\n` +
+        `⌨️ **Command**: \`${entry.command}\`` +
+        (entry.undoOf ? `\n↩️ **Undoes**: #${entry.undoOf}` : '') +
+        (entry.undoneBy ? `\n↩️ **Undone by**: #${entry.undoneBy}` : ''));
+    
+    // Game history entries follow from player and match changes, so only count them
+    const gameRecordChanges = entry.changes.filter(change => change.dataSet === 'gameHistory').length;
+    let changeList = entry.changes
+        .filter(change => change.dataSet !== 'gameHistory')
+        .map(change => `• ${describeAuditChange(change)}`)
+        .join('\n');
+    if (gameRecordChanges > 0) {
+        changeList += `\n• ${gameRecordChanges} game history record(s) changed`;
+    }
+    if (changeList.length > 1024) {
+        changeList = changeList.substring(0, 1000) + '\n…';
+    }
+    
+    embed.addFields({ name: '📝 Changes', value: changeList.trim() || 'No changes', inline: false });
+    return embed;
+}
+
+// Create stat import preview (or result) embed
+function createStatImportEmbed(fileName, rowCount, totals, unmatched, applied) {
+    const gameCount = totals.reduce((sum, total) => sum + total.gamesPlayed, 0);
+    let description = `📁 **File**: ${fileName}\n` +
+        `📋 **Rows**: ${rowCount} (${gameCount} matched, ${unmatched.length} skipped)\n\n`;
+    
+    if (applied) {
+        description += `✅ **Added ${gameCount} game record(s) for ${totals.length} player(s).**`;
+    } else if (totals.length === 0) {
+        description += '❌ **No row could be matched to a registered player, so there is nothing to import.**';
+    } else {
+        description += '⚠️ **Nothing has been added yet.** Each matched row becomes one game for that player.\n' +
+            `🔄 Run \`/import-stats\` with the same file and \`confirmation:CONFIRM\` to add the stats.`;
+    }
+    
+    const embed = createEmbed(applied ? '📥 Stats Imported' : '📥 Stat Import Preview', description,
+        applied ? config.colors.success : totals.length === 0 ? config.colors.error : config.colors.primary);
+    
+    if (totals.length > 0) {
+        let totalsText = totals.map(total =>
+            `**${total.player.displayName}** (${total.player.team}): ${formatStatCounts(total)}`
+        ).join('\n');
+        if (totalsText.length > 1024) {
+            totalsText = totalsText.substring(0, 1000) + '\n…';
+        }
+        embed.addFields({ name: applied ? '📊 Totals Added' : '📊 Totals To Add', value: totalsText, inline: false });
+    }
+    
+    if (unmatched.length > 0) {
+        let skippedText = unmatched.map(row => `Row ${row.rowNumber}: ${row.reason}`).join('\n');
+        if (skippedText.length > 1024) {
+            skippedText = skippedText.substring(0, 1000) + '\n…';
+        }
+        embed.addFields({ name: '⚠️ Skipped Rows', value: skippedText, inline: false });
+    }
+    
+    return embed;
+}
+
+// Create replay JSON import preview (or result) embed
+function createReplayImportEmbed(fileName, replayCount, totals, skipped, applied) {
+    const gameCount = totals.reduce((sum, total) => sum + total.gamesPlayed, 0);
+    let description = `📁 **File**: ${fileName}\n` +
+        `🎥 **Replays**: ${replayCount} new (${gameCount} player game(s) matched, ${skipped.length} skipped)\n\n`;
+    
+    if (applied) {
+        description += `✅ **Added ${gameCount} game record(s) for ${totals.length} player(s).** Boost, movement and positioning stats are kept for \`/player-report\`.`;
+    } else if (totals.length === 0) {
+        description += '❌ **No new replay player could be matched to a registered player, so there is nothing to import.**\n' +
+            '🎮 Link in-game names with `/alias add`.';
+    } else {
+        description += '⚠️ **Nothing has been added yet.** Each matched player in a replay becomes one game for them.\n' +
+            `🔄 Run \`/import-replays\` with the same file and \`confirmation:CONFIRM\` to add the stats.`;
+    }
+    
+    const embed = createEmbed(applied ? '📥 Replays Imported' : '📥 Replay Import Preview', description,
+        applied ? config.colors.success : totals.length === 0 ? config.colors.error : config.colors.primary);
+    
+    if (totals.length > 0) {
+        let totalsText = totals.map(total =>
+            `**${total.player.displayName}** (${total.player.team}): ${formatStatCounts(total)}`
+        ).join('\n');
+        if (totalsText.length > 1024) {
+            totalsText = totalsText.substring(0, 1000) + '\n…';
+        }
+        embed.addFields({ name: applied ? '📊 Totals Added' : '📊 Totals To Add', value: totalsText, inline: false });
+    }
+    
+    if (skipped.length > 0) {
+        let skippedText = skipped.join('\n');
+        if (skippedText.length > 1024) {
+            skippedText = skippedText.substring(0, 1000) + '\n…';
+        }
+        embed.addFields({ name: '⚠️ Skipped', value: skippedText, inline: false });
+    }
+    
+    return embed;
+}
+
+// Create import preview (or result) embed from summarized import changes
+function createImportPreviewEmbed(fileName, exportData, summary, applied) {
+    const exportDate = exportData.exportDate ? new Date(exportData.exportDate).toLocaleString() : 'unknown';
+    const embed = createEmbed(applied ? '📥 Data Imported' : '📥 Import Preview (dry run)',
+        `📁 **File**: ${fileName}\n` +
+        `📅 **Exported**: ${exportDate} (format v${exportData.version})\n\n` +
+        (applied
+            ? '✅ **The current data has been replaced with the file\'s data.**'
+            : '⚠️ **Nothing has been changed yet.** Importing replaces all current data with the file\'s data.\n' +
+              `🔄 Run \`/import-data\` with the same file and \`confirmation:CONFIRM\` to apply it.`),
+        applied ? config.colors.success : config.colors.primary);
+    
+    DATA_FILES.forEach(file => {
+        const dataSet = summary[file.key];
+        if (!dataSet) return;
+        
+        let value = `➕ ${dataSet.added} added • ✏️ ${dataSet.changed} changed • ➖ ${dataSet.removed} removed`;
+        if (dataSet.examples.length > 0) {
+            value += '\n' + dataSet.examples.map(example => `• ${example}`).join('\n');
+        }
+        if (value.length > 1024) {
+            value = value.substring(0, 1000) + '\n…';
+        }
+        embed.addFields({ name: IMPORT_DATA_SET_LABELS[file.key], value, inline: false });
+    });
+    
+    return embed;
+}
+
+// Create cancel match selection embed
+function createCancelMatchEmbed(matchesToCancel) {
+    const embed = createEmbed('❌ Cancel Match', 'Select a match to cancel');
+    
+    if (matchesToCancel.length === 0) {
+        embed.setDescription('No matches found matching your criteria.');
+        return embed;
+    }
+    
+    let matchList = '';
+    matchesToCancel.forEach((match, index) => {
+        const date = new Date(match.dateTime);
+        const swedenTime = formatSwedenTime(date);
+        
+        matchList += `**${index + 1}.** ${match.team1} vs ${match.team2}\n`;
+        matchList += `📅 ${swedenTime.date} at ${swedenTime.time} ${swedenTime.timezone}\n`;
+        matchList += `🔢 Match ID: \`${match.id}\`\n`;
+        if (match.description) {
+            matchList += `📝 ${match.description}\n`;
+        }
+        matchList += '\n';
+    });
+    
+    embed.setDescription(matchList);
+    embed.addFields({
+        name: '🗑️ How to Cancel',
+        value: 'Copy the Match ID of the match you want to cancel and use it with `/cancel-match` again, or contact an admin.\n🇸🇪 All times shown in Sweden timezone.',
+        inline: false
+    });
+    
+    return embed;
+}
+
+// Report Generation Functions
+async function generateTextReport(teamFilter = null, season = null) {
+    const seasonId = season ? season.id : null;
+    const players = await db.getAllPlayers(teamFilter, seasonId);
+    const aTeamStats = await db.getTeamStats('A-Team', seasonId);
+    const bTeamStats = await db.getTeamStats('B-Team', seasonId);
+    const upcomingMatches = await db.getUpcomingMatches(5);
+    const recentResults = await db.getMatchResults(5, teamFilter, seasonId);
+    
+    const reportDate = new Date().toLocaleString();
+    
+    let report = '';
+    report += '='.repeat(60) + '\n';
+    report += '           DISCORD STATS BOT - TEAM REPORT\n';
+    report += '='.repeat(60) + '\n';
+    report += `Generated: ${reportDate}\n`;
+    report += teamFilter ? `Team Filter: ${teamFilter}\n` : 'Scope: All Teams\n';
+    report += season ? `Season: ${season.name}\n` : 'Season: Career Totals\n';
+    report += '='.repeat(60) + '\n\n';
+    
+    // Team Records Section
+    if (!teamFilter) {
+        report += '📊 TEAM STANDINGS\n';
+        report += '-'.repeat(30) + '\n';
+        
+        const aWinRate = aTeamStats.wins + aTeamStats.losses > 0 ? 
+            ((aTeamStats.wins / (aTeamStats.wins + aTeamStats.losses)) * 100).toFixed(1) : '0.0';
+        const bWinRate = bTeamStats.wins + bTeamStats.losses > 0 ? 
+            ((bTeamStats.wins / (bTeamStats.wins + bTeamStats.losses)) * 100).toFixed(1) : '0.0';
+        
+        report += `A-Team: ${aTeamStats.wins}W-${aTeamStats.losses}L (${aWinRate}% win rate)\n`;
+        report += `B-Team: ${bTeamStats.wins}W-${bTeamStats.losses}L (${bWinRate}% win rate)\n\n`;
+    }
+    
+    // Player Statistics
+    report += `👥 PLAYER STATISTICS${teamFilter ? ` - ${teamFilter}` : ''}\n`;
+    report += '-'.repeat(50) + '\n';
+    
+    if (players.length === 0) {
+        report += 'No players found.\n\n';
+    } else {
+        // Sort by goals for main table
+        players.sort((a, b) => b.goals - a.goals);
+        
+        // One column per catalog stat, at least as wide as its heading
+        const columns = config.stats.map(stat => {
+            const heading = stat.aggregation === 'games' ? 'Games' : stat.label;
+            return { stat, heading, width: Math.max(heading.length, 5) + 1 };
+        });
+        
+        report += `${'Name'.padEnd(20)} ${'Team'.padEnd(8)} ${columns.map(column => column.heading.padEnd(column.width)).join(' ')}\n`;
+        report += '-'.repeat(30 + columns.reduce((sum, column) => sum + column.width + 1, 0)) + '\n';
+        
+        players.forEach(player => {
+            report += `${player.displayName.substring(0, 19).padEnd(20)} `;
+            report += `${player.team.padEnd(8)} `;
+            report += columns.map(column => getStatValue(player, column.stat).toString().padEnd(column.width)).join(' ') + '\n';
+        });
+        report += '\n';
+        
+        // Top Performers
+        report += '🏆 TOP PERFORMERS\n';
+        report += '-'.repeat(20) + '\n';
+        
+        getLineStats().forEach(stat => {
+            const leader = [...players].sort((a, b) => getStatValue(b, stat) - getStatValue(a, stat))[0];
+            report += `Most ${stat.label}: ${leader.displayName} (${getStatValue(leader, stat)})\n`;
+        });
+        report += '\n';
+    }
+    
+    // Recent Results
+    if (recentResults.length > 0) {
+        report += '🏁 RECENT RESULTS\n';
+        report += '-'.repeat(25) + '\n';
+        
+        recentResults.forEach((match, index) => {
+            const swedenTime = formatSwedenTime(new Date(match.date));
+            report += `${index + 1}. ${match.team1} ${match.score1} - ${match.score2} ${match.team2} (${swedenTime.date})\n`;
+            match.lines.forEach(line => {
+                report += `   ${line.displayName.substring(0, 19).padEnd(20)} ${formatCompactStats(getMatchLineStats(line))}\n`;
+            });
+        });
+        report += '\n';
+    }
+    
+    // Upcoming Matches
+    if (upcomingMatches.length > 0) {
+        report += '📅 UPCOMING MATCHES\n';
+        report += '-'.repeat(25) + '\n';
+        
+        upcomingMatches.forEach((match, index) => {
+            const date = new Date(match.dateTime);
+            const swedenTime = formatSwedenTime(date);
+            report += `${index + 1}. ${match.team1} vs ${match.team2}\n`;
+            report += `   Date: ${swedenTime.full}\n`;
+            if (match.description) {
+                report += `   Note: ${match.description}\n`;
+            }
+            report += '\n';
+        });
+    }
+    
+    report += '='.repeat(60) + '\n';
+    report += 'End of Report - Generated by Discord Stats Bot\n';
+    report += '='.repeat(60) + '\n';
+    
+    return report;
+}
+
+async function generateCSVReport(teamFilter = null, season = null) {
+    const seasonId = season ? season.id : null;
+    const players = await db.getAllPlayers(teamFilter, seasonId);
+    const participation = await db.getGoalParticipation(seasonId, teamFilter);
+    
+    // A column per catalog stat, then the metric columns ("Goals/Game", "MVP Rate %"), left
+    // empty for players below the minimum games
+    let csv = ['Player Name', 'Team', ...config.stats.map(stat => stat.label),
+        ...getMetrics().map(metric => metric.percent && !metric.label.includes('%') ? `${metric.label} %` : metric.label)].join(',') + '\n';
+    
+    players.forEach(player => {
+        const values = config.stats.map(stat => getStatValue(player, stat));
+        const metrics = calculateMetrics(player, participation.get(player.discordId))
+            .map(({ value, text }) => value === null ? '' : text.replace('%', ''));
+        
+        csv += [`"${player.displayName}"`, `"${player.team}"`, ...values, ...metrics].join(',') + '\n';
+    });
+    
+    return csv;
+}
+
+async function generateHTMLReport(teamFilter = null, season = null) {
+    const seasonId = season ? season.id : null;
+    const players = await db.getAllPlayers(teamFilter, seasonId);
+    const participation = await db.getGoalParticipation(seasonId, teamFilter);
+    const aTeamStats = await db.getTeamStats('A-Team', seasonId);
+    const bTeamStats = await db.getTeamStats('B-Team', seasonId);
+    const upcomingMatches = await db.getUpcomingMatches(5);
+    const recentResults = await db.getMatchResults(5, teamFilter, seasonId);
+    
+    const reportDate = new Date().toLocaleString();
+    
+    let html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Discord Stats Bot Report</title>
+    <style>
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            margin: 20px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: #333;
+        }
+        .container {
+            max-width: 1200px;
+            margin: 0 auto;
+            background: white;
+            border-radius: 10px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.3);
+            overflow: hidden;
+        }
+        .header {
+            background: linear-gradient(45deg, #ff5555, #5555ff);
+            color: white;
+            padding: 30px;
+            text-align: center;
+        }
+        .content {
+            padding: 30px;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            margin: 20px 0;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        th, td {
+            padding: 12px;
+            text-align: left;
+            border-bottom: 1px solid #ddd;
+        }
+        th {
+            background: #f8f9fa;
+            font-weight: bold;
+            color: #495057;
+        }
+        .team-a { color: #ff5555; font-weight: bold; }
+        .team-b { color: #5555ff; font-weight: bold; }
+        .section {
+            margin: 30px 0;
+        }
+        .section h2 {
+            color: #495057;
+            border-bottom: 2px solid #007bff;
+            padding-bottom: 10px;
+        }
+        .stats-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: 20px;
+            margin: 20px 0;
+        }
+        .stat-card {
+            background: #f8f9fa;
+            padding: 20px;
+            border-radius: 8px;
+            text-align: center;
+            box-shadow: 0 2px 5px rgba(0,0,0,0.1);
+        }
+        .match-item {
+            background: #f8f9fa;
+            padding: 15px;
+            margin: 10px 0;
+            border-radius: 8px;
+            border-left: 4px solid #007bff;
+        }
+        .footer {
+            text-align: center;
+            padding: 20px;
+            background: #f8f9fa;
+            color: #6c757d;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🏆 Discord Stats Bot Report</h1>
+            <p>Generated: ${reportDate}</p>
+            ${teamFilter ? `<p>Team Filter: ${teamFilter}</p>` : '<p>All Teams Report</p>'}
+            <p>Season: ${season ? season.name : 'Career Totals'}</p>
+        </div>
+        
+        <div class="content">`;
+    
+    // Team Standings
+    if (!teamFilter) {
+        const aWinRate = aTeamStats.wins + aTeamStats.losses > 0 ? 
+            ((aTeamStats.wins / (aTeamStats.wins + aTeamStats.losses)) * 100).toFixed(1) : '0.0';
+        const bWinRate = bTeamStats.wins + bTeamStats.losses > 0 ? 
+            ((bTeamStats.wins / (bTeamStats.wins + bTeamStats.losses)) * 100).toFixed(1) : '0.0';
+        
+        html += `
+            <div class="section">
+                <h2>📊 Team Standings</h2>
+                <div class="stats-grid">
+                    <div class="stat-card">
+                        <h3 class="team-a">A-Team</h3>
+                        <p><strong>${aTeamStats.wins}</strong> Wins</p>
+                        <p><strong>${aTeamStats.losses}</strong> Losses</p>
+                        <p><strong>${aWinRate}%</strong> Win Rate</p>
+                    </div>
+                    <div class="stat-card">
+                        <h3 class="team-b">B-Team</h3>
+                        <p><strong>${bTeamStats.wins}</strong> Wins</p>
+                        <p><strong>${bTeamStats.losses}</strong> Losses</p>
+                        <p><strong>${bWinRate}%</strong> Win Rate</p>
+                    </div>
+                </div>
+            </div>`;
+    }
+    
+    // Player Statistics
+    html += `
+        <div class="section">
+            <h2>👥 Player Statistics</h2>`;
+    
+    if (players.length === 0) {
+        html += '<p>No players found.</p>';
+    } else {
+        players.sort((a, b) => b.goals - a.goals);
+        
+        html += `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Player</th>
+                        <th>Team</th>
+                        ${config.stats.map(stat => `<th>${stat.aggregation === 'games' ? 'Games' : stat.label}</th>`).join('\n                        ')}
+                        ${getMetrics().map(metric => `<th>${metric.label}</th>`).join('\n                        ')}
+                    </tr>
+                </thead>
+                <tbody>`;
+        
+        players.forEach(player => {
+            const teamClass = player.team === 'A-Team' ? 'team-a' : 'team-b';
+            const cells = [
+                ...config.stats.map(stat => getStatValue(player, stat)),
+                ...calculateMetrics(player, participation.get(player.discordId)).map(({ text }) => text)
+            ];
+            
+            html += `
+                <tr>
+                    <td><strong>${player.displayName}</strong></td>
+                    <td class="${teamClass}">${player.team}</td>
+                    ${cells.map(cell => `<td>${cell}</td>`).join('\n                    ')}
+                </tr>`;
+        });
+        
+        html += `
+                </tbody>
+            </table>
+            <p>Rates show for players with ${config.metricMinGames}+ games.</p>`;
+    }
+    
+    html += '</div>';
+    
+    // Recent Results
+    if (recentResults.length > 0) {
+        html += `
+            <div class="section">
+                <h2>🏁 Recent Results</h2>`;
+        
+        recentResults.forEach(match => {
+            const swedenTime = formatSwedenTime(new Date(match.date));
+            const lines = match.lines
+                .map(line => `${line.displayName}: ${formatCompactStats(getMatchLineStats(line))}`)
+                .join('<br>');
+            html += `
+                <div class="match-item">
+                    <h4>${match.team1} ${match.score1} - ${match.score2} ${match.team2}</h4>
+                    <p><strong>Date:</strong> ${swedenTime.full}</p>
+                    ${lines ? `<p>${lines}</p>` : ''}
+                </div>`;
+        });
+        
+        html += '</div>';
+    }
+    
+    // Upcoming Matches
+    if (upcomingMatches.length > 0) {
+        html += `
+            <div class="section">
+                <h2>📅 Upcoming Matches</h2>`;
+        
+        upcomingMatches.forEach((match, index) => {
+            const date = new Date(match.dateTime);
+            const swedenTime = formatSwedenTime(date);
+            html += `
+                <div class="match-item">
+                    <h4>${match.team1} vs ${match.team2}</h4>
+                    <p><strong>Date:</strong> ${swedenTime.full}</p>
+                    ${match.description ? `<p><strong>Description:</strong> ${match.description}</p>` : ''}
+                </div>`;
+        });
+        
+        html += '</div>';
+    }
+    
+    html += `
+        </div>
+        
+        <div class="footer">
+            <p>Generated by Discord Stats Bot | ${reportDate}</p>
+        </div>
+    </div>
+</body>
+</html>`;
+    
+    return html;
+}
+
+async function generatePlayerReport(player, format = 'txt') {
+    const recentGames = await db.getRecentGames(player.discordId, 10);
+    const achievements = calculateAchievements(player);
+    const progress = calculateAchievementProgress(player);
+    const gameHistory = await db.readGameHistoryFile();
+    const replayStats = averageExtendedStats(gameHistory.filter(game => game.discordId === player.discordId));
+    const rating = await db.getPlayerRating(player.discordId);
+    const metrics = calculateMetrics(player, summarizeGoalParticipation(gameHistory).get(player.discordId));
+    
+    if (format === 'html') {
+        // The trend chart is embedded in the page, so the report stays a single file
+        const trendGames = (await db.getRecentGames(player.discordId, config.charts.games)).reverse();
+        const trendChart = trendGames.length >= 2 ? renderPlayerTrendChart(player, trendGames).toString('base64') : null;
+        return generatePlayerHTMLReport(player, recentGames, achievements, progress, replayStats, rating, metrics, trendChart);
+    } else {
+        return generatePlayerTextReport(player, recentGames, achievements, progress, replayStats, rating, metrics);
+    }
+}
+
+function generatePlayerTextReport(player, recentGames, achievements, progress, replayStats = null, rating = null, metrics = calculateMetrics(player)) {
+    const reportDate = new Date().toLocaleString();
+    
+    let report = '';
+    report += '='.repeat(50) + '\n';
+    report += `PLAYER REPORT: ${player.displayName}\n`;
+    report += '='.repeat(50) + '\n';
+    report += `Generated: ${reportDate}\n`;
+    report += `Team: ${player.team}\n`;
+    report += '='.repeat(50) + '\n\n';
+    
+    // Basic Stats
+    report += '📊 STATISTICS\n';
+    report += '-'.repeat(15) + '\n';
+    config.stats.forEach(stat => {
+        report += `${stat.label}: ${getStatValue(player, stat)}\n`;
+    });
+    report += '\n';
+    
+    // Metrics
+    report += '📐 METRICS\n';
+    report += '-'.repeat(15) + '\n';
+    metrics.forEach(({ metric, text }) => {
+        report += `${metric.label}: ${text}\n`;
+    });
+    if (getMetricThresholdNote(player)) {
+        report += `(${getMetricThresholdNote(player)})\n`;
+    }
+    report += '\n';
+    
+    // Recent Form
+    if (recentGames.length > 0) {
+        report += `📈 RECENT FORM (Last ${recentGames.length} games)\n`;
+        report += '-'.repeat(30) + '\n';
+        
+        getLineStats().forEach(stat => {
+            const total = recentGames.reduce((sum, game) => sum + getStatValue(game, stat), 0);
+            report += `${stat.label}: ${total} (${formatPerGame(stat, total, recentGames.length)} ${stat.aggregation === 'flag' ? 'of games' : 'avg'})\n`;
+        });
+        report += '\n';
+        
+        report += 'Recent Games:\n';
+        recentGames.forEach((game, index) => {
+            const date = new Date(game.timestamp).toLocaleDateString();
+            const result = formatGameResult(game);
+            report += `${index + 1}. ${date}${result ? ` (${result})` : ''}: ${formatCompactStats(game)}\n`;
+        });
+        report += '\n';
+    }
+    
+    // Replay Stats
+    if (replayStats) {
+        report += `🎥 REPLAY STATS (Average over ${replayStats.games} imported games)\n`;
+        report += '-'.repeat(30) + '\n';
+        formatExtendedStatLines(replayStats).forEach(line => {
+            report += `${line}\n`;
+        });
+        report += '\n';
+    }
+    
+    // Rating
+    if (rating) {
+        report += `🏅 RATING: ${Math.round(rating.rating)} (${rating.wins}W-${rating.losses}L in rated results)\n`;
+        report += '-'.repeat(30) + '\n';
+        rating.history.slice(-10).reverse().forEach(entry => {
+            const date = new Date(entry.date).toLocaleDateString();
+            report += `${date}: ${entry.won ? 'W' : 'L'} ${entry.score} vs ${entry.opponent} → ${Math.round(entry.rating)} (${formatGoalDifference(Math.round(entry.change))})\n`;
+        });
+        report += '\n';
+    }
+    
+    // Achievements
+    report += '🏆 ACHIEVEMENTS\n';
+    report += '-'.repeat(15) + '\n';
+    if (achievements === 'No achievements yet') {
+        report += 'No achievements unlocked yet.\n\n';
+    } else {
+        const achievementList = achievements.split('\n');
+        achievementList.forEach(achievement => {
+            report += `${achievement}\n`;
+        });
+        report += '\n';
+    }
+    
+    // Progress
+    if (progress.length > 0) {
+        report += '🎯 ACHIEVEMENT PROGRESS\n';
+        report += '-'.repeat(25) + '\n';
+        progress.slice(0, 5).forEach(prog => {
+            report += `${prog.achievement.name}: ${prog.current}/${prog.target} (${prog.percentage}%)\n`;
+            report += `  Need ${prog.needed} more ${prog.category.toLowerCase()}\n`;
+        });
+        report += '\n';
+    }
+    
+    report += '='.repeat(50) + '\n';
+    report += 'End of Player Report\n';
+    report += '='.repeat(50) + '\n';
+    
+    return report;
+}
+
+function generatePlayerHTMLReport(player, recentGames, achievements, progress, replayStats = null, rating = null, metrics = calculateMetrics(player), trendChart = null) {
+    const reportDate = new Date().toLocaleString();
+    const teamColor = player.team === 'A-Team' ? '#ff5555' : '#5555ff';
+    
+    let html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${player.displayName} - Player Report</title>
+    <style>
+        body {
+            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            margin: 20px;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: #333;
+        }
+        .container {
+            max-width: 800px;
+            margin: 0 auto;
+            background: white;
+            border-radius: 10px;
+            box-shadow: 0 10px 30px rgba(0,0,0,0.3);
+            overflow: hidden;
+        }
+        .header {
+            background: ${teamColor};
+            color: white;
+            padding: 30px;
+            text-align: center;
+        }
+        .content {
+            padding: 30px;
+        }
+        .stats-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+            gap: 15px;
+            margin: 20px 0;
+        }
+        .stat-card {
+            background: #f8f9fa;
+            padding: 15px;
+            border-radius: 8px;
+            text-align: center;
+            box-shadow: 0 2px 5px rgba(0,0,0,0.1);
+        }
+        .stat-value {
+            font-size: 24px;
+            font-weight: bold;
+            color: ${teamColor};
+        }
+        .section {
+            margin: 25px 0;
+        }
+        .section h3 {
+            color: #495057;
+            border-bottom: 2px solid ${teamColor};
+            padding-bottom: 8px;
+        }
+        .progress-bar {
+            background: #e9ecef;
+            border-radius: 10px;
+            overflow: hidden;
+            margin: 5px 0;
+        }
+        .progress-fill {
+            background: ${teamColor};
+            height: 20px;
+            border-radius: 10px;
+            transition: width 0.3s ease;
+        }
+        .game-item {
+            background: #f8f9fa;
+            padding: 10px;
+            margin: 5px 0;
+            border-radius: 5px;
+            border-left: 3px solid ${teamColor};
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🏆 ${player.displayName}</h1>
+            <h2>${player.team}</h2>
+            <p>Player Report - ${reportDate}</p>
+        </div>
+        
+        <div class="content">
+            <div class="section">
+                <h3>📊 Statistics</h3>
+                <div class="stats-grid">
+                    ${config.stats.map(stat => `<div class="stat-card">
+                        <div class="stat-value">${getStatValue(player, stat)}</div>
+                        <div>${stat.label}</div>
+                    </div>`).join('\n                    ')}
+                </div>
+            </div>
+            
+            <div class="section">
+                <h3>📐 Metrics</h3>
+                <div class="stats-grid">
+                    ${metrics.map(({ metric, text }) => `<div class="stat-card">
+                        <div class="stat-value">${text}</div>
+                        <div>${metric.label}</div>
+                    </div>`).join('\n                    ')}
+                </div>${getMetricThresholdNote(player) ? `
+                <p>${getMetricThresholdNote(player)}</p>` : ''}
+            </div>`;
+    
+    // Recent Games
+    if (recentGames.length > 0) {
+        html += `
+            <div class="section">
+                <h3>📈 Recent Form (Last ${recentGames.length} games)</h3>`;
+        
+        recentGames.forEach((game, index) => {
+            const date = new Date(game.timestamp).toLocaleDateString();
+            const result = formatGameResult(game);
+            html += `
+                <div class="game-item">
+                    <strong>${date}${result ? ` (${result})` : ''}:</strong> ${formatGameStats(game)}
+                </div>`;
+        });
+        
+        html += '</div>';
+    }
+    
+    // Trend Chart
+    if (trendChart) {
+        html += `
+            <div class="section">
+                <h3>📈 Trend</h3>
+                <img src="data:image/png;base64,${trendChart}" alt="Stats per game with rolling average" style="max-width: 100%;">
+            </div>`;
+    }
+    
+    // Replay Stats
+    if (replayStats) {
+        html += `
+            <div class="section">
+                <h3>🎥 Replay Stats (Average over ${replayStats.games} imported games)</h3>`;
+        
+        formatExtendedStatLines(replayStats).forEach(line => {
+            html += `
+                <div class="game-item">${line}</div>`;
+        });
+        
+        html += '</div>';
+    }
+    
+    // Rating
+    if (rating) {
+        html += `
+            <div class="section">
+                <h3>🏅 Rating: ${Math.round(rating.rating)} (${rating.wins}W-${rating.losses}L in rated results)</h3>`;
+        
+        rating.history.slice(-10).reverse().forEach(entry => {
+            const date = new Date(entry.date).toLocaleDateString();
+            html += `
+                <div class="game-item">
+                    <strong>${date}:</strong> ${entry.won ? 'W' : 'L'} ${entry.score} vs ${entry.opponent} → ${Math.round(entry.rating)} (${formatGoalDifference(Math.round(entry.change))})
+                </div>`;
+        });
+        
+        html += '</div>';
+    }
+    
+    // Achievement Progress
+    if (progress.length > 0) {
+        html += `
+            <div class="section">
+                <h3>🎯 Achievement Progress</h3>`;
+        
+        progress.slice(0, 5).forEach(prog => {
+            html += `
+                <div style="margin: 15px 0;">
+                    <div><strong>${prog.achievement.name}</strong> - ${prog.current}/${prog.target} (${prog.percentage}%)</div>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${prog.percentage}%"></div>
+                    </div>
+                    <small>Need ${prog.needed} more ${prog.category.toLowerCase()}</small>
+                </div>`;
+        });
+        
+        html += '</div>';
+    }
+    
+    html += `
+        </div>
+    </div>
+</body>
+</html>`;
+    
+    return html;
+}
+
+// Create achievements list embed
+function createAchievementsEmbed() {
+    const embed = createEmbed('🏆 Available Achievements', 'Complete these challenges to unlock achievements!');
+    
+    getAchievementStats().forEach(stat => {
+        let achievementsList = '';
+        
+        stat.achievements.forEach(achievement => {
+            achievementsList += `${achievement.emoji} **${achievement.name}**: ${achievement.description}\n`;
+        });
+        
+        embed.addFields({
+            name: `${stat.emoji} ${stat.label} Achievements`,
+            value: achievementsList,
+            inline: false
+        });
+    });
+    
+    embed.addFields({
+        name: '📈 **Track Your Progress**',
+        value: 'Use `/my-stats` to see your progress toward next achievements!\nAchievement notifications coming soon! 🎉',
+        inline: false
+    });
+    
+    return embed;
+}
+
+// Create player stats embed (one field per catalog stat)
+function playerStatsEmbed(player, season = null, rating = null, metrics = calculateMetrics(player)) {
+    const teamColor = player.team === 'A-Team' ? config.colors.aTeam : config.colors.bTeam;
+    
+    const embed = new EmbedBuilder()
+        .setColor(teamColor)
+        .setTitle(`${player.displayName}'s Stats`)
+        .setDescription(`Team: **${player.team}**` +
+            (player.retiredAt ? ` • 🏅 Retired ${new Date(player.retiredAt).toLocaleDateString('sv-SE')}` : '') +
+            (season ? '\nCareer totals, with season numbers below' : ''))
+        .addFields(
+            ...config.stats.map(stat => ({ name: `${stat.emoji} ${stat.label}`, value: getStatValue(player, stat).toString(), inline: true })),
+            { 
+                name: '📐 Metrics', 
+                value: formatMetrics(metrics, '\n') + (getMetricThresholdNote(player) ? `\n*${getMetricThresholdNote(player)}*` : '') 
+            },
+            { 
+                name: '📈 Rating', 
+                value: rating ? `${formatRating(rating)} • ${rating.wins}W-${rating.losses}L in rated results` : `${config.ratings.initial} (no rated results yet)` 
+            },
+            { name: '👑 Achievements', value: calculateAchievements(player) }
+        )
+        .setFooter({ text: 'Stats Bot', iconURL: 'https://i.imgur.com/wSTFkRM.png' })
+        .setTimestamp();
+    
+    if (season) {
+        const seasonStats = getPlayerSeasonView(player, season.id);
+        embed.addFields({
+            name: `🗓️ ${season.name}${season.endedAt ? '' : ' (current)'}`,
+            value: config.stats.map(stat => `${stat.emoji} ${getStatValue(seasonStats, stat)} ${stat.label.toLowerCase()}`).join(' • ')
+        });
+    }
+    
+    return embed;
+}
+
+// The registered spelling of a team name typed into a command (lookups ignore case). Names
+// that are not one of our teams, such as external opponents, are kept as typed.
+async function resolveTeamName(teamName) {
+    if (!teamName) return teamName;
+    const team = await db.getTeam(teamName.trim());
+    return team ? team.name : teamName.trim();
+}
+
+// Turn a season command option into a season. No option gives the default season,
+// "career" gives null (all-time totals) and unknown seasons are an error.
+async function resolveSeasonOption(query, defaultSeason) {
+    if (!query) return defaultSeason;
+    if (query.trim().toLowerCase() === 'career') return null;
+    
+    const season = await db.findSeason(query);
+    if (!season) {
+        throw new Error(`Season "${query}" not found. Use \`/season list\` to see all seasons.`);
+    }
+    return season;
+}
+
+// Interaction handler
+// Buttons, select menus and modals are routed by the prefix of their custom ID
+const componentHandlers = {
+    'leaderboard': handleLeaderboardPage,
+    'report-match': handleMatchReportStep,
+    'stat-review': handleStatReviewStep
+};
+
+client.on('interactionCreate', async interaction => {
+    const componentHandler = (interaction.isMessageComponent() || interaction.isModalSubmit())
+        ? componentHandlers[interaction.customId.split(':')[0]]
+        : null;
+    if (!interaction.isChatInputCommand() && !componentHandler) return;
+    
+    // Data is kept per server, so commands only work inside one
+    if (!interaction.guildId) {
+        await safeReply(interaction, {
+            content: 'This bot keeps stats per server, so its commands only work inside a server.',
+            flags: MessageFlags.Ephemeral
+        });
+        return;
+    }
+    
+    await withGuild(interaction.guildId, () => announceBrokenRecords(interaction,
+        () => componentHandler ? componentHandler(interaction) : handleCommand(interaction)));
+});
+
+// Commands that add games to the history or match results, and with them can break a record
+const STAT_ENTRY_COMMANDS = new Set([
+    'record-match', 'record-series', 'match-line', 'upload-replay', 'import-stats', 'import-replays'
+]);
+
+// Whether an interaction can add games: a stat entry command, or submitting a match report
+// or approving a submission
+function isStatEntry(interaction) {
+    if (interaction.isChatInputCommand()) return STAT_ENTRY_COMMANDS.has(interaction.commandName);
+    const [prefix, , action] = interaction.customId.split(':');
+    return (prefix === 'report-match' && action === 'submit') || (prefix === 'stat-review' && action === 'approve');
+}
+
+// Run an interaction and announce the records it broke in the guild's announcement channel.
+// The records from before are worked out once the interaction is done, from the audit's
+// snapshots of the data it changed, so nothing extra is read before it replies.
+async function announceBrokenRecords(interaction, task) {
+    if (!isStatEntry(interaction)) return task();
+    
+    const changes = [];
+    await statEntryChanges.run(changes, task);
+    if (changes.length === 0) return;
+    
+    try {
+        // The first change to a data set has its state from before the interaction
+        const before = Object.assign({}, ...changes.reverse());
+        const broken = findBrokenRecords(await db.getRecords(before), await db.getRecords());
+        const channel = broken.length > 0 && interaction.guild && findNotificationChannel(interaction.guild);
+        if (!channel) return;
+        await channel.send({ embeds: [createBrokenRecordsEmbed(broken)] });
+    } catch (error) {
+        console.error('Error announcing broken records:', error);
+    }
+}
+
+// Run a slash command against the data of the guild it was used in
+async function handleCommand(interaction) {
+    try {
         const commandName = interaction.commandName;
         
-        // Help command (updated to include new commands)
-        if (commandName === 'help') {
-            const embed = createEmbed('Stats Bot Help', 'List of available commands:');
+        // Block data changes until corrupted data files have been repaired
+        if (db.getCorruptedFiles().length > 0 && isMutatingCommand(interaction)) {
+            const fileNames = db.getCorruptedFiles().map(incident => incident.name).join(', ');
+            await interaction.reply({
+                content: `🔒 **Data changes are blocked.** ${fileNames} could not be loaded and was quarantined.\n\n` +
+                         `An admin must run \`/repair-data\` to restore the newest valid backup.`,
+                flags: MessageFlags.Ephemeral
+            });
+            return;
+        }
+        
+        // Help command (updated to include new commands)
+        if (commandName === 'help') {
+            const embed = createEmbed('Stats Bot Help', 'List of available commands:');
+            
+            embed.addFields(
+                // Basic Commands
+                { 
+                    name: '📊 **Basic Commands**', 
+                    value: '`/help` - Shows this help message\n' +
+                           '`/stats [user] [season]` - Shows stats for a user (career and season)\n' +
+                           '`/my-stats` - Quick personal dashboard\n' +
+                           '`/leaderboard [stat] [view] [team] [season] [min-games]` - Ranks players by any stat or metric\n' +
+                           '`/season list` - Lists all seasons\n' +
+                           '`/alias list [user]` - Shows in-game names used for replays\n' +
+                           '`/submit-stats [stats...] [note]` - Send your own game line for admin approval\n' +
+                           '`/hall-of-fame` - Retired players and their career totals\n' +
+                           '`/records` - Single-game records and longest streaks\n' +
+                           '`/achievements` - Shows available achievements', 
+                    inline: false 
+                },
+                
+                // Analysis Commands
+                { 
+                    name: '📈 **Analysis & Comparison**', 
+                    value: '`/compare <player1> <player2>` - Compare two players side-by-side\n' +
+                           '`/recent [user] [games]` - Show recent game performance\n' +
+                           '`/player-history [user]` - Show a player\'s transfers and stats per team\n' +
+                           '`/team <team>` - Shows player leaderboard for a team\n' +
+                           '`/team-stats <team>` - Shows series and game records, goals for/against and goal differential\n' +
+                           '`/ratings [type]` - Elo rating leaderboard of players or teams\n' +
+                           '`/chart trend|win-rate|radar` - Trend, weekly win rate and radar chart images\n' +
+                           '`/opponent <name>` - Head-to-head record, last results and fixtures against an opponent\n' +
+                           '`/opponents list|add|edit|remove` - Directory of external opponents (changes: Admin)', 
+                    inline: false 
+                },
+                
+                // Match Management
+                { 
+                    name: '🗓️ **Match Management**', 
+                    value: '`/schedule-match <team1> <team2> <datetime>` - Schedule match (Admin)\n' +
+                           '`/cancel-match [match-id] [teams] [date]` - Cancel scheduled match (Admin)\n' +
+                           '`/match-calendar` - View upcoming scheduled matches\n' +
+                           '`/record-match <team1> <team2> <score1> <score2> [date]` - Record a played match (Admin)\n' +
+                           '`/record-series <team1> <team2> <format> <games> [date]` - Record a Bo3/Bo5/Bo7 series with every game score (Admin)\n' +
+                           '`/report-match [opponent]` - Record a match with score and player lines step by step (Admin)\n' +
+                           '`/upload-replay <file> [blue-team] [orange-team]` - Record a match from a .replay file (Admin)\n' +
+                           '`/match-line <match-id> <user> [stats...]` - Add a player\'s line to a match (Admin)\n' +
+                           '`/match-results [match-id] [team]` - View recorded match results\n' +
+                           '`/delete-result <match-id>` - Delete a match result or a whole series (Admin)\n' +
+                           '💡 **Teams**: Use A-Team, B-Team, or any custom team name (ATG, etc.)\n' +
+                           '🇸🇪 **Timezone**: All times displayed in Sweden timezone with UTC offset', 
+                    inline: false 
+                },
+                
+                // Backup & Data Management
+                { 
+                    name: '💾 **Backup & Data Management**', 
+                    value: '`/create-backup` - Create manual backup (Admin)\n' +
+                           '`/list-backups` - List available backups (Admin)\n' +
+                           '`/restore-backup <folder>` - Restore from backup (Admin)\n' +
+                           '`/repair-data [confirmation]` - Check data and restore newest valid backup (Admin)\n' +
+                           '`/export-data` - Export data as JSON file (Admin)\n' +
+                           '`/import-data <file> [confirmation]` - Preview and restore an export file (Admin)\n' +
+                           '`/audit [entry] [player] [admin]` - Browse the log of data changes (Admin)\n' +
+                           '`/undo <entry>` - Revert one logged change (Admin)', 
+                    inline: false 
+                },
+                
+                // Report Generation
+                { 
+                    name: '📄 **Report Generation**', 
+                    value: '`/generate-report [format] [team] [season]` - Generate downloadable stats report\n' +
+                           '`/player-report [user] [format]` - Generate individual player report\n' +
+                           '💡 **Formats**: Text (.txt), CSV (.csv), HTML (.html)', 
+                    inline: false 
+                },
+                
+                // Admin Commands Header
+                { 
+                    name: '⚙️ **Admin Commands**', 
+                    value: 'The following commands require the Scrimster role:', 
+                    inline: false 
+                },
+                
+                // Player Management
+                { 
+                    name: '👥 **Player Management**', 
+                    value: '`/register <user> <team>` - Register a new player to a team\n' +
+                           '`/retire <user> [reason]` - Retire a player, keeping their history\n' +
+                           '`/reinstate <user> [team]` - Bring a retired player back\n' +
+                           '`/unregister <user> [confirmation]` - Remove a player and all their data\n' +
+                           '`/alias add <user> <name> [platform]` - Link an in-game name\n' +
+                           '`/alias remove <user> <name>` - Unlink an in-game name\n' +
+                           '`/season start [name]` - Start a new season\n' +
+                           '`/season end` - End the season and archive its stats', 
+                    inline: true 
+                },
+                
+                // Stats Management
+                { 
+                    name: '📈 **Stats Management**', 
+                    value: '`/addstats <user> [stats...]` - Manually add stats for a player\n' +
+                           '`/removestats <user> [stats...]` - Remove stats from a player\n' +
+                           '`/import-stats <file> [confirmation]` - Add many games from a CSV file\n' +
+                           '`/import-replays <file> [confirmation]` - Add games from replay JSON\n' +
+                           '💡 Played games go through `/record-match`', 
+                    inline: true 
+                },
+                
+                // Team Record Management
+                { 
+                    name: '🏅 **Team Records**', 
+                    value: '`/team-win <team> [wins]` - Add win(s) to team\n' +
+                           '`/team-loss <team> [losses]` - Add loss(es) to team\n' +
+                           '`/team-remove-win <team> [wins]` - Remove win(s)\n' +
+                           '`/team-remove-loss <team> [losses]` - Remove loss(es)\n\n' +
+                           '💡 **Note**: All commands work with any team name!', 
+                    inline: false 
+                },
+                
+                // Dangerous Commands
+                { 
+                    name: '⚠️ **DANGER ZONE - Data Reset Commands**', 
+                    value: '**Use with extreme caution! Requires confirmation.**\n' +
+                           '`/wipe-players` - 🔥 Wipe all player stats (type "CONFIRM")\n' +
+                           '`/wipe-teams` - 🔥 Reset all team records and match results (type "CONFIRM")\n' +
+                           '`/wipe-all` - 💀 **COMPLETE RESET** (type "CONFIRM DELETE ALL")\n\n' +
+                           '💾 **Safety**: All wipe commands create automatic backups first!', 
+                    inline: false 
+                }
+            );
+            
+            await interaction.reply({ embeds: [embed] });
+            return;
+        }
+        
+        // Season command (start and end are Admin only)
+        if (commandName === 'season') {
+            const subcommand = interaction.options.getSubcommand();
+            
+            if (subcommand === 'list') {
+                const seasons = await db.getSeasons();
+                if (seasons.length === 0) {
+                    await interaction.reply({
+                        content: 'No seasons yet. An admin can start one with `/season start`.',
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                }
+                
+                const formatDate = date => new Date(date).toLocaleDateString('sv-SE');
+                const lines = seasons.slice().reverse().map(season => 
+                    `**#${season.id} ${season.name}** - ${formatDate(season.startedAt)} to ` +
+                    (season.endedAt ? formatDate(season.endedAt) : '*now* 🟢'));
+                
+                const embed = createEmbed('🗓️ Seasons', lines.join('\n') + 
+                    '\n\n💡 Use the `season` option of `/stats`, `/leaderboard` or `/generate-report` to view a season.');
+                
+                await interaction.reply({ embeds: [embed] });
+                return;
+            }
+            
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            try {
+                if (subcommand === 'start') {
+                    const name = interaction.options.getString('name');
+                    const season = await db.withAudit(getAuditContext(interaction), 
+                        () => db.startSeason(name ? name.trim() : null, interaction.user.id));
+                    
+                    const embed = createEmbed('🗓️ Season Started', 
+                        `**${season.name}** is now running.\n\n` +
+                        `📊 New stats, team records and match results count towards this season and the career totals.\n` +
+                        `🏁 End it with \`/season end\` - nothing is wiped.`, 
+                        config.colors.success);
+                    
+                    await interaction.reply({ embeds: [embed] });
+                } else {
+                    const season = await db.withAudit(getAuditContext(interaction), 
+                        () => db.endSeason(interaction.user.id));
+                    
+                    const embed = createEmbed('🏁 Season Ended', 
+                        `**${season.name}** has ended and its stats are archived.\n\n` +
+                        `📜 View them with \`/leaderboard season:${season.id}\` or \`/stats season:${season.id}\`.\n` +
+                        `🗓️ Start the next season with \`/season start\`.`, 
+                        config.colors.success);
+                    
+                    await interaction.reply({ embeds: [embed] });
+                }
+            } catch (error) {
+                await interaction.reply({
+                    content: `❌ ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+            
+            return;
+        }
+        
+        // Alias command (add/remove are Admin only)
+        if (commandName === 'alias') {
+            const subcommand = interaction.options.getSubcommand();
+            const formatAlias = alias => `\`${alias.name}\`${alias.platform ? ` (${ALIAS_PLATFORM_LABELS[alias.platform]})` : ''}`;
+            
+            if (subcommand === 'list') {
+                const targetUser = interaction.options.getUser('user');
+                const players = (await db.getAllPlayers())
+                    .filter(p => targetUser ? p.discordId === targetUser.id : (p.aliases || []).length > 0)
+                    .sort((a, b) => a.displayName.localeCompare(b.displayName));
+                
+                if (targetUser && players.length === 0) {
+                    await interaction.reply({
+                        content: `${targetUser.username} is not registered yet.`,
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                }
+                
+                const lines = players.map(p => `**${p.displayName}**: ` +
+                    ((p.aliases || []).length > 0 ? p.aliases.map(formatAlias).join(', ') : '*no aliases*'));
+                const embed = createEmbed('🎮 In-Game Names', 
+                    (lines.length > 0 ? lines.join('\n') : 'No aliases yet.') +
+                    '\n\n💡 `/upload-replay` matches replay players to these names.');
+                
+                await interaction.reply({ embeds: [embed] });
+                return;
+            }
+            
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const targetUser = interaction.options.getUser('user');
+            const name = interaction.options.getString('name').trim();
+            
+            try {
+                if (subcommand === 'add') {
+                    const platform = interaction.options.getString('platform');
+                    const player = await db.withAudit(getAuditContext(interaction), 
+                        () => db.addPlayerAlias(targetUser.id, name, platform));
+                    
+                    const embed = createEmbed('🎮 Alias Added', 
+                        `${formatAlias({ name, platform })} now belongs to **${player.displayName}**.\n\n` +
+                        `**All aliases**: ${player.aliases.map(formatAlias).join(', ')}`, 
+                        config.colors.success);
+                    await interaction.reply({ embeds: [embed] });
+                } else {
+                    const player = await db.withAudit(getAuditContext(interaction), 
+                        () => db.removePlayerAlias(targetUser.id, name));
+                    
+                    const embed = createEmbed('🎮 Alias Removed', 
+                        `\`${name}\` no longer belongs to **${player.displayName}**.`, 
+                        config.colors.success);
+                    await interaction.reply({ embeds: [embed] });
+                }
+            } catch (error) {
+                await interaction.reply({
+                    content: error.message === 'Player not found'
+                        ? `${targetUser.username} is not registered yet. Use \`/register\` first.`
+                        : `❌ ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+            
+            return;
+        }
+        
+        // Audit command (Admin only)
+        if (commandName === 'audit') {
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const entryId = interaction.options.getInteger('entry');
+            const player = interaction.options.getUser('player');
+            const admin = interaction.options.getUser('admin');
+            
+            try {
+                if (entryId) {
+                    const entry = await db.getAuditEntry(entryId);
+                    if (!entry) {
+                        await interaction.reply({
+                            content: `Audit entry #${entryId} not found.`,
+                            flags: MessageFlags.Ephemeral
+                        });
+                        return;
+                    }
+                    
+                    await interaction.reply({ embeds: [createAuditEntryEmbed(entry)], flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                
+                const entries = await db.getAuditEntries({
+                    playerId: player ? player.id : null,
+                    actorId: admin ? admin.id : null
+                });
+                
+                const filters = [];
+                if (player) filters.push(`changes to **${player.username}**`);
+                if (admin) filters.push(`changes by **${admin.username}**`);
+                const filterText = filters.length > 0 ? `Showing ${filters.join(' and ')}` : null;
+                
+                await interaction.reply({ embeds: [createAuditLogEmbed(entries, filterText)], flags: MessageFlags.Ephemeral });
+            } catch (error) {
+                console.error('Error reading audit log:', error);
+                await interaction.reply({
+                    content: `Error reading audit log: ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+            
+            return;
+        }
+        
+        // Undo command (Admin only)
+        if (commandName === 'undo') {
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const entryId = interaction.options.getInteger('entry');
+            
+            try {
+                const entry = await db.undoAuditEntry(entryId, getAuditContext(interaction));
+                
+                const embed = createEmbed('↩️ Change Undone', 
+                    `Entry **#${entry.id}** by ${entry.actorName} has been reverted.\n\n` +
+                    `⌨️ **Original command**: \`${entry.command}\`\n` +
+                    `📝 **Records restored**: ${entry.changes.length}\n\n` +
+                    `💡 The undo is logged too, so \`/undo\` on its entry redoes the change.`, 
+                    config.colors.success);
+                
+                await interaction.reply({ embeds: [embed] });
+            } catch (error) {
+                await interaction.reply({
+                    content: `❌ Could not undo entry #${entryId}: ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+            
+            return;
+        }
+        
+        // Create Backup command (Admin only)
+        if (commandName === 'create-backup') {
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            try {
+                await interaction.deferReply();
+                
+                const backup = await db.createBackup('manual');
+                
+                const embed = createEmbed('✅ Backup Created', 
+                    `📦 **Manual backup completed successfully!**\n\n` +
+                    `📅 **Created**: ${new Date(backup.manifest.timestamp).toLocaleString()}\n` +
+                    `📁 **Folder**: \`${path.basename(backup.folder)}\`\n` +
+                    `📊 **Files Backed Up**: ${backup.manifest.filesBackedUp}\n\n` +
+                    `💡 **Tip**: Use \`/list-backups\` to see all available backups.\n` +
+                    `🔄 **Restore**: Use \`/restore-backup\` if you ever need to restore this data.`, 
+                    config.colors.success);
+                
+                await interaction.editReply({ embeds: [embed] });
+            } catch (error) {
+                console.error('Error creating backup:', error);
+                await interaction.editReply({
+                    content: `❌ Error creating backup: ${error.message}`
+                });
+            }
+            
+            return;
+        }
+        
+        // Create Team command (Admin only)
+        if (commandName === 'create-team') {
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const teamName = interaction.options.getString('name').trim();
+            const colorInput = interaction.options.getString('color');
+            const captain = interaction.options.getUser('captain');
+            const rosterLimit = interaction.options.getInteger('roster-limit');
+            
+            // Validate team name
+            if (teamName.length < 2 || teamName.length > 50) {
+                await interaction.reply({
+                    content: 'Team name must be between 2 and 50 characters long.',
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            // Validate team color
+            let color = null;
+            if (colorInput) {
+                const colorMatch = colorInput.trim().match(/^#?([0-9a-f]{6})$/i);
+                if (!colorMatch) {
+                    await interaction.reply({
+                        content: 'Team color must be a hex code like `#ff9900`.',
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                }
+                color = `#${colorMatch[1].toLowerCase()}`;
+            }
+            
+            try {
+                const team = await db.withAudit(getAuditContext(interaction), () => db.createTeam(teamName, {
+                    color,
+                    captainId: captain ? captain.id : null,
+                    rosterLimit
+                }));
+                
+                const embed = createEmbed('✅ Team Created', 
+                    `🏆 **${teamName}** has been created successfully!\n\n` +
+                    `📊 **Initial Record**: 0 wins, 0 losses\n` +
+                    `🎨 **Color**: ${team.color}\n` +
+                    (team.captainId ? `👑 **Captain**: <@${team.captainId}>\n` : '') +
+                    (team.rosterLimit ? `👥 **Roster Limit**: ${team.rosterLimit} players\n` : '') +
+                    `👥 **Players**: Ready to register players with \`/register\`\n` +
+                    `📋 **View Teams**: Use \`/list-teams\` to see all teams`, 
+                    team.color);
+                
+                await interaction.reply({ embeds: [embed] });
+            } catch (error) {
+                await interaction.reply({
+                    content: `❌ Error creating team: ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+            
+            return;
+        }
+        
+        // List Teams command
+        if (commandName === 'list-teams') {
+            try {
+                const allTeams = await db.getAllTeams();
+                const teamStats = await db.readTeamStatsFile();
+                const players = await db.readPlayersFile();
+                const matchResults = await db.readMatchResultsFile();
+                
+                const embed = createEmbed('🏆 Available Teams', 
+                    allTeams.length > 0 ? 'Here are all available teams:' : 'No teams found.');
+                
+                if (allTeams.length === 0) {
+                    embed.addFields({
+                        name: '💡 Create Your First Team',
+                        value: 'Use `/create-team` to create a new team.',
+                        inline: false
+                    });
+                } else {
+                    let teamList = '';
+                    allTeams.forEach((team, index) => {
+                        const stats = teamStats[team];
+                        const winRate = stats.wins + stats.losses > 0 ? 
+                            ((stats.wins / (stats.wins + stats.losses)) * 100).toFixed(1) : '0.0';
+                        
+                        const rosterSize = players.filter(p => p.team === team && !p.retiredAt).length;
+                        const summary = summarizeTeamResults(team, matchResults);
+                        
+                        teamList += `**${index + 1}. ${team}**\n`;
+                        teamList += `📚 Series: ${summary.seriesWins}W-${summary.seriesLosses}L | `;
+                        teamList += `🎮 Games: ${stats.wins}W-${stats.losses}L (${winRate}% win rate)\n`;
+                        teamList += `⚽ Goals: ${summary.goalsFor} for, ${summary.goalsAgainst} against (${formatGoalDifference(summary.goalDifference)})\n`;
+                        teamList += `👥 Roster: ${rosterSize}${stats.rosterLimit ? `/${stats.rosterLimit}` : ''} players`;
+                        teamList += stats.captainId ? ` | 👑 Captain: <@${stats.captainId}>\n` : '\n';
+                        if (stats.createdAt) {
+                            teamList += `📅 Created: ${new Date(stats.createdAt).toLocaleDateString()}\n`;
+                        }
+                        teamList += '\n';
+                    });
+                    
+                    embed.setDescription(teamList);
+                    
+                    embed.addFields({
+                        name: '🛠️ Team Management',
+                        value: '• `/create-team` - Create new team\n' +
+                               '• `/rename-team` - Rename existing team\n' +
+                               '• `/delete-team` - Delete empty team',
+                        inline: false
+                    });
+                }
+                
+                await interaction.reply({ embeds: [embed] });
+            } catch (error) {
+                console.error('Error listing teams:', error);
+                await interaction.reply({
+                    content: `❌ Error listing teams: ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+            
+            return;
+        }
+        
+        // Delete Team command (Admin only)
+        if (commandName === 'delete-team') {
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const teamName = interaction.options.getString('name').trim();
+            const confirmation = interaction.options.getString('confirmation');
+            
+            // Check confirmation
+            if (confirmation !== 'CONFIRM') {
+                await interaction.reply({
+                    content: '❌ **Confirmation failed!**\n\nTo delete a team, you must type exactly: `CONFIRM`\n\n⚠️ **Note**: You can only delete teams that have no players assigned.',
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            try {
+                await db.withAudit(getAuditContext(interaction), () => db.deleteTeam(teamName));
+                
+                const embed = createEmbed('✅ Team Deleted', 
+                    `🗑️ **${teamName}** has been permanently deleted.\n\n` +
+                    `📊 **What was removed:**\n` +
+                    `• Team record (wins/losses)\n` +
+                    `• Team from available options\n\n` +
+                    `💡 **Note**: No player data was affected.`, 
+                    config.colors.success);
+                
+                await interaction.reply({ embeds: [embed] });
+            } catch (error) {
+                await interaction.reply({
+                    content: `❌ Error deleting team: ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+            
+            return;
+        }
+        
+        // Rename Team command (Admin only)
+        if (commandName === 'rename-team') {
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const oldName = interaction.options.getString('old-name').trim();
+            const newName = interaction.options.getString('new-name').trim();
+            
+            // Validate new team name
+            if (newName.length < 2 || newName.length > 50) {
+                await interaction.reply({
+                    content: 'New team name must be between 2 and 50 characters long.',
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            try {
+                const result = await db.withAudit(getAuditContext(interaction), () => db.renameTeam(oldName, newName));
+                
+                const embed = createEmbed('✅ Team Renamed', 
+                    `🔄 **${result.oldName}** has been renamed to **${result.newName}**!\n\n` +
+                    `📊 **What was updated:**\n` +
+                    `• Team record maintained\n` +
+                    `• ${result.playersUpdated} player(s) updated\n` +
+                    `• ${result.gamesUpdated} game record(s) updated\n` +
+                    `• ${result.matchesUpdated} scheduled match(es) updated\n` +
+                    `• ${result.resultsUpdated} match result(s) updated\n\n` +
+                    `💡 **All historical data preserved.**`, 
+                    config.colors.success);
+                
+                await interaction.reply({ embeds: [embed] });
+            } catch (error) {
+                await interaction.reply({
+                    content: `❌ Error renaming team: ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+            
+            return;
+        }
+        
+        // Generate Report command
+        if (commandName === 'generate-report') {
+            try {
+                await interaction.deferReply();
+                
+                const format = interaction.options.getString('format') || 'txt';
+                const teamFilter = await resolveTeamName(interaction.options.getString('team'));
+                
+                // Reports show career totals unless a season is asked for
+                const season = await resolveSeasonOption(interaction.options.getString('season'), null);
+                
+                // Validate team if specified
+                if (teamFilter) {
+                    const allTeams = await db.getAllTeams();
+                    if (!allTeams.includes(teamFilter)) {
+                        await interaction.editReply({
+                            content: `Team "${teamFilter}" does not exist. Use \`/list-teams\` to see available teams.`
+                        });
+                        return;
+                    }
+                }
+                
+                let fileContent, fileName, fileExtension;
+                
+                switch (format) {
+                    case 'csv':
+                        fileContent = await generateCSVReport(teamFilter, season);
+                        fileExtension = 'csv';
+                        break;
+                    case 'html':
+                        fileContent = await generateHTMLReport(teamFilter, season);
+                        fileExtension = 'html';
+                        break;
+                    default:
+                        fileContent = await generateTextReport(teamFilter, season);
+                        fileExtension = 'txt';
+                }
+                
+                // Create filename
+                const dateStr = new Date().toISOString().slice(0, 10);
+                const teamStr = teamFilter ? `-${teamFilter.replace('-', '')}` : '';
+                const seasonStr = season ? `-season${season.id}` : '';
+                fileName = `stats-report${teamStr}${seasonStr}-${dateStr}.${fileExtension}`;
+                
+                // Create attachment
+                const buffer = Buffer.from(fileContent, 'utf8');
+                const attachment = new AttachmentBuilder(buffer, { name: fileName });
+                
+                const embed = createEmbed('📊 Stats Report Generated', 
+                    `✅ **${format.toUpperCase()} report created successfully!**\n\n` +
+                    `📁 **File**: ${fileName}\n` +
+                    `📋 **Format**: ${format.toUpperCase()}\n` +
+                    (teamFilter ? `🏆 **Team**: ${teamFilter}\n` : '📊 **Scope**: All Teams\n') +
+                    `🗓️ **Season**: ${season ? season.name : 'Career totals'}\n` +
+                    `📅 **Generated**: ${new Date().toLocaleString()}\n\n` +
+                    `💾 **Download the attached file to save your stats report.**`, 
+                    config.colors.success);
+                
+                await interaction.editReply({ 
+                    embeds: [embed],
+                    files: [attachment]
+                });
+            } catch (error) {
+                console.error('Error generating report:', error);
+                await interaction.editReply({
+                    content: `❌ Error generating report: ${error.message}`
+                });
+            }
+            
+            return;
+        }
+        
+        // Player Report command
+        if (commandName === 'player-report') {
+            const targetUser = interaction.options.getUser('user') || interaction.user;
+            const format = interaction.options.getString('format') || 'txt';
+            
+            try {
+                await interaction.deferReply();
+                
+                // Get player from database
+                const player = await db.getPlayer(targetUser.id);
+                
+                if (!player) {
+                    await interaction.editReply({
+                        content: `${targetUser.username} is not registered yet. An admin can register them with the \`/register\` command.`
+                    });
+                    return;
+                }
+                
+                // Generate player report
+                const reportContent = await generatePlayerReport(player, format);
+                
+                // Create filename
+                const dateStr = new Date().toISOString().slice(0, 10);
+                const playerName = player.displayName.replace(/[^a-zA-Z0-9]/g, '');
+                const fileName = `player-report-${playerName}-${dateStr}.${format}`;
+                
+                // Create attachment
+                const buffer = Buffer.from(reportContent, 'utf8');
+                const attachment = new AttachmentBuilder(buffer, { name: fileName });
+                
+                const embed = createEmbed('👤 Player Report Generated', 
+                    `✅ **Individual report created for ${player.displayName}!**\n\n` +
+                    `📁 **File**: ${fileName}\n` +
+                    `📋 **Format**: ${format.toUpperCase()}\n` +
+                    `🏆 **Team**: ${player.team}\n` +
+                    `📅 **Generated**: ${new Date().toLocaleString()}\n\n` +
+                    `💾 **Download the attached file for a detailed player analysis.**`, 
+                    config.colors.success);
+                
+                await interaction.editReply({ 
+                    embeds: [embed],
+                    files: [attachment]
+                });
+            } catch (error) {
+                console.error('Error generating player report:', error);
+                await interaction.editReply({
+                    content: `❌ Error generating player report: ${error.message}`
+                });
+            }
+            
+            return;
+        }
+        
+        // List Backups command (Admin only)
+        if (commandName === 'list-backups') {
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
             
-            embed.addFields(
-                // Basic Commands
-                { 
-                    name: '📊 **Basic Commands**', 
-                    value: '`/help` - Shows this help message\n' +
-                           '`/stats [user]` - Shows stats for a user\n' +
-                           '`/my-stats` - Quick personal dashboard\n' +
-                           '`/leaderboard` - Shows overall leaderboard\n' +
-                           '`/achievements` - Shows available achievements', 
-                    inline: false 
-                },
+            try {
+                const backups = await db.listBackups();
                 
-                // Analysis Commands
-                { 
-                    name: '📈 **Analysis & Comparison**', 
-                    value: '`/compare <player1> <player2>` - Compare two players side-by-side\n' +
-                           '`/recent [user] [games]` - Show recent game performance\n' +
-                           '`/team <team>` - Shows player leaderboard for a team\n' +
-                           '`/team-stats <team>` - Shows win/loss record for a team', 
-                    inline: false 
-                },
+                const embed = createEmbed('📦 Available Backups', 
+                    backups.length > 0 ? 'Here are all available backups:' : 'No backups found.');
                 
-                // Match Management
-                { 
-                    name: '🗓️ **Match Management**', 
-                    value: '`/schedule-match <team1> <team2> <datetime>` - Schedule match (Admin)\n' +
-                           '`/cancel-match [match-id] [teams] [date]` - Cancel scheduled match (Admin)\n' +
-                           '`/match-calendar` - View upcoming scheduled matches\n' +
-                           '💡 **Teams**: Use A-Team, B-Team, or any custom team name (ATG, etc.)\n' +
-                           '🇸🇪 **Timezone**: All times displayed in Sweden timezone with UTC offset', 
-                    inline: false 
-                },
+                if (backups.length === 0) {
+                    embed.addFields({
+                        name: '💡 Create Your First Backup',
+                        value: 'Use `/create-backup` to create a manual backup of your data.',
+                        inline: false
+                    });
+                } else {
+                    // Show most recent 10 backups
+                    let backupList = '';
+                    backups.slice(0, 10).forEach((backup, index) => {
+                        const date = new Date(backup.timestamp);
+                        const dateStr = date.toLocaleDateString();
+                        const timeStr = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+                        
+                        backupList += `**${index + 1}.** \`${backup.folder}\`\n`;
+                        backupList += `📅 ${dateStr} at ${timeStr} (${backup.type})\n`;
+                        backupList += `📊 ${backup.filesBackedUp} files\n\n`;
+                    });
+                    
+                    embed.setDescription(backupList);
+                    
+                    if (backups.length > 10) {
+                        embed.addFields({
+                            name: `📋 Showing 10 of ${backups.length} backups`,
+                            value: 'Only the most recent backups are shown.',
+                            inline: false
+                        });
+                    }
+                    
+                    embed.addFields({
+                        name: '🔄 How to Restore',
+                        value: 'Copy the backup folder name and use `/restore-backup backup-folder:<name>`',
+                        inline: false
+                    });
+                }
                 
-                // Backup & Data Management
-                { 
-                    name: '💾 **Backup & Data Management**', 
-                    value: '`/create-backup` - Create manual backup (Admin)\n' +
-                           '`/list-backups` - List available backups (Admin)\n' +
-                           '`/restore-backup <folder>` - Restore from backup (Admin)\n' +
-                           '`/export-data` - Export data as JSON file (Admin)', 
-                    inline: false 
-                },
+                await interaction.reply({ embeds: [embed] });
+            } catch (error) {
+                console.error('Error listing backups:', error);
+                await interaction.reply({
+                    content: `❌ Error listing backups: ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+            
+            return;
+        }
+        
+        // Restore Backup command (Admin only)
+        if (commandName === 'restore-backup') {
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const backupFolder = interaction.options.getString('backup-folder');
+            
+            try {
+                await interaction.deferReply();
                 
-                // Report Generation
-                { 
-                    name: '📄 **Report Generation**', 
-                    value: '`/generate-report [format] [team]` - Generate downloadable stats report\n' +
-                           '`/player-report [user] [format]` - Generate individual player report\n' +
-                           '💡 **Formats**: Text (.txt), CSV (.csv), HTML (.html)', 
-                    inline: false 
-                },
+                // Create a backup before restoring (safety measure)
+                await db.createBackup('pre-restore');
                 
-                // Admin Commands Header
-                { 
-                    name: '⚙️ **Admin Commands**', 
-                    value: 'The following commands require the Scrimster role:', 
-                    inline: false 
-                },
+                const filesRestored = await db.restoreFromBackup(backupFolder);
                 
-                // Player Management
-                { 
-                    name: '👥 **Player Management**', 
-                    value: '`/register <user> <team>` - Register a new player to a team', 
-                    inline: true 
-                },
+                const embed = createEmbed('🔄 Data Restored', 
+                    `✅ **Successfully restored data from backup!**\n\n` +
+                    `📁 **Backup Used**: \`${backupFolder}\`\n` +
+                    `📊 **Files Restored**: ${filesRestored}\n` +
+                    `💾 **Safety Backup**: Created automatic backup before restore\n\n` +
+                    `⚠️ **Important**: The bot will reload with the restored data.`, 
+                    config.colors.success);
                 
-                // Stats Management
-                { 
-                    name: '📈 **Stats Management**', 
-                    value: '`/addstats <user> [stats...]` - Add stats for a player\n' +
-                           '`/removestats <user> [stats...]` - Remove stats from a player', 
-                    inline: true 
-                },
+                await interaction.editReply({ embeds: [embed] });
+            } catch (error) {
+                console.error('Error restoring backup:', error);
+                await interaction.editReply({
+                    content: `❌ Error restoring backup: ${error.message}\n\nPlease check that the backup folder name is correct using \`/list-backups\`.`
+                });
+            }
+            
+            return;
+        }
+        
+        // Repair Data command (Admin only)
+        if (commandName === 'repair-data') {
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const confirmation = interaction.options.getString('confirmation');
+            
+            try {
+                await interaction.deferReply();
                 
-                // Team Record Management
-                { 
-                    name: '🏅 **Team Records**', 
-                    value: '`/team-win <team> [wins]` - Add win(s) to team\n' +
-                           '`/team-loss <team> [losses]` - Add loss(es) to team\n' +
-                           '`/team-remove-win <team> [wins]` - Remove win(s)\n' +
-                           '`/team-remove-loss <team> [losses]` - Remove loss(es)\n\n' +
-                           '💡 **Note**: All commands work with any team name!', 
-                    inline: false 
-                },
+                const corruptedFiles = db.getCorruptedFiles();
                 
-                // Dangerous Commands
-                { 
-                    name: '⚠️ **DANGER ZONE - Data Reset Commands**', 
-                    value: '**Use with extreme caution! Requires confirmation.**\n' +
-                           '`/wipe-players` - 🔥 Wipe all player stats (type "CONFIRM")\n' +
-                           '`/wipe-teams` - 🔥 Reset all team records (type "CONFIRM")\n' +
-                           '`/wipe-all` - 💀 **COMPLETE RESET** (type "CONFIRM DELETE ALL")\n\n' +
-                           '💾 **Safety**: All wipe commands create automatic backups first!', 
-                    inline: false 
+                if (corruptedFiles.length === 0) {
+                    const embed = createEmbed('✅ Data Healthy', 
+                        'All data files loaded correctly. Nothing needs to be repaired.', 
+                        config.colors.success);
+                    await interaction.editReply({ embeds: [embed] });
+                    return;
                 }
-            );
+                
+                let incidentList = '';
+                corruptedFiles.forEach(incident => {
+                    incidentList += `📄 **${incident.name}** - ${incident.reason}\n`;
+                    incidentList += `🗃️ Quarantined as \`${incident.quarantinedAs}\`\n`;
+                    incidentList += `📅 Detected ${new Date(incident.detectedAt).toLocaleString()}\n\n`;
+                });
+                
+                // Data files are restored from the newest valid backup, log files start over empty
+                const logFilePaths = LOG_FILES.map(file => file.filePath);
+                const dataIncidents = corruptedFiles.filter(incident => !logFilePaths.includes(incident.filePath));
+                const logIncidents = corruptedFiles.filter(incident => logFilePaths.includes(incident.filePath));
+                const backup = dataIncidents.length > 0 ? await db.findLatestValidBackup() : null;
+                
+                if (dataIncidents.length > 0 && !backup) {
+                    const embed = createEmbed('🚨 Data Repair Needed', 
+                        `**Corrupted files:**\n${incidentList}` +
+                        `❌ **No valid backup was found.**\n` +
+                        `Fix the quarantined file by hand and use \`/restore-backup\`, or wipe the affected data.`, 
+                        config.colors.error);
+                    await interaction.editReply({ embeds: [embed] });
+                    return;
+                }
+                
+                const backupDate = backup ? new Date(backup.timestamp).toLocaleString() : null;
+                const logNames = logIncidents.map(incident => `**${incident.name}**`).join(', ');
+                
+                if (confirmation !== 'CONFIRM') {
+                    const embed = createEmbed('🚨 Data Repair Needed', 
+                        `**Corrupted files:**\n${incidentList}` +
+                        (backup ? `💾 **Newest valid backup**: \`${backup.folder}\`\n📅 ${backupDate} (${backup.type})\n\n` : '') +
+                        (logIncidents.length > 0 ? `📝 ${logNames} is not backed up and will be started over empty.\n\n` : '') +
+                        `🔄 Run \`/repair-data confirmation:CONFIRM\` to repair the data.\n` +
+                        (backup ? `⚠️ Changes made after the backup was taken will be lost.\n` : '') +
+                        (logIncidents.length > 0 ? `⚠️ The entries in ${logNames} will be lost.` : ''), 
+                        config.colors.error);
+                    await interaction.editReply({ embeds: [embed] });
+                    return;
+                }
+                
+                // Keep the current data, quarantined files included, so the repair can be undone
+                const preRepairBackup = await db.createBackup('pre-repair');
+                
+                const filesRestored = backup ? await db.restoreFromBackup(backup.folder) : 0;
+                const filesReset = await db.resetCorruptedLogFiles();
+                const remaining = db.getCorruptedFiles();
+                
+                const embed = createEmbed('🛠️ Data Repaired', 
+                    (backup ? `✅ **Restored ${filesRestored} files from \`${backup.folder}\`**\n📅 Backup taken ${backupDate}\n\n` : '') +
+                    (filesReset.length > 0 ? `📝 **Started over empty**: ${filesReset.join(', ')}\n\n` : '') +
+                    (remaining.length === 0
+                        ? '🔓 Data changes are unblocked.\n'
+                        : `⚠️ Still corrupted: ${remaining.map(incident => incident.name).join(', ')}\n`) +
+                    `🗃️ Quarantined files were kept for inspection. The data from before the repair, quarantined files included, ` +
+                    `is in \`${path.basename(preRepairBackup.folder)}\`.`, 
+                    remaining.length === 0 ? config.colors.success : config.colors.error);
+                
+                await interaction.editReply({ embeds: [embed] });
+            } catch (error) {
+                console.error('Error repairing data:', error);
+                await interaction.editReply({
+                    content: `❌ Error repairing data: ${error.message}`
+                });
+            }
+            
+            return;
+        }
+        
+        // Export Data command (Admin only)
+        if (commandName === 'export-data') {
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            try {
+                await interaction.deferReply();
+                
+                const exportData = await createExportPackage();
+                
+                // Create downloadable file
+                const exportJson = JSON.stringify(exportData, null, 2);
+                const buffer = Buffer.from(exportJson, 'utf8');
+                const filename = `stats-export-${new Date().toISOString().slice(0, 10)}.json`;
+                
+                const attachment = new AttachmentBuilder(buffer, { name: filename });
+                
+                const embed = createEmbed('📤 Data Export Ready', 
+                    `✅ **Export completed successfully!**\n\n` +
+                    `📊 **Export Summary**:\n` +
+                    `👥 ${exportData.summary.totalPlayers} players\n` +
+                    `🎮 ${exportData.summary.totalGames} game records\n` +
+                    `📅 ${exportData.summary.scheduledMatches} scheduled matches\n` +
+                    `🏁 ${exportData.summary.matchResults} match results\n` +
+                    `🗓️ ${exportData.summary.seasons} seasons\n` +
+                    `🆚 ${exportData.summary.opponents} opponents\n\n` +
+                    `💾 **Download the attached JSON file to save your data externally.**\n` +
+                    `🔄 Restore it with \`/import-data\` if needed.`, 
+                    config.colors.success);
+                
+                await interaction.editReply({ 
+                    embeds: [embed],
+                    files: [attachment]
+                });
+            } catch (error) {
+                console.error('Error exporting data:', error);
+                await interaction.editReply({
+                    content: `❌ Error exporting data: ${error.message}`
+                });
+            }
             
-            await interaction.reply({ embeds: [embed] });
             return;
         }
         
-        // Create Backup command (Admin only)
-        if (commandName === 'create-backup') {
+        // Import Stats command (Admin only)
+        if (commandName === 'import-stats') {
             if (!(await isAdmin(interaction.member))) {
                 await interaction.reply({ 
                     content: `You need the "${config.adminRoleName}" role to use this command.`,
@@ -2350,33 +8806,48 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
             
+            const attachment = interaction.options.getAttachment('file');
+            const confirmation = interaction.options.getString('confirmation');
+            
             try {
                 await interaction.deferReply();
                 
-                const backup = await db.createBackup('manual');
+                if (!attachment.name.toLowerCase().endsWith('.csv')) {
+                    await interaction.editReply({ content: '❌ Please attach a `.csv` file.' });
+                    return;
+                }
                 
-                const embed = createEmbed('✅ Backup Created', 
-                    `📦 **Manual backup completed successfully!**\n\n` +
-                    `📅 **Created**: ${new Date(backup.manifest.timestamp).toLocaleString()}\n` +
-                    `📁 **Folder**: \`${path.basename(backup.folder)}\`\n` +
-                    `📊 **Files Backed Up**: ${backup.manifest.filesBackedUp}\n\n` +
-                    `💡 **Tip**: Use \`/list-backups\` to see all available backups.\n` +
-                    `🔄 **Restore**: Use \`/restore-backup\` if you ever need to restore this data.`, 
-                    config.colors.success);
+                const rows = await parseStatsCsv(await downloadAttachment(attachment.url, MAX_IMPORT_FILE_SIZE));
+                if (rows.length === 0) {
+                    await interaction.editReply({ content: '❌ The CSV file has no rows below its header.' });
+                    return;
+                }
+                
+                const { matched, unmatched } = mapStatRows(rows, await db.getAllPlayers());
+                const applying = confirmation === 'CONFIRM' && matched.length > 0;
+                
+                if (applying) {
+                    await db.withAudit(getAuditContext(interaction), () => db.importStatRows(matched.map(row => ({
+                        discordId: row.player.discordId,
+                        stats: row.stats,
+                        timestamp: row.timestamp
+                    }))));
+                }
                 
+                const embed = createStatImportEmbed(attachment.name, rows.length, summarizeStatRows(matched), unmatched, applying);
                 await interaction.editReply({ embeds: [embed] });
             } catch (error) {
-                console.error('Error creating backup:', error);
+                console.error('Error importing stats:', error);
                 await interaction.editReply({
-                    content: `❌ Error creating backup: ${error.message}`
+                    content: `❌ Error importing stats: ${error.message}`
                 });
             }
             
             return;
         }
         
-        // Create Team command (Admin only)
-        if (commandName === 'create-team') {
+        // Import Replays command (Admin only)
+        if (commandName === 'import-replays') {
             if (!(await isAdmin(interaction.member))) {
                 await interaction.reply({ 
                     content: `You need the "${config.adminRoleName}" role to use this command.`,
@@ -2385,133 +8856,298 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
             
-            const teamName = interaction.options.getString('name').trim();
+            const attachment = interaction.options.getAttachment('file');
+            const confirmation = interaction.options.getString('confirmation');
             
-            // Validate team name
-            if (teamName.length < 2 || teamName.length > 50) {
-                await interaction.reply({
-                    content: 'Team name must be between 2 and 50 characters long.',
+            try {
+                await interaction.deferReply();
+                
+                if (!attachment.name.toLowerCase().endsWith('.json')) {
+                    await interaction.editReply({ content: '❌ Please attach a replay `.json` export.' });
+                    return;
+                }
+                
+                const fileContent = await downloadAttachment(attachment.url, MAX_IMPORT_FILE_SIZE);
+                let json;
+                try {
+                    json = JSON.parse(fileContent.toString('utf8'));
+                } catch (error) {
+                    throw new Error('The file is not valid JSON');
+                }
+                
+                const { rows, skipped, replayCount } = prepareReplayImport(
+                    parseReplayJson(json), await db.getAllPlayers(), await db.getImportedReplayIds());
+                const applying = confirmation === 'CONFIRM' && rows.length > 0;
+                
+                if (applying) {
+                    await db.withAudit(getAuditContext(interaction), () => db.importStatRows(rows));
+                }
+                
+                const embed = createReplayImportEmbed(attachment.name, replayCount, summarizeStatRows(rows), skipped, applying);
+                await interaction.editReply({ embeds: [embed] });
+            } catch (error) {
+                console.error('Error importing replays:', error);
+                await interaction.editReply({
+                    content: `❌ Error importing replays: ${error.message}`
+                });
+            }
+            
+            return;
+        }
+        
+        // Import Data command (Admin only)
+        if (commandName === 'import-data') {
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
                     flags: MessageFlags.Ephemeral
                 });
                 return;
             }
             
+            const attachment = interaction.options.getAttachment('file');
+            const confirmation = interaction.options.getString('confirmation');
+            
             try {
-                await db.createTeam(teamName);
+                await interaction.deferReply();
                 
-                const embed = createEmbed('✅ Team Created', 
-                    `🏆 **${teamName}** has been created successfully!\n\n` +
-                    `📊 **Initial Record**: 0 wins, 0 losses\n` +
-                    `👥 **Players**: Ready to register players with \`/register\`\n` +
-                    `📋 **View Teams**: Use \`/list-teams\` to see all teams`, 
-                    config.colors.success);
+                if (!attachment.name.toLowerCase().endsWith('.json')) {
+                    await interaction.editReply({ content: '❌ Please attach the `.json` file created by `/export-data`.' });
+                    return;
+                }
+                if (attachment.size > MAX_IMPORT_FILE_SIZE) {
+                    await interaction.editReply({ content: '❌ The file is too large to import (max 25 MB).' });
+                    return;
+                }
                 
-                await interaction.reply({ embeds: [embed] });
+                const fileContent = await downloadAttachment(attachment.url, MAX_IMPORT_FILE_SIZE);
+                
+                let exportData;
+                try {
+                    exportData = JSON.parse(fileContent.toString('utf8'));
+                } catch (error) {
+                    throw new Error('The file is not valid JSON');
+                }
+                
+                const importedData = parseExportPackage(exportData);
+                const changes = diffDataSnapshots(await readDataSnapshot(), importedData);
+                
+                if (changes.length === 0) {
+                    const embed = createEmbed('📥 Nothing to Import', 
+                        `\`${attachment.name}\` matches the current data exactly.`, 
+                        config.colors.success);
+                    await interaction.editReply({ embeds: [embed] });
+                    return;
+                }
+                
+                const applying = confirmation === 'CONFIRM';
+                const embed = createImportPreviewEmbed(attachment.name, exportData, summarizeImportChanges(changes), applying);
+                
+                if (!applying) {
+                    await interaction.editReply({ embeds: [embed] });
+                    return;
+                }
+                
+                // Keep the current data before it is replaced
+                const backup = await db.createBackup('pre-import');
+                await db.withAudit(getAuditContext(interaction), () => db.importData(importedData));
+                
+                embed.addFields({
+                    name: '💾 Backup',
+                    value: `Previous data saved as \`${path.basename(backup.folder)}\`.\n` +
+                           `Use \`/restore-backup\` or \`/undo\` to go back.`,
+                    inline: false
+                });
+                
+                await interaction.editReply({ embeds: [embed] });
             } catch (error) {
-                await interaction.reply({
-                    content: `❌ Error creating team: ${error.message}`,
-                    flags: MessageFlags.Ephemeral
+                console.error('Error importing data:', error);
+                await interaction.editReply({
+                    content: `❌ Error importing data: ${error.message}`
                 });
             }
             
             return;
         }
         
-        // List Teams command
-        if (commandName === 'list-teams') {
+        // Cancel Match command (Admin only)
+        if (commandName === 'cancel-match') {
+            // Check if user has admin role
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const matchId = interaction.options.getString('match-id');
+            const teams = interaction.options.getString('teams');
+            const dateStr = interaction.options.getString('date');
+            
             try {
-                const allTeams = await db.getAllTeams();
-                const teamStats = await db.readTeamStatsFile();
+                // If match ID is provided, cancel that specific match
+                if (matchId) {
+                    const cancelledMatch = await db.cancelMatch(matchId);
+                    
+                    const swedenTime = formatSwedenTime(new Date(cancelledMatch.dateTime));
+                    
+                    const embed = createEmbed('Match Cancelled', 
+                        `✅ **${cancelledMatch.team1} vs ${cancelledMatch.team2}** has been cancelled.\n\n` +
+                        `📅 **Was scheduled for**: ${swedenTime.full}\n` +
+                        (cancelledMatch.description ? `📝 **Description**: ${cancelledMatch.description}\n` : '') +
+                        `\n🗑️ Match removed from calendar.\n` +
+                        `🇸🇪 Time shown in Sweden timezone.`, 
+                        config.colors.success);
+                    
+                    await interaction.reply({ embeds: [embed] });
+                    return;
+                }
                 
-                const embed = createEmbed('🏆 Available Teams', 
-                    allTeams.length > 0 ? 'Here are all available teams:' : 'No teams found.');
+                // Otherwise, show matches to cancel (filtered if criteria provided)
+                const matchesToCancel = await db.findMatches(teams, dateStr);
                 
-                if (allTeams.length === 0) {
-                    embed.addFields({
-                        name: '💡 Create Your First Team',
-                        value: 'Use `/create-team` to create a new team.',
-                        inline: false
-                    });
-                } else {
-                    let teamList = '';
-                    allTeams.forEach((team, index) => {
-                        const stats = teamStats[team];
-                        const winRate = stats.wins + stats.losses > 0 ? 
-                            ((stats.wins / (stats.wins + stats.losses)) * 100).toFixed(1) : '0.0';
-                        
-                        teamList += `**${index + 1}. ${team}**\n`;
-                        teamList += `📊 Record: ${stats.wins}W-${stats.losses}L (${winRate}% win rate)\n\n`;
-                    });
-                    
-                    embed.setDescription(teamList);
+                if (matchesToCancel.length === 0) {
+                    let message = 'No upcoming matches found';
+                    if (teams || dateStr) {
+                        message += ' matching your criteria';
+                    }
+                    message += '. Use `/match-calendar` to see all scheduled matches.';
                     
-                    embed.addFields({
-                        name: '🛠️ Team Management',
-                        value: '• `/create-team` - Create new team\n' +
-                               '• `/rename-team` - Rename existing team\n' +
-                               '• `/delete-team` - Delete empty team',
-                        inline: false
+                    await interaction.reply({
+                        content: message,
+                        flags: MessageFlags.Ephemeral
                     });
+                    return;
                 }
                 
+                const embed = createCancelMatchEmbed(matchesToCancel);
                 await interaction.reply({ embeds: [embed] });
+                
             } catch (error) {
-                console.error('Error listing teams:', error);
-                await interaction.reply({
-                    content: `❌ Error listing teams: ${error.message}`,
+                console.error('Error cancelling match:', error);
+                
+                if (error.message === 'Match not found') {
+                    await interaction.reply({
+                        content: 'Match not found. It may have already been cancelled or the ID is incorrect. Use `/cancel-match` to see available matches.',
+                        flags: MessageFlags.Ephemeral
+                    });
+                } else {
+                    await interaction.reply({
+                        content: `Error cancelling match: ${error.message}`,
+                        flags: MessageFlags.Ephemeral
+                    });
+                }
+            }
+            
+            return;
+        }
+        
+        // Compare command - Player comparison
+        if (commandName === 'compare') {
+            const player1User = interaction.options.getUser('player1');
+            const player2User = interaction.options.getUser('player2');
+            
+            // Get both players from database
+            const player1 = await db.getPlayer(player1User.id);
+            const player2 = await db.getPlayer(player2User.id);
+            
+            if (!player1) {
+                await interaction.reply({ 
+                    content: `${player1User.username} is not registered yet.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            if (!player2) {
+                await interaction.reply({ 
+                    content: `${player2User.username} is not registered yet.`,
                     flags: MessageFlags.Ephemeral
                 });
+                return;
             }
             
+            const embed = createPlayerComparisonEmbed(player1, player2, player1User, player2User, await db.getGoalParticipation());
+            await interaction.reply({ embeds: [embed] });
             return;
         }
         
-        // Delete Team command (Admin only)
-        if (commandName === 'delete-team') {
-            if (!(await isAdmin(interaction.member))) {
+        // Recent command - Recent form tracking
+        if (commandName === 'recent') {
+            const targetUser = interaction.options.getUser('user') || interaction.user;
+            const gamesRequested = interaction.options.getInteger('games') || 10;
+            
+            // Get player from database
+            const player = await db.getPlayer(targetUser.id);
+            
+            if (!player) {
+                await interaction.reply({ 
+                    content: `${targetUser.username} is not registered yet.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            // Get recent games
+            const recentGames = await db.getRecentGames(targetUser.id, gamesRequested);
+            
+            const embed = createRecentFormEmbed(player, recentGames, gamesRequested);
+            await interaction.reply({ embeds: [embed] });
+            return;
+        }
+        
+        // Player History command
+        if (commandName === 'player-history') {
+            const targetUser = interaction.options.getUser('user') || interaction.user;
+            const history = await db.getPlayerHistory(targetUser.id);
+            
+            if (!history) {
+                await interaction.reply({ 
+                    content: `${targetUser.username} is not registered yet.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            await interaction.reply({ embeds: [createPlayerHistoryEmbed(history)] });
+            return;
+        }
+        
+        // My Stats command - Personal dashboard
+        if (commandName === 'my-stats') {
+            const userId = interaction.user.id;
+            
+            // Get player from database
+            const player = await db.getPlayer(userId);
+            
+            if (!player) {
                 await interaction.reply({ 
-                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    content: `You are not registered yet. An admin can register you with the \`/register\` command.`,
                     flags: MessageFlags.Ephemeral
                 });
                 return;
             }
             
-            const teamName = interaction.options.getString('name').trim();
-            const confirmation = interaction.options.getString('confirmation');
+            // Get recent games and achievement progress
+            const recentGames = await db.getRecentGames(userId, 5);
+            const achievementProgress = calculateAchievementProgress(player);
             
-            // Check confirmation
-            if (confirmation !== 'CONFIRM') {
-                await interaction.reply({
-                    content: '❌ **Confirmation failed!**\n\nTo delete a team, you must type exactly: `CONFIRM`\n\n⚠️ **Note**: You can only delete teams that have no players assigned.',
-                    flags: MessageFlags.Ephemeral
-                });
-                return;
-            }
+            const participation = await db.getGoalParticipation();
+            const embed = createPersonalDashboardEmbed(player, recentGames, achievementProgress, calculateMetrics(player, participation.get(userId)));
             
-            try {
-                await db.deleteTeam(teamName);
-                
-                const embed = createEmbed('✅ Team Deleted', 
-                    `🗑️ **${teamName}** has been permanently deleted.\n\n` +
-                    `📊 **What was removed:**\n` +
-                    `• Team record (wins/losses)\n` +
-                    `• Team from available options\n\n` +
-                    `💡 **Note**: No player data was affected.`, 
-                    config.colors.success);
-                
-                await interaction.reply({ embeds: [embed] });
-            } catch (error) {
-                await interaction.reply({
-                    content: `❌ Error deleting team: ${error.message}`,
-                    flags: MessageFlags.Ephemeral
-                });
+            // Add user avatar if available
+            if (interaction.user.avatar) {
+                embed.setThumbnail(interaction.user.displayAvatarURL());
             }
             
+            await interaction.reply({ embeds: [embed] });
             return;
         }
         
-        // Rename Team command (Admin only)
-        if (commandName === 'rename-team') {
+        // Schedule Match command (Admin only)
+        if (commandName === 'schedule-match') {
+            // Check if user has admin role
             if (!(await isAdmin(interaction.member))) {
                 await interaction.reply({ 
                     content: `You need the "${config.adminRoleName}" role to use this command.`,
@@ -2520,218 +9156,102 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
             
-            const oldName = interaction.options.getString('old-name').trim();
-            const newName = interaction.options.getString('new-name').trim();
+            const team1 = await resolveTeamName(interaction.options.getString('team1'));
+            const team2 = await resolveTeamName(interaction.options.getString('team2'));
+            const dateTimeStr = interaction.options.getString('datetime');
+            const description = interaction.options.getString('description') || '';
             
-            // Validate new team name
-            if (newName.length < 2 || newName.length > 50) {
+            // Check if teams are different (case insensitive)
+            if (team1.toLowerCase() === team2.toLowerCase()) {
                 await interaction.reply({
-                    content: 'New team name must be between 2 and 50 characters long.',
+                    content: 'Cannot schedule a match between the same team!',
                     flags: MessageFlags.Ephemeral
                 });
                 return;
             }
             
             try {
-                const result = await db.renameTeam(oldName, newName);
-                
-                const embed = createEmbed('✅ Team Renamed', 
-                    `🔄 **${result.oldName}** has been renamed to **${result.newName}**!\n\n` +
-                    `📊 **What was updated:**\n` +
-                    `• Team record maintained\n` +
-                    `• ${result.playersUpdated} player(s) updated\n` +
-                    `• All references changed\n\n` +
-                    `💡 **All historical data preserved.**`, 
-                    config.colors.success);
-                
-                await interaction.reply({ embeds: [embed] });
-            } catch (error) {
-                await interaction.reply({
-                    content: `❌ Error renaming team: ${error.message}`,
-                    flags: MessageFlags.Ephemeral
-                });
-            }
-            
-            return;
-        }
-        
-        // Generate Report command
-        if (commandName === 'generate-report') {
-            try {
-                await interaction.deferReply();
-                
-                const format = interaction.options.getString('format') || 'txt';
-                const teamFilter = interaction.options.getString('team');
-                
-                // Validate team if specified
-                if (teamFilter) {
-                    const allTeams = await db.getAllTeams();
-                    if (!allTeams.includes(teamFilter)) {
-                        await interaction.editReply({
-                            content: `Team "${teamFilter}" does not exist. Use \`/list-teams\` to see available teams.`
-                        });
-                        return;
-                    }
-                }
-                
-                let fileContent, fileName, fileExtension;
+                // Parse the date/time
+                const matchDateTime = parseMatchDateTime(dateTimeStr);
                 
-                switch (format) {
-                    case 'csv':
-                        fileContent = await generateCSVReport(teamFilter);
-                        fileExtension = 'csv';
-                        break;
-                    case 'html':
-                        fileContent = await generateHTMLReport(teamFilter);
-                        fileExtension = 'html';
-                        break;
-                    default:
-                        fileContent = await generateTextReport(teamFilter);
-                        fileExtension = 'txt';
+                // Check if date is in the future
+                if (matchDateTime <= new Date()) {
+                    await interaction.reply({
+                        content: 'Match date must be in the future!',
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
                 }
                 
-                // Create filename
-                const dateStr = new Date().toISOString().slice(0, 10);
-                const teamStr = teamFilter ? `-${teamFilter.replace('-', '')}` : '';
-                fileName = `stats-report${teamStr}-${dateStr}.${fileExtension}`;
+                // Schedule the match
+                const scheduledMatch = await db.scheduleMatch(team1, team2, matchDateTime.toISOString(), description);
                 
-                // Create attachment
-                const buffer = Buffer.from(fileContent, 'utf8');
-                const attachment = new AttachmentBuilder(buffer, { name: fileName });
+                const swedenTime = formatSwedenTime(matchDateTime);
+                const opponent = scheduledMatch.opponentId ? await db.findOpponent(scheduledMatch.opponentId) : null;
                 
-                const embed = createEmbed('📊 Stats Report Generated', 
-                    `✅ **${format.toUpperCase()} report created successfully!**\n\n` +
-                    `📁 **File**: ${fileName}\n` +
-                    `📋 **Format**: ${format.toUpperCase()}\n` +
-                    (teamFilter ? `🏆 **Team**: ${teamFilter}\n` : '📊 **Scope**: All Teams\n') +
-                    `📅 **Generated**: ${new Date().toLocaleString()}\n\n` +
-                    `💾 **Download the attached file to save your stats report.**`, 
+                const embed = createEmbed('Match Scheduled', 
+                    `🗓️ **${scheduledMatch.team1} vs ${scheduledMatch.team2}**\n\n` +
+                    `📅 **Date**: ${swedenTime.date}\n` +
+                    `⏰ **Time**: ${swedenTime.time} ${swedenTime.timezone}\n` +
+                    (description ? `📝 **Description**: ${description}\n` : '') +
+                    (opponent ? `🆚 **Head-to-head**: \`/opponent name:${opponent.name}\`\n` : '') +
+                    `\n✅ Match has been scheduled successfully!\n\n` +
+                    `💡 **Note**: You can schedule matches against any team (A-Team, B-Team, or external teams like ATG, etc.). Register external teams with \`/opponents add\` to track them.\n` +
+                    `🇸🇪 **Timezone**: All times shown in Sweden timezone`, 
                     config.colors.success);
                 
-                await interaction.editReply({ 
-                    embeds: [embed],
-                    files: [attachment]
-                });
+                await interaction.reply({ embeds: [embed] });
             } catch (error) {
-                console.error('Error generating report:', error);
-                await interaction.editReply({
-                    content: `❌ Error generating report: ${error.message}`
+                await interaction.reply({
+                    content: `Error scheduling match: ${error.message}`,
+                    flags: MessageFlags.Ephemeral
                 });
             }
             
             return;
         }
         
-        // Player Report command
-        if (commandName === 'player-report') {
-            const targetUser = interaction.options.getUser('user') || interaction.user;
-            const format = interaction.options.getString('format') || 'txt';
-            
+        // Match Calendar command
+        if (commandName === 'match-calendar') {
             try {
-                await interaction.deferReply();
-                
-                // Get player from database
-                const player = await db.getPlayer(targetUser.id);
-                
-                if (!player) {
-                    await interaction.editReply({
-                        content: `${targetUser.username} is not registered yet. An admin can register them with the \`/register\` command.`
-                    });
-                    return;
-                }
-                
-                // Generate player report
-                const reportContent = await generatePlayerReport(player, format);
-                
-                // Create filename
-                const dateStr = new Date().toISOString().slice(0, 10);
-                const playerName = player.displayName.replace(/[^a-zA-Z0-9]/g, '');
-                const fileName = `player-report-${playerName}-${dateStr}.${format}`;
-                
-                // Create attachment
-                const buffer = Buffer.from(reportContent, 'utf8');
-                const attachment = new AttachmentBuilder(buffer, { name: fileName });
+                // Clean up old matches first
+                await db.cleanupOldMatches();
                 
-                const embed = createEmbed('👤 Player Report Generated', 
-                    `✅ **Individual report created for ${player.displayName}!**\n\n` +
-                    `📁 **File**: ${fileName}\n` +
-                    `📋 **Format**: ${format.toUpperCase()}\n` +
-                    `🏆 **Team**: ${player.team}\n` +
-                    `📅 **Generated**: ${new Date().toLocaleString()}\n\n` +
-                    `💾 **Download the attached file for a detailed player analysis.**`, 
-                    config.colors.success);
+                // Get upcoming matches
+                const upcomingMatches = await db.getUpcomingMatches(10);
                 
-                await interaction.editReply({ 
-                    embeds: [embed],
-                    files: [attachment]
-                });
+                const embed = createMatchCalendarEmbed(upcomingMatches);
+                await interaction.reply({ embeds: [embed] });
             } catch (error) {
-                console.error('Error generating player report:', error);
-                await interaction.editReply({
-                    content: `❌ Error generating player report: ${error.message}`
+                console.error('Error getting match calendar:', error);
+                await interaction.reply({
+                    content: `Error retrieving match calendar: ${error.message}`,
+                    flags: MessageFlags.Ephemeral
                 });
             }
             
             return;
         }
-        
-        // List Backups command (Admin only)
-        if (commandName === 'list-backups') {
-            if (!(await isAdmin(interaction.member))) {
-                await interaction.reply({ 
-                    content: `You need the "${config.adminRoleName}" role to use this command.`,
-                    flags: MessageFlags.Ephemeral
-                });
-                return;
-            }
+
+        // Opponent command
+        if (commandName === 'opponent') {
+            const name = interaction.options.getString('name').trim();
             
             try {
-                const backups = await db.listBackups();
-                
-                const embed = createEmbed('📦 Available Backups', 
-                    backups.length > 0 ? 'Here are all available backups:' : 'No backups found.');
-                
-                if (backups.length === 0) {
-                    embed.addFields({
-                        name: '💡 Create Your First Backup',
-                        value: 'Use `/create-backup` to create a manual backup of your data.',
-                        inline: false
-                    });
-                } else {
-                    // Show most recent 10 backups
-                    let backupList = '';
-                    backups.slice(0, 10).forEach((backup, index) => {
-                        const date = new Date(backup.timestamp);
-                        const dateStr = date.toLocaleDateString();
-                        const timeStr = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-                        
-                        backupList += `**${index + 1}.** \`${backup.folder}\`\n`;
-                        backupList += `📅 ${dateStr} at ${timeStr} (${backup.type})\n`;
-                        backupList += `📊 ${backup.filesBackedUp} files\n\n`;
-                    });
-                    
-                    embed.setDescription(backupList);
-                    
-                    if (backups.length > 10) {
-                        embed.addFields({
-                            name: `📋 Showing 10 of ${backups.length} backups`,
-                            value: 'Only the most recent backups are shown.',
-                            inline: false
-                        });
-                    }
-                    
-                    embed.addFields({
-                        name: '🔄 How to Restore',
-                        value: 'Copy the backup folder name and use `/restore-backup backup-folder:<name>`',
-                        inline: false
+                const report = await db.getOpponentReport(name);
+                if (!report) {
+                    await interaction.reply({
+                        content: `Opponent "${name}" not found. Use \`/opponents list\` to see all opponents.`,
+                        flags: MessageFlags.Ephemeral
                     });
+                    return;
                 }
                 
-                await interaction.reply({ embeds: [embed] });
+                await interaction.reply({ embeds: [createOpponentEmbed(report)] });
             } catch (error) {
-                console.error('Error listing backups:', error);
+                console.error('Error getting opponent:', error);
                 await interaction.reply({
-                    content: `❌ Error listing backups: ${error.message}`,
+                    content: `Error retrieving opponent: ${error.message}`,
                     flags: MessageFlags.Ephemeral
                 });
             }
@@ -2739,8 +9259,16 @@ client.on('interactionCreate', async interaction => {
             return;
         }
         
-        // Restore Backup command (Admin only)
-        if (commandName === 'restore-backup') {
+        // Opponents command (add, edit and remove are Admin only)
+        if (commandName === 'opponents') {
+            const subcommand = interaction.options.getSubcommand();
+            
+            if (subcommand === 'list') {
+                const opponents = await db.getOpponents();
+                await interaction.reply({ embeds: [createOpponentListEmbed(opponents)] });
+                return;
+            }
+            
             if (!(await isAdmin(interaction.member))) {
                 await interaction.reply({ 
                     content: `You need the "${config.adminRoleName}" role to use this command.`,
@@ -2749,37 +9277,78 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
             
-            const backupFolder = interaction.options.getString('backup-folder');
+            // Text options: null keeps the current value, "-" clears it
+            const readField = field => {
+                const value = interaction.options.getString(field);
+                if (value === null) return undefined;
+                return value.trim() === '-' || value.trim() === '' ? null : value.trim();
+            };
+            const name = interaction.options.getString('name').trim();
+            const formatLinked = (results, fixtures) => 
+                `🔗 ${results} match result(s) and ${fixtures} scheduled match(es) linked.`;
             
             try {
-                await interaction.deferReply();
-                
-                // Create a backup before restoring (safety measure)
-                await db.createBackup('pre-restore');
-                
-                const filesRestored = await db.restoreFromBackup(backupFolder);
-                
-                const embed = createEmbed('🔄 Data Restored', 
-                    `✅ **Successfully restored data from backup!**\n\n` +
-                    `📁 **Backup Used**: \`${backupFolder}\`\n` +
-                    `📊 **Files Restored**: ${filesRestored}\n` +
-                    `💾 **Safety Backup**: Created automatic backup before restore\n\n` +
-                    `⚠️ **Important**: The bot will reload with the restored data.`, 
-                    config.colors.success);
-                
-                await interaction.editReply({ embeds: [embed] });
+                if (subcommand === 'add') {
+                    const { opponent, resultsLinked, fixturesLinked } = await db.withAudit(getAuditContext(interaction), 
+                        () => db.addOpponent({
+                            name,
+                            region: readField('region') || null,
+                            contact: readField('contact') || null,
+                            notes: readField('notes') || null
+                        }, interaction.user.id));
+                    
+                    const embed = createEmbed('🆚 Opponent Added', 
+                        `**${opponent.name}** is registered with ID ${opponent.id}.\n\n` +
+                        formatLinked(resultsLinked, fixturesLinked) + '\n' +
+                        `📊 See the head-to-head with \`/opponent name:${opponent.name}\`.`, 
+                        config.colors.success);
+                    await interaction.reply({ embeds: [embed] });
+                } else if (subcommand === 'edit') {
+                    const changes = {
+                        name: readField('new-name') || undefined,
+                        region: readField('region'),
+                        contact: readField('contact'),
+                        notes: readField('notes')
+                    };
+                    if (Object.values(changes).every(value => value === undefined)) {
+                        await interaction.reply({
+                            content: 'Nothing to change. Set `new-name`, `region`, `contact` or `notes`.',
+                            flags: MessageFlags.Ephemeral
+                        });
+                        return;
+                    }
+                    
+                    const { opponent, previousName, resultsLinked, fixturesLinked } = await db.withAudit(getAuditContext(interaction), 
+                        () => db.updateOpponent(name, changes));
+                    
+                    const embed = createEmbed('🆚 Opponent Updated', 
+                        (previousName !== opponent.name
+                            ? `**${previousName}** is now called **${opponent.name}**.\n` + formatLinked(resultsLinked, fixturesLinked)
+                            : `The details of **${opponent.name}** have been updated.`), 
+                        config.colors.success);
+                    await interaction.reply({ embeds: [embed] });
+                } else {
+                    const { opponent, resultsUnlinked, fixturesUnlinked } = await db.withAudit(getAuditContext(interaction), 
+                        () => db.removeOpponent(name));
+                    
+                    const embed = createEmbed('🆚 Opponent Removed', 
+                        `**${opponent.name}** has been removed from the opponents.\n\n` +
+                        `🏁 ${resultsUnlinked} match result(s) and ${fixturesUnlinked} scheduled match(es) are kept under the name **${opponent.name}**.`, 
+                        config.colors.success);
+                    await interaction.reply({ embeds: [embed] });
+                }
             } catch (error) {
-                console.error('Error restoring backup:', error);
-                await interaction.editReply({
-                    content: `❌ Error restoring backup: ${error.message}\n\nPlease check that the backup folder name is correct using \`/list-backups\`.`
+                await interaction.reply({
+                    content: `❌ ${error.message}`,
+                    flags: MessageFlags.Ephemeral
                 });
             }
             
             return;
         }
-        
-        // Export Data command (Admin only)
-        if (commandName === 'export-data') {
+
+        // Record Match command (Admin only)
+        if (commandName === 'record-match') {
             if (!(await isAdmin(interaction.member))) {
                 await interaction.reply({ 
                     content: `You need the "${config.adminRoleName}" role to use this command.`,
@@ -2788,66 +9357,52 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
             
+            const team1 = interaction.options.getString('team1').trim();
+            const team2 = interaction.options.getString('team2').trim();
+            const score1 = interaction.options.getInteger('score1');
+            const score2 = interaction.options.getInteger('score2');
+            const dateStr = interaction.options.getString('date');
+            
             try {
-                await interaction.deferReply();
-                
-                // Read all data files
-                const players = await db.readPlayersFile();
-                const teamStats = await db.readTeamStatsFile();
-                const gameHistory = await db.readGameHistoryFile();
-                const scheduledMatches = await db.readScheduledMatchesFile();
-                
-                // Create export package
-                const exportData = {
-                    exportDate: new Date().toISOString(),
-                    version: '1.0',
-                    data: {
-                        players,
-                        teamStats,
-                        gameHistory,
-                        scheduledMatches
-                    },
-                    summary: {
-                        totalPlayers: players.length,
-                        totalGames: gameHistory.length,
-                        scheduledMatches: scheduledMatches.length
-                    }
-                };
-                
-                // Create downloadable file
-                const exportJson = JSON.stringify(exportData, null, 2);
-                const buffer = Buffer.from(exportJson, 'utf8');
-                const filename = `stats-export-${new Date().toISOString().slice(0, 10)}.json`;
-                
-                const attachment = new AttachmentBuilder(buffer, { name: filename });
+                const playedAt = dateStr ? parseMatchDateTime(dateStr) : new Date();
+                if (playedAt > new Date()) {
+                    await interaction.reply({
+                        content: 'A match result cannot be in the future. Use `/schedule-match` for upcoming matches.',
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                }
                 
-                const embed = createEmbed('📤 Data Export Ready', 
-                    `✅ **Export completed successfully!**\n\n` +
-                    `📊 **Export Summary**:\n` +
-                    `👥 ${exportData.summary.totalPlayers} players\n` +
-                    `🎮 ${exportData.summary.totalGames} game records\n` +
-                    `📅 ${exportData.summary.scheduledMatches} scheduled matches\n\n` +
-                    `💾 **Download the attached JSON file to save your data externally.**\n` +
-                    `🔄 This file can be used to restore data if needed.`, 
-                    config.colors.success);
+                const match = await db.withAudit(getAuditContext(interaction), () => db.recordMatchResult({
+                    team1,
+                    team2,
+                    score1,
+                    score2,
+                    date: playedAt.toISOString(),
+                    recordedBy: interaction.user.id
+                }));
                 
-                await interaction.editReply({ 
-                    embeds: [embed],
-                    files: [attachment]
+                const embed = createMatchResultEmbed(match);
+                embed.setColor(config.colors.success);
+                embed.addFields({
+                    name: '✅ Team Records Updated',
+                    value: `Add each player's stats with \`/match-line match-id:${match.id}\`.`,
+                    inline: false
                 });
+                
+                await interaction.reply({ embeds: [embed] });
             } catch (error) {
-                console.error('Error exporting data:', error);
-                await interaction.editReply({
-                    content: `❌ Error exporting data: ${error.message}`
+                await interaction.reply({
+                    content: `Error recording match: ${error.message}`,
+                    flags: MessageFlags.Ephemeral
                 });
             }
             
             return;
         }
         
-        // Cancel Match command (Admin only)
-        if (commandName === 'cancel-match') {
-            // Check if user has admin role
+        // Record Series command (Admin only)
+        if (commandName === 'record-series') {
             if (!(await isAdmin(interaction.member))) {
                 await interaction.reply({ 
                     content: `You need the "${config.adminRoleName}" role to use this command.`,
@@ -2856,155 +9411,259 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
             
-            const matchId = interaction.options.getString('match-id');
-            const teams = interaction.options.getString('teams');
+            const team1 = interaction.options.getString('team1').trim();
+            const team2 = interaction.options.getString('team2').trim();
+            const format = interaction.options.getInteger('format');
             const dateStr = interaction.options.getString('date');
             
             try {
-                // If match ID is provided, cancel that specific match
-                if (matchId) {
-                    const cancelledMatch = await db.cancelMatch(matchId);
-                    
-                    const swedenTime = formatSwedenTime(new Date(cancelledMatch.dateTime));
-                    
-                    const embed = createEmbed('Match Cancelled', 
-                        `✅ **${cancelledMatch.team1} vs ${cancelledMatch.team2}** has been cancelled.\n\n` +
-                        `📅 **Was scheduled for**: ${swedenTime.full}\n` +
-                        (cancelledMatch.description ? `📝 **Description**: ${cancelledMatch.description}\n` : '') +
-                        `\n🗑️ Match removed from calendar.\n` +
-                        `🇸🇪 Time shown in Sweden timezone.`, 
-                        config.colors.success);
-                    
-                    await interaction.reply({ embeds: [embed] });
-                    return;
-                }
-                
-                // Otherwise, show matches to cancel (filtered if criteria provided)
-                const matchesToCancel = await db.findMatches(teams, dateStr);
-                
-                if (matchesToCancel.length === 0) {
-                    let message = 'No upcoming matches found';
-                    if (teams || dateStr) {
-                        message += ' matching your criteria';
-                    }
-                    message += '. Use `/match-calendar` to see all scheduled matches.';
-                    
+                const games = parseSeriesGames(interaction.options.getString('games'), format);
+                // Without a date the last game was just played
+                const playedAt = dateStr
+                    ? parseMatchDateTime(dateStr)
+                    : new Date(Date.now() - (games.length - 1) * SERIES_GAME_INTERVAL_MS);
+                if (playedAt > new Date()) {
                     await interaction.reply({
-                        content: message,
+                        content: 'A series result cannot be in the future. Use `/schedule-match` for upcoming matches.',
                         flags: MessageFlags.Ephemeral
                     });
                     return;
                 }
                 
-                const embed = createCancelMatchEmbed(matchesToCancel);
-                await interaction.reply({ embeds: [embed] });
+                const series = await db.withAudit(getAuditContext(interaction), () => db.recordSeriesResult({
+                    team1,
+                    team2,
+                    format,
+                    games,
+                    date: playedAt.toISOString(),
+                    recordedBy: interaction.user.id
+                }));
                 
-            } catch (error) {
-                console.error('Error cancelling match:', error);
+                const embed = createSeriesResultEmbed(series);
+                embed.setColor(config.colors.success);
+                embed.addFields({
+                    name: '✅ Team Records Updated',
+                    value: `Each game counts as a played match. Add player stats per game with \`/match-line match-id:<game id>\`.`,
+                    inline: false
+                });
                 
-                if (error.message === 'Match not found') {
-                    await interaction.reply({
-                        content: 'Match not found. It may have already been cancelled or the ID is incorrect. Use `/cancel-match` to see available matches.',
-                        flags: MessageFlags.Ephemeral
-                    });
-                } else {
-                    await interaction.reply({
-                        content: `Error cancelling match: ${error.message}`,
-                        flags: MessageFlags.Ephemeral
-                    });
-                }
+                await interaction.reply({ embeds: [embed] });
+            } catch (error) {
+                await interaction.reply({
+                    content: `Error recording series: ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
             }
             
             return;
         }
         
-        // Compare command - Player comparison
-        if (commandName === 'compare') {
-            const player1User = interaction.options.getUser('player1');
-            const player2User = interaction.options.getUser('player2');
-            
-            // Get both players from database
-            const player1 = await db.getPlayer(player1User.id);
-            const player2 = await db.getPlayer(player2User.id);
-            
-            if (!player1) {
+        // Report Match command (Admin only)
+        if (commandName === 'report-match') {
+            if (!(await isAdmin(interaction.member))) {
                 await interaction.reply({ 
-                    content: `${player1User.username} is not registered yet.`,
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
                     flags: MessageFlags.Ephemeral
                 });
                 return;
             }
             
-            if (!player2) {
-                await interaction.reply({ 
-                    content: `${player2User.username} is not registered yet.`,
+            const opponent = (interaction.options.getString('opponent') || '').trim() || null;
+            const teams = await db.getAllTeams();
+            if (teams.length === 0 || (teams.length < 2 && !opponent)) {
+                await interaction.reply({
+                    content: 'A match needs two teams. Create another with `/create-team` or name an external team with the `opponent` option.',
                     flags: MessageFlags.Ephemeral
                 });
                 return;
             }
             
-            const embed = createPlayerComparisonEmbed(player1, player2, player1User, player2User);
-            await interaction.reply({ embeds: [embed] });
+            const report = createMatchReport(interaction, opponent);
+            await interaction.reply({ ...(await renderMatchReport(report)), flags: MessageFlags.Ephemeral });
             return;
         }
         
-        // Recent command - Recent form tracking
-        if (commandName === 'recent') {
-            const targetUser = interaction.options.getUser('user') || interaction.user;
-            const gamesRequested = interaction.options.getInteger('games') || 10;
-            
-            // Get player from database
-            const player = await db.getPlayer(targetUser.id);
-            
-            if (!player) {
+        // Upload Replay command (Admin only)
+        if (commandName === 'upload-replay') {
+            if (!(await isAdmin(interaction.member))) {
                 await interaction.reply({ 
-                    content: `${targetUser.username} is not registered yet.`,
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
                     flags: MessageFlags.Ephemeral
                 });
                 return;
             }
             
-            // Get recent games
-            const recentGames = await db.getRecentGames(targetUser.id, gamesRequested);
+            const attachment = interaction.options.getAttachment('file');
+            
+            try {
+                await interaction.deferReply();
+                
+                if (!attachment.name.toLowerCase().endsWith('.replay')) {
+                    await interaction.editReply({ content: '❌ Please attach a Rocket League `.replay` file.' });
+                    return;
+                }
+                
+                const buffer = await downloadAttachment(attachment.url, MAX_REPLAY_FILE_SIZE);
+                const replay = summarizeReplay(parseReplayHeader(buffer), buffer);
+                if (replay.players.length === 0) {
+                    await interaction.editReply({ content: '❌ The replay has no player stats. Was it saved before the match ended?' });
+                    return;
+                }
+                
+                const registeredPlayers = await db.getAllPlayers();
+                const replayPlayers = replay.players.map(entry => ({
+                    ...entry,
+                    player: findPlayerByAlias(registeredPlayers, entry.name, entry.platform)
+                }));
+                
+                const blueTeam = (interaction.options.getString('blue-team') || '').trim() || guessReplayTeam(replayPlayers, 0);
+                const orangeTeam = (interaction.options.getString('orange-team') || '').trim() || guessReplayTeam(replayPlayers, 1);
+                if (!blueTeam || !orangeTeam) {
+                    const side = blueTeam ? 1 : 0;
+                    const names = replayPlayers.filter(entry => entry.side === side).map(entry => `\`${entry.name}\``).join(', ');
+                    await interaction.editReply({
+                        content: `❌ None of the ${side === 0 ? 'blue' : 'orange'} players (${names}) have an alias, so their team is unknown.\n` +
+                                 `Link them with \`/alias add\` or name the team with the \`${side === 0 ? 'blue-team' : 'orange-team'}\` option.`
+                    });
+                    return;
+                }
+                
+                // Replays keep the recording machine's clock, which should never be ahead of ours
+                const playedAt = replay.date && replay.date <= new Date() ? replay.date : new Date();
+                
+                const match = await db.withAudit(getAuditContext(interaction), () => db.recordMatchResult({
+                    team1: blueTeam,
+                    team2: orangeTeam,
+                    score1: replay.score[0],
+                    score2: replay.score[1],
+                    date: playedAt.toISOString(),
+                    lines: replayPlayers.filter(entry => entry.player).map(entry => ({
+                        discordId: entry.player.discordId,
+                        team: entry.side === 0 ? blueTeam : orangeTeam,
+                        ...createLineStats(entry)
+                    })),
+                    recordedBy: interaction.user.id,
+                    replayId: replay.id
+                }));
+                
+                const embed = createMatchResultEmbed(match);
+                embed.setColor(config.colors.success);
+                
+                const unmatched = replayPlayers.filter(entry => !entry.player);
+                if (unmatched.length > 0) {
+                    embed.addFields({
+                        name: '❓ Not Recorded',
+                        value: unmatched.map(entry => `\`${entry.name}\` (${entry.side === 0 ? blueTeam : orangeTeam})`).join(', ') +
+                               `\n\nRegistered players can be linked with \`/alias add\`, then added with \`/match-line match-id:${match.id}\`.`,
+                        inline: false
+                    });
+                }
+                
+                await interaction.editReply({ embeds: [embed] });
+            } catch (error) {
+                console.error('Error uploading replay:', error);
+                await interaction.editReply({
+                    content: `❌ Error reading replay: ${error.message}`
+                });
+            }
             
-            const embed = createRecentFormEmbed(player, recentGames, gamesRequested);
-            await interaction.reply({ embeds: [embed] });
             return;
         }
         
-        // My Stats command - Personal dashboard
-        if (commandName === 'my-stats') {
-            const userId = interaction.user.id;
-            
-            // Get player from database
-            const player = await db.getPlayer(userId);
-            
-            if (!player) {
+        // Match Line command (Admin only)
+        if (commandName === 'match-line') {
+            if (!(await isAdmin(interaction.member))) {
                 await interaction.reply({ 
-                    content: `You are not registered yet. An admin can register you with the \`/register\` command.`,
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
                     flags: MessageFlags.Ephemeral
                 });
                 return;
             }
             
-            // Get recent games and achievement progress
-            const recentGames = await db.getRecentGames(userId, 5);
-            const achievementProgress = calculateAchievementProgress(player);
+            const matchId = interaction.options.getString('match-id').trim();
+            const targetUser = interaction.options.getUser('user');
+            
+            try {
+                const { match, line } = await db.withAudit(getAuditContext(interaction), () => db.setMatchResultLine(matchId, targetUser.id, {
+                    ...readStatLineOptions(interaction.options),
+                    team: interaction.options.getString('team')
+                }));
+                
+                const updatedPlayer = await db.getPlayer(targetUser.id);
+                const embed = createEmbed('Match Line Saved', 
+                    `**${line.displayName}** (${line.team}) in ${match.team1} ${match.score1} - ${match.score2} ${match.team2}:\n\n` +
+                    `${formatGameStats(getMatchLineStats(line))}\n\n` +
+                    `**New Totals**:\n` +
+                    formatStatTotals(updatedPlayer), 
+                    config.colors.success);
+                
+                await interaction.reply({ embeds: [embed] });
+            } catch (error) {
+                let content = `Error saving match line: ${error.message}`;
+                if (error.message === 'Player not found') {
+                    content = `${targetUser.username} is not registered yet. Use \`/register\` first.`;
+                } else if (error.message === 'Match result not found') {
+                    content = 'Match result not found. Use `/match-results` to see recorded matches and their IDs.';
+                }
+                
+                await interaction.reply({
+                    content,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
             
-            const embed = createPersonalDashboardEmbed(player, recentGames, achievementProgress);
+            return;
+        }
+        
+        // Match Results command
+        if (commandName === 'match-results') {
+            const matchId = interaction.options.getString('match-id');
+            const team = interaction.options.getString('team');
             
-            // Add user avatar if available
-            if (interaction.user.avatar) {
-                embed.setThumbnail(interaction.user.displayAvatarURL());
+            try {
+                if (matchId && /^S\d+$/i.test(matchId.trim())) {
+                    const series = await db.getSeriesResult(matchId.trim().toUpperCase());
+                    if (!series) {
+                        await interaction.reply({
+                            content: 'Series not found. Series IDs start with S and are shown by `/record-series` and `/match-results`.',
+                            flags: MessageFlags.Ephemeral
+                        });
+                        return;
+                    }
+                    
+                    await interaction.reply({ embeds: [createSeriesResultEmbed(series)] });
+                    return;
+                }
+                
+                if (matchId) {
+                    const match = await db.getMatchResult(matchId.trim());
+                    if (!match) {
+                        await interaction.reply({
+                            content: 'Match result not found. Use `/match-results` to see recorded matches and their IDs.',
+                            flags: MessageFlags.Ephemeral
+                        });
+                        return;
+                    }
+                    
+                    await interaction.reply({ embeds: [createMatchResultEmbed(match)] });
+                    return;
+                }
+                
+                const matches = await db.getMatchResults(10, team ? team.trim() : null);
+                await interaction.reply({ embeds: [createMatchResultsEmbed(matches, team)] });
+            } catch (error) {
+                console.error('Error getting match results:', error);
+                await interaction.reply({
+                    content: `Error retrieving match results: ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
             }
             
-            await interaction.reply({ embeds: [embed] });
             return;
         }
         
-        // Schedule Match command (Admin only)
-        if (commandName === 'schedule-match') {
-            // Check if user has admin role
+        // Delete Result command (Admin only)
+        if (commandName === 'delete-result') {
             if (!(await isAdmin(interaction.member))) {
                 await interaction.reply({ 
                     content: `You need the "${config.adminRoleName}" role to use this command.`,
@@ -3013,74 +9672,33 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
             
-            const team1 = interaction.options.getString('team1').trim();
-            const team2 = interaction.options.getString('team2').trim();
-            const dateTimeStr = interaction.options.getString('datetime');
-            const description = interaction.options.getString('description') || '';
-            
-            // Check if teams are different (case insensitive)
-            if (team1.toLowerCase() === team2.toLowerCase()) {
-                await interaction.reply({
-                    content: 'Cannot schedule a match between the same team!',
-                    flags: MessageFlags.Ephemeral
-                });
-                return;
-            }
+            const matchId = interaction.options.getString('match-id').trim();
             
             try {
-                // Parse the date/time
-                const matchDateTime = parseMatchDateTime(dateTimeStr);
-                
-                // Check if date is in the future
-                if (matchDateTime <= new Date()) {
-                    await interaction.reply({
-                        content: 'Match date must be in the future!',
-                        flags: MessageFlags.Ephemeral
-                    });
+                if (/^S\d+$/i.test(matchId)) {
+                    const series = await db.withAudit(getAuditContext(interaction), () => db.deleteSeriesResult(matchId.toUpperCase()));
+                    const lineCount = series.games.reduce((sum, game) => sum + game.lines.length, 0);
+                    
+                    await interaction.reply({ embeds: [createEmbed('Series Deleted', 
+                        `🗑️ **${series.team1} ${series.wins1} - ${series.wins2} ${series.team2}** (Bo${series.format}) has been deleted.\n\n` +
+                        `🔄 The team records of ${series.games.length} game(s) and the stats of ${lineCount} player line(s) were taken back.`, 
+                        config.colors.success)] });
                     return;
                 }
                 
-                // Schedule the match
-                const scheduledMatch = await db.scheduleMatch(team1, team2, matchDateTime.toISOString(), description);
-                
-                const swedenTime = formatSwedenTime(matchDateTime);
+                const match = await db.withAudit(getAuditContext(interaction), () => db.deleteMatchResult(matchId));
                 
-                const embed = createEmbed('Match Scheduled', 
-                    `🗓️ **${team1} vs ${team2}**\n\n` +
-                    `📅 **Date**: ${swedenTime.date}\n` +
-                    `⏰ **Time**: ${swedenTime.time} ${swedenTime.timezone}\n` +
-                    (description ? `📝 **Description**: ${description}\n` : '') +
-                    `\n✅ Match has been scheduled successfully!\n\n` +
-                    `💡 **Note**: You can schedule matches against any team (A-Team, B-Team, or external teams like ATG, etc.)\n` +
-                    `🇸🇪 **Timezone**: All times shown in Sweden timezone`, 
+                const embed = createEmbed('Match Result Deleted', 
+                    `🗑️ **${match.team1} ${match.score1} - ${match.score2} ${match.team2}** has been deleted.\n\n` +
+                    `🔄 The team records and the stats of ${match.lines.length} player line(s) were taken back.`, 
                     config.colors.success);
                 
                 await interaction.reply({ embeds: [embed] });
             } catch (error) {
                 await interaction.reply({
-                    content: `Error scheduling match: ${error.message}`,
-                    flags: MessageFlags.Ephemeral
-                });
-            }
-            
-            return;
-        }
-        
-        // Match Calendar command
-        if (commandName === 'match-calendar') {
-            try {
-                // Clean up old matches first
-                await db.cleanupOldMatches();
-                
-                // Get upcoming matches
-                const upcomingMatches = await db.getUpcomingMatches(10);
-                
-                const embed = createMatchCalendarEmbed(upcomingMatches);
-                await interaction.reply({ embeds: [embed] });
-            } catch (error) {
-                console.error('Error getting match calendar:', error);
-                await interaction.reply({
-                    content: `Error retrieving match calendar: ${error.message}`,
+                    content: error.message === 'Match result not found' || error.message === 'Series not found'
+                        ? `${error.message}. Use \`/match-results\` to see recorded matches and their IDs.`
+                        : `Error deleting match result: ${error.message}`,
                     flags: MessageFlags.Ephemeral
                 });
             }
@@ -3111,8 +9729,18 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
             
+            // Career totals next to the current season, unless another season is asked for
+            let season;
+            try {
+                season = await resolveSeasonOption(interaction.options.getString('season'), await db.getActiveSeason());
+            } catch (error) {
+                await interaction.reply({ content: error.message, flags: MessageFlags.Ephemeral });
+                return;
+            }
+            
             // Create the stats embed
-            const embed = playerStatsEmbed(player);
+            const participation = await db.getGoalParticipation();
+            const embed = playerStatsEmbed(player, season, await db.getPlayerRating(userId), calculateMetrics(player, participation.get(userId)));
             
             // Add user avatar if available
             if (targetUser.avatar) {
@@ -3125,10 +9753,10 @@ client.on('interactionCreate', async interaction => {
         
         // Team command (player leaderboard)
         if (commandName === 'team') {
-            const teamName = interaction.options.getString('team');
+            const teamName = await resolveTeamName(interaction.options.getString('team'));
             
-            // Get all players for the team
-            const players = await db.getAllPlayers(teamName);
+            // Get all players for the team (retired players are in /hall-of-fame instead)
+            const players = (await db.getAllPlayers(teamName)).filter(p => !p.retiredAt);
             
             if (players.length === 0) {
                 await interaction.reply({ 
@@ -3139,7 +9767,7 @@ client.on('interactionCreate', async interaction => {
             }
             
             // Create the team stats embed
-            const embed = teamLeaderboardEmbed(players, teamName);
+            const embed = teamLeaderboardEmbed(players, teamName, await db.getGoalParticipation(null, teamName));
             
             await interaction.reply({ embeds: [embed] });
             return;
@@ -3147,13 +9775,14 @@ client.on('interactionCreate', async interaction => {
         
         // Team stats command (wins/losses)
         if (commandName === 'team-stats') {
-            const teamName = interaction.options.getString('team');
+            const teamName = await resolveTeamName(interaction.options.getString('team'));
             
             // Get team stats
             const teamStats = await db.getTeamStats(teamName);
+            const summary = await db.getTeamResultSummary(teamName);
             
             // Create the team stats embed
-            const embed = teamStatsEmbed(teamName, teamStats);
+            const embed = teamStatsEmbed(teamName, teamStats, summary, await db.getTeamRating(teamName));
             
             await interaction.reply({ embeds: [embed] });
             return;
@@ -3161,59 +9790,230 @@ client.on('interactionCreate', async interaction => {
         
         // Leaderboard command
         if (commandName === 'leaderboard') {
-            // Get all players from both teams
-            const players = await db.getAllPlayers();
+            const view = interaction.options.getString('view') || 'total';
+            const measure = getLeaderboardMeasure(interaction.options.getString('stat') || 'goals', view);
+            if (!measure) {
+                await interaction.reply({ content: 'Unknown stat. Pick one from the `stat` option.', flags: MessageFlags.Ephemeral });
+                return;
+            }
             
-            if (players.length === 0) {
+            // Rank by the current season unless another season (or "career") is asked for
+            let season;
+            try {
+                season = await resolveSeasonOption(interaction.options.getString('season'), await db.getActiveSeason());
+            } catch (error) {
+                await interaction.reply({ content: error.message, flags: MessageFlags.Ephemeral });
+                return;
+            }
+            
+            const teamOption = interaction.options.getString('team');
+            const teamInfo = teamOption ? await db.getTeam(teamOption) : null;
+            if (teamOption && !teamInfo) {
+                await interaction.reply({
+                    content: `Team "${teamOption}" does not exist. Use \`/list-teams\` to see available teams.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            // Rates of a couple of games say little, so they need the metric minimum unless asked otherwise
+            const minGames = interaction.options.getInteger('min-games') ?? (measure.rate ? config.metricMinGames : 0);
+            
+            const leaderboard = createLeaderboardView(interaction, { measure, season, team: teamInfo ? teamInfo.name : null, minGames });
+            await interaction.reply(await renderLeaderboard(leaderboard));
+            return;
+        }
+        
+        // Register command (Admin only)
+        if (commandName === 'register') {
+            // Check if user has admin role
+            if (!(await isAdmin(interaction.member))) {
                 await interaction.reply({ 
-                    content: `No players registered yet. Use \`/register\` to add players.`,
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
                     flags: MessageFlags.Ephemeral
                 });
                 return;
             }
             
-            // Create the leaderboard embed
-            const embed = createEmbed('Overall Leaderboard', 'Top players across all teams');
+            const targetUser = interaction.options.getUser('user');
+            const teamOption = interaction.options.getString('team');
             
-            // Sort by goals, assists, and MVPs
-            let topScorers = [...players].sort((a, b) => b.goals - a.goals).slice(0, 5);
-            let topAssists = [...players].sort((a, b) => b.assists - a.assists).slice(0, 5);
-            let topMVPs = [...players].sort((a, b) => b.mvps - a.mvps).slice(0, 5);
+            // Make sure the team exists and has room on its roster
+            const teamInfo = await db.getTeam(teamOption);
+            if (!teamInfo) {
+                await interaction.reply({
+                    content: `Team "${teamOption}" does not exist. Use \`/list-teams\` to see available teams.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            // Team names match case insensitively, players are stored with the registered spelling
+            const team = teamInfo.name;
             
-            // Format the top scorers list
-            let scorersText = '';
-            topScorers.forEach((player, index) => {
-                const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
-                scorersText += `${medal} **${player.displayName}** (${player.team}): ${player.goals} goals\n`;
-            });
+            // Check if player already exists
+            let player = await db.getPlayer(targetUser.id);
             
-            // Format the top assists list
-            let assistsText = '';
-            topAssists.forEach((player, index) => {
-                const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
-                assistsText += `${medal} **${player.displayName}** (${player.team}): ${player.assists} assists\n`;
-            });
+            if (player && player.retiredAt) {
+                await interaction.reply({
+                    content: `${player.displayName} is retired. Bring them back with \`/reinstate\`.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
             
-            // Format the top MVPs list
-            let mvpsText = '';
-            topMVPs.forEach((player, index) => {
-                const medal = index === 0 ? '🥇' : index === 1 ? '🥈' : index === 2 ? '🥉' : `${index + 1}.`;
-                mvpsText += `${medal} **${player.displayName}** (${player.team}): ${player.mvps} MVPs\n`;
-            });
+            if (!player || player.team !== team) {
+                const roster = await db.getTeamRoster(team);
+                if (teamInfo.rosterLimit && roster.length >= teamInfo.rosterLimit) {
+                    await interaction.reply({
+                        content: `${team} is full (${roster.length}/${teamInfo.rosterLimit} players).`,
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                }
+            }
             
-            embed.addFields(
-                { name: '⚽ Top Goal Scorers', value: scorersText || 'No data', inline: false },
-                { name: '👟 Top Assist Providers', value: assistsText || 'No data', inline: false },
-                { name: '🏆 Top MVP Winners', value: mvpsText || 'No data', inline: false }
-            );
+            if (player) {
+                // Update team if needed
+                if (player.team !== team) {
+                    const previousTeam = player.team;
+                    await db.withAudit(getAuditContext(interaction), () => db.setPlayerTeam(targetUser.id, team));
+                    
+                    await interaction.reply({
+                        content: `${targetUser.username} has been moved to ${team}. The stats they earned for ${previousTeam} stay with ${previousTeam} (see \`/player-history\`).`,
+                        ephemeral: false
+                    });
+                } else {
+                    await interaction.reply({ 
+                        content: `${targetUser.username} is already registered to ${team}.`,
+                        ephemeral: false
+                    });
+                }
+                return;
+            }
+            
+            // Get display name
+            const displayName = await getDisplayName(targetUser.id, interaction);
+            
+            // Create new player
+            try {
+                player = await db.withAudit(getAuditContext(interaction), () => db.createPlayer(targetUser.id, displayName, team));
+                
+                const embed = createEmbed('Player Registered', 
+                    `✅ **${displayName}** has been registered to **${team}**!`, 
+                    config.colors.success);
+                
+                await interaction.reply({ embeds: [embed] });
+            } catch (error) {
+                console.error('Error registering player:', error);
+                
+                await interaction.reply({ 
+                    content: `Error registering player: ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
             
-            await interaction.reply({ embeds: [embed] });
             return;
         }
         
-        // Register command (Admin only)
-        if (commandName === 'register') {
-            // Check if user has admin role
+        // Unregister command (Admin only)
+        if (commandName === 'unregister') {
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const targetUser = interaction.options.getUser('user');
+            const confirmation = interaction.options.getString('confirmation');
+            const player = await db.getPlayer(targetUser.id);
+            
+            if (!player) {
+                await interaction.reply({
+                    content: `${targetUser.username} is not registered.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            // Without confirmation only show what would be deleted
+            if (confirmation !== 'CONFIRM') {
+                const footprint = await db.getPlayerFootprint(targetUser.id);
+                await interaction.reply({
+                    content: `⚠️ **This removes ${player.displayName} for good:**\n` +
+                        `• Their career totals: ${formatStatCounts(player)}\n` +
+                        `• ${footprint.games} game record(s)\n` +
+                        `• Their line in ${footprint.lines} match result(s) (the team records stay)\n\n` +
+                        `To keep their history, use \`/retire\` instead. ` +
+                        `To remove them, run \`/unregister user:${targetUser.username} confirmation:CONFIRM\`. A backup is taken first.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            try {
+                await interaction.deferReply();
+                
+                // Create backup before removing the player
+                await db.createBackup('pre-unregister');
+                
+                const result = await db.withAudit(getAuditContext(interaction), () => db.unregisterPlayer(targetUser.id));
+                
+                const embed = createEmbed('🗑️ Player Unregistered', 
+                    `**${result.player.displayName}** has been removed.\n\n` +
+                    `📊 **Removed**: their stats, ${result.gamesRemoved} game record(s) and ${result.linesRemoved} match line(s)\n` +
+                    `💾 **Safety backup created** before removing them.\n` +
+                    `🔄 Use \`/undo\` or \`/restore-backup\` if this was a mistake.`, 
+                    config.colors.success);
+                
+                await interaction.editReply({ embeds: [embed] });
+            } catch (error) {
+                console.error('Error unregistering player:', error);
+                await interaction.editReply({
+                    content: `❌ Error unregistering player: ${error.message}`
+                });
+            }
+            return;
+        }
+        
+        // Retire command (Admin only)
+        if (commandName === 'retire') {
+            if (!(await isAdmin(interaction.member))) {
+                await interaction.reply({ 
+                    content: `You need the "${config.adminRoleName}" role to use this command.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            const targetUser = interaction.options.getUser('user');
+            const reason = (interaction.options.getString('reason') || '').trim() || null;
+            
+            try {
+                const player = await db.withAudit(getAuditContext(interaction), 
+                    () => db.retirePlayer(targetUser.id, interaction.user.id, reason));
+                
+                const embed = createEmbed('🏅 Player Retired', 
+                    `**${player.displayName}** has retired from **${player.team}**${reason ? ` (${reason})` : ''}.\n\n` +
+                    `📊 Their stats stay in reports, \`/stats\` and \`/hall-of-fame\`, but they no longer show up in \`/team\` or \`/leaderboard\`.\n` +
+                    `🔄 Bring them back with \`/reinstate\`.`, 
+                    config.colors.success);
+                
+                await interaction.reply({ embeds: [embed] });
+            } catch (error) {
+                await interaction.reply({
+                    content: error.message === 'Player not found'
+                        ? `${targetUser.username} is not registered.`
+                        : `❌ ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+            return;
+        }
+        
+        // Reinstate command (Admin only)
+        if (commandName === 'reinstate') {
             if (!(await isAdmin(interaction.member))) {
                 await interaction.reply({ 
                     content: `You need the "${config.adminRoleName}" role to use this command.`,
@@ -3222,56 +10022,178 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
             
-            const targetUser = interaction.options.getUser('user');
-            const team = interaction.options.getString('team');
-            
-            // Check if player already exists
-            let player = await db.getPlayer(targetUser.id);
-            
-            if (player) {
-                // Update team if needed
-                const players = await db.readPlayersFile();
-                const playerIndex = players.findIndex(p => p.discordId === targetUser.id);
-                
-                if (players[playerIndex].team !== team) {
-                    players[playerIndex].team = team;
-                    players[playerIndex].updatedAt = new Date().toISOString();
-                    await db.writePlayersFile(players);
-                    
+            const targetUser = interaction.options.getUser('user');
+            const teamOption = interaction.options.getString('team');
+            
+            try {
+                const player = await db.getPlayer(targetUser.id);
+                if (!player) {
+                    throw new Error('Player not found');
+                }
+                
+                // Make sure the team exists and has room on its roster
+                const teamInfo = await db.getTeam(teamOption || player.team);
+                if (!teamInfo) {
+                    await interaction.reply({
+                        content: `Team "${teamOption || player.team}" does not exist. Pick one with the \`team\` option (see \`/list-teams\`).`,
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                }
+                const roster = await db.getTeamRoster(teamInfo.name);
+                if (teamInfo.rosterLimit && roster.length >= teamInfo.rosterLimit) {
+                    await interaction.reply({
+                        content: `${teamInfo.name} is full (${roster.length}/${teamInfo.rosterLimit} players).`,
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                }
+                
+                const reinstated = await db.withAudit(getAuditContext(interaction), 
+                    () => db.reinstatePlayer(targetUser.id, teamInfo.name));
+                
+                const embed = createEmbed('🔄 Player Reinstated', 
+                    `**${reinstated.displayName}** is back on **${reinstated.team}**.\n\n` +
+                    `📊 They show up in \`/team\` and \`/leaderboard\` again.`, 
+                    config.colors.success);
+                
+                await interaction.reply({ embeds: [embed] });
+            } catch (error) {
+                await interaction.reply({
+                    content: error.message === 'Player not found'
+                        ? `${targetUser.username} is not registered.`
+                        : `❌ ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+            return;
+        }
+        
+        // Hall of Fame command
+        if (commandName === 'hall-of-fame') {
+            const players = await db.getRetiredPlayers();
+            await interaction.reply({ embeds: [createHallOfFameEmbed(players)] });
+            return;
+        }
+        
+        // Records command
+        if (commandName === 'records') {
+            const records = await db.getRecords();
+            await interaction.reply({ embeds: [createRecordsEmbed(records)] });
+            return;
+        }
+        
+        // Chart command
+        if (commandName === 'chart') {
+            const subcommand = interaction.options.getSubcommand();
+            
+            if (subcommand === 'trend') {
+                const targetUser = interaction.options.getUser('user') || interaction.user;
+                const player = await db.getPlayer(targetUser.id);
+                if (!player) {
+                    await interaction.reply({ 
+                        content: `${targetUser.username} is not registered yet. An admin can register them with the \`/register\` command.`,
+                        flags: MessageFlags.Ephemeral
+                    });
+                    return;
+                }
+                
+                const games = (await db.getRecentGames(targetUser.id, interaction.options.getInteger('games') || config.charts.games)).reverse();
+                if (games.length < 2) {
+                    await interaction.reply({ content: `${player.displayName} needs at least 2 recorded games for a trend chart.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
+                
+                const attachment = new AttachmentBuilder(renderPlayerTrendChart(player, games), { name: 'trend.png' });
+                const embed = createEmbed(`📈 ${player.displayName}'s Trend`, 
+                    `Stats per game over the last ${games.length} games. ` +
+                    `The thick lines are the ${Math.min(config.charts.rollingWindow, games.length)}-game rolling average.`)
+                    .setImage('attachment://trend.png');
+                
+                await interaction.reply({ embeds: [embed], files: [attachment] });
+                return;
+            }
+            
+            if (subcommand === 'win-rate') {
+                const teamInfo = await db.getTeam(interaction.options.getString('team'));
+                if (!teamInfo) {
                     await interaction.reply({
-                        content: `${targetUser.username} has been moved to ${team}.`,
-                        ephemeral: false
-                    });
-                } else {
-                    await interaction.reply({ 
-                        content: `${targetUser.username} is already registered to ${team}.`,
-                        ephemeral: false
+                        content: `Team "${interaction.options.getString('team')}" does not exist. Use \`/list-teams\` to see available teams.`,
+                        flags: MessageFlags.Ephemeral
                     });
+                    return;
+                }
+                
+                const weeks = summarizeWeeklyResults(teamInfo.name, await db.readMatchResultsFile(), 
+                    interaction.options.getInteger('weeks') || config.charts.weeks);
+                const wins = weeks.reduce((sum, week) => sum + week.wins, 0);
+                const games = weeks.reduce((sum, week) => sum + week.games, 0);
+                if (games === 0) {
+                    await interaction.reply({ content: `${teamInfo.name} has no recorded match results in the last ${weeks.length} weeks.`, flags: MessageFlags.Ephemeral });
+                    return;
                 }
+                
+                const buffer = renderBarChart({
+                    title: `${teamInfo.name} win rate by week`,
+                    labels: weeks.map(week => week.start.toISOString().slice(5, 10)),
+                    values: weeks.map(week => week.games > 0 ? week.wins / week.games : null),
+                    captions: weeks.map(week => week.games > 0 ? `${week.wins}/${week.games}` : ''),
+                    color: teamInfo.color || CHART_COLORS[0]
+                });
+                const attachment = new AttachmentBuilder(buffer, { name: 'win-rate.png' });
+                const embed = createEmbed(`📊 ${teamInfo.name} Win Rate`, 
+                    `${wins}W-${games - wins}L in the last ${weeks.length} weeks. Each bar is one week (starting Monday), labelled with games won/played.`)
+                    .setImage('attachment://win-rate.png');
+                
+                await interaction.reply({ embeds: [embed], files: [attachment] });
                 return;
             }
             
-            // Get display name
-            const displayName = await getDisplayName(targetUser.id, interaction);
-            
-            // Create new player
-            try {
-                player = await db.createPlayer(targetUser.id, displayName, team);
-                
-                const embed = createEmbed('Player Registered', 
-                    `✅ **${displayName}** has been registered to **${team}**!`, 
-                    config.colors.success);
+            if (subcommand === 'radar') {
+                const users = [interaction.options.getUser('player1'), interaction.options.getUser('player2')];
+                const players = await Promise.all(users.map(user => db.getPlayer(user.id)));
+                const missing = users.find((user, index) => !players[index]);
+                if (missing) {
+                    await interaction.reply({ content: `${missing.username} is not registered yet.`, flags: MessageFlags.Ephemeral });
+                    return;
+                }
                 
-                await interaction.reply({ embeds: [embed] });
-            } catch (error) {
-                console.error('Error registering player:', error);
+                const buffer = renderPlayerRadarChart(players[0], players[1], await db.getAllPlayers(), await db.getGoalParticipation());
+                const attachment = new AttachmentBuilder(buffer, { name: 'radar.png' });
+                const note = getMetricThresholdNote(players[0]) || getMetricThresholdNote(players[1]);
+                const embed = createEmbed(`🕸️ ${players[0].displayName} vs ${players[1].displayName}`, 
+                    'Each axis runs up to the best value on the server.' + (note ? ` ${note}, so fewer games count as 0.` : ''))
+                    .setImage('attachment://radar.png');
                 
-                await interaction.reply({ 
-                    content: `Error registering player: ${error.message}`,
-                    flags: MessageFlags.Ephemeral
-                });
+                await interaction.reply({ embeds: [embed], files: [attachment] });
+                return;
             }
+        }
+        
+        // Ratings command
+        if (commandName === 'ratings') {
+            const type = interaction.options.getString('type') || 'players';
+            const ratings = await db.getRatings();
+            let rows;
+            
+            if (type === 'teams') {
+                // External opponents are rated too, since they are what our teams are rated against
+                const ourTeams = (await db.getAllTeams()).map(team => team.toLowerCase());
+                rows = [...ratings.teams].map(([key, entry]) => ({ 
+                    name: entry.name, 
+                    detail: ourTeams.includes(key) ? null : 'opponent', 
+                    entry 
+                }));
+            } else {
+                // Only registered players who have not retired
+                const players = (await db.getAllPlayers()).filter(p => !p.retiredAt);
+                rows = players
+                    .filter(player => ratings.players.has(player.discordId))
+                    .map(player => ({ name: player.displayName, detail: player.team, entry: ratings.players.get(player.discordId) }));
+            }
+            rows.sort((a, b) => b.entry.rating - a.entry.rating);
             
+            await interaction.reply({ embeds: [createRatingsEmbed(rows, type)] });
             return;
         }
         
@@ -3288,15 +10210,8 @@ client.on('interactionCreate', async interaction => {
             
             const targetUser = interaction.options.getUser('user');
             
-            // Get stats from options - REMOVED DEMOS
-            const stats = {
-                gamesPlayed: interaction.options.getInteger('games') || 0,
-                goals: interaction.options.getInteger('goals') || 0,
-                assists: interaction.options.getInteger('assists') || 0,
-                saves: interaction.options.getInteger('saves') || 0,
-                shots: interaction.options.getInteger('shots') || 0,
-                mvps: interaction.options.getInteger('mvps') || 0
-            };
+            // Get stats from options (one per catalog stat)
+            const stats = readStatTotalOptions(interaction.options);
             
             // Check if any stats were provided
             const totalStats = Object.values(stats).reduce((sum, val) => sum + val, 0);
@@ -3321,35 +10236,17 @@ client.on('interactionCreate', async interaction => {
             
             // Update stats
             try {
-                const updatedPlayer = await db.updatePlayerStats(targetUser.id, stats);
-                
-                // Add game record for recent form tracking if games were added
-                if (stats.gamesPlayed > 0) {
-                    await db.addGameRecord(targetUser.id, {
-                        goals: Math.round(stats.goals / stats.gamesPlayed) || 0,
-                        assists: Math.round(stats.assists / stats.gamesPlayed) || 0,
-                        saves: Math.round(stats.saves / stats.gamesPlayed) || 0,
-                        shots: Math.round(stats.shots / stats.gamesPlayed) || 0,
-                        mvps: stats.mvps
-                    });
-                }
+                // Manual corrections only change totals, game history comes from /record-match
+                const updatedPlayer = await db.withAudit(getAuditContext(interaction), () => db.updatePlayerStats(targetUser.id, stats));
                 
-                // Build description of what was added - REMOVED DEMOS
+                // Build description of what was added
                 let description = `Stats added for **${updatedPlayer.displayName}**:\n\n`;
-                if (stats.gamesPlayed > 0) description += `🎮 **Games**: +${stats.gamesPlayed}\n`;
-                if (stats.goals > 0) description += `⚽ **Goals**: +${stats.goals}\n`;
-                if (stats.assists > 0) description += `👟 **Assists**: +${stats.assists}\n`;
-                if (stats.saves > 0) description += `🧤 **Saves**: +${stats.saves}\n`;
-                if (stats.shots > 0) description += `🎯 **Shots**: +${stats.shots}\n`;
-                if (stats.mvps > 0) description += `🏆 **MVPs**: +${stats.mvps}\n`;
+                config.stats.filter(stat => stats[stat.key] > 0).forEach(stat => {
+                    description += `${stat.emoji} **${stat.label}**: +${stats[stat.key]}\n`;
+                });
                 
                 description += `\n**New Totals**:\n`;
-                description += `🎮 Games: ${updatedPlayer.gamesPlayed} | `;
-                description += `⚽ Goals: ${updatedPlayer.goals} | `;
-                description += `👟 Assists: ${updatedPlayer.assists} | `;
-                description += `🧤 Saves: ${updatedPlayer.saves} | `;
-                description += `🎯 Shots: ${updatedPlayer.shots || 0} | `;
-                description += `🏆 MVPs: ${updatedPlayer.mvps}`;
+                description += formatStatTotals(updatedPlayer);
                 
                 const embed = createEmbed('Stats Added', description, config.colors.success);
                 
@@ -3366,6 +10263,49 @@ client.on('interactionCreate', async interaction => {
             return;
         }
         
+        // Submit Stats command (any registered player, for their own line)
+        if (commandName === 'submit-stats') {
+            const stats = getMatchLineStats(readStatLineOptions(interaction.options));
+            const note = (interaction.options.getString('note') || '').trim() || null;
+            
+            // Without a review channel nobody could approve it, so it is not stored at all
+            const channel = findReviewChannel(interaction.guild);
+            if (!channel) {
+                await interaction.reply({
+                    content: `❌ There is no \`#${config.reviewChannelName}\` channel to send submissions to. Ask an admin to create it.`,
+                    flags: MessageFlags.Ephemeral
+                });
+                return;
+            }
+            
+            try {
+                const submission = await db.createSubmission(interaction.user.id, stats, note);
+                try {
+                    const message = await channel.send(createSubmissionMessage(submission));
+                    await db.setSubmissionMessage(submission.id, channel.id, message.id);
+                } catch (error) {
+                    await db.deleteSubmission(submission.id);
+                    console.error('Error posting a stat submission:', error);
+                    throw new Error(`The submission could not be posted in <#${channel.id}>, nothing was saved. Please try again later.`);
+                }
+                
+                await interaction.reply({
+                    content: `📨 Submission **#${submission.id}** was sent to the admins in <#${channel.id}> and counts once it is approved.\n` +
+                             `It expires if nobody reviews it within ${config.submissionExpiryHours} hour${config.submissionExpiryHours === 1 ? '' : 's'}.`,
+                    flags: MessageFlags.Ephemeral
+                });
+            } catch (error) {
+                await interaction.reply({
+                    content: error.message === 'Player not found'
+                        ? 'You are not registered yet. Ask an admin to `/register` you first.'
+                        : `❌ ${error.message}`,
+                    flags: MessageFlags.Ephemeral
+                });
+            }
+            
+            return;
+        }
+        
         // Remove stats command (Admin only) - Updated to remove demos
         if (commandName === 'removestats') {
             // Check if user has admin role
@@ -3379,15 +10319,8 @@ client.on('interactionCreate', async interaction => {
             
             const targetUser = interaction.options.getUser('user');
             
-            // Get stats from options - REMOVED DEMOS
-            const stats = {
-                gamesPlayed: interaction.options.getInteger('games') || 0,
-                goals: interaction.options.getInteger('goals') || 0,
-                assists: interaction.options.getInteger('assists') || 0,
-                saves: interaction.options.getInteger('saves') || 0,
-                shots: interaction.options.getInteger('shots') || 0,
-                mvps: interaction.options.getInteger('mvps') || 0
-            };
+            // Get stats from options (one per catalog stat)
+            const stats = readStatTotalOptions(interaction.options);
             
             // Check if any stats were provided
             const totalStats = Object.values(stats).reduce((sum, val) => sum + val, 0);
@@ -3412,24 +10345,16 @@ client.on('interactionCreate', async interaction => {
             
             // Remove stats
             try {
-                const updatedPlayer = await db.removePlayerStats(targetUser.id, stats);
+                const updatedPlayer = await db.withAudit(getAuditContext(interaction), () => db.removePlayerStats(targetUser.id, stats));
                 
-                // Build description of what was removed - REMOVED DEMOS
+                // Build description of what was removed
                 let description = `Stats removed from **${updatedPlayer.displayName}**:\n\n`;
-                if (stats.gamesPlayed > 0) description += `🎮 **Games**: -${stats.gamesPlayed}\n`;
-                if (stats.goals > 0) description += `⚽ **Goals**: -${stats.goals}\n`;
-                if (stats.assists > 0) description += `👟 **Assists**: -${stats.assists}\n`;
-                if (stats.saves > 0) description += `🧤 **Saves**: -${stats.saves}\n`;
-                if (stats.shots > 0) description += `🎯 **Shots**: -${stats.shots}\n`;
-                if (stats.mvps > 0) description += `🏆 **MVPs**: -${stats.mvps}\n`;
+                config.stats.filter(stat => stats[stat.key] > 0).forEach(stat => {
+                    description += `${stat.emoji} **${stat.label}**: -${stats[stat.key]}\n`;
+                });
                 
                 description += `\n**New Totals**:\n`;
-                description += `🎮 Games: ${updatedPlayer.gamesPlayed} | `;
-                description += `⚽ Goals: ${updatedPlayer.goals} | `;
-                description += `👟 Assists: ${updatedPlayer.assists} | `;
-                description += `🧤 Saves: ${updatedPlayer.saves} | `;
-                description += `🎯 Shots: ${updatedPlayer.shots || 0} | `;
-                description += `🏆 MVPs: ${updatedPlayer.mvps}`;
+                description += formatStatTotals(updatedPlayer);
                 
                 const embed = createEmbed('Stats Removed', description, config.colors.success);
                 
@@ -3457,11 +10382,11 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
             
-            const teamName = interaction.options.getString('team');
+            const teamName = await resolveTeamName(interaction.options.getString('team'));
             const wins = interaction.options.getInteger('wins') || 1;
             
             try {
-                const updatedStats = await db.updateTeamStats(teamName, wins, 0);
+                const updatedStats = await db.withAudit(getAuditContext(interaction), () => db.updateTeamStats(teamName, wins, 0));
                 
                 const embed = createEmbed('Team Win Added', 
                     `🏆 **${teamName}** has been awarded ${wins} win${wins > 1 ? 's' : ''}!\n\n` +
@@ -3492,11 +10417,11 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
             
-            const teamName = interaction.options.getString('team');
+            const teamName = await resolveTeamName(interaction.options.getString('team'));
             const losses = interaction.options.getInteger('losses') || 1;
             
             try {
-                const updatedStats = await db.updateTeamStats(teamName, 0, losses);
+                const updatedStats = await db.withAudit(getAuditContext(interaction), () => db.updateTeamStats(teamName, 0, losses));
                 
                 const embed = createEmbed('Team Loss Added', 
                     `💀 **${teamName}** has been given ${losses} loss${losses > 1 ? 'es' : ''}.\n\n` +
@@ -3527,11 +10452,11 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
             
-            const teamName = interaction.options.getString('team');
+            const teamName = await resolveTeamName(interaction.options.getString('team'));
             const wins = interaction.options.getInteger('wins') || 1;
             
             try {
-                const updatedStats = await db.removeTeamStats(teamName, wins, 0);
+                const updatedStats = await db.withAudit(getAuditContext(interaction), () => db.removeTeamStats(teamName, wins, 0));
                 
                 const embed = createEmbed('Team Wins Removed', 
                     `🔄 **${teamName}** has had ${wins} win${wins > 1 ? 's' : ''} removed.\n\n` +
@@ -3562,11 +10487,11 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
             
-            const teamName = interaction.options.getString('team');
+            const teamName = await resolveTeamName(interaction.options.getString('team'));
             const losses = interaction.options.getInteger('losses') || 1;
             
             try {
-                const updatedStats = await db.removeTeamStats(teamName, 0, losses);
+                const updatedStats = await db.withAudit(getAuditContext(interaction), () => db.removeTeamStats(teamName, 0, losses));
                 
                 const embed = createEmbed('Team Losses Removed', 
                     `🔄 **${teamName}** has had ${losses} loss${losses > 1 ? 'es' : ''} removed.\n\n` +
@@ -3613,17 +10538,23 @@ client.on('interactionCreate', async interaction => {
                 // Create backup before wiping
                 await db.createBackup('pre-wipe-players');
                 
-                await db.writePlayersFile([]);
-                await db.writeGameHistoryFile([]); // Also clear game history
+                await db.withAudit(getAuditContext(interaction), async () => {
+                    await db.writePlayersFile([]);
+                    await db.writeGameHistoryFile([]); // Also clear game history
+                    // Match results stay for the team records, series and team ratings, without their player lines
+                    const matchResults = await db.readMatchResultsFile();
+                    await db.writeMatchResultsFile(matchResults.map(match => ({ ...match, lines: [] })));
+                });
                 
                 const embed = createEmbed('⚠️ Player Data Wiped', 
                     '🔥 **All player stats have been permanently deleted!**\n\n' +
                     '📊 **What was wiped:**\n' +
                     '• All player statistics\n' +
-                    '• All game history records\n\n' +
+                    '• All game history records\n' +
+                    '• All player lines of match results\n\n' +
                     '💾 **Safety backup created** before wiping data.\n' +
                     '🔄 Use `/list-backups` and `/restore-backup` if you need to undo this action.\n\n' +
-                    '⚠️ **Team records were NOT affected.**', 
+                    '⚠️ **Team records were NOT affected.** Match results, series and team ratings stay.', 
                     config.colors.error);
                 
                 await interaction.editReply({ embeds: [embed] });
@@ -3651,7 +10582,7 @@ client.on('interactionCreate', async interaction => {
             // Check confirmation
             if (confirmation !== 'CONFIRM') {
                 await interaction.reply({
-                    content: '❌ **Confirmation failed!**\n\nTo wipe all team records, you must type exactly: `CONFIRM`\n\n⚠️ **This action is irreversible** (unless you have backups).',
+                    content: '❌ **Confirmation failed!**\n\nTo wipe all team records and match results, you must type exactly: `CONFIRM`\n\n⚠️ **This action is irreversible** (unless you have backups).',
                     flags: MessageFlags.Ephemeral
                 });
                 return;
@@ -3663,14 +10594,8 @@ client.on('interactionCreate', async interaction => {
                 // Create backup before wiping
                 await db.createBackup('pre-wipe-teams');
                 
-                // Reset all teams to 0-0 record
-                const allTeams = await db.getAllTeams();
-                const resetTeamStats = {};
-                allTeams.forEach(team => {
-                    resetTeamStats[team] = { wins: 0, losses: 0 };
-                });
-                
-                await db.writeTeamStatsFile(resetTeamStats);
+                // Reset all teams to 0-0 record and remove the match results (team metadata is kept)
+                const allTeams = await db.withAudit(getAuditContext(interaction), () => db.resetTeamRecords());
                 
                 let teamsResetList = '';
                 allTeams.forEach(team => {
@@ -3680,9 +10605,10 @@ client.on('interactionCreate', async interaction => {
                 const embed = createEmbed('⚠️ Team Records Wiped', 
                     '🔥 **All team win/loss records have been reset!**\n\n' +
                     '📊 **Teams reset:**\n' + teamsResetList + '\n' +
+                    '🗑️ **All match results were removed**, and with them series, head-to-head records and team ratings.\n\n' +
                     '💾 **Safety backup created** before wiping data.\n' +
                     '🔄 Use `/list-backups` and `/restore-backup` if you need to undo this action.\n\n' +
-                    '⚠️ **Player stats were NOT affected.**', 
+                    '⚠️ **Player stats and game history were NOT affected.**', 
                     config.colors.error);
                 
                 await interaction.editReply({ embeds: [embed] });
@@ -3710,7 +10636,7 @@ client.on('interactionCreate', async interaction => {
             // Check confirmation - requires more specific confirmation for total wipe
             if (confirmation !== 'CONFIRM DELETE ALL') {
                 await interaction.reply({
-                    content: '❌ **Confirmation failed!**\n\nTo completely wipe ALL data, you must type exactly: `CONFIRM DELETE ALL`\n\n💀 **This will delete EVERYTHING:**\n• All player stats\n• All team records\n• All game history\n• All scheduled matches\n\n⚠️ **This action is irreversible** (unless you have backups).',
+                    content: '❌ **Confirmation failed!**\n\nTo completely wipe ALL data, you must type exactly: `CONFIRM DELETE ALL`\n\n💀 **This will delete EVERYTHING:**\n• All player stats\n• All team records\n• All game history\n• All match results\n• All scheduled matches\n\n⚠️ **This action is irreversible** (unless you have backups).',
                     flags: MessageFlags.Ephemeral
                 });
                 return;
@@ -3723,16 +10649,17 @@ client.on('interactionCreate', async interaction => {
                 await db.createBackup('pre-wipe-all');
                 
                 // Reset all data files
-                await db.writePlayersFile([]);
-                await db.writeGameHistoryFile([]);
-                await db.writeScheduledMatchesFile([]);
-                
-                // Reset to default teams (A-Team and B-Team)
-                const defaultTeamStats = {
-                    'A-Team': { wins: 0, losses: 0 },
-                    'B-Team': { wins: 0, losses: 0 }
-                };
-                await db.writeTeamStatsFile(defaultTeamStats);
+                await db.withAudit(getAuditContext(interaction), async () => {
+                    await db.writePlayersFile([]);
+                    await db.writeGameHistoryFile([]);
+                    await db.writeScheduledMatchesFile([]);
+                    await db.writeMatchResultsFile([]);
+                    await db.writeSeasonsFile([]);
+                    await db.writeOpponentsFile([]);
+                    
+                    // Reset to default teams (A-Team and B-Team)
+                    await db.writeTeamStatsFile(db.getDefaultTeamStats());
+                });
                 
                 const embed = createEmbed('💀 ALL DATA WIPED', 
                     '🔥 **COMPLETE RESET: Everything has been permanently deleted!**\n\n' +
@@ -3740,7 +10667,10 @@ client.on('interactionCreate', async interaction => {
                     '• ❌ All player statistics\n' +
                     '• ❌ All team win/loss records\n' +
                     '• ❌ All game history\n' +
+                    '• ❌ All match results\n' +
                     '• ❌ All scheduled matches\n' +
+                    '• ❌ All seasons\n' +
+                    '• ❌ All opponents\n' +
                     '• ❌ All custom teams\n\n' +
                     '🔄 **Reset to defaults:**\n' +
                     '• ✅ A-Team: 0W-0L\n' +
@@ -3789,7 +10719,529 @@ client.on('interactionCreate', async interaction => {
             console.error('Failed to send error message:', replyError);
         }
     }
-});
+}
+
+// Leaderboard Pages
+// /leaderboard answers with one page and Previous/Next buttons. The options of each leaderboard
+// are kept in memory, and every page is ranked afresh from the current data.
+const LEADERBOARD_TIMEOUT = 15 * 60 * 1000;
+const leaderboards = new Map();
+
+// Keep the options of a /leaderboard interaction for its page buttons
+function createLeaderboardView(interaction, { measure, season, team, minGames }) {
+    const now = Date.now();
+    leaderboards.forEach((leaderboard, leaderboardId) => {
+        if (leaderboard.expiresAt < now) leaderboards.delete(leaderboardId);
+    });
+    
+    const leaderboard = {
+        id: interaction.id,
+        guildId: interaction.guildId,
+        userId: interaction.user.id,
+        measure,
+        season,
+        team,
+        minGames,
+        page: 0,
+        expiresAt: now + LEADERBOARD_TIMEOUT
+    };
+    leaderboards.set(leaderboard.id, leaderboard);
+    return leaderboard;
+}
+
+// Message for the current page of a leaderboard
+async function renderLeaderboard(leaderboard) {
+    const { measure, season, team, minGames } = leaderboard;
+    const seasonId = season ? season.id : null;
+    const rows = await db.getLeaderboard(measure, { team, seasonId, minGames });
+    const pageCount = Math.max(1, Math.ceil(rows.length / config.leaderboard.pageSize));
+    leaderboard.page = Math.min(Math.max(leaderboard.page, 0), pageCount - 1);
+    
+    // Season totals are shown next to the player's career total
+    const careerTotals = seasonId && !measure.rate
+        ? new Map((await db.getAllPlayers(team)).map(player => [player.discordId, measure.calculate(player)]))
+        : null;
+    const viewer = await db.getPlayer(leaderboard.userId);
+    
+    const embed = createLeaderboardEmbed(leaderboard, rows, pageCount, careerTotals, viewer);
+    if (pageCount === 1) {
+        return { embeds: [embed], components: [] };
+    }
+    
+    const customId = action => `leaderboard:${leaderboard.id}:${action}`;
+    return {
+        embeds: [embed],
+        components: [new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(customId('previous')).setLabel('Previous').setStyle(ButtonStyle.Secondary)
+                .setDisabled(leaderboard.page === 0),
+            new ButtonBuilder().setCustomId(customId('next')).setLabel('Next').setStyle(ButtonStyle.Secondary)
+                .setDisabled(leaderboard.page === pageCount - 1))]
+    };
+}
+
+// Handle the Previous/Next buttons of a /leaderboard answer
+async function handleLeaderboardPage(interaction) {
+    const [, leaderboardId, action] = interaction.customId.split(':');
+    const leaderboard = leaderboards.get(leaderboardId);
+    
+    if (!leaderboard || leaderboard.expiresAt < Date.now() || leaderboard.guildId !== interaction.guildId) {
+        leaderboards.delete(leaderboardId);
+        await interaction.update({ content: '⌛ These pages have expired. Run `/leaderboard` again to browse.', components: [] });
+        return;
+    }
+    if (leaderboard.userId !== interaction.user.id) {
+        await interaction.reply({ 
+            content: 'Only the person who ran this leaderboard can turn its pages. Run `/leaderboard` to get your own.', 
+            flags: MessageFlags.Ephemeral 
+        });
+        return;
+    }
+    
+    try {
+        leaderboard.page += action === 'next' ? 1 : -1;
+        leaderboard.expiresAt = Date.now() + LEADERBOARD_TIMEOUT;
+        await interaction.update(await renderLeaderboard(leaderboard));
+    } catch (error) {
+        console.error('Error turning leaderboard page:', error);
+        await safeReply(interaction, { content: `❌ ${error.message}`, flags: MessageFlags.Ephemeral });
+    }
+}
+
+// Match Report Flow
+// /report-match walks an admin through both teams, the score and each player's line with
+// select menus, buttons and modals. Drafts only live in memory until they are submitted,
+// and are dropped after 15 minutes like the interaction they belong to.
+const MATCH_REPORT_TIMEOUT = 15 * 60 * 1000;
+const MAX_REPORT_PLAYERS = 20;
+const matchReports = new Map();
+
+// Start a draft for a /report-match interaction (an opponent option fixes the second team)
+function createMatchReport(interaction, opponent = null) {
+    const now = Date.now();
+    matchReports.forEach((report, reportId) => {
+        if (report.expiresAt < now) matchReports.delete(reportId);
+    });
+    
+    const report = {
+        id: interaction.id,
+        guildId: interaction.guildId,
+        userId: interaction.user.id,
+        team1: null,
+        team2: opponent,
+        opponentFixed: Boolean(opponent),
+        score1: null,
+        score2: null,
+        date: null,
+        lines: {},
+        expiresAt: now + MATCH_REPORT_TIMEOUT
+    };
+    matchReports.set(report.id, report);
+    return report;
+}
+
+// Registered players of both teams in a draft, listed team by team
+async function getMatchReportRoster(report) {
+    const teams = [report.team1, report.team2].map(team => team.toLowerCase());
+    const players = await db.getAllPlayers();
+    return players
+        .filter(player => player.team && teams.includes(player.team.toLowerCase()) && !player.retiredAt)
+        .sort((a, b) => teams.indexOf(a.team.toLowerCase()) - teams.indexOf(b.team.toLowerCase()) ||
+            a.displayName.localeCompare(b.displayName));
+}
+
+// Message (embed and components) for the current step of a draft
+async function renderMatchReport(report) {
+    const customId = action => `report-match:${report.id}:${action}`;
+    const embed = createEmbed('📝 Report Match');
+    const components = [];
+    
+    // Step 1: pick the teams, then enter the score
+    if (report.score1 === null) {
+        const teams = await db.getAllTeams();
+        const teamSelect = (slot, placeholder) => new ActionRowBuilder().addComponents(
+            new StringSelectMenuBuilder()
+                .setCustomId(customId(slot))
+                .setPlaceholder(placeholder)
+                .addOptions(teams.slice(0, 25).map(team => ({ label: team, value: team, default: report[slot] === team }))));
+        const teamsPicked = report.team1 && report.team2 && report.team1.toLowerCase() !== report.team2.toLowerCase();
+        
+        embed.setDescription(
+            `**1.** Pick both teams${report.opponentFixed ? ` (playing against **${report.team2}**)` : ''}\n` +
+            `**2.** Enter the final score\n` +
+            `**3.** Enter each player's line\n` +
+            `**4.** Submit - team records, player totals and game history are saved together`);
+        
+        components.push(teamSelect('team1', report.opponentFixed ? 'Our team' : 'First team'));
+        if (!report.opponentFixed) {
+            components.push(teamSelect('team2', 'Second team'));
+        }
+        components.push(new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(customId('score')).setLabel('Enter score').setStyle(ButtonStyle.Primary).setDisabled(!teamsPicked),
+            new ButtonBuilder().setCustomId(customId('cancel')).setLabel('Cancel').setStyle(ButtonStyle.Danger)));
+        return { embeds: [embed], components };
+    }
+    
+    // Step 2: one button per rostered player, then submit
+    const roster = await getMatchReportRoster(report);
+    embed.setDescription(
+        `**${report.team1} ${report.score1} - ${report.score2} ${report.team2}**\n` +
+        `📅 ${formatSwedenTime(new Date(report.date)).full}\n\n` +
+        `Click a player to enter their line. Players without a line are left out, ` +
+        `and leaving every field empty removes a line.` +
+        (roster.length > MAX_REPORT_PLAYERS ? `\n⚠️ Only the first ${MAX_REPORT_PLAYERS} players fit, add the rest with \`/match-line\` afterwards.` : ''));
+    
+    [report.team1, report.team2].forEach(team => {
+        const teamPlayers = roster.filter(player => player.team.toLowerCase() === team.toLowerCase());
+        if (teamPlayers.length === 0) return;
+        embed.addFields({
+            name: `👥 ${team}`,
+            value: teamPlayers.map(player => {
+                const line = report.lines[player.discordId];
+                return line
+                    ? `✅ **${player.displayName}**: ${formatCompactStats(getMatchLineStats(line))}`
+                    : `⬜ ${player.displayName}`;
+            }).join('\n'),
+            inline: false
+        });
+    });
+    
+    const playerButtons = roster.slice(0, MAX_REPORT_PLAYERS).map(player => new ButtonBuilder()
+        .setCustomId(customId(`line:${player.discordId}`))
+        .setLabel(player.displayName.substring(0, 80))
+        .setStyle(report.lines[player.discordId] ? ButtonStyle.Success : ButtonStyle.Secondary));
+    for (let i = 0; i < playerButtons.length; i += 5) {
+        components.push(new ActionRowBuilder().addComponents(playerButtons.slice(i, i + 5)));
+    }
+    components.push(new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(customId('submit')).setLabel('Submit').setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(customId('score')).setLabel('Edit score').setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(customId('cancel')).setLabel('Cancel').setStyle(ButtonStyle.Danger)));
+    return { embeds: [embed], components };
+}
+
+// One short text input of a report modal
+function createReportInput(id, label, value, required = false, placeholder = null) {
+    const input = new TextInputBuilder()
+        .setCustomId(id)
+        .setLabel(label.substring(0, 45))
+        .setStyle(TextInputStyle.Short)
+        .setRequired(required)
+        .setMaxLength(id === 'date' ? 30 : 3);
+    if (value !== null && value !== undefined) input.setValue(String(value));
+    if (placeholder) input.setPlaceholder(placeholder);
+    return new ActionRowBuilder().addComponents(input);
+}
+
+function createScoreModal(report) {
+    return new ModalBuilder()
+        .setCustomId(`report-match:${report.id}:score-modal`)
+        .setTitle('Final Score')
+        .addComponents(
+            createReportInput('score1', `${report.team1} goals`, report.score1, true),
+            createReportInput('score2', `${report.team2} goals`, report.score2, true),
+            createReportInput('date', 'Played at (defaults to now)', null, false, 'e.g. 2025-06-30 19:00'));
+}
+
+// Stats a line modal asks for: Discord modals hold at most five fields, so only the first
+// five per-game stats of the catalog (the rest can be set with /match-line)
+function getLineModalStats() {
+    return getLineStats().slice(0, 5);
+}
+
+// Modal for one player's game line, prefilled with an earlier entry
+function createLineModal(customId, playerName, line = {}) {
+    return new ModalBuilder()
+        .setCustomId(customId)
+        .setTitle(`Line: ${playerName}`.substring(0, 45))
+        .addComponents(getLineModalStats().map(stat => {
+            const value = line[getStatLineKey(stat)];
+            return stat.aggregation === 'flag'
+                ? createReportInput(getStatLineKey(stat), `${stat.short} (yes/no)`, value === undefined ? null : value ? 'yes' : 'no')
+                : createReportInput(getStatLineKey(stat), stat.label, value);
+        }));
+}
+
+// Read a whole number from a modal field ('' counts as 0)
+function parseReportNumber(value, label) {
+    const trimmed = value.trim();
+    if (trimmed === '') return 0;
+    if (!/^\d+$/.test(trimmed)) {
+        throw new Error(`${label} must be a whole number, got "${trimmed}"`);
+    }
+    return parseInt(trimmed, 10);
+}
+
+// Read the fields of a submitted line modal (null when every field was left empty)
+function readLineModal(interaction) {
+    const stats = getLineModalStats();
+    const values = stats.map(stat => interaction.fields.getTextInputValue(getStatLineKey(stat)).trim());
+    if (values.every(value => value === '')) return null;
+    
+    return Object.fromEntries(stats.map((stat, index) => {
+        if (stat.aggregation !== 'flag') {
+            return [getStatLineKey(stat), parseReportNumber(values[index], stat.label)];
+        }
+        const flag = values[index].toLowerCase();
+        if (!['', 'yes', 'no', 'y', 'n', '1', '0', 'true', 'false'].includes(flag)) {
+            throw new Error(`${stat.short} should be yes or no, got "${values[index]}"`);
+        }
+        return [getStatLineKey(stat), ['yes', 'y', '1', 'true'].includes(flag)];
+    }));
+}
+
+// Handle a select menu, button or modal of a /report-match draft
+async function handleMatchReportStep(interaction) {
+    const [, reportId, action, discordId] = interaction.customId.split(':');
+    const report = matchReports.get(reportId);
+    
+    if (!report || report.expiresAt < Date.now() || report.guildId !== interaction.guildId) {
+        matchReports.delete(reportId);
+        const content = '⌛ This match report has expired. Start again with `/report-match`.';
+        if (interaction.isMessageComponent()) {
+            await interaction.update({ content, embeds: [], components: [] });
+        } else {
+            await interaction.reply({ content, flags: MessageFlags.Ephemeral });
+        }
+        return;
+    }
+    if (report.userId !== interaction.user.id) {
+        await interaction.reply({ content: 'Only the admin who started this report can change it.', flags: MessageFlags.Ephemeral });
+        return;
+    }
+    if (report.submitting) {
+        await interaction.reply({ content: '⏳ This match report is being recorded, please wait.', flags: MessageFlags.Ephemeral });
+        return;
+    }
+    
+    try {
+        if (action === 'team1' || action === 'team2') {
+            report[action] = interaction.values[0];
+            await interaction.update(await renderMatchReport(report));
+        } else if (action === 'score') {
+            await interaction.showModal(createScoreModal(report));
+        } else if (action === 'score-modal') {
+            const score1 = parseReportNumber(interaction.fields.getTextInputValue('score1'), `${report.team1} goals`);
+            const score2 = parseReportNumber(interaction.fields.getTextInputValue('score2'), `${report.team2} goals`);
+            const dateStr = interaction.fields.getTextInputValue('date').trim();
+            if (score1 === score2) {
+                throw new Error('A match cannot end in a draw');
+            }
+            
+            const playedAt = dateStr ? parseMatchDateTime(dateStr) : new Date();
+            if (playedAt > new Date()) {
+                throw new Error('A match result cannot be in the future. Use `/schedule-match` for upcoming matches.');
+            }
+            
+            Object.assign(report, { score1, score2, date: playedAt.toISOString() });
+            await interaction.update(await renderMatchReport(report));
+        } else if (action === 'line') {
+            const player = (await getMatchReportRoster(report)).find(p => p.discordId === discordId);
+            if (!player) {
+                throw new Error('That player is no longer on either team');
+            }
+            await interaction.showModal(createLineModal(
+                `report-match:${report.id}:line-modal:${player.discordId}`, player.displayName, report.lines[player.discordId]));
+        } else if (action === 'line-modal') {
+            const line = readLineModal(interaction);
+            if (line) {
+                report.lines[discordId] = line;
+            } else {
+                delete report.lines[discordId];
+            }
+            await interaction.update(await renderMatchReport(report));
+        } else if (action === 'cancel') {
+            matchReports.delete(report.id);
+            await interaction.update({ content: 'Match report cancelled. Nothing was saved.', embeds: [], components: [] });
+        } else if (action === 'submit') {
+            if (db.getCorruptedFiles().length > 0) {
+                throw new Error('Data changes are blocked until an admin runs `/repair-data`.');
+            }
+            
+            // Marked before the first await, so a second click can't record the match twice.
+            // If recording fails the draft can be fixed and submitted again.
+            report.submitting = true;
+            let match;
+            try {
+                // Recording the match can take longer than Discord waits for an answer
+                await interaction.deferUpdate();
+                const roster = await getMatchReportRoster(report);
+                const lines = roster
+                    .filter(player => report.lines[player.discordId])
+                    .map(player => ({ discordId: player.discordId, team: player.team, ...report.lines[player.discordId] }));
+                
+                match = await db.withAudit({
+                    actorId: interaction.user.id,
+                    actorName: interaction.user.username,
+                    command: `/report-match ${report.team1} ${report.score1}-${report.score2} ${report.team2}`
+                }, () => db.recordMatchResult({
+                    team1: report.team1,
+                    team2: report.team2,
+                    score1: report.score1,
+                    score2: report.score2,
+                    date: report.date,
+                    lines,
+                    recordedBy: interaction.user.id
+                }));
+            } catch (error) {
+                if (!interaction.deferred) throw error;
+                await interaction.followUp({ content: `❌ ${error.message}`, flags: MessageFlags.Ephemeral });
+                return;
+            } finally {
+                report.submitting = false;
+            }
+            matchReports.delete(report.id);
+            
+            const embed = createMatchResultEmbed(match);
+            embed.setColor(config.colors.success);
+            const records = [];
+            for (const team of [match.team1, match.team2]) {
+                const teamKey = findTeamKey(await db.readTeamStatsFile(), team);
+                if (!teamKey) continue;
+                const stats = await db.getTeamStats(teamKey);
+                records.push(`**${teamKey}**: ${stats.wins}-${stats.losses}`);
+            }
+            embed.addFields({ name: '📈 Team Records', value: records.join('\n'), inline: false });
+            
+            await interaction.editReply({ content: `✅ Match recorded as \`${match.id}\`.`, embeds: [], components: [] });
+            await interaction.followUp({ embeds: [embed] });
+        }
+    } catch (error) {
+        if (interaction.replied || interaction.deferred) {
+            console.error('Error in match report:', error);
+            return;
+        }
+        await interaction.reply({ content: `❌ ${error.message}`, flags: MessageFlags.Ephemeral });
+    }
+}
+
+// Stat Review Flow
+// Submissions from /submit-stats are posted to the review channel with Approve, Edit and
+// Reject buttons. Only admins can use them, and the message is updated with the outcome.
+
+// Channel where submissions are reviewed (falls back to the announcement channel)
+function findReviewChannel(guild) {
+    return guild.channels.cache.find(ch => ch.type === 0 && ch.name === config.reviewChannelName) ||
+        findNotificationChannel(guild);
+}
+
+// Review channel message for a submission: its embed, plus the buttons while it is pending
+function createSubmissionMessage(submission) {
+    const stats = submission.stats;
+    const statusText = {
+        pending: `⏳ **Waiting for review** (expires ${formatSwedenTime(new Date(submission.expiresAt)).full})`,
+        approved: `✅ **Approved** by <@${submission.reviewedBy}>`,
+        rejected: `❌ **Rejected** by <@${submission.reviewedBy}>${submission.reason ? `: ${submission.reason}` : ''}`,
+        expired: '⌛ **Expired** without a review'
+    }[submission.status];
+    const color = {
+        pending: config.colors.primary,
+        approved: config.colors.success
+    }[submission.status] || config.colors.error;
+    
+    const embed = createEmbed(`📨 Stat Submission #${submission.id}`,
+        `👤 **Player**: <@${submission.discordId}> (${submission.displayName})\n` +
+        `${formatGameStats(stats)}\n` +
+        (submission.note ? `📝 ${submission.note}\n` : '') +
+        (submission.editedBy ? `✏️ Edited by <@${submission.editedBy}>\n` : '') +
+        `\n${statusText}`,
+        color);
+    
+    if (submission.status !== 'pending') {
+        return { embeds: [embed], components: [] };
+    }
+    
+    const customId = action => `stat-review:${submission.id}:${action}`;
+    return {
+        embeds: [embed],
+        components: [new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(customId('approve')).setLabel('Approve').setStyle(ButtonStyle.Success),
+            new ButtonBuilder().setCustomId(customId('edit')).setLabel('Edit').setStyle(ButtonStyle.Secondary),
+            new ButtonBuilder().setCustomId(customId('reject')).setLabel('Reject').setStyle(ButtonStyle.Danger))]
+    };
+}
+
+// Bring the review message of a submission up to date (it may have been deleted)
+async function updateSubmissionMessage(submission) {
+    if (!submission.reviewMessage) return;
+    try {
+        const channel = await client.channels.fetch(submission.reviewMessage.channelId);
+        const message = await channel.messages.fetch(submission.reviewMessage.messageId);
+        await message.edit(createSubmissionMessage(submission));
+    } catch (error) {
+        console.error(`Could not update the review message of submission #${submission.id}:`, error.message);
+    }
+}
+
+// Handle the Approve, Edit and Reject buttons (and their modals) of a submission
+async function handleStatReviewStep(interaction) {
+    const [, submissionIdText, action] = interaction.customId.split(':');
+    const submissionId = Number(submissionIdText);
+    
+    if (!(await isAdmin(interaction.member))) {
+        await interaction.reply({ 
+            content: `You need the "${config.adminRoleName}" role to review submissions.`,
+            flags: MessageFlags.Ephemeral
+        });
+        return;
+    }
+    
+    try {
+        const context = {
+            actorId: interaction.user.id,
+            actorName: interaction.user.username,
+            command: `/submit-stats ${action.replace('-modal', '')} #${submissionId}`
+        };
+        
+        if (action === 'approve') {
+            if (db.getCorruptedFiles().length > 0) {
+                throw new Error('Data changes are blocked until an admin runs `/repair-data`.');
+            }
+            const submission = await db.withAudit(context, () => db.approveSubmission(submissionId, interaction.user.id));
+            await interaction.update(createSubmissionMessage(submission));
+        } else if (action === 'edit') {
+            const submission = await db.getSubmission(submissionId);
+            if (!submission) {
+                throw new Error('Submission not found');
+            }
+            await interaction.showModal(createLineModal(`stat-review:${submissionId}:edit-modal`, submission.displayName,
+                getStatsLine(submission.stats)));
+        } else if (action === 'edit-modal') {
+            const current = await db.getSubmission(submissionId);
+            if (!current) {
+                throw new Error('Submission not found');
+            }
+            // Stats the modal has no field for keep their submitted value, also when every field was left empty
+            const edited = readLineModal(interaction) || Object.fromEntries(getLineModalStats()
+                .map(stat => [getStatLineKey(stat), stat.aggregation === 'flag' ? false : 0]));
+            const line = { ...getStatsLine(current.stats), ...edited };
+            const submission = await db.editSubmission(submissionId, getMatchLineStats(line), interaction.user.id);
+            await interaction.update(createSubmissionMessage(submission));
+        } else if (action === 'reject') {
+            await interaction.showModal(new ModalBuilder()
+                .setCustomId(`stat-review:${submissionId}:reject-modal`)
+                .setTitle(`Reject Submission #${submissionId}`)
+                .addComponents(new ActionRowBuilder().addComponents(new TextInputBuilder()
+                    .setCustomId('reason')
+                    .setLabel('Reason (shown to everyone in the channel)')
+                    .setStyle(TextInputStyle.Short)
+                    .setRequired(false)
+                    .setMaxLength(200))));
+        } else if (action === 'reject-modal') {
+            const reason = interaction.fields.getTextInputValue('reason').trim() || null;
+            const submission = await db.rejectSubmission(submissionId, interaction.user.id, reason);
+            await interaction.update(createSubmissionMessage(submission));
+        }
+    } catch (error) {
+        // A submission that expired in the meantime loses its buttons
+        const submission = await db.getSubmission(submissionId).catch(() => null);
+        if (submission && submission.status !== 'pending' && interaction.isMessageComponent() && !interaction.replied) {
+            await interaction.update(createSubmissionMessage(submission));
+            await interaction.followUp({ content: `❌ ${error.message}`, flags: MessageFlags.Ephemeral });
+            return;
+        }
+        await safeReply(interaction, { content: `❌ ${error.message}` }, { flags: MessageFlags.Ephemeral });
+    }
+}
 
 // Add reconnection handlers
 client.on('disconnect', (event) => {
@@ -3808,21 +11260,41 @@ client.on('error', (error) => {
     console.error('Discord client error:', error);
 });
 
-// Log in to Discord
-console.log('Attempting to log in to Discord...');
-client.login(process.env.DISCORD_TOKEN).then(() => {
-    console.log('Successfully logged in to Discord');
-}).catch(error => {
-    console.error('Failed to log in to Discord:', error);
-});
+// Log in to Discord when started as the bot (scripts like import-replays.js only use the data layer)
+if (require.main === module) {
+    try {
+        acquireDataFolderLock('the bot');
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+    
+    // Let the lock file be removed when the bot is stopped
+    ['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
+    
+    console.log('Attempting to log in to Discord...');
+    client.login(process.env.DISCORD_TOKEN).then(() => {
+        console.log('Successfully logged in to Discord');
+    }).catch(error => {
+        console.error('Failed to log in to Discord:', error);
+    });
+}
+
+// Scripts like import-replays.js use the data layer, the tests also reach the pure helpers
+module.exports = {
+    db, config, withGuild, prepareScriptData, parseReplayJson, prepareReplayImport, summarizeStatRows, formatStatTotals,
+    parseReplayHeader, summarizeReplay, findPlayerByAlias, guessReplayTeam,
+    findLongestStreak, calculateRecords, findBrokenRecords, formatRecord,
+    withFileLock, writeFileAtomic,
+    migrateData, getSchemaVersion, unwrapVersionedData, parseStatsCsv, mapStatRows, createExportPackage, parseExportPackage,
+    getExpectedScore, calculateRatings, formatRating, getLeaderboardMeasure, rankPlayers, formatMeasureValue,
+    crc32, encodePng, renderLineChart, renderBarChart, renderRadarChart
+};
 
 // Create team leaderboard embed
-function teamLeaderboardEmbed(players, teamName) {
+function teamLeaderboardEmbed(players, teamName, participation = new Map()) {
     const teamColor = teamName === 'A-Team' ? config.colors.aTeam : config.colors.bTeam;
     
-    // Sort players by goals
-    players.sort((a, b) => b.goals - a.goals);
-    
     const embed = new EmbedBuilder()
         .setColor(teamColor)
         .setTitle(`${teamName} Leaderboard`)
@@ -3830,51 +11302,83 @@ function teamLeaderboardEmbed(players, teamName) {
         .setFooter({ text: 'Stats Bot', iconURL: 'https://i.imgur.com/wSTFkRM.png' })
         .setTimestamp();
     
-    // Add top goal scorers
-    let goalScorers = '';
-    players.slice(0, 5).forEach((player, index) => {
-        goalScorers += `${index + 1}. **${player.displayName}**: ${player.goals} goals\n`;
-    });
+    // Former players only count with what they earned for this team
+    const formatName = player => `**${player.displayName}**` +
+        (player.currentTeam && player.currentTeam !== teamName ? ` (now ${player.currentTeam})` : '');
     
-    // Sort by assists for assist leaders
-    players.sort((a, b) => b.assists - a.assists);
-    let assistLeaders = '';
-    players.slice(0, 3).forEach((player, index) => {
-        assistLeaders += `${index + 1}. **${player.displayName}**: ${player.assists} assists\n`;
+    // One list per configured board, rates only for players with enough games
+    config.leaderboard.teamBoards.forEach(board => {
+        const measure = getLeaderboardMeasure(board.key);
+        if (!measure) return;
+        
+        const rows = rankPlayers(players, measure, measure.rate ? config.metricMinGames : 0, participation).slice(0, board.limit);
+        embed.addFields({
+            name: `${measure.emoji} Top ${measure.label}`,
+            value: rows.map((row, index) => `${index + 1}. ${formatName(row.player)}: ${formatMeasureValue(measure, row.value)}`).join('\n') || 'No data',
+            inline: false
+        });
     });
     
-    // Sort by MVPs for MVP leaders
-    players.sort((a, b) => b.mvps - a.mvps);
-    let mvpLeaders = '';
-    players.slice(0, 3).forEach((player, index) => {
-        mvpLeaders += `${index + 1}. **${player.displayName}**: ${player.mvps} MVPs\n`;
-    });
+    return embed;
+}
+
+// Create one page of a /leaderboard ranking, marking the caller's own row (or their rank below the page)
+function createLeaderboardEmbed(leaderboard, rows, pageCount, careerTotals, viewer) {
+    const { measure, season, team, minGames, page, userId } = leaderboard;
+    const pageSize = config.leaderboard.pageSize;
     
-    embed.addFields(
-        { name: '⚽ Top Goal Scorers', value: goalScorers || 'No data', inline: false },
-        { name: '👟 Top Assist Providers', value: assistLeaders || 'No data', inline: false },
-        { name: '🏆 MVP Leaders', value: mvpLeaders || 'No data', inline: false }
-    );
+    const embed = createEmbed(`${measure.emoji} ${measure.label} Leaderboard`,
+        [team || 'All teams', season ? season.name : 'Career', minGames > 0 ? `${minGames}+ games` : null].filter(Boolean).join(' • ') +
+        (careerTotals ? '\nSeason values, career totals in brackets' : ''));
+    embed.setFooter({ text: `Page ${page + 1}/${pageCount} • ${rows.length} player${rows.length === 1 ? '' : 's'} ranked` });
+    
+    if (rows.length === 0) {
+        embed.addFields({ name: '📊 Rankings', value: minGames > 0 ? `No players with ${minGames}+ games yet.` : 'No players yet.' });
+        return embed;
+    }
+    
+    const formatRow = row => {
+        const line = `${formatRank(row.rank)} **${row.player.displayName}** (${row.player.currentTeam || row.player.team}): ` +
+            formatMeasureValue(measure, row.value) +
+            (careerTotals ? ` (${careerTotals.get(row.player.discordId)})` : '');
+        return row.player.discordId === userId ? `👉 ${line}` : line;
+    };
+    embed.addFields({ name: '📊 Rankings', value: rows.slice(page * pageSize, (page + 1) * pageSize).map(formatRow).join('\n') });
+    
+    // Show the caller where they stand when their row is on another page
+    const ownIndex = rows.findIndex(row => row.player.discordId === userId);
+    if (ownIndex !== -1 && Math.floor(ownIndex / pageSize) !== page) {
+        embed.addFields({ name: '📍 Your Rank', value: `${formatRow(rows[ownIndex])} • page ${Math.floor(ownIndex / pageSize) + 1}` });
+    } else if (ownIndex === -1 && viewer && !viewer.retiredAt) {
+        embed.addFields({ 
+            name: '📍 Your Rank', 
+            value: minGames > 0 ? `Not ranked: this leaderboard needs ${minGames}+ games.` : 'Not ranked on this leaderboard.' 
+        });
+    }
     
     return embed;
 }
 
-// Create team stats embed (wins/losses)
-function teamStatsEmbed(teamName, teamStats) {
+// Create team stats embed (series and game records, goals for/against)
+function teamStatsEmbed(teamName, teamStats, summary, rating = null) {
     const teamColor = teamName === 'A-Team' ? config.colors.aTeam : config.colors.bTeam;
     const totalGames = teamStats.wins + teamStats.losses;
     const winRate = totalGames > 0 ? ((teamStats.wins / totalGames) * 100).toFixed(1) : '0.0';
+    const totalSeries = summary.seriesWins + summary.seriesLosses;
+    const seriesWinRate = totalSeries > 0 ? ((summary.seriesWins / totalSeries) * 100).toFixed(1) : '0.0';
     
     return new EmbedBuilder()
         .setColor(teamColor)
         .setTitle(`${teamName} Record`)
         .setDescription(`Win/Loss statistics for ${teamName}`)
         .addFields(
-            { name: '🏆 Wins', value: teamStats.wins.toString(), inline: true },
-            { name: '💀 Losses', value: teamStats.losses.toString(), inline: true },
-            { name: '🎮 Total Games', value: totalGames.toString(), inline: true },
-            { name: '📊 Win Rate', value: `${winRate}%`, inline: true },
-            { name: '📈 Record', value: `${teamStats.wins}-${teamStats.losses}`, inline: true }
+            { name: '📚 Series', value: `${summary.seriesWins}W-${summary.seriesLosses}L (${seriesWinRate}%)`, inline: true },
+            { name: '🎮 Games', value: `${teamStats.wins}W-${teamStats.losses}L (${winRate}%)`, inline: true },
+            { name: '🔢 Games Played', value: totalGames.toString(), inline: true },
+            { name: '⚽ Goals For', value: summary.goalsFor.toString(), inline: true },
+            { name: '🥅 Goals Against', value: summary.goalsAgainst.toString(), inline: true },
+            { name: '📈 Goal Differential', value: formatGoalDifference(summary.goalDifference), inline: true },
+            { name: '🏅 Rating', value: rating ? formatRating(rating) : config.ratings.initial.toString(), inline: true }
         )
         .setFooter({ text: 'Stats Bot', iconURL: 'https://i.imgur.com/wSTFkRM.png' })
         .setTimestamp();
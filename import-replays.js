@@ -0,0 +1,86 @@
+// Import replay JSON exports (e.g. from ballchasing) from a folder into one guild's data.
+// Usage: node import-replays.js <guild-id> <folder or .json file> [--confirm]
+// Without --confirm it only prints what would be added, like /import-replays without CONFIRM.
+// The bot must be stopped first: the script refuses to run while another process uses the data folder.
+const fs = require('fs').promises;
+const path = require('path');
+const {
+    db, withGuild, prepareScriptData, parseReplayJson, prepareReplayImport, summarizeStatRows, formatStatTotals,
+    findBrokenRecords, formatRecord
+} = require('./bot');
+
+// Parse every .json file of a folder (or a single file), skipping files that are not replay exports
+async function readReplayFiles(target) {
+    const stat = await fs.stat(target);
+    const files = stat.isDirectory()
+        ? (await fs.readdir(target))
+            .filter(name => name.toLowerCase().endsWith('.json'))
+            .sort()
+            .map(name => path.join(target, name))
+        : [target];
+    
+    const replays = [];
+    for (const file of files) {
+        try {
+            replays.push(...parseReplayJson(JSON.parse(await fs.readFile(file, 'utf8'))));
+        } catch (error) {
+            console.warn(`⚠️ Skipping ${path.basename(file)}: ${error.message}`);
+        }
+    }
+    return { files, replays };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const confirm = args.includes('--confirm');
+    const [guildId, target] = args.filter(arg => arg !== '--confirm');
+    if (!guildId || !target) {
+        console.log('Usage: node import-replays.js <guild-id> <folder or .json file> [--confirm]');
+        console.log('Stop the bot first, the data folder can only be used by one process at a time.');
+        process.exitCode = 1;
+        return;
+    }
+    
+    const { files, replays } = await readReplayFiles(target);
+    await prepareScriptData(guildId, 'import-replays.js');
+    
+    await withGuild(guildId, async () => {
+        const { rows, skipped, replayCount } = prepareReplayImport(
+            replays, await db.getAllPlayers(), await db.getImportedReplayIds());
+        
+        console.log(`📁 ${files.length} file(s), ${replayCount} new replay(s), ${rows.length} player game(s) matched`);
+        summarizeStatRows(rows).forEach(total => {
+            console.log(`   ${total.player.displayName} (${total.player.team}): ${formatStatTotals(total, ', ')}`);
+        });
+        skipped.forEach(reason => console.log(`   ⚠️ ${reason}`));
+        
+        if (rows.length === 0) {
+            console.log('Nothing new to import. Players without an alias can be linked with /alias add.');
+            return;
+        }
+        if (!confirm) {
+            console.log('Nothing has been added yet. Run again with --confirm to add the stats.');
+            return;
+        }
+        
+        const recordsBefore = await db.getRecords();
+        await db.withAudit({
+            actorId: null,
+            actorName: 'import-replays.js',
+            command: `import-replays ${path.basename(target)}`
+        }, () => db.importStatRows(rows));
+        console.log(`✅ Added ${rows.length} game record(s)`);
+        
+        // The bot is not running, so broken records are listed here instead of announced in Discord
+        findBrokenRecords(recordsBefore, await db.getRecords()).forEach(({ record, previous }) => {
+            console.log(`🎉 New record, ${record.label}: ${formatRecord(record).replace(/\*/g, '')} (previous: ${previous.value} by ${previous.holder})`);
+        });
+    });
+}
+
+main().then(() => {
+    process.exit();
+}).catch(error => {
+    console.error('❌ Error importing replays:', error.message);
+    process.exit(1);
+});
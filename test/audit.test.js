@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, withTestGuild } = require('./helpers');
+
+const context = { actorId: '900', actorName: 'admin', command: '/test' };
+
+test('audited changes are logged record by record', async () => {
+    await withTestGuild(async () => {
+        await db.withAudit(context, () => db.createPlayer('1', 'Ann', 'A-Team'));
+        await db.withAudit(context, () => db.updatePlayerStats('1', { gamesPlayed: 1, goals: 2 }));
+
+        const [latest, created] = await db.getAuditEntries();
+        assert.deepStrictEqual(created.changes.map(change => [change.dataSet, change.key, change.before]), [['players', '1', null]]);
+        assert.strictEqual(latest.changes.length, 1);
+        assert.strictEqual(latest.changes[0].before.goals, 0);
+        assert.strictEqual(latest.changes[0].after.goals, 2);
+    });
+});
+
+test('tasks that change nothing are not logged', async () => {
+    await withTestGuild(async () => {
+        await db.withAudit(context, () => db.getAllPlayers());
+        assert.deepStrictEqual(await db.getAuditEntries(), []);
+    });
+});
+
+test('only the data sets a task changes are read', async () => {
+    await withTestGuild(async () => {
+        await db.createPlayer('1', 'Ann', 'A-Team');
+        const readMatchResultsFile = db.readMatchResultsFile;
+        let reads = 0;
+        db.readMatchResultsFile = (...args) => {
+            reads++;
+            return readMatchResultsFile(...args);
+        };
+        try {
+            await db.withAudit(context, () => db.updatePlayerStats('1', { gamesPlayed: 1 }));
+        } finally {
+            db.readMatchResultsFile = readMatchResultsFile;
+        }
+        assert.strictEqual(reads, 0);
+    });
+});
+
+test('undo takes back number changes even after later changes', async () => {
+    await withTestGuild(async () => {
+        await db.createPlayer('1', 'Ann', 'A-Team');
+        await db.withAudit(context, () => db.updatePlayerStats('1', { gamesPlayed: 1, goals: 2 }));
+        const [first] = await db.getAuditEntries();
+        await db.withAudit(context, () => db.updatePlayerStats('1', { gamesPlayed: 1, goals: 3 }));
+
+        await db.undoAuditEntry(first.id, context);
+        const player = await db.getPlayer('1');
+        assert.strictEqual(player.gamesPlayed, 1);
+        assert.strictEqual(player.goals, 3);
+
+        const [undo] = await db.getAuditEntries();
+        assert.strictEqual(undo.undoOf, first.id);
+        await assert.rejects(db.undoAuditEntry(first.id, context), /already undone/);
+    });
+});
+
+test('undo refuses records that were changed in other ways since', async () => {
+    await withTestGuild(async () => {
+        await db.withAudit(context, () => db.createPlayer('1', 'Ann', 'A-Team'));
+        const [created] = await db.getAuditEntries();
+        await db.withAudit(context, () => db.setPlayerTeam('1', 'B-Team'));
+
+        await assert.rejects(db.undoAuditEntry(created.id, context), /was changed again after this entry/);
+        assert.strictEqual((await db.getPlayer('1')).team, 'B-Team');
+    });
+});
+
+test('a change that can not be logged is not kept', async () => {
+    await withTestGuild(async () => {
+        await db.createPlayer('1', 'Ann', 'A-Team');
+        const { appendAuditEntry, readAuditLogFile } = db;
+        let ran = false;
+        try {
+            // An unreadable log stops the task before it runs
+            db.readAuditLogFile = async () => { throw new Error('audit-log.json is corrupted'); };
+            await assert.rejects(db.withAudit(context, async () => { ran = true; }), /corrupted/);
+            assert.strictEqual(ran, false);
+            db.readAuditLogFile = readAuditLogFile;
+
+            // A failed append puts the data back
+            db.appendAuditEntry = async () => { throw new Error('disk full'); };
+            await assert.rejects(db.withAudit(context, () => db.updatePlayerStats('1', { gamesPlayed: 1, goals: 2 })), /disk full/);
+        } finally {
+            Object.assign(db, { appendAuditEntry, readAuditLogFile });
+        }
+        assert.strictEqual((await db.getPlayer('1')).goals, 0);
+        assert.deepStrictEqual(await db.getAuditEntries(), []);
+    });
+});
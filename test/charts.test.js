@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { crc32, encodePng, renderLineChart, renderBarChart, renderRadarChart } = require('./helpers');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// Split a PNG into its chunks, checking the signature and every chunk's CRC
+function readPng(png) {
+    assert.deepStrictEqual(png.subarray(0, 8), PNG_SIGNATURE);
+    const chunks = [];
+    for (let offset = 8; offset < png.length;) {
+        const length = png.readUInt32BE(offset);
+        const body = png.subarray(offset + 4, offset + 8 + length);
+        assert.strictEqual(png.readUInt32BE(offset + 8 + length), crc32(body));
+        chunks.push({ type: body.subarray(0, 4).toString('ascii'), data: body.subarray(4) });
+        offset += 12 + length;
+    }
+
+    const header = chunks[0].data;
+    return {
+        types: chunks.map(chunk => chunk.type),
+        width: header.readUInt32BE(0),
+        height: header.readUInt32BE(4),
+        bitDepth: header[8],
+        colorType: header[9],
+        raw: zlib.inflateSync(Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)))
+    };
+}
+
+test('CRC-32 matches the standard check value', () => {
+    assert.strictEqual(crc32(Buffer.from('123456789', 'ascii')), 0xCBF43926);
+    assert.strictEqual(crc32(Buffer.alloc(0)), 0);
+});
+
+test('images are encoded as 8-bit RGB with one unfiltered scanline per row', () => {
+    const pixels = Buffer.from([
+        255, 0, 0, 0, 255, 0,
+        0, 0, 255, 255, 255, 255
+    ]);
+    const png = readPng(encodePng({ width: 2, height: 2, pixels }));
+
+    assert.deepStrictEqual(png.types, ['IHDR', 'IDAT', 'IEND']);
+    assert.deepStrictEqual([png.width, png.height, png.bitDepth, png.colorType], [2, 2, 8, 2]);
+    assert.deepStrictEqual(png.raw, Buffer.concat([
+        Buffer.from([0]), pixels.subarray(0, 6),
+        Buffer.from([0]), pixels.subarray(6)
+    ]));
+});
+
+test('charts render to PNGs of the requested size on a white background', () => {
+    const charts = [
+        renderLineChart({
+            title: 'Goals',
+            labels: ['G1', 'G2', 'G3'],
+            series: [{ label: 'Ann', color: '#3498db', values: [1, null, 3], average: [1, 1.5, 2] }],
+            width: 300,
+            height: 200
+        }),
+        renderBarChart({ title: 'Win rate', labels: ['A', 'B'], values: [0.5, null], captions: ['50%'], width: 300, height: 200 }),
+        renderRadarChart({
+            title: 'Ann vs Bob',
+            axes: ['Goals', 'Saves', 'Shots'],
+            series: [{ label: 'Ann', color: '#3498db', values: [1, 0.5, 0] }, { label: 'Bob', color: '#e74c3c', values: [0.2, 1, 0.7] }],
+            width: 300,
+            height: 240
+        })
+    ];
+
+    charts.map(readPng).forEach((png, index) => {
+        const height = index === 2 ? 240 : 200;
+        assert.deepStrictEqual([png.width, png.height], [300, height]);
+        assert.strictEqual(png.raw.length, (300 * 3 + 1) * height);
+        assert.deepStrictEqual([...png.raw.subarray(1, 4)], [255, 255, 255]);
+        // Something was drawn
+        assert.ok(png.raw.some((byte, offset) => offset % (300 * 3 + 1) !== 0 && byte !== 255));
+    });
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, migrateData, parseStatsCsv, mapStatRows, createExportPackage, parseExportPackage, withTestGuild } = require('./helpers');
+
+const context = { actorId: '900', actorName: 'admin', command: '/import-stats' };
+const players = [
+    { discordId: '111111111111111111', displayName: 'Ann', team: 'A-Team' },
+    { discordId: '222222222222222222', displayName: 'Bob', team: 'B-Team' },
+    { discordId: '333333333333333333', displayName: 'bob', team: 'A-Team' }
+];
+
+test('CSV headers are normalized and semicolons are detected', async () => {
+    const rows = await parseStatsCsv(Buffer.from('\uFEFFPlayer; Goals ;Saves\nAnn ; 2;1\n'));
+    assert.deepStrictEqual(rows, [{ player: 'Ann', goals: '2', saves: '1' }]);
+});
+
+test('rows are matched by Discord ID, mention or display name', async () => {
+    const rows = await parseStatsCsv(Buffer.from(
+        'player,goals,mvp,date\n' +
+        '111111111111111111,1,yes,2024-03-01\n' +
+        '<@!111111111111111111>,0,0,\n' +
+        'ann,3,x,\n'));
+    const { matched, unmatched } = mapStatRows(rows, players);
+
+    assert.deepStrictEqual(unmatched, []);
+    assert.deepStrictEqual(matched.map(row => [row.rowNumber, row.player.displayName, row.stats.goals, row.stats.mvps]),
+        [[2, 'Ann', 1, 1], [3, 'Ann', 0, 0], [4, 'Ann', 3, 1]]);
+    assert.strictEqual(matched[0].timestamp, new Date('2024-03-01').toISOString());
+    assert.strictEqual(matched[1].timestamp, null);
+});
+
+test('rows that cannot be used are reported with their spreadsheet row number', async () => {
+    const rows = await parseStatsCsv(Buffer.from(
+        'player,goals,mvp,date\n' +
+        ',1,,\n' +
+        'Carl,1,,\n' +
+        'Bob,1,,\n' +
+        'Ann,-1,,\n' +
+        'Ann,1,maybe,\n' +
+        'Ann,1,,someday\n'));
+    const { matched, unmatched } = mapStatRows(rows, players);
+
+    assert.deepStrictEqual(matched, []);
+    assert.deepStrictEqual(unmatched.map(row => row.rowNumber), [2, 3, 4, 5, 6, 7]);
+    assert.match(unmatched[2].reason, /matches 2 players/);
+    assert.match(unmatched[3].reason, /not a whole number/);
+});
+
+test('two undated rows of one player are separate games for the audit, undo and export', async () => {
+    await withTestGuild(async () => {
+        await db.createPlayer('1', 'Ann', 'A-Team');
+        const rows = [
+            { discordId: '1', stats: { goals: 1, assists: 0, saves: 0, shots: 2, mvps: 0 }, timestamp: null },
+            { discordId: '1', stats: { goals: 2, assists: 1, saves: 0, shots: 3, mvps: 1 }, timestamp: null }
+        ];
+        await db.withAudit(context, () => db.importStatRows(rows));
+
+        const gameHistory = await db.readGameHistoryFile();
+        assert.strictEqual(gameHistory.length, 2);
+        assert.strictEqual(gameHistory[0].timestamp, gameHistory[1].timestamp);
+        assert.notStrictEqual(gameHistory[0].id, gameHistory[1].id);
+
+        const [entry] = await db.getAuditEntries();
+        assert.strictEqual(entry.changes.filter(change => change.dataSet === 'gameHistory').length, 2);
+
+        // The export can be imported again as it is
+        const exported = JSON.parse(JSON.stringify(await createExportPackage()));
+        const imported = parseExportPackage(exported);
+        assert.strictEqual(imported.gameHistory.length, 2);
+        await db.importData(imported);
+        assert.deepStrictEqual(await db.readGameHistoryFile(), gameHistory);
+
+        await db.undoAuditEntry(entry.id, context);
+        assert.deepStrictEqual(await db.readGameHistoryFile(), []);
+        const player = await db.getPlayer('1');
+        assert.strictEqual(player.gamesPlayed, 0);
+        assert.strictEqual(player.goals, 0);
+    });
+});
+
+test('game records from before IDs existed get stable IDs', () => {
+    const legacy = [
+        { discordId: '1', timestamp: '2024-03-01T00:00:00.000Z', goals: 1 },
+        { discordId: '1', timestamp: '2024-03-01T00:00:00.000Z', goals: 2 },
+        { discordId: '1', timestamp: '2024-03-02T00:00:00.000Z', matchId: '42', goals: 0 }
+    ];
+    const ids = () => migrateData('gameHistory', legacy, 1).data.map(game => game.id);
+    assert.deepStrictEqual(ids(), ['1::2024-03-01T00:00:00.000Z', '1::2024-03-01T00:00:00.000Z:2', '42:1']);
+    assert.deepStrictEqual(ids(), ids());
+});
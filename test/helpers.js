@@ -0,0 +1,22 @@
+// Shared test setup: bot.js is loaded against a throwaway data folder (it only logs in to
+// Discord when run directly), and every test gets a guild of its own so data never mixes.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'stats-bot-test-'));
+process.env.DATA_FOLDER = dataFolder;
+
+const bot = require('../bot');
+
+process.on('exit', () => fs.rmSync(dataFolder, { recursive: true, force: true }));
+
+let lastGuildId = 0;
+
+// Run a task against the data of a new, empty guild
+function withTestGuild(task) {
+    const guildId = String(++lastGuildId);
+    return bot.withGuild(guildId, () => task(path.join(dataFolder, guildId)));
+}
+
+module.exports = { ...bot, dataFolder, withTestGuild };
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, getLeaderboardMeasure, rankPlayers, formatMeasureValue, withTestGuild } = require('./helpers');
+
+// A player record with only the totals the measures below use
+function createPlayer(displayName, gamesPlayed, goals, shots = 0, extra = {}) {
+    return { discordId: displayName.toLowerCase(), displayName, gamesPlayed, goals, shots, ...extra };
+}
+
+const players = [
+    createPlayer('Cid', 4, 6, 12),
+    createPlayer('Ann', 6, 9, 10),
+    createPlayer('Bob', 3, 6, 0),
+    createPlayer('Dee', 0, 0, 0),
+    createPlayer('Eve', 5, 9, 30)
+];
+
+test('tied players share a rank and the next rank skips past them', () => {
+    const rows = rankPlayers(players, getLeaderboardMeasure('goals'));
+    assert.deepStrictEqual(rows.map(row => [row.player.displayName, row.value, row.rank]),
+        [['Ann', 9, 1], ['Eve', 9, 1], ['Bob', 6, 3], ['Cid', 6, 3]]);
+});
+
+test('players without a game are never ranked, also with min-games 0', () => {
+    const rows = rankPlayers(players, getLeaderboardMeasure('gamesPlayed'), 0);
+    assert.ok(!rows.some(row => row.player.displayName === 'Dee'));
+    assert.strictEqual(rows.length, 4);
+});
+
+test('players below min-games are left out', () => {
+    const rows = rankPlayers(players, getLeaderboardMeasure('goals'), 5);
+    assert.deepStrictEqual(rows.map(row => row.player.displayName), ['Ann', 'Eve']);
+});
+
+test('rates without a value are left out and rates are formatted', () => {
+    const measure = getLeaderboardMeasure('shootingPercentage');
+    const rows = rankPlayers(players, measure);
+
+    assert.deepStrictEqual(rows.map(row => [row.player.displayName, row.rank]), [['Ann', 1], ['Cid', 2], ['Eve', 3]]);
+    assert.strictEqual(formatMeasureValue(measure, rows[0].value), '90.0%');
+    assert.strictEqual(formatMeasureValue(getLeaderboardMeasure('goals'), 9), '9');
+});
+
+test('a stat can be ranked per game', () => {
+    const measure = getLeaderboardMeasure('goals', 'per-game');
+    const rows = rankPlayers(players, measure);
+
+    assert.strictEqual(measure.rate, true);
+    assert.deepStrictEqual(rows.map(row => row.player.displayName), ['Bob', 'Eve', 'Ann', 'Cid']);
+    assert.strictEqual(formatMeasureValue(measure, rows[0].value), '2.00');
+});
+
+test('participation is passed to measures that need it', () => {
+    const participation = new Map([['ann', { involvements: 3, teamGoals: 4 }], ['eve', { involvements: 1, teamGoals: 4 }]]);
+    const rows = rankPlayers(players, getLeaderboardMeasure('goalParticipation'), 0, participation);
+    assert.deepStrictEqual(rows.map(row => [row.player.displayName, row.value]), [['Ann', 0.75], ['Eve', 0.25]]);
+});
+
+test('unknown stats have no measure', () => {
+    assert.strictEqual(getLeaderboardMeasure('nothing'), null);
+});
+
+test('stored leaderboards leave out retired players and players below the minimum games', async () => {
+    await withTestGuild(async () => {
+        const stats = [['1', 'Ann', 3, 5], ['2', 'Bob', 1, 9], ['3', 'Cid', 2, 5], ['4', 'Dee', 4, 7]];
+        for (const [discordId, name, gamesPlayed, goals] of stats) {
+            await db.createPlayer(discordId, name, 'A-Team');
+            await db.updatePlayerStats(discordId, { gamesPlayed, goals });
+        }
+        await db.retirePlayer('4');
+
+        const rows = await db.getLeaderboard(getLeaderboardMeasure('goals'), { minGames: 2 });
+        assert.deepStrictEqual(rows.map(row => [row.player.displayName, row.value, row.rank]), [['Ann', 5, 1], ['Cid', 5, 1]]);
+        const rates = await db.getLeaderboard(getLeaderboardMeasure('goals', 'per-game'));
+        assert.deepStrictEqual(rates.map(row => row.player.displayName), ['Bob', 'Cid', 'Ann']);
+    });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { db, config, dataFolder, withFileLock, writeFileAtomic, withTestGuild } = require('./helpers');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('tasks locking the same file run one after another, in order', async () => {
+    const events = [];
+    const task = (name, ms) => async () => {
+        events.push(`${name} start`);
+        await delay(ms);
+        events.push(`${name} end`);
+        return name;
+    };
+
+    const results = await Promise.all([
+        withFileLock('/tmp/locks-test-a', task('first', 20)),
+        withFileLock('/tmp/locks-test-a', task('second', 0)),
+        withFileLock('/tmp/locks-test-a', task('third', 0))
+    ]);
+    assert.deepStrictEqual(results, ['first', 'second', 'third']);
+    assert.deepStrictEqual(events, ['first start', 'first end', 'second start', 'second end', 'third start', 'third end']);
+});
+
+test('a failed task does not hold up the next one, and nested calls re-enter their own lock', async () => {
+    const failed = withFileLock('/tmp/locks-test-b', async () => {
+        throw new Error('boom');
+    });
+    const next = withFileLock('/tmp/locks-test-b', () => withFileLock('/tmp/locks-test-b', async () => 'nested'));
+
+    await assert.rejects(failed, /boom/);
+    assert.strictEqual(await next, 'nested');
+});
+
+test('atomic writes replace the whole file and leave no temp files behind', async () => {
+    const folder = fs.mkdtempSync(path.join(dataFolder, 'atomic-'));
+    const filePath = path.join(folder, 'atomic.json');
+    await Promise.all(['a', 'b', 'c'].map(letter => writeFileAtomic(filePath, letter.repeat(100000))));
+
+    assert.match(fs.readFileSync(filePath, 'utf8'), /^(a{100000}|b{100000}|c{100000})$/);
+    assert.deepStrictEqual(fs.readdirSync(folder), ['atomic.json']);
+});
+
+test('a first read never writes its default over data saved in the meantime', { skip: config.storageBackend !== 'json' }, async () => {
+    await withTestGuild(async () => {
+        const saved = withFileLock(config.dataFilePath, async () => {
+            await delay(20);
+            await db.writePlayersFile([{ discordId: '1', displayName: 'Ann' }]);
+        });
+        const firstReads = Promise.all([db.readPlayersFile(), db.readPlayersFile()]);
+
+        await saved;
+        const reads = await firstReads;
+        assert.deepStrictEqual(reads.map(players => players.length), [1, 1]);
+        assert.strictEqual((await db.readPlayersFile()).length, 1);
+    });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { db, config, migrateData, getSchemaVersion, unwrapVersionedData, withTestGuild } = require('./helpers');
+
+test('unversioned files count as schema version 0', () => {
+    assert.deepStrictEqual(unwrapVersionedData([{ discordId: '1' }]), { version: 0, data: [{ discordId: '1' }] });
+    assert.deepStrictEqual(unwrapVersionedData({ schemaVersion: 2, data: [] }), { version: 2, data: [] });
+});
+
+test('players from version 0 get every stat and a roster history', () => {
+    const { data, version, applied } = migrateData('players', [
+        { discordId: '1', displayName: 'Ann', team: 'A-Team', goals: 3, demos: 7, createdAt: '2024-01-01T00:00:00.000Z' }
+    ], 0);
+
+    assert.strictEqual(version, getSchemaVersion('players'));
+    assert.strictEqual(applied.length, version);
+    const [player] = data;
+    assert.strictEqual(player.shots, 0);
+    assert.strictEqual(player.demos, undefined);
+    assert.deepStrictEqual(player.roster, [{ team: 'A-Team', from: '2024-01-01T00:00:00.000Z', to: null }]);
+    assert.strictEqual(player.teams['A-Team'].goals, 3);
+});
+
+test('migrations already applied are skipped', () => {
+    const players = [{ discordId: '1', team: 'A-Team', roster: [], teams: {} }];
+    const { data, applied } = migrateData('players', players, getSchemaVersion('players'));
+    assert.deepStrictEqual(applied, []);
+    assert.strictEqual(data, players);
+});
+
+test('data from a newer schema version is refused', () => {
+    assert.throws(() => migrateData('players', [], getSchemaVersion('players') + 1), /only supports up to/);
+});
+
+test('team records get registry metadata', () => {
+    const { data } = migrateData('teamStats', { 'A-Team': { wins: 2 } }, 0);
+    assert.strictEqual(data['A-Team'].name, 'A-Team');
+    assert.strictEqual(data['A-Team'].losses, 0);
+    assert.strictEqual(data['A-Team'].rosterLimit, null);
+});
+
+test('old data files are migrated on read and stamped on the next write', { skip: config.storageBackend !== 'json' }, async () => {
+    await withTestGuild(async (guildFolder) => {
+        const filePath = path.join(guildFolder, 'players.json');
+        fs.writeFileSync(filePath, JSON.stringify([{ discordId: '1', displayName: 'Ann', team: 'A-Team', goals: 1 }]));
+
+        const [player] = await db.readPlayersFile();
+        assert.strictEqual(player.saves, 0);
+        assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).schemaVersion, undefined);
+
+        const results = await db.runMigrations();
+        assert.deepStrictEqual(results.find(result => result.name === 'players.json'),
+            { name: 'players.json', from: 0, to: getSchemaVersion('players') });
+        assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).schemaVersion, getSchemaVersion('players'));
+    });
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { config, getExpectedScore, calculateRatings, formatRating } = require('./helpers');
+
+let lastId = 0;
+
+// A match result with the fields the ratings use
+function createMatch(team1, team2, score1, score2, date, extra = {}) {
+    return {
+        id: String(++lastId), team1, team2, score1, score2, date,
+        winner: score1 > score2 ? team1 : team2, lines: [], ...extra
+    };
+}
+
+test('expected scores of both sides add up to 1 and favour the higher rating', () => {
+    assert.strictEqual(getExpectedScore(1500, 1500), 0.5);
+    assert.ok(Math.abs(getExpectedScore(1900, 1500) - 10 / 11) < 1e-12);
+    assert.ok(Math.abs(getExpectedScore(1620, 1480) + getExpectedScore(1480, 1620) - 1) < 1e-12);
+});
+
+test('a win between equal teams moves both ratings by half the K-factor', () => {
+    const { teams } = calculateRatings([createMatch('A-Team', 'ATG', 3, 1, '2024-03-01T20:00:00.000Z')]);
+    const winner = teams.get('a-team');
+    const loser = teams.get('atg');
+
+    assert.strictEqual(winner.rating, config.ratings.initial + config.ratings.kFactor / 2);
+    assert.strictEqual(loser.rating, config.ratings.initial - config.ratings.kFactor / 2);
+    assert.deepStrictEqual([winner.wins, winner.losses, loser.wins, loser.losses], [1, 0, 0, 1]);
+    assert.deepStrictEqual(winner.history.map(entry => [entry.opponent, entry.score, entry.won]), [['ATG', '3-1', true]]);
+});
+
+test('results are rated oldest first and team names ignore case', () => {
+    const { teams } = calculateRatings([
+        createMatch('a-team', 'ATG', 0, 2, '2024-03-02T20:00:00.000Z'),
+        createMatch('A-Team', 'ATG', 3, 1, '2024-03-01T20:00:00.000Z')
+    ]);
+    const entry = teams.get('a-team');
+
+    assert.deepStrictEqual(entry.history.map(result => result.won), [true, false]);
+    // The loss came against a weaker opponent, so it costs more than the win earned
+    assert.ok(entry.history[1].change < -entry.history[0].change);
+    assert.strictEqual(entry.rating + teams.get('atg').rating, 2 * config.ratings.initial);
+});
+
+test('a series is rated once as a whole and its players once each', () => {
+    const series = { id: 'S1', format: 3 };
+    const line = (discordId, team) => ({ discordId, team, displayName: discordId });
+    const { teams, players } = calculateRatings([
+        createMatch('A-Team', 'ATG', 1, 0, '2024-03-01T20:00:00.000Z', { series: { ...series, game: 1 }, lines: [line('1', 'A-Team')] }),
+        createMatch('A-Team', 'ATG', 0, 2, '2024-03-01T20:01:00.000Z', { series: { ...series, game: 2 }, lines: [line('1', 'A-Team'), line('2', 'ATG')] }),
+        createMatch('A-Team', 'ATG', 3, 1, '2024-03-01T20:02:00.000Z', { series: { ...series, game: 3 }, lines: [line('1', 'A-Team')] })
+    ]);
+
+    assert.deepStrictEqual(teams.get('a-team').history.map(entry => [entry.resultId, entry.score]), [['S1', '2-1']]);
+    assert.strictEqual(players.get('1').history.length, 1);
+    assert.deepStrictEqual([players.get('1').wins, players.get('2').losses], [1, 1]);
+});
+
+test('an unfinished series is not rated', () => {
+    const { teams } = calculateRatings([
+        createMatch('A-Team', 'ATG', 1, 0, '2024-03-01T20:00:00.000Z', { series: { id: 'S2', format: 5, game: 1 } })
+    ]);
+    assert.strictEqual(teams.size, 0);
+});
+
+test('ratings are shown rounded with the last change', () => {
+    assert.strictEqual(formatRating({ rating: 1500, history: [] }), '1500');
+    assert.strictEqual(formatRating({ rating: 1516.4, history: [{ change: 16.4 }] }), '1516 ▲16');
+    assert.strictEqual(formatRating({ rating: 1487.6, history: [{ change: 4 }, { change: -12.4 }] }), '1488 ▼12');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, findLongestStreak, calculateRecords, findBrokenRecords, formatRecord, withTestGuild } = require('./helpers');
+
+const players = [
+    { discordId: '1', displayName: 'Ann' },
+    { discordId: '2', displayName: 'Bob' }
+];
+
+// A game history entry on the given day of March 2024
+function createGame(discordId, day, stats) {
+    const timestamp = `2024-03-${String(day).padStart(2, '0')}T20:00:00.000Z`;
+    return { id: `${discordId}:${day}`, discordId, timestamp, goals: 0, saves: 0, shots: 0, mvps: 0, ...stats };
+}
+
+// A match result of A-Team against B-Team on the given day of March 2024
+function createMatch(day, team1Won) {
+    return {
+        id: String(day), team1: 'A-Team', team2: 'B-Team', winner: team1Won ? 'A-Team' : 'B-Team',
+        date: `2024-03-${String(day).padStart(2, '0')}T20:00:00.000Z`, lines: []
+    };
+}
+
+const getRecord = (records, key) => records.find(record => record.key === key);
+
+test('the longest streak is the first of the longest runs', () => {
+    const values = [1, 1, 0, 1, 1, 0, 1];
+    const streak = findLongestStreak(values.map((value, index) => ({ value, index })), item => item.value > 0, item => item.index);
+    assert.deepStrictEqual(streak, { length: 2, from: 0, to: 1 });
+    assert.strictEqual(findLongestStreak([{ value: 0 }], item => item.value > 0, () => null), null);
+});
+
+test('single-game records go to the first player to reach the highest value', () => {
+    const records = calculateRecords([
+        createGame('2', 3, { goals: 4 }),
+        createGame('1', 1, { goals: 4, saves: 2 }),
+        createGame('3', 2, { goals: 1 })
+    ], [], players, []);
+
+    const goals = getRecord(records, 'game:goals');
+    assert.deepStrictEqual([goals.value, goals.holder, goals.date], [4, 'Ann', '2024-03-01T20:00:00.000Z']);
+    // Players who are not registered any more are shown as a mention
+    assert.strictEqual(getRecord(records, 'game:saves').holder, 'Ann');
+    assert.strictEqual(getRecord(calculateRecords([createGame('3', 1, { shots: 1 })], [], players, []), 'game:shots').holder, '<@3>');
+    assert.deepStrictEqual([getRecord(records, 'game:shots').value, getRecord(records, 'game:shots').holder], [0, null]);
+});
+
+test('player streaks count games in date order', () => {
+    const records = calculateRecords([
+        createGame('1', 4, { goals: 1 }),
+        createGame('1', 1, { goals: 2, mvps: 1 }),
+        createGame('1', 3, { mvps: 1 }),
+        createGame('1', 2, { goals: 1, mvps: 1 })
+    ], [], players, []);
+
+    const goalStreak = getRecord(records, 'streak:goals');
+    assert.deepStrictEqual([goalStreak.value, goalStreak.from, goalStreak.date],
+        [2, '2024-03-01T20:00:00.000Z', '2024-03-02T20:00:00.000Z']);
+    assert.strictEqual(getRecord(records, 'streak:mvps').value, 3);
+});
+
+test('team streaks only count our teams', () => {
+    const matches = [createMatch(1, true), createMatch(2, true), createMatch(3, false), createMatch(4, true)];
+    const records = calculateRecords([], matches, players, ['A-Team']);
+
+    assert.deepStrictEqual([getRecord(records, 'team:win').value, getRecord(records, 'team:win').holder], [2, 'A-Team']);
+    assert.deepStrictEqual([getRecord(records, 'team:loss').value, getRecord(records, 'team:loss').holder], [1, 'A-Team']);
+});
+
+test('a record is only broken when it goes up and somebody held it', () => {
+    const before = calculateRecords([createGame('1', 1, { goals: 2 })], [], players, []);
+    const after = calculateRecords([createGame('1', 1, { goals: 2 }), createGame('2', 2, { goals: 3, saves: 1 })], [], players, []);
+
+    // The saves record was not held by anybody before, so it is not announced
+    assert.deepStrictEqual(findBrokenRecords(before, after).map(({ record, previous }) =>
+        [record.key, record.holder, previous.value, previous.holder]), [['game:goals', 'Bob', 2, 'Ann']]);
+    assert.deepStrictEqual(findBrokenRecords(after, after), []);
+});
+
+test('records are formatted with their dates', () => {
+    assert.strictEqual(formatRecord({ value: 0, holder: null }), 'No record yet');
+    assert.strictEqual(formatRecord({ value: 1, unit: 'goals', holder: 'Ann', date: '2024-03-01T12:00:00.000Z' }),
+        '**1** goal • Ann • 2024-03-01');
+    assert.strictEqual(formatRecord({ value: 3, unit: 'games', holder: 'A-Team', from: '2024-03-01T12:00:00.000Z', date: '2024-03-20T12:00:00.000Z' }),
+        '**3** games • A-Team • 2024-03-01 – 2024-03-20');
+});
+
+test('records can be worked out from earlier snapshots of the data', async () => {
+    await withTestGuild(async () => {
+        await db.createPlayer('1', 'Ann', 'A-Team');
+        const before = { gameHistory: await db.readGameHistoryFile() };
+        await db.addGameRecord('1', { goals: 5 });
+
+        assert.strictEqual(getRecord(await db.getRecords(before), 'game:goals').value, 0);
+        assert.strictEqual(getRecord(await db.getRecords(), 'game:goals').value, 5);
+    });
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { db, config, withTestGuild } = require('./helpers');
+
+// Only JSON files can be corrupted on disk
+const jsonOnly = { skip: config.storageBackend !== 'json' };
+
+const getCorruptedNames = () => db.getCorruptedFiles().map(incident => incident.name);
+
+test('a corrupted data file is quarantined until a backup is restored', jsonOnly, async () => {
+    await withTestGuild(async (guildFolder) => {
+        await db.createPlayer('1', 'Ann', 'A-Team');
+        const backup = await db.createBackup('manual');
+        fs.writeFileSync(path.join(guildFolder, 'players.json'), '{ not json');
+
+        await assert.rejects(db.getAllPlayers(), /players\.json is corrupted and was quarantined/);
+        assert.deepStrictEqual(getCorruptedNames(), ['players.json']);
+        assert.ok(fs.readdirSync(guildFolder).some(name => name.startsWith('players.json.corrupt-')));
+
+        await db.restoreFromBackup(path.basename(backup.folder));
+        assert.deepStrictEqual(getCorruptedNames(), []);
+        assert.deepStrictEqual((await db.getAllPlayers()).map(player => player.displayName), ['Ann']);
+    });
+});
+
+test('corrupted log files are started over empty, as they have no backups', jsonOnly, async () => {
+    await withTestGuild(async (guildFolder) => {
+        await db.withAudit({ actorId: '900', actorName: 'admin', command: '/test' }, () => db.createPlayer('1', 'Ann', 'A-Team'));
+        fs.writeFileSync(path.join(guildFolder, 'audit-log.json'), '{ not json');
+        fs.writeFileSync(path.join(guildFolder, 'stat-submissions.json'), '{}');
+
+        await assert.rejects(db.getAuditEntries(), /audit-log\.json is corrupted/);
+        await assert.rejects(db.readSubmissionsFile(), /stat-submissions\.json is corrupted/);
+        assert.deepStrictEqual(getCorruptedNames().sort(), ['audit-log.json', 'stat-submissions.json']);
+
+        // A backup does not hold them, so restoring one leaves them quarantined
+        await db.restoreFromBackup(path.basename((await db.createBackup('manual')).folder));
+        assert.strictEqual(getCorruptedNames().length, 2);
+
+        assert.deepStrictEqual((await db.resetCorruptedLogFiles()).sort(), ['audit-log.json', 'stat-submissions.json']);
+        assert.deepStrictEqual(getCorruptedNames(), []);
+        assert.deepStrictEqual(await db.getAuditEntries(), []);
+        assert.deepStrictEqual(await db.readSubmissionsFile(), []);
+        assert.deepStrictEqual(await db.resetCorruptedLogFiles(), []);
+    });
+});
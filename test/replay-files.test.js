@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseReplayHeader, summarizeReplay, findPlayerByAlias, guessReplayTeam } = require('./helpers');
+
+// Writers for the parts of a .replay header: numbers, Windows-1252 or UTF-16 strings and properties
+const int32 = value => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32LE(value);
+    return buffer;
+};
+const latin1 = text => Buffer.concat([int32(text.length + 1), Buffer.from(`${text}\0`, 'latin1')]);
+const utf16 = text => Buffer.concat([int32(-(text.length + 1)), Buffer.from(`${text}\0`, 'utf16le')]);
+const property = (name, type, value) => Buffer.concat([latin1(name), latin1(type), Buffer.alloc(8), value]);
+const NONE = latin1('None');
+
+function createPlayerStats({ name, platform, team, score, goals }) {
+    return Buffer.concat([
+        property('Name', 'StrProperty', name),
+        // Steam is stored as the enum value alone, other platforms after the enum name
+        property('Platform', 'ByteProperty', platform === 'OnlinePlatform_Steam'
+            ? latin1(platform)
+            : Buffer.concat([latin1('OnlinePlatform'), latin1(platform)])),
+        property('Team', 'IntProperty', int32(team)),
+        property('Score', 'IntProperty', int32(score)),
+        property('Goals', 'IntProperty', int32(goals)),
+        property('bBot', 'BoolProperty', Buffer.from([0])),
+        NONE
+    ]);
+}
+
+// A replay of a 3-1 win of the blue side, with the header size and versions of a current build
+function createReplayFile(replayClass = 'TAGame.Replay_Soccar_TA') {
+    const body = Buffer.concat([
+        int32(868), int32(32), int32(10),
+        latin1(replayClass),
+        property('Id', 'StrProperty', latin1('ABC123')),
+        property('Date', 'StrProperty', latin1('2024-03-01 20-05-12')),
+        property('Team0Score', 'IntProperty', int32(3)),
+        property('Team1Score', 'IntProperty', int32(1)),
+        property('PlayerStats', 'ArrayProperty', Buffer.concat([
+            int32(3),
+            createPlayerStats({ name: latin1('AnnRL'), platform: 'OnlinePlatform_Steam', team: 0, score: 400, goals: 2 }),
+            createPlayerStats({ name: utf16('Zoë'), platform: 'OnlinePlatform_Epic', team: 0, score: 500, goals: 1 }),
+            createPlayerStats({ name: latin1('Stranger'), platform: 'OnlinePlatform_Dingo', team: 1, score: 900, goals: 1 })
+        ])),
+        NONE
+    ]);
+    return Buffer.concat([int32(body.length), int32(0), body]);
+}
+
+test('a replay header is read into its properties', () => {
+    const properties = parseReplayHeader(createReplayFile());
+    assert.deepStrictEqual([properties.Id, properties.Team0Score, properties.Team1Score], ['ABC123', 3, 1]);
+    assert.deepStrictEqual(properties.PlayerStats.map(stats => [stats.Name, stats.Platform, stats.Team, stats.bBot]), [
+        ['AnnRL', 'OnlinePlatform_Steam', 0, false],
+        ['Zoë', 'OnlinePlatform_Epic', 0, false],
+        ['Stranger', 'OnlinePlatform_Dingo', 1, false]
+    ]);
+});
+
+test('a replay is summarized with the best scoring winner as MVP', () => {
+    const buffer = createReplayFile();
+    const replay = summarizeReplay(parseReplayHeader(buffer), buffer);
+    assert.strictEqual(replay.id, 'ABC123');
+    assert.deepStrictEqual(replay.date, new Date(2024, 2, 1, 20, 5, 12));
+    assert.deepStrictEqual(replay.score, [3, 1]);
+    assert.deepStrictEqual(replay.players.map(player => [player.name, player.platform, player.side, player.goals, player.mvp]), [
+        ['AnnRL', 'steam', 0, 2, false],
+        ['Zoë', 'epic', 0, 1, true],
+        ['Stranger', 'xbox', 1, 1, false]
+    ]);
+});
+
+test('cut off replays are refused', () => {
+    const buffer = createReplayFile();
+    assert.throws(() => parseReplayHeader(buffer.subarray(0, buffer.length - 10)), /^Error: The replay is cut off or damaged$/);
+
+    // The header size says the file is complete, but the property list ends early
+    const cut = Buffer.from(buffer.subarray(0, buffer.length - 10));
+    cut.writeInt32LE(cut.length - 8, 0);
+    assert.throws(() => parseReplayHeader(cut), /The replay is cut off or damaged \(while reading /);
+});
+
+test('files that are not Rocket League replays are refused', () => {
+    assert.throws(() => parseReplayHeader(createReplayFile('TAGame.Demo_TA')), /This is not a Rocket League replay file/);
+    assert.throws(() => parseReplayHeader(Buffer.from('\x89PNG\r\n\x1a\n', 'latin1')), /This is not a Rocket League replay file/);
+    assert.throws(() => parseReplayHeader(Buffer.alloc(0)), /This is not a Rocket League replay file/);
+});
+
+test('replay players are matched by alias and each side gets the team most of its players are on', () => {
+    const players = [
+        { discordId: '1', team: 'A-Team', aliases: [{ name: 'AnnRL', platform: 'steam' }] },
+        { discordId: '2', team: 'A-Team', aliases: [{ name: 'zoë', platform: null }] },
+        { discordId: '3', team: 'B-Team', aliases: [{ name: 'Cal', platform: null }] }
+    ];
+    assert.strictEqual(findPlayerByAlias(players, 'annrl', 'steam').discordId, '1');
+    assert.strictEqual(findPlayerByAlias(players, 'AnnRL', 'epic'), null);
+    assert.strictEqual(findPlayerByAlias(players, 'Zoë', 'xbox').discordId, '2');
+
+    const replayPlayers = [
+        { side: 0, player: players[0] },
+        { side: 0, player: players[1] },
+        { side: 0, player: players[2] },
+        { side: 1, player: null }
+    ];
+    assert.strictEqual(guessReplayTeam(replayPlayers, 0), 'A-Team');
+    assert.strictEqual(guessReplayTeam(replayPlayers, 1), null);
+});
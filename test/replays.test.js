@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { db, dataFolder, prepareScriptData, parseReplayJson, prepareReplayImport, withTestGuild } = require('./helpers');
+
+const players = [
+    { discordId: '111111111111111111', displayName: 'Ann', team: 'A-Team', aliases: [{ name: 'AnnRL', platform: 'steam' }] },
+    { discordId: '222222222222222222', displayName: 'Bob', team: 'A-Team', aliases: [{ name: 'bobby', platform: null }, { name: 'Bob2', platform: null }] }
+];
+
+// A ballchasing-style replay export
+function createReplay(overrides = {}) {
+    return {
+        rocket_league_id: 'R1',
+        title: 'Week 1',
+        date: '2024-03-01T20:00:00Z',
+        blue: {
+            stats: { core: { goals: 3 } },
+            players: [
+                { name: 'AnnRL', id: { platform: 'steam' }, stats: { core: { goals: 2, assists: 1, saves: 0, shots: 4, mvp: true }, boost: { bpm: 400.5 } } },
+                { name: 'Bobby', id: { platform: 'ps4' }, stats: { core: { goals: 0, assists: 1, saves: 3, shots: 1 } } }
+            ]
+        },
+        orange: {
+            players: [{ name: 'Stranger', id: { platform: 'epic' }, stats: { core: { goals: 1 } } }]
+        },
+        ...overrides
+    };
+}
+
+test('replay JSON is read as one replay, a list or a page', () => {
+    const [replay] = parseReplayJson(createReplay());
+    assert.strictEqual(replay.id, 'R1');
+    assert.strictEqual(replay.date.toISOString(), '2024-03-01T20:00:00.000Z');
+    assert.deepStrictEqual(replay.score, [3, 1]);
+    assert.deepStrictEqual(replay.players.map(player => [player.name, player.platform, player.side, player.goals, player.mvp]),
+        [['AnnRL', 'steam', 0, 2, true], ['Bobby', 'psn', 0, 0, false], ['Stranger', 'epic', 1, 1, false]]);
+    assert.deepStrictEqual(replay.players[0].extended, { boostPerMinute: 400.5 });
+
+    assert.strictEqual(parseReplayJson([createReplay(), createReplay({ rocket_league_id: 'R2' })]).length, 2);
+    assert.strictEqual(parseReplayJson({ list: [createReplay()] }).length, 1);
+});
+
+test('replays without team stats or with a bad date are refused', () => {
+    assert.throws(() => parseReplayJson({ title: 'nothing' }), /The replay has no blue and orange team stats/);
+    assert.throws(() => parseReplayJson([createReplay(), createReplay({ date: 'soon' })]), /Replay 2 has an invalid date "soon"/);
+});
+
+test('replays without an ID get the same hash every time', () => {
+    const replay = createReplay({ rocket_league_id: undefined });
+    assert.strictEqual(parseReplayJson(replay)[0].id, parseReplayJson(replay)[0].id);
+    assert.notStrictEqual(parseReplayJson(replay)[0].id, parseReplayJson({ ...replay, title: 'Week 2' })[0].id);
+});
+
+test('players are matched through aliases and known or repeated replays are skipped', () => {
+    const replays = parseReplayJson([
+        createReplay(),
+        createReplay({ rocket_league_id: 'R0' }),
+        createReplay()
+    ]);
+    const { rows, skipped, replayCount } = prepareReplayImport(replays, players, new Set(['R0']));
+
+    assert.strictEqual(replayCount, 1);
+    assert.deepStrictEqual(rows.map(row => [row.discordId, row.replayId, row.timestamp, row.stats.goals, row.stats.mvps]),
+        [['111111111111111111', 'R1', '2024-03-01T20:00:00.000Z', 2, 1], ['222222222222222222', 'R1', '2024-03-01T20:00:00.000Z', 0, 0]]);
+    assert.deepStrictEqual(skipped, [
+        'Week 1: "Stranger" has no alias',
+        'Week 1: already imported',
+        'Week 1: listed more than once'
+    ]);
+});
+
+test('an alias limited to one platform does not match other platforms', () => {
+    const replay = createReplay();
+    replay.blue.players[0].id.platform = 'xbox';
+    const { rows, skipped } = prepareReplayImport(parseReplayJson(replay), players, new Set());
+    assert.deepStrictEqual(rows.map(row => row.discordId), ['222222222222222222']);
+    assert.ok(skipped.includes('Week 1: "AnnRL" has no alias'));
+});
+
+test('a player is only counted once per replay', () => {
+    const replay = createReplay();
+    replay.orange.players.push({ name: 'Bob2', stats: { core: { goals: 1 } } });
+    const { rows, skipped } = prepareReplayImport(parseReplayJson(replay), players, new Set());
+    assert.strictEqual(rows.filter(row => row.discordId === '222222222222222222').length, 1);
+    assert.ok(skipped.includes('Week 1: "Bob2" is a second name of Bob'));
+});
+
+test('imported replays are known to the next import', async () => {
+    await withTestGuild(async () => {
+        await db.createPlayer('111111111111111111', 'Ann', 'A-Team');
+        await db.addPlayerAlias('111111111111111111', 'AnnRL', 'steam');
+        const { rows } = prepareReplayImport(parseReplayJson(createReplay()), await db.getAllPlayers(), await db.getImportedReplayIds());
+        assert.strictEqual(rows.length, 1);
+        await db.importStatRows(rows);
+
+        const again = prepareReplayImport(parseReplayJson(createReplay()), await db.getAllPlayers(), await db.getImportedReplayIds());
+        assert.deepStrictEqual(again.rows, []);
+        assert.deepStrictEqual(again.skipped, ['Week 1: already imported']);
+    });
+});
+
+test('scripts refuse to use the data folder while another process holds it', async () => {
+    const lockPath = path.join(dataFolder, 'data.lock');
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.ppid, owner: 'the bot', since: '2024-03-01T20:00:00.000Z' }));
+    await assert.rejects(prepareScriptData('1000', 'test'), /The data folder is in use by the bot \(process \d+/);
+
+    // A lock taken on another host can not be checked, so it has to be removed by hand
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 99999999, hostname: `not-${os.hostname()}`, owner: 'the bot', since: '2024-03-01T20:00:00.000Z' }));
+    await assert.rejects(prepareScriptData('1000', 'test'), /process 99999999 on not-.*If it is not running any more, delete .*data\.lock/);
+
+    // A lock left behind by a process that is gone is taken over
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 99999999, hostname: os.hostname(), owner: 'the bot', since: '2024-03-01T20:00:00.000Z' }));
+    await prepareScriptData('1000', 'test');
+    const lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    assert.deepStrictEqual([lock.pid, lock.hostname], [process.pid, os.hostname()]);
+});
+
+test('a lock whose process ID now belongs to another process is taken over', { skip: !fs.existsSync('/proc') }, async () => {
+    const lockPath = path.join(dataFolder, 'data.lock');
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.ppid, hostname: os.hostname(), processStart: '1', owner: 'the bot', since: '2024-03-01T20:00:00.000Z' }));
+    await prepareScriptData('1000', 'test');
+    assert.strictEqual(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid, process.pid);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, withTestGuild } = require('./helpers');
+
+const seasons = [
+    { id: 1, name: 'Season 1', startedAt: '2024-01-01T00:00:00.000Z', endedAt: '2024-02-01T00:00:00.000Z' },
+    { id: 2, name: 'Season 2', startedAt: '2024-03-01T00:00:00.000Z', endedAt: null }
+];
+
+test('results count for the season they were played in', async () => {
+    await withTestGuild(async () => {
+        await db.writeSeasonsFile(seasons);
+        await db.createPlayer('1', 'Ann', 'A-Team');
+
+        const played = date => db.recordMatchResult({ team1: 'A-Team', team2: 'Rivals', score1: 2, score2: 1, date });
+        assert.strictEqual((await played('2024-01-15T20:00:00.000Z')).season, 1);
+        assert.strictEqual((await played('2024-02-15T20:00:00.000Z')).season, null);
+        assert.strictEqual((await played(undefined)).season, 2);
+        assert.deepStrictEqual((await db.getTeamStats('A-Team')).seasons, { 1: { wins: 1, losses: 0 }, 2: { wins: 1, losses: 0 } });
+
+        await db.importStatRows([{ discordId: '1', stats: { goals: 1 }, timestamp: '2024-01-20T20:00:00.000Z' }]);
+        const [game] = await db.getRecentGames('1');
+        assert.strictEqual(game.season, 1);
+        assert.strictEqual((await db.getPlayer('1')).seasons[1].goals, 1);
+    });
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { db, withTestGuild } = require('./helpers');
+
+test('team records are looked up and changed whatever the case of the name', async () => {
+    await withTestGuild(async () => {
+        await db.createTeam('Alpha');
+        await db.updateTeamStats('alpha', 2, 0);
+        await db.removeTeamStats('ALPHA', 0, 0);
+        await db.updateTeamStats('Alpha', 0, 1);
+
+        assert.deepStrictEqual(await db.getAllTeams(), ['A-Team', 'B-Team', 'Alpha']);
+        const stats = await db.getTeamStats('alpha');
+        assert.deepStrictEqual([stats.wins, stats.losses], [2, 1]);
+    });
+});
+
+test('team names must be 2 to 50 characters long', async () => {
+    await withTestGuild(async () => {
+        await assert.rejects(db.createTeam('A'), /between 2 and 50 characters/);
+        await assert.rejects(db.renameTeam('A-Team', 'x'.repeat(51)), /between 2 and 50 characters/);
+        await assert.rejects(db.createTeam('a-team'), /already exists/);
+    });
+});
+
+test('a new guild starts with the default teams, and removed teams stay removed', async () => {
+    await withTestGuild(async () => {
+        assert.deepStrictEqual(await db.getAllTeams(), ['A-Team', 'B-Team']);
+        await db.writeTeamStatsFile({});
+        assert.deepStrictEqual(await db.getAllTeams(), []);
+    });
+});
+
+test('resetting the team records removes the match results they were counted from', async () => {
+    await withTestGuild(async () => {
+        await db.recordSeriesResult({ team1: 'A-Team', team2: 'Rivals', format: 3, games: [{ score1: 3, score2: 1 }, { score1: 2, score2: 1 }] });
+        assert.strictEqual((await db.getTeamStats('A-Team')).wins, 2);
+
+        assert.deepStrictEqual(await db.resetTeamRecords(), ['A-Team', 'B-Team']);
+        const stats = await db.getTeamStats('A-Team');
+        assert.deepStrictEqual([stats.wins, stats.losses], [0, 0]);
+        assert.deepStrictEqual(await db.readMatchResultsFile(), []);
+    });
+});